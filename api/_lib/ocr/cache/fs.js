@@ -0,0 +1,55 @@
+// HoverReader API — filesystem OCR cache, Node.js only (20.16 or later: the route
+// handler run by a Node server or the tests). One JSON file per key under
+// OCR_CACHE_DIR (default <tmpdir>/hoverreader-ocr), fanned out by the first two hex
+// digits. The edge runtime, which api/ocr-space.js declares for Vercel, has no
+// filesystem: Node's modules are looked up at call time instead of imported, and
+// selecting this store there is a configuration error (see `unavailable`).
+
+const NODE_ONLY = 'OCR_CACHE=fs needs Node.js 20.16 or later; the edge runtime has no filesystem';
+
+function node(name) {
+  const mod = globalThis.process?.getBuiltinModule?.(name);
+  if (!mod) throw new Error(NODE_ONLY);
+  return mod;
+}
+
+function pathFor(key) {
+  const path = node('node:path');
+  const dir = process.env.OCR_CACHE_DIR || path.join(node('node:os').tmpdir(), 'hoverreader-ocr');
+  return path.join(dir, key.slice(0, 2), `${key}.json`);
+}
+
+export const fsStore = {
+  name: 'fs',
+
+  /** Why this runtime can't use the store, or null */
+  unavailable() {
+    return globalThis.process?.getBuiltinModule ? null : NODE_ONLY;
+  },
+
+  async get(key) {
+    const fs = node('node:fs/promises');
+    const file = pathFor(key);
+    let rec;
+    try {
+      rec = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch {
+      return null;
+    }
+    if (rec.expiresAt <= Date.now()) {
+      await fs.rm(file, { force: true });
+      return null;
+    }
+    return rec.value;
+  },
+
+  async set(key, value, ttlSeconds) {
+    const fs = node('node:fs/promises');
+    const file = pathFor(key);
+    await fs.mkdir(node('node:path').dirname(file), { recursive: true });
+    // Write then rename so a concurrent reader never sees half a file
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify({ expiresAt: Date.now() + ttlSeconds * 1000, value }));
+    await fs.rename(tmp, file);
+  },
+};
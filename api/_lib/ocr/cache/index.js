@@ -0,0 +1,36 @@
+// HoverReader API — OCR result cache, content-addressed by image, language, engine
+// and provider. OCR_CACHE picks the store: memory (default), fs, kv or off.
+// A store is { name, get(key), set(key, value, ttlSeconds) } holding JSON values, with
+// an optional unavailable() → reason when the runtime can't run it.
+
+import { configError } from '../overlay.js';
+import { fsStore } from './fs.js';
+import { kvStore } from './kv.js';
+import { memoryStore } from './memory.js';
+
+export const OCR_CACHES = {
+  [memoryStore.name]: memoryStore,
+  [fsStore.name]: fsStore,
+  [kvStore.name]: kvStore,
+};
+
+export const OCR_CACHE_TTL_SECONDS = Number(process.env.OCR_CACHE_TTL_SECONDS) || 30 * 24 * 3600;
+
+/** The configured store, or null when caching is off */
+export function selectOcrCache() {
+  const name = (process.env.OCR_CACHE || memoryStore.name).toLowerCase();
+  if (['off', 'none', 'false', '0'].includes(name)) return null;
+  const store = OCR_CACHES[name];
+  if (!store) throw configError(`Unknown OCR cache "${name}"`);
+  const reason = store.unavailable?.();
+  if (reason) throw configError(reason);
+  return store;
+}
+
+/** sha256 over everything that changes the result; the data: URL prefix is ignored */
+export async function ocrCacheKey({ base64Image, language, engine, provider, isOverlayRequired }) {
+  const payload = base64Image.replace(/^data:[^,]*,/, '');
+  const meta = [provider, language, engine || 'auto', isOverlayRequired ? 'overlay' : 'text'].join('|');
+  const buf = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${meta}|${payload}`));
+  return Array.from(new Uint8Array(buf), (b) => b.toString(16).padStart(2, '0')).join('');
+}
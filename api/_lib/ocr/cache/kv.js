@@ -0,0 +1,68 @@
+// HoverReader API — key-value OCR cache over a Redis-style REST API
+// (Upstash / Vercel KV: KV_REST_API_URL + KV_REST_API_TOKEN). Without those
+// variables a local stand-in with the same command interface is used, so the
+// kv store also works in development.
+
+const PREFIX = 'hoverreader:ocr:';
+
+/** POST ["CMD", ...args] → { result } */
+function restClient(url, token) {
+  return {
+    async command(args) {
+      const r = await fetch(url, {
+        method: 'POST',
+        headers: { authorization: `Bearer ${token}`, 'content-type': 'application/json' },
+        body: JSON.stringify(args),
+      });
+      const j = await r.json().catch(() => ({}));
+      if (!r.ok || j.error) throw new Error(`KV ${j.error || `HTTP ${r.status}`}`);
+      return j.result ?? null;
+    },
+  };
+}
+
+/** In-process stand-in understanding the two commands used here: GET and SET … EX */
+export function localKvClient() {
+  const data = new Map(); // key -> { value, expiresAt }
+  return {
+    async command([cmd, key, value, ...opts]) {
+      const now = Date.now();
+      if (cmd === 'GET') {
+        const e = data.get(key);
+        if (!e || e.expiresAt <= now) {
+          data.delete(key);
+          return null;
+        }
+        return e.value;
+      }
+      if (cmd === 'SET') {
+        const ex = opts[0] === 'EX' ? Number(opts[1]) : 0;
+        data.set(key, { value: String(value), expiresAt: ex ? now + ex * 1000 : Infinity });
+        return 'OK';
+      }
+      throw new Error(`Local KV: unsupported command ${cmd}`);
+    },
+  };
+}
+
+let client = null;
+function kv() {
+  if (!client) {
+    const { KV_REST_API_URL: url, KV_REST_API_TOKEN: token } = process.env;
+    client = url && token ? restClient(url, token) : localKvClient();
+  }
+  return client;
+}
+
+export const kvStore = {
+  name: 'kv',
+
+  async get(key) {
+    const raw = await kv().command(['GET', PREFIX + key]);
+    return raw ? JSON.parse(raw) : null;
+  },
+
+  async set(key, value, ttlSeconds) {
+    await kv().command(['SET', PREFIX + key, JSON.stringify(value), 'EX', String(ttlSeconds)]);
+  },
+};
@@ -0,0 +1,25 @@
+// HoverReader API — in-memory OCR cache (per warm function instance, LRU).
+// Values are kept serialized so callers can't mutate what is cached.
+
+const MAX_ENTRIES = Number(process.env.OCR_CACHE_MAX_ENTRIES) || 200;
+
+const entries = new Map(); // key -> { json, expiresAt }
+
+export const memoryStore = {
+  name: 'memory',
+
+  async get(key) {
+    const e = entries.get(key);
+    if (!e) return null;
+    entries.delete(key);
+    if (e.expiresAt <= Date.now()) return null;
+    entries.set(key, e);
+    return JSON.parse(e.json);
+  },
+
+  async set(key, value, ttlSeconds) {
+    entries.delete(key);
+    entries.set(key, { json: JSON.stringify(value), expiresAt: Date.now() + ttlSeconds * 1000 });
+    while (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+  },
+};
@@ -0,0 +1,114 @@
+// HoverReader API — one overlay schema for every OCR provider.
+// The shape stays compatible with ocr.space (ParsedResults[0].TextOverlay.Lines[].Words[])
+// so the client reads every provider the same way; each word gains Confidence (0–100, or
+// null when the provider doesn't report it).
+
+/** lines: [{ LineText?, Words: [{ WordText, Left, Top, Width, Height, Confidence? }] }] */
+export function overlayResponse({ lines, provider, engine = null, note = '' }) {
+  const Lines = (lines || [])
+    .map((ln) => {
+      const Words = (ln.Words || [])
+        .filter((w) => String(w.WordText || '').trim())
+        .map((w) => ({
+          WordText: String(w.WordText).trim(),
+          Left: Math.round(w.Left),
+          Top: Math.round(w.Top),
+          Width: Math.round(w.Width),
+          Height: Math.round(w.Height),
+          Confidence: Number.isFinite(w.Confidence) ? w.Confidence : null,
+        }));
+      return { LineText: ln.LineText || Words.map((w) => w.WordText).join(' '), Words };
+    })
+    .filter((ln) => ln.Words.length);
+  const words = Lines.flatMap((ln) => ln.Words);
+  const known = words.filter((w) => w.Confidence != null);
+  return {
+    ParsedResults: [
+      {
+        TextOverlay: { Lines, HasOverlay: Lines.length > 0 },
+        ParsedText: Lines.map((ln) => ln.LineText).join('\n'),
+      },
+    ],
+    OCRExitCode: 1,
+    IsErroredOnProcessing: false,
+    provider,
+    engine,
+    wordCount: words.length,
+    meanConfidence: known.length ? known.reduce((n, w) => n + w.Confidence, 0) / known.length : null,
+    _note: note,
+  };
+}
+
+export function errorResponse(provider, message, extra = {}) {
+  return {
+    OCRExitCode: 999,
+    IsErroredOnProcessing: true,
+    ErrorMessage: [message],
+    provider,
+    wordCount: 0,
+    meanConfidence: null,
+    ...extra,
+  };
+}
+
+/** A deployment problem (missing key or URL): the route answers 500, which clients don't retry */
+export function configError(message) {
+  return Object.assign(new Error(message), { config: true });
+}
+
+function allWords(resp) {
+  return (resp?.ParsedResults?.[0]?.TextOverlay?.Lines || []).flatMap((ln) => ln.Words || []);
+}
+
+const SCRIPTS = [
+  /\p{Script=Arabic}/u,
+  /\p{Script=Hebrew}/u,
+  /\p{Script=Latin}/u,
+  /\p{Script=Cyrillic}/u,
+];
+
+/**
+ * How much one word counts towards overlayScore, 0–1. Words without letters (stray
+ * marks, box noise) count nothing. A reported confidence is the weight; without one
+ * (ocr.space) the weight is the word's share of letters, halved for lone letters and
+ * for tokens mixing scripts, which are mostly misreads.
+ */
+export function wordWeight(w) {
+  const text = String(w?.WordText || '');
+  const chars = Array.from(text);
+  const letters = chars.filter((c) => /\p{L}/u.test(c)).length;
+  if (!letters) return 0;
+  if (w.Confidence != null) return w.Confidence / 100;
+  let weight = chars.filter((c) => /[\p{L}\p{M}]/u.test(c)).length / chars.length;
+  if (letters === 1) weight /= 2;
+  if (SCRIPTS.filter((re) => re.test(text)).length > 1) weight /= 2;
+  return weight;
+}
+
+/** Sum of wordWeight: a result with fewer but surer words can beat a noisy one */
+export function overlayScore(resp) {
+  return allWords(resp).reduce((score, w) => score + wordWeight(w), 0);
+}
+
+/** Pick the better of two normalized responses; ties keep `a` */
+export function betterOverlay(a, b) {
+  return overlayScore(b) > overlayScore(a) ? b : a;
+}
+
+/** Split a line box into word boxes by character count; Arabic runs right to left */
+export function splitLineBox({ text, left, top, width, height, confidence }) {
+  const parts = String(text || '').split(/\s+/).filter(Boolean);
+  const total = parts.reduce((n, p) => n + p.length, 0) || 1;
+  const gap = parts.length > 1 ? width / (total + parts.length - 1) : 0;
+  const unit = (width - gap * (parts.length - 1)) / total;
+  const rtl = /[\u0590-\u08FF]/.test(text || '');
+  const words = [];
+  let cursor = rtl ? left + width : left;
+  for (const p of parts) {
+    const w = unit * p.length;
+    const x = rtl ? cursor - w : cursor;
+    words.push({ WordText: p, Left: x, Top: top, Width: w, Height: height, Confidence: confidence });
+    cursor = rtl ? x - gap : x + w + gap;
+  }
+  return words;
+}
@@ -0,0 +1,66 @@
+// HoverReader API — PDF input for the OCR route: page ranges, one-page splits, and
+// overlays converted to PDF points. Providers rasterize PDF pages themselves at a
+// resolution they don't report; OCR_PDF_DPI (default 72, i.e. one pixel per point)
+// says what to assume.
+
+import { PDFDocument } from 'pdf-lib';
+
+export const MAX_PDF_PAGES = Number(process.env.OCR_PDF_MAX_PAGES) || 20;
+
+/** "1-3,7" → [1, 2, 3, 7]: 1-based, in order, without duplicates; empty means every page */
+export function parsePageRange(spec, count) {
+  if (spec == null || String(spec).trim() === '') {
+    return Array.from({ length: count }, (_, i) => i + 1);
+  }
+  const pages = new Set();
+  for (const part of String(spec).split(',').map((s) => s.trim()).filter(Boolean)) {
+    const m = /^(\d+)(?:\s*-\s*(\d+)?)?$/.exec(part);
+    if (!m) throw new Error(`Bad page range "${part}"`);
+    const from = Number(m[1]);
+    const to = m[2] ? Number(m[2]) : part.includes('-') ? count : from;
+    if (from < 1 || to < from || from > count) {
+      throw new Error(`Page range "${part}" is outside 1-${count}`);
+    }
+    for (let p = from; p <= Math.min(to, count); p++) pages.add(p);
+  }
+  return [...pages].sort((a, b) => a - b);
+}
+
+export function loadPdf(base64Pdf) {
+  const payload = String(base64Pdf).replace(/^data:[^,]*,/, '');
+  return PDFDocument.load(payload, { ignoreEncryption: true });
+}
+
+/** One page as its own PDF (data URL), plus its size in points */
+export async function splitPage(doc, pageNumber) {
+  const out = await PDFDocument.create();
+  const [page] = await out.copyPages(doc, [pageNumber - 1]);
+  out.addPage(page);
+  const { width, height } = page.getSize();
+  return {
+    base64Pdf: await out.saveAsBase64({ dataUri: true }),
+    pageSize: { width, height },
+  };
+}
+
+/** An overlay response with its boxes scaled from provider pixels to PDF points */
+export function overlayToPoints(result, dpi = Number(process.env.OCR_PDF_DPI) || 72) {
+  const k = 72 / dpi;
+  const pr = result?.ParsedResults?.[0];
+  if (!pr?.TextOverlay) return { ...result, units: 'pt' };
+  const Lines = (pr.TextOverlay.Lines || []).map((line) => ({
+    ...line,
+    Words: (line.Words || []).map((w) => ({
+      ...w,
+      Left: w.Left * k,
+      Top: w.Top * k,
+      Width: w.Width * k,
+      Height: w.Height * k,
+    })),
+  }));
+  return {
+    ...result,
+    ParsedResults: [{ ...pr, TextOverlay: { ...pr.TextOverlay, Lines } }, ...result.ParsedResults.slice(1)],
+    units: 'pt',
+  };
+}
@@ -0,0 +1,50 @@
+// HoverReader API — fixture OCR provider for local development and tests.
+// Returns a fixed page of Arabic words (or the JSON at OCR_FIXTURE_URL, in any
+// shape overlayResponse accepts) without calling an OCR service.
+
+import { errorResponse, overlayResponse } from '../overlay.js';
+
+const SAMPLE_LINES = [
+  { text: 'البلاغة في الكلام وضوح المعنى', top: 60, confidence: 96 },
+  { text: 'الفصاحة سهولة اللفظ', top: 120, confidence: 91 },
+  { text: 'الأسلوب كلام', top: 180, confidence: 84 },
+];
+
+function sampleLines() {
+  // Lay words out right to left across a 900px-wide page.
+  return SAMPLE_LINES.map(({ text, top, confidence }) => {
+    let right = 860;
+    const Words = text.split(' ').map((w) => {
+      const width = 22 * w.length;
+      right -= width;
+      const word = { WordText: w, Left: right, Top: top, Width: width, Height: 40 };
+      right -= 18;
+      return { ...word, Confidence: confidence };
+    });
+    return { LineText: text, Words };
+  });
+}
+
+export const fixture = {
+  name: 'fixture',
+  acceptsPdf: true,
+
+  async recognize() {
+    const url = process.env.OCR_FIXTURE_URL;
+    if (url) {
+      let j;
+      try {
+        const r = await fetch(url);
+        if (!r.ok) {
+          return errorResponse('fixture', `Fixture ${url}: HTTP ${r.status}`, { status: r.status });
+        }
+        j = await r.json();
+      } catch (e) {
+        return errorResponse('fixture', `Fixture ${url}: ${e?.message || e}`);
+      }
+      const lines = j?.ParsedResults?.[0]?.TextOverlay?.Lines || j.Lines || j;
+      return overlayResponse({ lines, provider: 'fixture', note: `Fixture from ${url}.` });
+    }
+    return overlayResponse({ lines: sampleLines(), provider: 'fixture', note: 'Built-in fixture.' });
+  },
+};
@@ -0,0 +1,94 @@
+// HoverReader API — self-hosted OCR servers over HTTP.
+//
+// Both providers POST { image, language } (image = base64 without the data: prefix)
+// and accept the result shapes those engines produce natively:
+//   tesseract:  pytesseract image_to_data(Output.DICT) — { text[], left[], top[], width[],
+//               height[], conf[], block_num[], par_num[], line_num[] } — optionally under "data"
+//   paddleocr:  PaddleOCR ocr() — [[[[x,y] ×4], [text, score]], …], optionally under "result"
+//               (line boxes; words are laid out inside each line)
+
+import { configError, errorResponse, overlayResponse, splitLineBox } from '../overlay.js';
+
+async function postImage(url, { base64Image, language, timeoutMs }) {
+  const image = String(base64Image).replace(/^data:[^,]+,/, '');
+  const controller = new AbortController();
+  const to = setTimeout(() => controller.abort('timeout'), timeoutMs);
+  try {
+    const r = await fetch(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ image, language }),
+      signal: controller.signal,
+    });
+    const j = await r.json().catch(() => null);
+    if (!r.ok || !j) throw new Error(`HTTP ${r.status}`);
+    return j;
+  } finally {
+    clearTimeout(to);
+  }
+}
+
+export function fromTesseractData(d) {
+  const lines = new Map();
+  for (let i = 0; i < (d.text || []).length; i++) {
+    const text = String(d.text[i] || '').trim();
+    const conf = Number(d.conf?.[i]);
+    if (!text || conf < 0) continue; // conf -1 marks block/line rows
+    const key = `${d.block_num?.[i]}-${d.par_num?.[i]}-${d.line_num?.[i]}`;
+    if (!lines.has(key)) lines.set(key, []);
+    lines.get(key).push({
+      WordText: text,
+      Left: d.left[i],
+      Top: d.top[i],
+      Width: d.width[i],
+      Height: d.height[i],
+      Confidence: conf,
+    });
+  }
+  return [...lines.values()].map((Words) => ({ Words }));
+}
+
+export function fromPaddle(result) {
+  // PaddleOCR nests one list per page; we send one image.
+  const rows = Array.isArray(result?.[0]?.[0]?.[0]) ? result[0] : result;
+  return (rows || []).map(([points, [text, score]]) => {
+    const xs = points.map((p) => p[0]);
+    const ys = points.map((p) => p[1]);
+    const left = Math.min(...xs);
+    const top = Math.min(...ys);
+    return {
+      LineText: text,
+      Words: splitLineBox({
+        text,
+        left,
+        top,
+        width: Math.max(...xs) - left,
+        height: Math.max(...ys) - top,
+        confidence: score * 100,
+      }),
+    };
+  });
+}
+
+function httpProvider(name, envVar, parse) {
+  return {
+    name,
+    async recognize(opts) {
+      const url = process.env[envVar];
+      if (!url) throw configError(`Server missing ${envVar}`);
+      try {
+        const j = await postImage(url, opts);
+        return overlayResponse({ lines: parse(j), provider: name, engine: name });
+      } catch (e) {
+        return errorResponse(name, String(e?.message || e));
+      }
+    },
+  };
+}
+
+export const tesseractHttp = httpProvider('tesseract', 'OCR_TESSERACT_URL', (j) =>
+  fromTesseractData(j.data || j)
+);
+export const paddleHttp = httpProvider('paddleocr', 'OCR_PADDLE_URL', (j) =>
+  fromPaddle(j.result || j)
+);
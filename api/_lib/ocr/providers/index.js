@@ -0,0 +1,35 @@
+// HoverReader API — OCR provider registry.
+// A provider is { name, recognize({ base64Image, language, isOverlayRequired, timeoutMs, engine }) }
+// resolving to the overlay schema in ../overlay.js.
+// `acceptsPdf: true` marks providers that take a one-page PDF as base64Image
+// (data:application/pdf;base64,…) and rasterize it themselves.
+
+import { fixture } from './fixture.js';
+import { paddleHttp, tesseractHttp } from './http.js';
+import { ocrSpace } from './ocrspace.js';
+
+export const OCR_PROVIDERS = {
+  [ocrSpace.name]: ocrSpace,
+  [tesseractHttp.name]: tesseractHttp,
+  [paddleHttp.name]: paddleHttp,
+  [fixture.name]: fixture,
+};
+
+/**
+ * Provider for a request: body.provider, else OCR_PROVIDER, else ocr.space.
+ * OCR_PROVIDERS_ALLOWED (comma list) limits what clients may ask for.
+ */
+export function selectOcrProvider(requested) {
+  const fallback = process.env.OCR_PROVIDER || ocrSpace.name;
+  const name = (requested || fallback).toString().toLowerCase();
+  const allowed = (process.env.OCR_PROVIDERS_ALLOWED || '')
+    .split(',')
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  if (requested && allowed.length && !allowed.includes(name)) {
+    throw new Error(`OCR provider "${name}" is not allowed`);
+  }
+  const provider = OCR_PROVIDERS[name];
+  if (!provider) throw new Error(`Unknown OCR provider "${name}"`);
+  return provider;
+}
@@ -0,0 +1,104 @@
+// HoverReader API — ocr.space provider (engine 2, engine 1 when its overlay is poor)
+
+import {
+  betterOverlay,
+  configError,
+  errorResponse,
+  overlayResponse,
+  overlayScore,
+} from '../overlay.js';
+
+const URL_OCRSPACE = 'https://api.ocr.space/parse/image';
+// Engine 2's overlay is kept without asking Engine 1 when its words weigh this much on
+// average (overlayScore / wordCount); every extra engine call costs quota
+const GOOD_WORD_WEIGHT = 0.6;
+
+/** Overlay with words that are mostly sure (or clean-looking) */
+function goodOverlay(resp) {
+  return resp.wordCount > 0 && overlayScore(resp) >= GOOD_WORD_WEIGHT * resp.wordCount;
+}
+
+export const ocrSpace = {
+  name: 'ocrspace',
+  acceptsPdf: true,
+
+  async recognize({ base64Image, language, isOverlayRequired, timeoutMs, engine }) {
+    const apiKey = process.env.OCRSPACE_API_KEY;
+    if (!apiKey) throw configError('Server missing OCRSPACE_API_KEY');
+    const call = (n) =>
+      callEngine({ engine: n, base64Image, language, isOverlayRequired, apiKey, timeoutMs });
+
+    if (engine === 1 || engine === 2) {
+      const only = await call(engine);
+      only._note = `Used OCR Engine ${engine} (requested).`;
+      return only;
+    }
+
+    // Auto: Engine 2, then Engine 1 only when Engine 2 failed or read poorly; ties keep 2
+    const two = await call(2);
+    if (!two.IsErroredOnProcessing && goodOverlay(two)) {
+      two._note = 'Used OCR Engine 2.';
+      return two;
+    }
+    const one = await call(1);
+    if (two.IsErroredOnProcessing && one.IsErroredOnProcessing) return two;
+    if (one.IsErroredOnProcessing) {
+      two._note = 'Used OCR Engine 2 (Engine 1 failed).';
+      return two;
+    }
+    if (two.IsErroredOnProcessing) {
+      one._note = 'Used OCR Engine 1 (Engine 2 failed).';
+      return one;
+    }
+    const best = betterOverlay(two, one);
+    best._note = `Used OCR Engine ${best.engine} (better overlay).`;
+    return best;
+  },
+};
+
+async function callEngine({ engine, base64Image, language, isOverlayRequired, apiKey, timeoutMs }) {
+  const form = new URLSearchParams();
+  form.set('apikey', apiKey);
+  form.set('isOverlayRequired', isOverlayRequired ? 'true' : 'false');
+  form.set('OCREngine', String(engine)); // 1 or 2
+  form.set('language', language);
+  form.set('detectOrientation', 'true');
+  form.set('scale', 'true');
+  form.set('isTable', 'false');
+  form.set('base64Image', base64Image);
+  // ocr.space guesses the type from the data URL prefix, but be explicit for PDFs
+  if (/^data:application\/pdf/.test(base64Image)) form.set('filetype', 'PDF');
+
+  const controller = new AbortController();
+  const to = setTimeout(() => controller.abort('timeout'), timeoutMs);
+  try {
+    const r = await fetch(URL_OCRSPACE, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: form.toString(),
+      signal: controller.signal,
+    });
+    clearTimeout(to);
+    const j = await r.json().catch(() => ({}));
+    if (!r.ok) {
+      return errorResponse('ocrspace', `HTTP ${r.status}`, { engine, status: r.status, raw: j });
+    }
+    if (j.IsErroredOnProcessing) {
+      return errorResponse('ocrspace', [].concat(j.ErrorMessage || 'OCR failed').join(' '), { engine });
+    }
+    const pr = j?.ParsedResults?.[0];
+    const normalized = overlayResponse({
+      lines: pr?.TextOverlay?.Lines || [],
+      provider: 'ocrspace',
+      engine,
+    });
+    // ocr.space returns text without an overlay for some inputs; keep it.
+    if (!normalized.wordCount && pr?.ParsedText) {
+      normalized.ParsedResults[0].ParsedText = pr.ParsedText;
+    }
+    return normalized;
+  } catch (e) {
+    clearTimeout(to);
+    return errorResponse('ocrspace', String(e?.message || e), { engine });
+  }
+}
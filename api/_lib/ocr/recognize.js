@@ -0,0 +1,23 @@
+// HoverReader API — recognize through a provider, with the content-addressed cache
+// in front (see cache/index.js).
+
+import { OCR_CACHE_TTL_SECONDS, ocrCacheKey, selectOcrCache } from './cache/index.js';
+
+/**
+ * Resolves to the provider's overlay response plus { cacheHit, cacheKey }.
+ * `refresh` skips the lookup (re-OCR) but still stores the new result.
+ */
+export async function recognizeCached(provider, request, { refresh = false } = {}) {
+  const cache = selectOcrCache();
+  const cacheKey = cache ? await ocrCacheKey({ ...request, provider: provider.name }) : null;
+  if (cache && !refresh) {
+    const hit = await cache.get(cacheKey).catch(() => null);
+    if (hit) return { ...hit, cacheHit: true, cacheKey };
+  }
+  const result = await provider.recognize(request);
+  if (cache && !result.IsErroredOnProcessing) {
+    // A broken cache must not fail the request
+    await cache.set(cacheKey, result, OCR_CACHE_TTL_SECONDS).catch(() => {});
+  }
+  return { ...result, cacheHit: false, cacheKey };
+}
@@ -0,0 +1,103 @@
+// HoverReader API — run translations through the provider chain.
+// Each provider gets its own timeout; providers that keep failing are skipped
+// for a while (see circuit.js). Batches go down the chain together: every
+// provider only sees the items that earlier providers could not answer.
+
+import { canTry, healthReport, recordFailure, recordSuccess } from './circuit.js';
+import { providerChain } from './providers/index.js';
+
+// Parallel single-item calls per provider, for providers without translateMany
+const ITEM_CONCURRENCY = Number(process.env.TRANSLATE_CONCURRENCY) || 4;
+
+async function withTimeout(fn, ms) {
+  const controller = new AbortController();
+  const to = setTimeout(() => controller.abort(new Error(`timeout after ${ms} ms`)), ms);
+  try {
+    return await fn(controller.signal);
+  } catch (e) {
+    if (controller.signal.aborted) throw new Error(`timeout after ${ms} ms`);
+    throw e;
+  } finally {
+    clearTimeout(to);
+  }
+}
+
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+/** One provider over the open items; resolves to [{ text } | { error, unsupported }] */
+async function runProvider({ provider, timeoutMs }, qs, ctx) {
+  const call = (fn) => withTimeout(fn, timeoutMs).then(
+    (text) => ({ text }),
+    (e) => ({ error: String(e?.message || e), unsupported: Boolean(e?.unsupported) })
+  );
+  if (provider.translateMany && qs.length > 1) {
+    const res = await call((signal) => provider.translateMany({ qs, ...ctx, signal }));
+    if (res.error) return qs.map(() => res);
+    return qs.map((_, i) => ({ text: res.text[i] || '' }));
+  }
+  return mapLimit(qs, ITEM_CONCURRENCY, (q) =>
+    call((signal) => provider.translate({ q, ...ctx, signal }))
+  );
+}
+
+/**
+ * Translate many strings. Resolves to one { translatedText, provider, tried }
+ * per input, in order. Identical strings are translated once.
+ */
+export async function translateBatchWithChain({ qs, source, target, origin }) {
+  const unique = [...new Set(qs)];
+  const results = new Map(unique.map((q) => [q, { translatedText: '', provider: null, tried: [] }]));
+  let open = unique;
+
+  for (const link of providerChain()) {
+    if (!open.length) break;
+    const name = link.provider.name;
+    if (!canTry(name)) {
+      for (const q of open) results.get(q).tried.push({ provider: name, error: 'circuit open' });
+      continue;
+    }
+    const answers = await runProvider(link, open, { source, target, origin });
+    // Requests the provider can't handle (wrong language, a phrase for the
+    // dictionary) are not health problems.
+    const failed = answers.find((a) => a.error && !a.unsupported);
+    if (failed) recordFailure(name, failed.error);
+    else if (answers.some((a) => !a.error)) recordSuccess(name);
+
+    const stillOpen = [];
+    open.forEach((q, i) => {
+      const a = answers[i];
+      const r = results.get(q);
+      if (a.text) {
+        r.translatedText = a.text;
+        r.provider = name;
+      } else {
+        // An empty answer is not a failure (the dictionary may simply lack the word).
+        r.tried.push({ provider: name, error: a.error || 'no result' });
+        stillOpen.push(q);
+      }
+    });
+    open = stillOpen;
+  }
+  return qs.map((q) => results.get(q));
+}
+
+/** Single string; resolves to { translatedText, provider, tried } */
+export async function translateWithChain({ q, source, target, origin }) {
+  const [result] = await translateBatchWithChain({ qs: [q], source, target, origin });
+  return result;
+}
+
+export function chainHealth() {
+  return healthReport(providerChain().map(({ provider }) => provider.name));
+}
@@ -0,0 +1,53 @@
+// HoverReader API — per-provider health and circuit breaking.
+// State lives in module scope, so it is per warm function instance: enough to
+// stop hammering a provider that keeps failing, without any shared store.
+
+const FAILURES_TO_OPEN = Number(process.env.TRANSLATE_BREAKER_FAILURES) || 3;
+const COOLDOWN_MS = Number(process.env.TRANSLATE_BREAKER_COOLDOWN_MS) || 60000;
+
+const health = new Map();
+
+function stateOf(name) {
+  if (!health.has(name)) {
+    health.set(name, { failures: 0, openUntil: 0, lastError: '', lastOkAt: 0, ok: 0, failed: 0 });
+  }
+  return health.get(name);
+}
+
+/** Closed, or open but cooled down (half-open: one attempt decides) */
+export function canTry(name, now = Date.now()) {
+  return stateOf(name).openUntil <= now;
+}
+
+export function recordSuccess(name) {
+  const s = stateOf(name);
+  s.failures = 0;
+  s.openUntil = 0;
+  s.lastOkAt = Date.now();
+  s.ok++;
+}
+
+export function recordFailure(name, error) {
+  const s = stateOf(name);
+  s.failures++;
+  s.failed++;
+  s.lastError = String(error?.message || error || 'failed');
+  if (s.failures >= FAILURES_TO_OPEN) s.openUntil = Date.now() + COOLDOWN_MS;
+}
+
+export function healthReport(names) {
+  const now = Date.now();
+  return names.map((name) => {
+    const s = stateOf(name);
+    return {
+      provider: name,
+      state: s.openUntil > now ? 'open' : s.failures ? 'degraded' : 'ok',
+      consecutiveFailures: s.failures,
+      retryAt: s.openUntil > now ? new Date(s.openUntil).toISOString() : null,
+      lastError: s.lastError || null,
+      lastOkAt: s.lastOkAt ? new Date(s.lastOkAt).toISOString() : null,
+      ok: s.ok,
+      failed: s.failed,
+    };
+  });
+}
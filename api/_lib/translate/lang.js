@@ -0,0 +1,30 @@
+// HoverReader API — language codes.
+// Clients send ISO 639-1 ("ar"), OCR-style ISO 639-2/3 ("ara") or BCP 47 tags
+// ("pt-BR", "zh-Hant"). We keep region/script subtags and let each provider
+// map to what it understands.
+
+const THREE_TO_TWO = {
+  ara: 'ar', eng: 'en', fas: 'fa', per: 'fa', urd: 'ur', heb: 'he', tur: 'tr',
+  fra: 'fr', fre: 'fr', deu: 'de', ger: 'de', spa: 'es', ita: 'it', por: 'pt',
+  rus: 'ru', zho: 'zh', chi: 'zh', jpn: 'ja', kor: 'ko', ind: 'id', msa: 'ms',
+  may: 'ms', hin: 'hi', ben: 'bn', nld: 'nl', dut: 'nl', pol: 'pl', swe: 'sv',
+  ukr: 'uk', pus: 'ps', kur: 'ku', aze: 'az', uzb: 'uz', swa: 'sw', som: 'so',
+};
+
+/** "ara" → "ar", "PT_br" → "pt-BR", "zh-hant" → "zh-Hant", "" → "auto" */
+export function normalizeLang(l) {
+  const s = String(l || '').trim().replace(/_/g, '-');
+  if (!s || s.toLowerCase() === 'auto') return 'auto';
+  const [base, ...rest] = s.split('-');
+  const b = base.toLowerCase();
+  const lang = THREE_TO_TWO[b] || b;
+  // Script subtags are title case (Hant), region subtags upper case (BR)
+  const subtags = rest.map((t) =>
+    t.length === 4 ? t[0].toUpperCase() + t.slice(1).toLowerCase() : t.toUpperCase()
+  );
+  return [lang, ...subtags].join('-');
+}
+
+export function baseLang(l) {
+  return normalizeLang(l).split('-')[0];
+}
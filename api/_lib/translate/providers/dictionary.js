@@ -0,0 +1,68 @@
+// HoverReader API — dictionary-only provider: single words from the app's own lexicon.
+// Reads the sharded lexicon from the deployment (LEXICON_URL or <origin>/lexicon),
+// so it answers without any third-party service.
+
+import { baseLang } from '../lang.js';
+import { lexiconKey, shardPrefix } from '../../../../src/lexicon-format.js';
+import { analyzeWord } from '../../../../src/morphology.js';
+
+const shardCache = new Map(); // url -> Promise<json>
+const FETCH_TIMEOUT_MS = 10000;
+
+function unsupported(message) {
+  return Object.assign(new Error(message), { unsupported: true });
+}
+
+/**
+ * The fetch is shared by every caller of the same URL, so it runs on its own timeout
+ * rather than the first caller's signal; `signal` only stops this caller's wait.
+ */
+function getJson(url, signal) {
+  if (!shardCache.has(url)) {
+    const p = fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) }).then((r) => {
+      if (!r.ok) throw new Error(`Lexicon HTTP ${r.status}`);
+      return r.json();
+    });
+    p.catch(() => shardCache.delete(url));
+    shardCache.set(url, p);
+  }
+  return untilAborted(shardCache.get(url), signal);
+}
+
+function untilAborted(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+export const dictionary = {
+  name: 'dictionary',
+  configured: () => true,
+
+  async translate({ q, source, target, signal, origin }) {
+    // The lexicon is Arabic: other profiles' words (and unknown sources) go down the chain
+    if (baseLang(source) !== 'ar' || baseLang(target) !== 'en') {
+      throw unsupported('Dictionary covers Arabic → English only');
+    }
+    const word = q.trim();
+    if (/\s/.test(word)) throw unsupported('Dictionary handles single words only');
+
+    const base = (process.env.LEXICON_URL || `${origin}/lexicon`).replace(/\/$/, '');
+    const manifest = await getJson(`${base}/manifest.json`, signal);
+    const n = manifest.prefixLength || 1;
+    const stems = [word, ...analyzeWord(word).map((c) => c.stem)];
+    for (const stem of stems) {
+      const shard = manifest.shards?.[shardPrefix(stem, n)];
+      if (!shard) continue;
+      const { entries } = await getJson(`${base}/${shard.file}`, signal);
+      const key = lexiconKey(stem);
+      const hit = entries.find((e) => lexiconKey(e.form) === key || lexiconKey(e.lemma) === key);
+      if (hit) return (hit.glosses || []).slice(0, 3).join(', ');
+    }
+    return '';
+  },
+};
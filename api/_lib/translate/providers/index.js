@@ -0,0 +1,44 @@
+// HoverReader API — translation provider registry.
+// A provider is { name, configured(), translate({ q, source, target, signal, origin }) }
+// resolving to the translated text ('' when it has no answer), plus an optional
+// translateMany({ qs, ... }) resolving to an array in the same order. Errors flagged
+// `unsupported` mean "not my kind of request" and don't count against its health.
+//
+// TRANSLATE_PROVIDERS="dictionary:1500,libretranslate:6000,mymemory" sets the order and
+// per-provider timeouts in ms (default TRANSLATE_TIMEOUT_MS, 8000). Without it the chain
+// is libretranslate (if TRANSLATE_URL) → openai (if OPENAI_BASE_URL) → mymemory.
+
+import { dictionary } from './dictionary.js';
+import { libreTranslate } from './libretranslate.js';
+import { myMemory } from './mymemory.js';
+import { openAiCompatible } from './openai.js';
+
+export const TRANSLATE_PROVIDERS = {
+  [dictionary.name]: dictionary,
+  [libreTranslate.name]: libreTranslate,
+  [myMemory.name]: myMemory,
+  [openAiCompatible.name]: openAiCompatible,
+};
+
+const DEFAULT_TIMEOUT_MS = Number(process.env.TRANSLATE_TIMEOUT_MS) || 8000;
+
+/** [{ provider, timeoutMs }] in chain order */
+export function providerChain() {
+  const spec = process.env.TRANSLATE_PROVIDERS;
+  if (!spec) {
+    return [libreTranslate, openAiCompatible, myMemory]
+      .filter((p) => p.configured())
+      .map((provider) => ({ provider, timeoutMs: DEFAULT_TIMEOUT_MS }));
+  }
+  return spec
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((item) => {
+      const [name, ms] = item.split(':');
+      const provider = TRANSLATE_PROVIDERS[name.toLowerCase()];
+      if (!provider) throw new Error(`Unknown translation provider "${name}"`);
+      return { provider, timeoutMs: Number(ms) || DEFAULT_TIMEOUT_MS };
+    })
+    .filter(({ provider }) => provider.configured());
+}
@@ -0,0 +1,42 @@
+// HoverReader API — LibreTranslate (TRANSLATE_URL, optional TRANSLATE_API_KEY)
+
+import { baseLang, normalizeLang } from '../lang.js';
+
+// LibreTranslate names Chinese variants itself; everything else is the bare code.
+function ltLang(l) {
+  const n = normalizeLang(l);
+  if (n === 'auto') return 'auto';
+  if (n === 'zh-Hant' || n === 'zh-TW') return 'zt';
+  return baseLang(n);
+}
+
+export const libreTranslate = {
+  name: 'libretranslate',
+  configured: () => Boolean(process.env.TRANSLATE_URL),
+
+  async translate({ q, ...rest }) {
+    const [text] = await this.translateMany({ qs: [q], ...rest });
+    return text;
+  },
+
+  /** LibreTranslate takes an array for q and answers with an array */
+  async translateMany({ qs, source, target, signal }) {
+    const headers = { 'content-type': 'application/json' };
+    const key = process.env.TRANSLATE_API_KEY;
+    if (key) headers['x-api-key'] = key;
+    const q = qs.length === 1 ? qs[0] : qs;
+    const payload = { q, source: ltLang(source), target: ltLang(target), format: 'text' };
+    if (key) payload.api_key = key;
+
+    const r = await fetch(process.env.TRANSLATE_URL, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(payload),
+      signal,
+    });
+    const j = await r.json().catch(() => ({}));
+    if (!r.ok) throw new Error(j?.error || `HTTP ${r.status}`);
+    const out = j?.translatedText ?? j?.data?.translatedText ?? '';
+    return Array.isArray(out) ? out : [out];
+  },
+};
@@ -0,0 +1,23 @@
+// HoverReader API — MyMemory public API (no key; MYMEMORY_EMAIL raises the daily quota)
+
+import { normalizeLang } from '../lang.js';
+
+export const myMemory = {
+  name: 'mymemory',
+  configured: () => true,
+
+  async translate({ q, source, target, signal }) {
+    const url = new URL('https://api.mymemory.translated.net/get');
+    url.searchParams.set('q', q);
+    // MyMemory takes RFC 3066 tags, so keep regions such as pt-BR
+    url.searchParams.set('langpair', `${normalizeLang(source)}|${normalizeLang(target)}`);
+    if (process.env.MYMEMORY_EMAIL) url.searchParams.set('de', process.env.MYMEMORY_EMAIL);
+
+    const r = await fetch(url.toString(), { signal });
+    const j = await r.json().catch(() => ({}));
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    // Quota and language errors arrive as 200 with a non-200 responseStatus
+    if (Number(j?.responseStatus) !== 200) throw new Error(j?.responseDetails || 'MyMemory error');
+    return j?.responseData?.translatedText || '';
+  },
+};
@@ -0,0 +1,36 @@
+// HoverReader API — any OpenAI-compatible chat endpoint (llama.cpp, Ollama, vLLM, LM Studio…)
+// OPENAI_BASE_URL (e.g. http://localhost:11434/v1), OPENAI_MODEL, optional OPENAI_API_KEY
+
+import { normalizeLang } from '../lang.js';
+
+export const openAiCompatible = {
+  name: 'openai',
+  configured: () => Boolean(process.env.OPENAI_BASE_URL),
+
+  async translate({ q, source, target, signal }) {
+    const base = process.env.OPENAI_BASE_URL.replace(/\/$/, '');
+    const headers = { 'content-type': 'application/json' };
+    if (process.env.OPENAI_API_KEY) headers.authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+    const from = normalizeLang(source);
+    const pair = `${from === 'auto' ? '' : `from ${from} `}into ${normalizeLang(target)}`;
+    const r = await fetch(`${base}/chat/completions`, {
+      method: 'POST',
+      headers,
+      signal,
+      body: JSON.stringify({
+        model: process.env.OPENAI_MODEL || 'default',
+        temperature: 0,
+        messages: [
+          {
+            role: 'system',
+            content: `Translate the user's text ${pair}. Reply with the translation only, no notes or quotes.`,
+          },
+          { role: 'user', content: q },
+        ],
+      }),
+    });
+    const j = await r.json().catch(() => ({}));
+    if (!r.ok) throw new Error(j?.error?.message || `HTTP ${r.status}`);
+    return (j?.choices?.[0]?.message?.content || '').trim();
+  },
+};
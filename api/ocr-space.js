@@ -1,6 +1,15 @@
-// HoverReader API — v0.4.0 (ocr-space with timeouts and clearer errors)
+// HoverReader API — v0.7.0 (OCR through pluggable providers, cached by image hash;
+// whole PDFs or page ranges stream per-page results as NDJSON; the route name is
+// kept for clients)
+import { MAX_PDF_PAGES, loadPdf, overlayToPoints, parsePageRange, splitPage } from './_lib/ocr/pdf.js';
+import { selectOcrProvider } from './_lib/ocr/providers/index.js';
+import { recognizeCached } from './_lib/ocr/recognize.js';
+import { selectOcrCache } from './_lib/ocr/cache/index.js';
+
 export const config = { runtime: 'edge' };
 
+const PDF_CONCURRENCY = Number(process.env.OCR_PDF_CONCURRENCY) || 2;
+
 export default async function handler(req) {
   try {
     if (req.method === 'OPTIONS') {
@@ -10,80 +19,112 @@ export default async function handler(req) {
       return new Response(JSON.stringify({ error: 'POST only' }), { status: 405, headers: cors() });
     }
     const body = await req.json();
-    const { base64Image, language = 'ara', isOverlayRequired = true } = body || {};
-    if (!base64Image) {
-      return new Response(JSON.stringify({ error: 'Missing base64Image' }), { status: 400, headers: cors() });
+    const { base64Image, pdf, pages, language = 'ara', isOverlayRequired = true, provider, engine, refresh } =
+      body || {};
+    if (!base64Image && !pdf) {
+      return new Response(JSON.stringify({ error: 'Missing base64Image or pdf' }), {
+        status: 400,
+        headers: cors(),
+      });
     }
-    const apiKey = process.env.OCRSPACE_API_KEY;
-    if (!apiKey) {
-      return new Response(JSON.stringify({ error: 'Server missing OCRSPACE_API_KEY' }), { status: 500, headers: cors() });
+    let selected;
+    try {
+      selected = selectOcrProvider(provider);
+    } catch (e) {
+      return new Response(JSON.stringify({ error: e.message }), { status: 400, headers: cors() });
     }
-    const result = await callWithFallback({ base64Image, language, isOverlayRequired, apiKey, timeoutMs: 20000 });
-    return new Response(JSON.stringify(result), { status: 200, headers: cors() });
-  } catch (e) {
-    return new Response(JSON.stringify({ error: e.message || String(e) }), { status: 500, headers: cors() });
-  }
-}
+    const options = { language, isOverlayRequired, timeoutMs: 20000, engine: Number(engine) || null };
+    if (pdf) return recognizePdf(selected, { pdf, pages, options, refresh });
 
-async function callWithFallback({ base64Image, language, isOverlayRequired, apiKey, timeoutMs }) {
-  const first = await callEngine({ engine: 2, base64Image, language, isOverlayRequired, apiKey, timeoutMs });
-  let count = countOverlay(first);
-  if (count > 0) {
-    first._note = 'Used OCR Engine 2.';
-    return first;
-  }
-  const second = await callEngine({ engine: 1, base64Image, language, isOverlayRequired, apiKey, timeoutMs });
-  const count2 = countOverlay(second);
-  if (count2 > count) {
-    second._note = 'Used OCR Engine 1 (more overlay words).';
-    return second;
+    // Same image, language, engine and provider → same result
+    const result = await recognizeCached(selected, { base64Image, ...options }, { refresh });
+    // Pass a provider's rate limit on, so clients back off instead of reading an empty page
+    const status = result.IsErroredOnProcessing && result.status === 429 ? 429 : 200;
+    const cacheHeader = result.cacheHit ? 'HIT' : selectOcrCache() ? 'MISS' : 'OFF';
+    return new Response(JSON.stringify(result), {
+      status,
+      headers: { ...cors(), 'x-ocr-cache': cacheHeader },
+    });
+  } catch (e) {
+    // `config`: the deployment is missing a key or URL; clients don't retry a 500
+    const error = { error: e.message || String(e), config: Boolean(e.config) };
+    return new Response(JSON.stringify(error), { status: 500, headers: cors() });
   }
-  first._note = 'Engine 2 kept (Engine 1 not better).';
-  return first;
 }
 
-async function callEngine({ engine, base64Image, language, isOverlayRequired, apiKey, timeoutMs }) {
-  const form = new URLSearchParams();
-  form.set('apikey', apiKey);
-  form.set('isOverlayRequired', isOverlayRequired ? 'true' : 'false');
-  form.set('OCREngine', String(engine)); // 1 or 2
-  form.set('language', language);
-  form.set('detectOrientation', 'true');
-  form.set('scale', 'true');
-  form.set('isTable', 'false');
-  form.set('base64Image', base64Image);
+// ---------- PDF input ----------
+// One JSON object per line:
+//   { type: 'start', pageCount, pages }            pages = 1-based numbers to be read
+//   { type: 'progress', page, index, total }       a page was sent to the provider
+//   { type: 'page', page, index, result }          overlay in PDF points, plus pageSize
+//   { type: 'page-error', page, index, message, status }
+//   { type: 'done' }
+// Pages are split into one-page PDFs and cached like images.
 
-  const controller = new AbortController();
-  const to = setTimeout(() => controller.abort('timeout'), timeoutMs);
-  try {
-    const r = await fetch('https://api.ocr.space/parse/image', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      body: form.toString(),
-      signal: controller.signal,
+async function recognizePdf(provider, { pdf, pages, options, refresh }) {
+  if (!provider.acceptsPdf) {
+    return new Response(JSON.stringify({ error: `OCR provider "${provider.name}" does not accept PDFs` }), {
+      status: 400,
+      headers: cors(),
     });
-    clearTimeout(to);
-    const j = await r.json().catch(() => ({}));
-    if (!r.ok) {
-      return { OCRExitCode: 999, IsErroredOnProcessing: true, ErrorMessage: [`HTTP ${r.status}`], ...j };
-    }
-    return j;
-  } catch (e) {
-    clearTimeout(to);
-    return { OCRExitCode: 999, IsErroredOnProcessing: true, ErrorMessage: [String(e?.message || e)] };
   }
-}
-
-function countOverlay(resp) {
+  let doc, numbers;
   try {
-    const pr = resp?.ParsedResults?.[0];
-    const lines = pr?.TextOverlay?.Lines || [];
-    let n = 0;
-    for (const ln of lines) n += (ln.Words || []).length;
-    return n;
-  } catch {
-    return 0;
+    doc = await loadPdf(pdf);
+    numbers = parsePageRange(pages, doc.getPageCount());
+  } catch (e) {
+    return new Response(JSON.stringify({ error: e.message || String(e) }), { status: 400, headers: cors() });
+  }
+  if (numbers.length > MAX_PDF_PAGES) {
+    return new Response(
+      JSON.stringify({ error: `Too many pages (${numbers.length}); at most ${MAX_PDF_PAGES} per request` }),
+      { status: 413, headers: cors() }
+    );
   }
+
+  const encoder = new TextEncoder();
+  let cancelled = false;
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event) => {
+        if (!cancelled) controller.enqueue(encoder.encode(JSON.stringify(event) + '\n'));
+      };
+      send({ type: 'start', pageCount: doc.getPageCount(), pages: numbers });
+
+      let next = 0;
+      const worker = async () => {
+        while (!cancelled && next < numbers.length) {
+          const index = next++;
+          const page = numbers[index];
+          send({ type: 'progress', page, index, total: numbers.length });
+          try {
+            const { base64Pdf, pageSize } = await splitPage(doc, page);
+            const result = await recognizeCached(provider, { base64Image: base64Pdf, ...options }, { refresh });
+            if (result.IsErroredOnProcessing) {
+              const message = [].concat(result.ErrorMessage || 'OCR failed').join(' ');
+              send({ type: 'page-error', page, index, message, status: result.status });
+            } else {
+              send({ type: 'page', page, index, result: { ...overlayToPoints(result), pageSize } });
+            }
+          } catch (e) {
+            const status = e.config ? 500 : undefined;
+            send({ type: 'page-error', page, index, message: e.message || String(e), status });
+          }
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(PDF_CONCURRENCY, numbers.length) }, worker));
+      send({ type: 'done' });
+      if (!cancelled) controller.close();
+    },
+    cancel() {
+      // The client went away: finish the pages already at the provider, start no more
+      cancelled = true;
+    },
+  });
+  return new Response(stream, {
+    status: 200,
+    headers: { ...cors(), 'content-type': 'application/x-ndjson; charset=utf-8' },
+  });
 }
 
 function cors() {
@@ -92,5 +133,6 @@ function cors() {
     'access-control-allow-origin': '*',
     'access-control-allow-methods': 'POST, OPTIONS',
     'access-control-allow-headers': 'content-type, authorization',
+    'access-control-expose-headers': 'x-ocr-cache',
   };
 }
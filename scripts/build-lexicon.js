@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+// HoverReader — split a flat lexicon JSON array into the sharded layout.
+//
+//   node scripts/build-lexicon.js [input.json] [outDir] [--prefix-length=N] [--language=ar]
+//
+// Defaults: public/lexicon-lite.json → public/lexicon/ with 1-letter shards. Other
+// languages' lexicons (--language=fa|ur|ota|he, see src/languages.js) go to the
+// profile's directory by default, e.g. public/lexicon-fa/.
+// To convert other dictionary formats, use scripts/import-dictionary.js.
+
+import { readFile } from "node:fs/promises";
+import { profileFor } from "../src/languages.js";
+import { writeShardedLexicon } from "./lexicon-writer.js";
+
+const args = process.argv.slice(2);
+// Values may contain "=" themselves (paths, URLs): split on the first one only
+const flags = Object.fromEntries(
+  args
+    .filter((a) => a.startsWith("--"))
+    .map((a) => {
+      const [k, ...v] = a.slice(2).split("=");
+      return [k, v.join("=")];
+    })
+);
+const language = flags.language || "ar";
+const [input = "public/lexicon-lite.json", outDir = `public${profileFor(language).lexicon}`] =
+  args.filter((a) => !a.startsWith("--"));
+const prefixLength = Number(flags["prefix-length"]) || 1;
+
+const entries = JSON.parse(await readFile(input, "utf8"));
+const manifest = await writeShardedLexicon(entries, outDir, { prefixLength, language });
+
+console.log(
+  `${entries.length} entries → ${Object.keys(manifest.shards).length} shards, ` +
+    `${Object.keys(manifest.rootShards).length} root shards in ${outDir}`
+);
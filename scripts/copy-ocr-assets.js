@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+// HoverReader — copy the offline OCR engine into public/tesseract/ so it is
+// served from our own origin (no CDN at runtime):
+//   worker.min.js        tesseract.js worker
+//   core/*-lstm.wasm.js  WASM builds (plain, SIMD, relaxed SIMD); the worker picks one
+//   lang/*.traineddata.gz  ara, fas, urd, heb + eng, LSTM "best_int" models (languages.js)
+// Runs before dev/build; the output is git-ignored.
+
+import { copyFile, mkdir, readdir } from "node:fs/promises";
+import { createRequire } from "node:module";
+import path from "node:path";
+
+const require = createRequire(import.meta.url);
+const OUT = "public/tesseract";
+const LANGS = ["ara", "fas", "urd", "heb", "eng"];
+
+const pkgDir = (name) => path.dirname(require.resolve(`${name}/package.json`));
+
+await mkdir(`${OUT}/core`, { recursive: true });
+await mkdir(`${OUT}/lang`, { recursive: true });
+
+await copyFile(path.join(pkgDir("tesseract.js"), "dist/worker.min.js"), `${OUT}/worker.min.js`);
+
+const core = pkgDir("tesseract.js-core");
+for (const f of await readdir(core)) {
+  if (f.endsWith("-lstm.wasm.js")) await copyFile(path.join(core, f), `${OUT}/core/${f}`);
+}
+
+for (const lang of LANGS) {
+  const file = `${lang}.traineddata.gz`;
+  const src = path.join(pkgDir(`@tesseract.js-data/${lang}`), "4.0.0_best_int", file);
+  await copyFile(src, `${OUT}/lang/${file}`);
+}
+
+console.log(`OCR assets copied to ${OUT} (${LANGS.join(", ")})`);
@@ -0,0 +1,298 @@
+// HoverReader — readers for external dictionary formats.
+// Each reader resolves to raw lexicon entries: { form, lemma, root, glosses, senses }.
+// Records that cannot be used are counted in `skipped` rather than thrown.
+
+import { readFile } from "node:fs/promises";
+import { gunzipSync } from "node:zlib";
+import { XMLParser } from "fast-xml-parser";
+import { stripDiacritics } from "../src/arabic.js";
+import { isRtlText } from "../src/languages.js";
+
+/** "ب ل غ", "بلغ", "ب-ل-غ" → "ب-ل-غ" (null if it doesn't look like a 2–5 letter root) */
+export function normalizeRoot(s) {
+  const letters = Array.from(stripDiacritics(s || "").replace(/[\s\-ـ.،,]/g, ""));
+  if (letters.length < 2 || letters.length > 5 || !isRtlText(letters.join(""))) {
+    return null;
+  }
+  return letters.join("-");
+}
+
+/** Split a free-text definition into glosses */
+export function splitGlosses(s) {
+  return String(s || "")
+    .replace(/<[^>]+>/g, " ")
+    .split(/\s*[;\n]\s*/)
+    .map((g) => g.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+}
+
+function result() {
+  return { entries: [], records: 0, skipped: 0 };
+}
+
+function pushEntry(out, { form, lemma, root, pos, glosses, examples }) {
+  out.records++;
+  form = (form || "").trim();
+  if (!form || !isRtlText(stripDiacritics(form).replace(/\s/g, "")) || !glosses?.length) {
+    out.skipped++;
+    return;
+  }
+  const sense = { glosses };
+  if (pos) sense.pos = pos;
+  if (examples?.length) sense.examples = examples;
+  out.entries.push({
+    form,
+    lemma: (lemma || form).trim(),
+    root: normalizeRoot(root) || undefined,
+    glosses,
+    senses: [sense],
+  });
+}
+
+// ---------- StarDict (.ifo + .idx + .dict / .dict.dz) ----------
+export async function readStarDict(ifoPath) {
+  const base = ifoPath.replace(/\.ifo$/, "");
+  const ifo = Object.fromEntries(
+    (await readFile(`${base}.ifo`, "utf8"))
+      .split(/\r?\n/)
+      .filter((l) => l.includes("="))
+      .map((l) => [l.slice(0, l.indexOf("=")), l.slice(l.indexOf("=") + 1)])
+  );
+  const idx = await readFile(`${base}.idx`);
+  const dict = await readFile(`${base}.dict`).catch(async () =>
+    gunzipSync(await readFile(`${base}.dict.dz`))
+  );
+  const offsetBytes = ifo.idxoffsetbits === "64" ? 8 : 4;
+  const out = result();
+
+  let i = 0;
+  while (i < idx.length) {
+    const end = idx.indexOf(0, i);
+    if (end < 0) break;
+    const word = idx.toString("utf8", i, end);
+    i = end + 1;
+    const offset = offsetBytes === 8 ? Number(idx.readBigUInt64BE(i)) : idx.readUInt32BE(i);
+    i += offsetBytes;
+    const size = idx.readUInt32BE(i);
+    i += 4;
+    // With sametypesequence the data is one bare field; otherwise each field has a type byte.
+    let text = dict.toString("utf8", offset, offset + size);
+    if (!ifo.sametypesequence) text = text.replace(/^[a-zA-Z]/, "").replace(/\0[a-zA-Z]/g, "\n");
+    pushEntry(out, { form: word, glosses: splitGlosses(text.replace(/\0/g, "\n")) });
+  }
+  return out;
+}
+
+// ---------- TEI Lex-0 XML ----------
+const TEI_ARRAYS = new Set(["entry", "form", "orth", "sense", "cit", "quote", "gramGrp", "pos", "gram", "def"]);
+
+function teiText(n) {
+  if (n == null) return "";
+  if (typeof n !== "object") return String(n);
+  if (Array.isArray(n)) return n.map(teiText).join(" ");
+  return Object.entries(n)
+    .filter(([k]) => !k.startsWith("@_"))
+    .map(([, v]) => teiText(v))
+    .join(" ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function teiEntries(node, acc = []) {
+  if (!node || typeof node !== "object") return acc;
+  for (const [k, v] of Object.entries(node)) {
+    if (k.startsWith("@_")) continue;
+    if (k === "entry") acc.push(...v);
+    else for (const child of [].concat(v)) teiEntries(child, acc);
+  }
+  return acc;
+}
+
+function teiPos(node) {
+  for (const g of node?.gramGrp || []) {
+    if (g.pos) return teiText(g.pos[0]);
+    const gram = (g.gram || []).find((x) => x["@_type"] === "pos");
+    if (gram) return teiText(gram);
+  }
+  return "";
+}
+
+export async function readTei(path) {
+  const xml = await readFile(path, "utf8");
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    removeNSPrefix: true,
+    isArray: (name) => TEI_ARRAYS.has(name),
+  });
+  const out = result();
+
+  for (const e of teiEntries(parser.parse(xml))) {
+    const forms = e.form || [];
+    const orth = (type) =>
+      forms.filter((f) => f["@_type"] === type).flatMap((f) => (f.orth || []).map(teiText));
+    const lemma = orth("lemma")[0] || teiText(forms[0]?.orth?.[0]);
+    const root =
+      orth("root")[0] ||
+      teiText((e.gramGrp || []).flatMap((g) => g.gram || []).find((g) => g["@_type"] === "root"));
+    const entryPos = teiPos(e);
+
+    const senses = (e.sense || []).map((s) => {
+      const cits = s.cit || [];
+      const glosses = cits
+        .filter((c) => /translation/i.test(c["@_type"] || ""))
+        .flatMap((c) => (c.quote || []).map(teiText));
+      if (!glosses.length) glosses.push(...(s.def || []).flatMap((d) => splitGlosses(teiText(d))));
+      const examples = cits
+        .filter((c) => c["@_type"] === "example")
+        .map((c) => ({
+          ar: teiText(c.quote?.[0]),
+          en: teiText(c.cit?.find((t) => /translation/i.test(t["@_type"] || ""))?.quote?.[0]),
+        }));
+      return { pos: teiPos(s) || entryPos, glosses, examples };
+    });
+    const usable = senses.filter((s) => s.glosses.length);
+
+    // One entry per spelling (lemma plus inflected/variant forms) so each is a lookup key.
+    for (const form of [lemma, ...orth("inflected"), ...orth("variant")]) {
+      out.records++;
+      if (!form || !usable.length) {
+        out.skipped++;
+        continue;
+      }
+      out.entries.push({
+        form,
+        lemma,
+        root: normalizeRoot(root) || undefined,
+        glosses: usable.flatMap((s) => s.glosses),
+        senses: usable.map(({ pos, glosses, examples }) => ({
+          ...(pos ? { pos } : {}),
+          glosses,
+          ...(examples.length ? { examples } : {}),
+        })),
+      });
+    }
+  }
+  return out;
+}
+
+// ---------- TSV / CSV (Hans Wehr-style lists) ----------
+const COLUMN_ALIASES = {
+  form: ["form", "word", "arabic", "headword", "ar"],
+  lemma: ["lemma"],
+  root: ["root"],
+  glosses: ["gloss", "glosses", "definition", "meaning", "english", "en", "translation"],
+  pos: ["pos", "part_of_speech"],
+  isRoot: ["is_root", "isroot"],
+};
+
+/** RFC 4180-style parser: quoted fields, doubled quotes, newlines inside quotes */
+export function parseDelimited(text, sep) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"' && field === "") quoted = true;
+    else if (c === sep) {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += c;
+  }
+  if (field || row.length) rows.push([...row, field]);
+  return rows.filter((r) => r.some((f) => f.trim()));
+}
+
+function columnMap(header, override) {
+  if (override) {
+    return Object.fromEntries(override.split(",").map((name, i) => [name.trim(), i]));
+  }
+  const lower = header.map((h) => h.trim().toLowerCase());
+  const map = {};
+  for (const [key, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const i = lower.findIndex((h) => aliases.includes(h));
+    if (i >= 0) map[key] = i;
+  }
+  return map.form != null && map.glosses != null ? map : null;
+}
+
+/**
+ * Delimited word lists. Columns come from a header row, from `columns`
+ * ("root,form,glosses"), or positionally: form,gloss or root,form,gloss.
+ * Rows flagged is_root (or rows with a bare root and no gloss) set the root
+ * inherited by the derived words that follow them, as in Hans Wehr listings.
+ */
+export async function readDelimited(path, { sep = "\t", columns } = {}) {
+  const rows = parseDelimited(await readFile(path, "utf8"), sep);
+  const out = result();
+  let map = columnMap(rows[0] || [], columns);
+  if (map && !columns) rows.shift();
+  if (!map) {
+    const width = rows[0]?.length || 0;
+    if (width === 2) map = { form: 0, glosses: 1 };
+    else if (width === 3) map = { root: 0, form: 1, glosses: 2 };
+    else throw new Error(`Cannot infer columns of ${path}; pass --columns=form,glosses,...`);
+  }
+
+  let currentRoot = null;
+  for (const r of rows) {
+    const get = (k) => (map[k] != null ? (r[map[k]] || "").trim() : "");
+    const flagged = /^(1|true|yes|y)$/i.test(get("isRoot"));
+    if (flagged || (!get("glosses") && normalizeRoot(get("form")))) {
+      currentRoot = normalizeRoot(get("root") || get("form"));
+      if (!get("glosses")) continue;
+    }
+    pushEntry(out, {
+      form: get("form"),
+      lemma: get("lemma"),
+      root: get("root") || currentRoot,
+      pos: get("pos"),
+      glosses: splitGlosses(get("glosses")),
+    });
+  }
+  return out;
+}
+
+// ---------- Our own flat JSON ----------
+export async function readJson(path) {
+  const rows = JSON.parse(await readFile(path, "utf8"));
+  const out = result();
+  for (const r of rows) {
+    out.records++;
+    if (!r.form && !r.lemma) {
+      out.skipped++;
+      continue;
+    }
+    out.entries.push({ ...r, root: normalizeRoot(r.root) || r.root });
+  }
+  return out;
+}
+
+export const READERS = {
+  stardict: (p) => readStarDict(p),
+  tei: (p) => readTei(p),
+  tsv: (p, o) => readDelimited(p, { ...o, sep: "\t" }),
+  csv: (p, o) => readDelimited(p, { ...o, sep: "," }),
+  json: (p) => readJson(p),
+};
+
+export function detectFormat(path) {
+  if (/\.ifo$/i.test(path)) return "stardict";
+  if (/\.(xml|tei)$/i.test(path)) return "tei";
+  if (/\.(tsv|tab|txt)$/i.test(path)) return "tsv";
+  if (/\.csv$/i.test(path)) return "csv";
+  if (/\.json$/i.test(path)) return "json";
+  return null;
+}
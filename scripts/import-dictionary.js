@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+// HoverReader — convert a dictionary into the app's lexicon format.
+//
+//   node scripts/import-dictionary.js <input> [options]
+//
+//   --format=stardict|tei|tsv|csv|json   (default: from the file extension; StarDict = the .ifo)
+//   --language=ar                        source language profile (src/languages.js)
+//   --out=public/lexicon                 sharded output directory ("" to skip; default: the
+//                                        profile's, e.g. public/lexicon-fa)
+//   --flat=path.json                     also write a flat JSON array
+//   --merge=public/lexicon-lite.json     start from an existing flat lexicon
+//   --prefix-length=1                    shard on the first N normalized letters
+//   --columns=root,form,glosses          column order for headerless TSV/CSV
+//   --sample=text.txt                    report lookup coverage of a sample text
+//
+// Keys are normalized with the same rules the app uses at lookup time for the language
+// (lexiconKey); entries with the same normalized form and lemma are merged.
+
+import { readFile, writeFile } from "node:fs/promises";
+import { lexiconKey, normalizeEntry } from "../src/lexicon-format.js";
+import { isProfileCode, profileFor, wordPattern } from "../src/languages.js";
+import { analyzeWord } from "../src/morphology.js";
+import { READERS, detectFormat, readJson } from "./dictionary-readers.js";
+import { writeShardedLexicon } from "./lexicon-writer.js";
+
+const args = process.argv.slice(2);
+const flags = Object.fromEntries(
+  args
+    .filter((a) => a.startsWith("--"))
+    .map((a) => {
+      const [k, ...v] = a.slice(2).split("=");
+      return [k, v.join("=")];
+    })
+);
+const [input] = args.filter((a) => !a.startsWith("--"));
+if (!input) {
+  console.error("Usage: node scripts/import-dictionary.js <input> [--format=…] [--out=…]");
+  process.exit(1);
+}
+const format = flags.format || detectFormat(input);
+if (!READERS[format]) {
+  console.error(`Unknown format "${format}". Use one of: ${Object.keys(READERS).join(", ")}`);
+  process.exit(1);
+}
+const language = flags.language || "ar";
+if (!isProfileCode(language)) {
+  console.error(`Unknown language "${language}".`);
+  process.exit(1);
+}
+const profile = profileFor(language);
+const key = (s) => lexiconKey(s, language);
+const outDir = flags.out ?? `public${profile.lexicon}`;
+const prefixLength = Number(flags["prefix-length"]) || 1;
+
+// ---------- read ----------
+const sources = [];
+if (flags.merge) sources.push({ label: flags.merge, ...(await readJson(flags.merge)) });
+sources.push({ label: `${input} (${format})`, ...(await READERS[format](input, flags)) });
+
+// ---------- dedupe ----------
+function senseKey(s) {
+  return `${s.pos || ""}|${s.glosses.join(";")}`;
+}
+function mergeInto(a, b) {
+  a.root ||= b.root;
+  const seen = new Set(a.senses.map(senseKey));
+  for (const s of b.senses) if (!seen.has(senseKey(s))) a.senses.push(s);
+  a.glosses = [...new Set([...a.glosses, ...b.glosses])];
+}
+
+const byKey = new Map();
+let duplicates = 0;
+for (const src of sources) {
+  for (const raw of src.entries) {
+    const e = normalizeEntry(raw);
+    const pair = `${key(e.form)}|${key(e.lemma)}`;
+    if (byKey.has(pair)) {
+      duplicates++;
+      mergeInto(byKey.get(pair), e);
+    } else {
+      byKey.set(pair, e);
+    }
+  }
+}
+const entries = [...byKey.values()].map((e) => ({
+  form: e.form,
+  lemma: e.lemma,
+  ...(e.root ? { root: e.root } : {}),
+  glosses: e.glosses,
+  ...(e.senses.length > 1 || e.senses.some((s) => s.pos || s.examples) ? { senses: e.senses } : {}),
+}));
+
+// ---------- write ----------
+let manifest = null;
+if (outDir) manifest = await writeShardedLexicon(entries, outDir, { prefixLength, language });
+if (flags.flat) await writeFile(flags.flat, JSON.stringify(entries, null, 2) + "\n");
+
+// ---------- report ----------
+const pct = (n, d) => (d ? `${((100 * n) / d).toFixed(1)}%` : "–");
+const count = (fn) => entries.filter(fn).length;
+const lines = [];
+for (const src of sources) {
+  lines.push(`Source ${src.label}: ${src.records} records, ${src.skipped} skipped`);
+}
+lines.push(
+  `Entries written:   ${entries.length} (${duplicates} duplicates merged)`,
+  `  with root:       ${count((e) => e.root)} (${pct(count((e) => e.root), entries.length)})`,
+  `  lemma ≠ form:    ${count((e) => e.lemma !== e.form)}`,
+  `  with POS:        ${count((e) => e.senses?.some((s) => s.pos))}`,
+  `  multi-sense:     ${count((e) => e.senses?.length > 1)}`,
+  `  distinct roots:  ${new Set(entries.map((e) => e.root).filter(Boolean)).size}`
+);
+if (manifest) {
+  const shards = Object.entries(manifest.shards).sort((a, b) => b[1].count - a[1].count);
+  lines.push(
+    `Shards in ${outDir}: ${shards.length} (largest "${shards[0]?.[0]}" with ${shards[0]?.[1].count} entries), ` +
+      `${Object.keys(manifest.rootShards).length} root shards`
+  );
+}
+if (flags.flat) lines.push(`Flat JSON: ${flags.flat}`);
+
+if (flags.sample) {
+  // Mirrors the app's lookupWord: direct key first, then segmented stems (Arabic only).
+  const keys = new Set(entries.flatMap((e) => [e.form, e.lemma].map(key)));
+  const tokens = (await readFile(flags.sample, "utf8")).match(wordPattern(profile)) || [];
+  const types = new Map();
+  for (const t of tokens) types.set(t, (types.get(t) || 0) + 1);
+  let direct = 0;
+  let segmented = 0;
+  let tokDirect = 0;
+  let tokSegmented = 0;
+  const missing = [];
+  for (const [t, n] of types) {
+    if (keys.has(key(t))) {
+      direct++;
+      tokDirect += n;
+    } else if (profile.clitics && analyzeWord(t).some((c) => keys.has(key(c.stem)))) {
+      segmented++;
+      tokSegmented += n;
+    } else {
+      missing.push([t, n]);
+    }
+  }
+  missing.sort((a, b) => b[1] - a[1]);
+  lines.push(
+    `Sample ${flags.sample}: ${tokens.length} tokens, ${types.size} distinct`,
+    `  token coverage:  ${pct(tokDirect + tokSegmented, tokens.length)} ` +
+      `(direct ${pct(tokDirect, tokens.length)}, via segmentation ${pct(tokSegmented, tokens.length)})`,
+    `  type coverage:   ${pct(direct + segmented, types.size)}`,
+    `  most frequent uncovered: ${missing
+      .slice(0, 15)
+      .map(([t, n]) => `${t}×${n}`)
+      .join(" ")}`
+  );
+}
+console.log(lines.join("\n"));
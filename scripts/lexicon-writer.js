@@ -0,0 +1,26 @@
+// HoverReader — write a sharded lexicon directory (see src/lexicon-format.js)
+
+import { createHash } from "node:crypto";
+import { mkdir, readdir, rm, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { buildShards } from "../src/lexicon-format.js";
+
+/** Replace the shards in outDir; the manifest version is a hash of the entries */
+export async function writeShardedLexicon(
+  entries,
+  outDir,
+  { prefixLength = 1, language = "ar" } = {}
+) {
+  const version = createHash("sha1").update(JSON.stringify(entries)).digest("hex").slice(0, 12);
+  const { manifest, files } = buildShards(entries, { prefixLength, version, language });
+
+  await mkdir(outDir, { recursive: true });
+  for (const f of await readdir(outDir)) {
+    if (/^(shard|roots)-.*\.json$/.test(f)) await rm(path.join(outDir, f));
+  }
+  for (const [name, json] of Object.entries(files)) {
+    await writeFile(path.join(outDir, name), JSON.stringify(json));
+  }
+  await writeFile(path.join(outDir, "manifest.json"), JSON.stringify(manifest, null, 2) + "\n");
+  return manifest;
+}
@@ -1,13 +1,66 @@
 // HoverReader Frontend — v0.4.0
 // - Fixes: visible per-page progress, timeouts, and safer PDF text extraction
 // - Adds: .DOCX support via client-side rendering (docx-preview)
-// - Hover: Arabic→English tooltip (lexicon→cache→/api/translate)
-// - Click: shows line in sidebar; Double-click: line translation
-// - UI: page cap, force OCR, draw test boxes, error surfacing
+// - Hover: tooltip from the document's language to the target language (lexicon + clitic
+//   segmentation→IndexedDB cache→batched /api/translate); glosses for the pages on screen are
+//   prefetched. Language profiles (Arabic, Persian, Urdu, Ottoman, Hebrew) are in languages.js
+// - Click: shows line, lemma/root and root family in sidebar; Double-click: line translation
+// - PDFs: pages render, extract and OCR lazily as they scroll into view; thumbnail navigator
+// - UI: force OCR, draw test boxes, error surfacing
 
-import React, { useEffect, useRef, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import * as pdfjsLib from "pdfjs-dist";
 import PdfJsWorker from "pdfjs-dist/build/pdf.worker?worker";
+import { stripDiacritics } from "./arabic.js";
+import { analyzeWord, formatSegmentation } from "./morphology.js";
+import { ShardedLexicon } from "./lexicon.js";
+import { lexiconKey } from "./lexicon-format.js";
+import {
+  OCR_LANGUAGES,
+  PROFILES,
+  TARGET_LANGUAGES,
+  isProfileText,
+  isRtlText,
+  loadLanguageSettings,
+  profileFor,
+  saveLanguageSettings,
+  wordPattern,
+} from "./languages.js";
+import { STYLES } from "./styles.js";
+import { PersistentWordCache } from "./wordCache.js";
+import CacheSettings from "./CacheSettings.jsx";
+import { downloadBlob } from "./download.js";
+import Library from "./Library.jsx";
+import Notebook, { Highlighted } from "./Notebook.jsx";
+import OverlayEditor from "./OverlayEditor.jsx";
+import PasteText from "./PasteText.jsx";
+import Search from "./Search.jsx";
+import TableOfContents from "./TableOfContents.jsx";
+import WordBoxDebug from "./WordBoxDebug.jsx";
+import {
+  DOCUMENT_ACCEPT,
+  acceptedKinds,
+  addDocument,
+  documentKind,
+  loadEdits,
+  loadPages,
+  openDocument,
+  savePages,
+  updateDocument,
+} from "./library.js";
+import { isSaved, saveWord } from "./notebook.js";
+import { ocrPageLocally } from "./localOcr.js";
+import { OCR_EXPORTS, exportPage } from "./ocrExport.js";
+import { readingOrder } from "./readingOrder.js";
+import { sentenceAt, sentenceInText } from "./sentences.js";
+import { buildSearchIndex, findMatches } from "./search.js";
+import { TranslationBatcher, isAbortError } from "./translateBatcher.js";
+import { PAGE_SCALE, PdfSession } from "./pdfSession.js";
+import { PdfPageOcr, ocrPageViaServerless } from "./serverOcr.js";
+import { ImageDocument, loadImageDocument } from "./imageDocument.js";
+import { loadTextDocument, pastedFile } from "./textDocument.js";
+import { layoutTextItems } from "./textLayout.js";
+import { pageGlyphs } from "./pdfGlyphs.js";
 pdfjsLib.GlobalWorkerOptions.workerPort = new PdfJsWorker();
 
 // Lazy import for DOCX rendering (docx-preview)
@@ -20,177 +73,49 @@ async function loadDocxPreview() {
   return renderDocxAsync;
 }
 
-const API_OCR = "/api/ocr-space";
 const API_TRANSLATE = "/api/translate";
 
-/** Simple LRU-ish cache for word translations */
-class WordCache {
-  constructor(limit = 1000) {
-    this.map = new Map();
-    this.limit = limit;
-  }
-  get(key) {
-    if (!this.map.has(key)) return null;
-    const val = this.map.get(key);
-    this.map.delete(key);
-    this.map.set(key, val);
-    return val;
-  }
-  set(key, val) {
-    if (this.map.has(key)) this.map.delete(key);
-    this.map.set(key, val);
-    if (this.map.size > this.limit) {
-      const first = this.map.keys().next().value;
-      this.map.delete(first);
-    }
+const WORD_CACHE = new PersistentWordCache();
+const WORD_BATCHERS = new Map(); // "source|target" -> TranslationBatcher
+
+function batcherFor(source, target) {
+  const pair = `${source}|${target}`;
+  if (!WORD_BATCHERS.has(pair)) {
+    const batcher = new TranslationBatcher({
+      endpoint: API_TRANSLATE,
+      source,
+      target,
+      onResult: (word, { text }) => text && WORD_CACHE.set(source, target, word, text),
+    });
+    WORD_BATCHERS.set(pair, batcher);
   }
+  return WORD_BATCHERS.get(pair);
 }
-const WORD_CACHE = new WordCache(1000);
-
-const STYLES = {
-  page: {
-    position: "relative",
-    margin: "0 auto",
-    boxShadow: "0 10px 30px rgba(0,0,0,.35)",
-    borderRadius: 12,
-    overflow: "hidden",
-    background: "#111",
-  },
-  overlayLayer: {
-    position: "absolute",
-    inset: 0,
-    zIndex: 5,
-    pointerEvents: "auto",
-  },
-  overlayWord: {
-    position: "absolute",
-    lineHeight: 1.2,
-    borderRadius: 4,
-    pointerEvents: "auto",
-    cursor: "pointer",
-    background: "rgba(147,197,253,.16)",
-    outlineOffset: 0,
-    transition: "outline 120ms ease, background 120ms ease",
-  },
-  tip: {
-    position: "fixed",
-    bottom: "auto",
-    transform: "translate(-50%, -120%)",
-    background: "#111",
-    color: "#fff",
-    padding: "6px 8px",
-    borderRadius: 8,
-    whiteSpace: "nowrap",
-    fontSize: 12,
-    zIndex: 50,
-    pointerEvents: "none",
-    maxWidth: "60vw",
-  },
-  sidebar: {
-    position: "sticky",
-    top: 16,
-    padding: 12,
-    border: "1px solid #1f2937",
-    borderRadius: 12,
-    background: "rgba(17,17,17,.6)",
-  },
-  toolbar: { display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" },
-  input: {
-    padding: "8px",
-    borderRadius: 10,
-    border: "1px solid #333",
-    background: "#0b0c10",
-    color: "#e5e7eb",
-    minWidth: 180,
-  },
-  badge: {
-    display: "inline-block",
-    marginLeft: 8,
-    fontSize: 12,
-    padding: "2px 6px",
-    borderRadius: 6,
-    background: "#1f2937",
-    color: "#e5e7eb",
-  },
-  warning: {
-    display: "inline-block",
-    marginLeft: 8,
-    fontSize: 12,
-    padding: "2px 6px",
-    borderRadius: 6,
-    background: "#7c2d12",
-    color: "#fde68a",
-  },
-  error: {
-    background: "#7f1d1d",
-    color: "#fecaca",
-    padding: "8px 10px",
-    borderRadius: 8,
-    marginTop: 8,
-    border: "1px solid #ef4444",
-  },
-  docxShell: {
-    background: "#111",
-    padding: 16,
-    borderRadius: 12,
-    border: "1px solid #1f2937",
-  },
-  docxPage: {
-    margin: "16px auto",
-    padding: "24px 28px",
-    background: "#fff",
-    color: "#000",
-    width: 820,
-    boxShadow: "0 10px 30px rgba(0,0,0,.35)",
-    borderRadius: 12,
-    direction: "rtl",
-  },
-};
 
-// ------- Lexicon (tiny demo) -------
-function useLexicon() {
-  const [map, setMap] = useState({});
-  useEffect(() => {
-    fetch("/lexicon-lite.json")
-      .then((r) => r.json())
-      .then((rows) => {
-        const m = {};
-        for (const r of rows) {
-          if (r.form) m[r.form] = r;
-          if (r.lemma) m[r.lemma] = r;
-        }
-        setMap(m);
-      })
-      .catch(() => {});
-  }, []);
-  return map;
-}
+// ------- Lexicon (sharded, loaded lazily on hover; one per language profile) -------
+const LEXICONS = new Map(); // profile code -> ShardedLexicon
 
-function stripDiacritics(s) {
-  return (s || "").replace(/[\u0610-\u061A\u064B-\u065F\u06D6-\u06ED]/g, "");
+function lexiconFor(code) {
+  if (!LEXICONS.has(code)) LEXICONS.set(code, new ShardedLexicon({ language: code }));
+  return LEXICONS.get(code);
 }
-function normalizeArabic(s = "") {
-  return s
-    .replace(/[إأآا]/g, "ا")
-    .replace(/ى/g, "ي")
-    .replace(/ة/g, "ه")
-    .replace(/[ؤئ]/g, "ء")
-    .replace(/ـ/g, "")
-    .replace(/[^\u0600-\u06FF\s]/g, "");
+
+function useLexicon(code) {
+  const lexicon = lexiconFor(code);
+  const [, setVersion] = useState(0);
+  useEffect(() => lexicon.subscribe(setVersion), [lexicon]);
+  return lexicon;
 }
-function safeIsArabicString(s = "") {
-  if (!s) return false;
-  try {
-    const ok =
-      s.split("").filter((c) => /\p{Script=Arabic}/u.test(c)).length / s.length >= 0.6;
-    return ok;
-  } catch {
-    const arabic = (s.match(/[\u0600-\u06FF]/g) || []).length;
-    return arabic / s.length >= 0.6;
-  }
+
+/** Re-render whenever the open PDF's pages, images or visibility change */
+function usePdfSession(session) {
+  const [, setVersion] = useState(0);
+  useEffect(() => session?.subscribe(setVersion), [session]);
+  return session;
 }
 
-async function translateAPI(text, source = "ar", target = "en") {
+/** Resolves to { text, provider }; provider names the backend that answered */
+async function translateAPIDetailed(text, source = "ar", target = "en") {
   const r = await fetch(API_TRANSLATE, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
@@ -198,37 +123,120 @@ async function translateAPI(text, source = "ar", target = "en") {
   });
   if (!r.ok) throw new Error("Translate failed");
   const j = await r.json();
-  if (typeof j?.translatedText === "string") return j.translatedText;
-  if (Array.isArray(j) && j[0]?.translatedText) return j[0].translatedText;
-  return "";
+  if (typeof j?.translatedText === "string") {
+    return { text: j.translatedText, provider: j.provider || null };
+  }
+  if (Array.isArray(j) && j[0]?.translatedText) return { text: j[0].translatedText, provider: null };
+  return { text: "", provider: null };
 }
 
-async function getWordTooltip(arWord, lexicon) {
-  if (!arWord || !arWord.trim()) return "";
-  const candidates = [
-    arWord,
-    stripDiacritics(arWord),
-    normalizeArabic(arWord),
-    normalizeArabic(stripDiacritics(arWord)),
-  ];
+function lookupForm(form, lexicon) {
+  const candidates = [form, stripDiacritics(form), lexiconKey(form, lexicon.language)];
   for (const c of candidates) {
-    const entry = lexicon[c];
-    if (entry) return (entry.glosses || []).join(", ");
+    const entry = lexicon.byKey[c];
+    if (entry) return entry;
   }
-  const cached = WORD_CACHE.get(arWord);
+  return null;
+}
+
+/** Lexicon match, via clitic-aware segmentation for Arabic: { entry, candidate } or null */
+function lookupWord(word, lexicon) {
+  if (!word || !word.trim()) return null;
+  const direct = lookupForm(word, lexicon);
+  if (direct) return { entry: direct, candidate: null };
+  for (const candidate of lexicon.clitics ? analyzeWord(word) : []) {
+    const entry = lookupForm(candidate.stem, lexicon);
+    if (entry) return { entry, candidate };
+  }
+  return null;
+}
+
+/**
+ * Gloss for a hover tooltip, in `target`. Lexicon glosses are English, so other targets
+ * go straight to the translation cache and API. Rejects with an AbortError once `signal` fires.
+ */
+async function getWordTooltip(word, lexicon, { signal, priority = true, target = "en" } = {}) {
+  if (!word || !word.trim()) return "";
+  if (target === "en") {
+    await lexicon.ensureFor(word).catch(() => {});
+    const match = lookupWord(word, lexicon);
+    if (match) {
+      const gloss = (match.entry.glosses || []).join(", ");
+      const seg = formatSegmentation(match.candidate);
+      return seg ? `${seg} → ${gloss}` : gloss;
+    }
+  }
+  const cached = await WORD_CACHE.get(lexicon.language, target, word);
   if (cached) return cached;
   try {
-    const en = await translateAPI(arWord, "ar", "en");
-    const tip = en || arWord;
-    WORD_CACHE.set(arWord, tip);
-    return tip;
-  } catch {
-    return arWord;
+    const batcher = batcherFor(lexicon.language, target);
+    const { text } = await batcher.translate(word, { signal, priority });
+    return text || word;
+  } catch (e) {
+    if (isAbortError(e)) throw e;
+    return word;
   }
 }
 
+// Prefetch sends at most this many words per visible page or section to the API, and
+// never the same word twice in a session; the lexicon and cache answer the rest
+const PREFETCH_MAX_WORDS = 60;
+const PREFETCHED = new Set(); // "source|target|word"
+
+/** Warm the lexicon and translation cache for words that are about to be hovered */
+async function prefetchGlosses(words, lexicon, signal, target) {
+  const unique = [...new Set(words.map((w) => (w || "").trim()).filter(Boolean))];
+  // Lexicon glosses are English; other targets only come from the cache or the API
+  if (target === "en") await lexicon.ensureForWords(unique).catch(() => {});
+  const missing = [];
+  for (const w of unique) {
+    if (signal.aborted || missing.length >= PREFETCH_MAX_WORDS) break;
+    const key = `${lexicon.language}|${target}|${w}`;
+    if (PREFETCHED.has(key) || (target === "en" && lookupWord(w, lexicon))) continue;
+    if (await WORD_CACHE.get(lexicon.language, target, w)) continue;
+    PREFETCHED.add(key);
+    missing.push(w);
+  }
+  const batcher = batcherFor(lexicon.language, target);
+  await Promise.all(
+    missing.map((w) =>
+      batcher.translate(w, { signal, priority: false }).catch((e) => {
+        // Given up on before it was sent: it may be prefetched next time
+        if (isAbortError(e)) PREFETCHED.delete(`${lexicon.language}|${target}|${w}`);
+      })
+    )
+  );
+}
+
+/**
+ * Prefetch glosses for each element's words while it is (nearly) on screen; returns a
+ * cleanup. `getTarget` is read each time an element comes into view.
+ */
+function prefetchWhileVisible(elements, wordsOf, lexicon, getTarget) {
+  const running = new Map(); // element -> AbortController
+  const observer = new IntersectionObserver(
+    (records) => {
+      for (const r of records) {
+        running.get(r.target)?.abort();
+        running.delete(r.target);
+        if (!r.isIntersecting) continue;
+        const controller = new AbortController();
+        running.set(r.target, controller);
+        prefetchGlosses(wordsOf(r.target), lexicon, controller.signal, getTarget());
+      }
+    },
+    { rootMargin: "200px 0px" }
+  );
+  elements.forEach((el) => observer.observe(el));
+  return () => {
+    observer.disconnect();
+    running.forEach((c) => c.abort());
+  };
+}
+
 // ---------- PDF helpers ----------
-async function pdfToPageImage(page, scale = 1.6) {
+/** Page as a JPEG data URL (what the OCR engines take) */
+async function pdfToPageImage(page, scale = PAGE_SCALE) {
   const viewport = page.getViewport({ scale });
   const canvas = document.createElement("canvas");
   canvas.width = viewport.width;
@@ -242,58 +250,154 @@ async function pdfToPageImage(page, scale = 1.6) {
   };
 }
 
-function layoutWordsFromTextItems(items, viewport) {
-  const out = [];
-  const vT = viewport.transform;
-  for (const it of items) {
-    const str = it.str || "";
-    if (!str.trim()) continue;
-    if (!safeIsArabicString(str)) continue;
-
-    const width = it.width * viewport.scale;
-    const t = pdfjsLib.Util.transform(vT, it.transform);
-    const x = t[4], y = t[5];
-    const fontHeight = Math.hypot(t[1], t[3]) || 12;
-    const h = fontHeight;
-
-    const clean = str.replace(/\s+/g, " ").trim();
-    const parts = clean.split(" ").filter(Boolean);
-    const totalChars = clean.replace(/\s+/g, "").length || 1;
-    let cursorX = x;
-    for (const p of parts) {
-      const chars = p.replace(/\s+/g, "").length;
-      const w = Math.max(3, width * (chars / totalChars));
-      out.push({
-        WordText: p,
-        Left: cursorX,
-        Top: y - h,
+// Below this mean word confidence, "local first" also asks the server
+const LOCAL_OCR_MIN_CONFIDENCE = 70;
+
+function countOcrWords(resp) {
+  const lines = resp?.ParsedResults?.[0]?.TextOverlay?.Lines || [];
+  return lines.reduce((n, ln) => n + (ln.Words || []).length, 0);
+}
+
+/**
+ * engine: "server" | "local" | "auto" (local first, server on low confidence).
+ * `server` options go to ocrPageViaServerless; its `signal` stops local OCR too.
+ */
+async function ocrPage(base64Image, language, engine, ms = 25000, server = {}) {
+  if (engine === "server") return ocrPageViaServerless(base64Image, language, ms, server);
+  const localOptions = { signal: server.signal };
+  if (engine === "local") return ocrPageLocally(base64Image, language, localOptions);
+
+  const local = await ocrPageLocally(base64Image, language, localOptions).catch((e) => {
+    if (isAbortError(e)) throw e;
+    return null;
+  });
+  if (local && countOcrWords(local) > 0 && local._meanConfidence >= LOCAL_OCR_MIN_CONFIDENCE) {
+    return local;
+  }
+  try {
+    const result = await ocrPageViaServerless(base64Image, language, ms, server);
+    if (countOcrWords(result) > 0 || !local) return result;
+  } catch (e) {
+    if (!local || isAbortError(e)) throw e;
+  }
+  return local;
+}
+
+/**
+ * Text layer or OCR for one PDF page → { overlay, mode, reason, boxCount, engine?, … }.
+ * OCR failures are thrown, so the job queue can retry them. With ocrEngine
+ * "server-pdf" the page goes to the server as PDF (through `pdfOcr`), not as an image.
+ * Image pages (imageDocument.js) have no text layer and are always OCR'd. The text layer
+ * is used when enough of it is in the script of `profile` (languages.js).
+ */
+async function analyzePdfPage(
+  page,
+  { forceOcr, lang, profile, ocrEngine, testBoxes, serverEngine, refresh, pdfOcr },
+  signal
+) {
+  const viewport = page.getViewport({ scale: PAGE_SCALE });
+  const pageMeta = {};
+  let words = [];
+  let mode = "text";
+  let reason = "";
+
+  if (!page.getTextContent) {
+    mode = "none";
+    reason = "image";
+  } else if (!forceOcr) {
+    const text = await page.getTextContent({ disableCombineTextItems: false });
+    const items = text.items || [];
+    const scriptItems = items.filter((it) => isProfileText(it.str || "", profile));
+    if (items.length > 0 && scriptItems.length / items.length < 0.2) {
+      mode = "none";
+      reason = "embedded-glyphs";
+    } else {
+      const glyphs = await pageGlyphs(page, viewport).catch(() => []);
+      words = layoutTextItems(items, viewport, { glyphs, styles: text.styles });
+      if (words.length < 3) {
+        mode = "none";
+        reason = "no-words";
+      }
+    }
+  } else {
+    mode = "none";
+    reason = "forced-ocr";
+  }
+
+  if (mode !== "text" || words.length === 0) {
+    const server = { engine: serverEngine, refresh, signal };
+    let ocr;
+    if (ocrEngine === "server-pdf" && pdfOcr) {
+      ocr = await pdfOcr.recognize(page.pageNumber, { language: lang, ...server });
+    } else {
+      const img = await pdfToPageImage(page, PAGE_SCALE);
+      // Without a PDF to send, "server-pdf" sends the rendered page
+      const engine = ocrEngine === "server-pdf" ? "server" : ocrEngine;
+      ocr = await ocrPage(img.dataUrl, lang, engine, 25000, server);
+    }
+    const pr = ocr?.ParsedResults?.[0];
+    const ocrWords = [];
+    if (pr?.TextOverlay?.Lines) {
+      for (const line of pr.TextOverlay.Lines) {
+        const lineText = line.LineText || (line.Words || []).map((w) => w.WordText).join(" ");
+        for (const w of line.Words || []) {
+          ocrWords.push({ ...w, lineText });
+        }
+      }
+    }
+    words = ocrWords;
+    mode = "ocr";
+    pageMeta.lang = lang;
+    pageMeta.engine = ocr._engine;
+    if (ocr._meanConfidence != null) pageMeta.confidence = ocr._meanConfidence;
+    pageMeta.cached = Boolean(ocr._cached);
+    if (serverEngine) {
+      reason = `Re-OCR with engine ${serverEngine}.`;
+    } else if (reason === "embedded-glyphs") {
+      reason = `Embedded text wasn’t Unicode ${profile.name}; OCR used.`;
+    } else if (reason === "image") {
+      reason = "Image page; OCR used.";
+    } else if (reason === "forced-ocr") {
+      reason = "Force OCR enabled.";
+    } else if (!reason) {
+      reason = "No usable text layer; OCR used.";
+    }
+  }
+
+  if (testBoxes) {
+    const synth = [];
+    for (let k = 0; k < 6; k++) {
+      const w = 120, h = 36;
+      const left = 20 + k * 24;
+      const top = 50 + k * 28;
+      synth.push({
+        WordText: "اختبار",
+        Left: left,
+        Top: top,
         Width: w,
-        Height: Math.max(10, h * 1.15),
-        lineText: str,
+        Height: h,
+        lineText: "مربع اختبار تفاعلي",
       });
-      cursorX += w + width * (1 / totalChars);
     }
+    words = words.concat(synth);
   }
-  return out;
-}
 
-function timeout(ms) {
-  return new Promise((_, rej) => setTimeout(() => rej(new Error("Timeout")), ms));
-}
-async function ocrPageViaServerless(base64Image, language = "ara", ms = 20000) {
-  const req = fetch(API_OCR, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ base64Image, language, isOverlayRequired: true }),
-  });
-  const res = await Promise.race([req, timeout(ms)]);
-  if (!res.ok) throw new Error(`OCR HTTP ${res.status}`);
-  return await res.json();
+  pageMeta.overlay = words;
+  pageMeta.mode = (mode || "none");
+  pageMeta.reason = reason || "";
+  pageMeta.boxCount = words.length;
+  return pageMeta;
 }
 
 // ---------- DOCX helpers ----------
-/** Wrap text nodes with <span class="hr-word" data-word="...">… */
-function wrapDocxWords(container, onHover, onClick, onDblClick) {
+// Elements whose text is a word's "line" (for the sidebar, translation and search)
+const TEXT_BLOCK = "p, li, td, th, dd, dt, blockquote, h1, h2, h3, h4, h5, h6, div";
+
+/**
+ * Wrap the words `pattern` (global) finds in text nodes with <span class="hr-word">…,
+ * each set right to left or left to right by its own script
+ */
+function wrapDocxWords(container, pattern, onHover, onClick, onDblClick) {
   const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
     acceptNode: (node) => {
       const text = node.nodeValue || "";
@@ -301,7 +405,6 @@ function wrapDocxWords(container, onHover, onClick, onDblClick) {
     },
   });
 
-  const arabicWord = /[\u0600-\u06FF]+/g;
   const nodes = [];
   while (walker.nextNode()) nodes.push(walker.currentNode);
 
@@ -312,7 +415,7 @@ function wrapDocxWords(container, onHover, onClick, onDblClick) {
 
     const frag = document.createDocumentFragment();
     let lastIndex = 0;
-    text.replace(arabicWord, (match, index) => {
+    text.replace(pattern, (match, index) => {
       // text before the word
       if (index > lastIndex) {
         frag.appendChild(document.createTextNode(text.slice(lastIndex, index)));
@@ -321,7 +424,7 @@ function wrapDocxWords(container, onHover, onClick, onDblClick) {
       const span = document.createElement("span");
       span.className = "hr-word";
       span.textContent = match;
-      span.dir = "rtl";
+      span.dir = isRtlText(match) ? "rtl" : "ltr";
       span.style.background = "rgba(147,197,253,.06)";
       span.style.borderRadius = "4px";
       span.style.cursor = "pointer";
@@ -329,7 +432,7 @@ function wrapDocxWords(container, onHover, onClick, onDblClick) {
       span.addEventListener("mouseenter", (e) => onHover(e, match));
       span.addEventListener("mousemove", (e) => onHover(e, match));
       span.addEventListener("mouseleave", () => onHover(null, null));
-      span.addEventListener("click", () => onClick(match));
+      span.addEventListener("click", () => onClick(match, span));
       span.addEventListener("dblclick", () => onDblClick(match, span));
       frag.appendChild(span);
 
@@ -345,21 +448,55 @@ function wrapDocxWords(container, onHover, onClick, onDblClick) {
 }
 
 // ---------- Overlay page for PDF ----------
+/**
+ * `highlights`: search hits on this page (word → true for the current hit).
+ * `focus`: { word, done } — scroll that word into view once, when it is on this page.
+ * `editing`: show the correction editor instead; `onEdit(words)` receives its changes.
+ * `children` are drawn over the page (WordBoxDebug). Tooltips are in `target`.
+ */
 function PageOverlay({
   img,
   overlay,
   lexicon,
+  target,
   onWordClick,
   onWordDblClick,
   showBoxes,
+  highlights,
+  focus,
+  editing,
+  onEdit,
+  children,
 }) {
   const [hover, setHover] = useState(null);
   const [pos, setPos] = useState({ x: 0, y: 0 });
   const lastHoverWord = useRef("");
+  const hoverAbort = useRef(null);
+  const pageRef = useRef(null);
+  const focusRef = useRef(null);
+
+  useEffect(() => {
+    if (!focus || focus.done || !focusRef.current) return;
+    focus.done = true;
+    focusRef.current.scrollIntoView({ block: "center" });
+  }, [focus, overlay]);
+
+  useEffect(
+    () =>
+      prefetchWhileVisible(
+        [pageRef.current],
+        () => (overlay || []).map((w) => w.WordText),
+        lexicon,
+        () => target
+      ),
+    [overlay, lexicon, target]
+  );
+  useEffect(() => () => hoverAbort.current?.abort(), []);
 
   async function handleEnter(e, w) {
     setPos({ x: e.clientX, y: e.clientY });
     e.currentTarget.style.outline = "2px solid rgba(147,197,253,.9)";
+    hoverAbort.current?.abort();
     const word = (w.WordText || "").trim();
     if (!word) {
       setHover(null);
@@ -371,24 +508,35 @@ function PageOverlay({
     }
     setHover({ text: word }); // placeholder
     lastHoverWord.current = word;
-    const tip = await getWordTooltip(word, lexicon);
-    if (lastHoverWord.current === word) setHover({ text: tip });
+    const controller = new AbortController();
+    hoverAbort.current = controller;
+    try {
+      const tip = await getWordTooltip(word, lexicon, { signal: controller.signal, target });
+      if (lastHoverWord.current === word) setHover({ text: tip });
+    } catch {
+      // a newer hover took over
+    }
   }
 
   function handleLeave(e) {
     e.currentTarget.style.outline = "none";
+    hoverAbort.current?.abort();
+    lastHoverWord.current = "";
     setHover(null);
   }
 
   return (
-    <div style={{ ...STYLES.page, width: img.width, marginTop: 20 }}>
-      <img src={img.dataUrl} width={img.width} height={img.height} alt="page" />
-      <div style={STYLES.overlayLayer}>
+    <div ref={pageRef} style={{ ...STYLES.page, width: img.width, marginTop: 20 }}>
+      <img src={img.src} width={img.width} height={img.height} alt="page" />
+      {editing && <OverlayEditor words={overlay || []} onChange={onEdit} />}
+      <div style={{ ...STYLES.overlayLayer, display: editing ? "none" : "block" }}>
         {overlay?.map((w, idx) => {
           const key = `${idx}-${w.WordText}-${w.Left}-${w.Top}`;
+          const hit = highlights?.get(w);
           return (
             <span
               key={key}
+              ref={w === focus?.word ? focusRef : undefined}
               dir="rtl"
               onMouseEnter={(e) => handleEnter(e, w)}
               onMouseMove={(e) => setPos({ x: e.clientX, y: e.clientY })}
@@ -401,60 +549,572 @@ function PageOverlay({
                 top: w.Top,
                 width: w.Width,
                 height: w.Height,
-                background: showBoxes
-                  ? "rgba(147,197,253,.16)"
-                  : "rgba(147,197,253,.06)",
+                background:
+                  hit !== undefined
+                    ? SEARCH_HIT_COLORS[hit ? "current" : "other"]
+                    : showBoxes
+                      ? "rgba(147,197,253,.16)"
+                      : "rgba(147,197,253,.06)",
               }}
               title=""
             />
           );
         })}
       </div>
+      {children}
       {hover && <div style={{ ...STYLES.tip, left: pos.x, top: pos.y }}>{hover.text}</div>}
     </div>
   );
 }
 
+const SEARCH_HIT_COLORS = { current: "rgba(250,204,21,.55)", other: "rgba(250,204,21,.25)" };
+const SEARCH_LIMIT = 1000;
+
+// ---------- Page navigator ----------
+const PAGE_STATUS_COLORS = {
+  idle: "#374151",
+  queued: "#6b7280",
+  running: "#2563eb",
+  done: "#16a34a",
+  failed: "#dc2626",
+};
+
+function Thumbnail({ session, index, active, observe, onGo }) {
+  const [src, setSrc] = useState(null);
+  const ref = useRef(null);
+  const status = session.pages[index].status;
+
+  useEffect(() => {
+    const el = ref.current;
+    return observe(el, () => session.thumbnail(index).then(setSrc, () => {}));
+  }, [session, index, observe]);
+
+  return (
+    <button
+      ref={ref}
+      onClick={() => onGo(index)}
+      title={`Page ${index + 1}`}
+      style={{
+        flex: "0 0 auto",
+        width: 48,
+        padding: 0,
+        border: `2px solid ${active ? "#93c5fd" : "transparent"}`,
+        borderBottom: `3px solid ${PAGE_STATUS_COLORS[status] || PAGE_STATUS_COLORS.idle}`,
+        borderRadius: 6,
+        background: "#0b0c10",
+        color: "#9ca3af",
+        fontSize: 11,
+        cursor: "pointer",
+      }}
+    >
+      <div style={{ height: 64, display: "grid", placeItems: "center", overflow: "hidden" }}>
+        {src ? <img src={src} alt="" style={{ maxWidth: "100%", maxHeight: 64 }} /> : index + 1}
+      </div>
+      {src && <div>{index + 1}</div>}
+    </button>
+  );
+}
+
+/**
+ * Retry a failed page, or run OCR on it again with another engine or language (English,
+ * or the model of the document's `profile` when the page was read as English)
+ */
+function PageActions({ page, lang, profile, ocrEngine, onRun }) {
+  if (page.status !== "done" && page.status !== "failed") return null;
+  const otherLang = (page.lang || lang) === profile.ocr ? "eng" : profile.ocr;
+  const server = ocrEngine === "server-pdf" ? "server-pdf" : "server";
+  const reruns = {
+    engine1: { forceOcr: true, ocrEngine: server, serverEngine: 1, refresh: true },
+    engine2: { forceOcr: true, ocrEngine: server, serverEngine: 2, refresh: true },
+    lang: { forceOcr: true, lang: otherLang, refresh: true },
+  };
+  return (
+    <>
+      {page.status === "failed" && (
+        <button style={{ marginLeft: 8 }} onClick={() => onRun({})}>
+          Retry
+        </button>
+      )}
+      <select
+        value=""
+        onChange={(e) => reruns[e.target.value] && onRun(reruns[e.target.value])}
+        style={{ ...STYLES.input, minWidth: 0, marginLeft: 8, padding: "2px 4px", fontSize: 12 }}
+        title="Run OCR on this page again"
+      >
+        <option value="">Re-OCR…</option>
+        <option value="engine1">with engine 1 (server)</option>
+        <option value="engine2">with engine 2 (server)</option>
+        <option value="lang">as {OCR_LANGUAGES[otherLang]}</option>
+      </select>
+    </>
+  );
+}
+
+/** Format picker for OCR exports (see ocrExport.js) */
+function ExportSelect({ label, title, onPick, small = false }) {
+  const size = small ? { minWidth: 0, marginLeft: 8, padding: "2px 4px", fontSize: 12 } : {};
+  return (
+    <select
+      value=""
+      onChange={(e) => e.target.value && onPick(e.target.value)}
+      style={{ ...STYLES.input, ...size }}
+      title={title}
+    >
+      <option value="">{label}</option>
+      {Object.entries(OCR_EXPORTS).map(([key, { label: name }]) => (
+        <option key={key} value={key}>
+          {name}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+/** Thumbnail strip (rendered as it scrolls into view) plus a "go to page" box */
+function PageNavigator({ session, current, onGo }) {
+  const stripRef = useRef(null);
+  const callbacks = useRef(new Map()); // element -> onVisible
+  const [observer, setObserver] = useState(null);
+  const [target, setTarget] = useState("");
+
+  useEffect(() => {
+    const io = new IntersectionObserver(
+      (records) => {
+        for (const r of records) {
+          if (!r.isIntersecting) continue;
+          callbacks.current.get(r.target)?.();
+          io.unobserve(r.target);
+        }
+      },
+      { root: stripRef.current, rootMargin: "0px 200px" }
+    );
+    setObserver(io);
+    return () => io.disconnect();
+  }, []);
+
+  // Stable for Thumbnail's effect; returns the cleanup
+  const observe = useMemo(
+    () => (el, onVisible) => {
+      if (!observer || !el) return undefined;
+      callbacks.current.set(el, onVisible);
+      observer.observe(el);
+      return () => {
+        callbacks.current.delete(el);
+        observer.unobserve(el);
+      };
+    },
+    [observer]
+  );
+
+  // Keep the current page's thumbnail in view
+  useEffect(() => {
+    stripRef.current?.children[current]?.scrollIntoView({ block: "nearest", inline: "nearest" });
+  }, [current]);
+
+  function go(e) {
+    e.preventDefault();
+    const n = Math.round(Number(target));
+    if (n >= 1 && n <= session.count) onGo(n - 1);
+    setTarget("");
+  }
+
+  return (
+    <div style={{ marginTop: 10 }}>
+      <form onSubmit={go} style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 13 }}>
+        Page {current + 1} / {session.count}
+        <input
+          type="number"
+          min={1}
+          max={session.count}
+          placeholder="Go to…"
+          value={target}
+          onChange={(e) => setTarget(e.target.value)}
+          style={{ ...STYLES.input, minWidth: 0, width: 90, padding: 4 }}
+        />
+      </form>
+      <div
+        ref={stripRef}
+        style={{ display: "flex", gap: 6, overflowX: "auto", marginTop: 6, paddingBottom: 4 }}
+      >
+        {observer &&
+          session.pages.map((_, i) => (
+            <Thumbnail
+              key={i}
+              session={session}
+              index={i}
+              active={i === current}
+              observe={observe}
+              onGo={onGo}
+            />
+          ))}
+      </div>
+    </div>
+  );
+}
+
+// ---------- Etymology / root family ----------
+/** Group the document's words by lexicon root: root → [{ word, count, w }] */
+function groupWordsByRoot(words, lexicon) {
+  const byRoot = {};
+  const seen = {};
+  for (const w of words) {
+    const text = (w.WordText || "").trim();
+    if (!text) continue;
+    if (seen[text]) {
+      seen[text].count++;
+      continue;
+    }
+    const entry = lookupWord(text, lexicon)?.entry;
+    if (!entry?.root) continue;
+    seen[text] = { word: text, count: 1, w };
+    (byRoot[entry.root] ||= []).push(seen[text]);
+  }
+  return byRoot;
+}
+
+function EtymologyPanel({ word, lexicon, docRoots, onPick }) {
+  const match = lookupWord(word, lexicon);
+  if (!match) {
+    return (
+      <div style={{ marginTop: 12, fontSize: 13, color: "#9ca3af" }}>
+        No lexicon entry for this word.
+      </div>
+    );
+  }
+  const { entry, candidate } = match;
+  const segmentation = formatSegmentation(candidate);
+  const family = (entry.root && lexicon.byRoot[entry.root]) || [];
+  const inDoc = (entry.root && docRoots[entry.root]) || [];
+  const item = { cursor: "pointer", padding: "2px 0" };
+  const list = { maxHeight: 160, overflowY: "auto" };
+  return (
+    <div style={{ marginTop: 12 }}>
+      <div style={{ fontSize: 12, color: "#9ca3af" }}>Lemma</div>
+      <div dir="rtl" style={{ fontSize: 16 }}>{entry.lemma || entry.form}</div>
+      {segmentation && (
+        <>
+          <div style={{ fontSize: 12, color: "#9ca3af", marginTop: 8 }}>Segmentation</div>
+          <div style={{ fontSize: 14 }}>
+            {segmentation} → {(entry.glosses || [])[0] || entry.lemma}
+          </div>
+        </>
+      )}
+      {entry.root && (
+        <>
+          <div style={{ fontSize: 12, color: "#9ca3af", marginTop: 8 }}>Root</div>
+          <div dir="rtl" style={{ fontSize: 16, letterSpacing: 4 }}>
+            {entry.root.split("-").join(" ")}
+          </div>
+        </>
+      )}
+      {entry.senses.length > 1 || entry.senses[0]?.pos || entry.senses[0]?.examples?.length ? (
+        <>
+          <div style={{ fontSize: 12, color: "#9ca3af", marginTop: 8 }}>Senses</div>
+          {entry.senses.map((sense, i) => (
+            <div key={i} style={{ fontSize: 14, marginTop: 4 }}>
+              {i + 1}. {sense.pos && <i style={{ color: "#9ca3af" }}>{sense.pos} </i>}
+              {sense.glosses.join("; ")}
+              {(sense.examples || []).map((ex, j) => (
+                <div key={j} style={{ fontSize: 13, color: "#9ca3af", marginLeft: 12 }}>
+                  <span dir="rtl">{ex.ar}</span>
+                  {ex.en && <> — {ex.en}</>}
+                </div>
+              ))}
+            </div>
+          ))}
+        </>
+      ) : (
+        entry.glosses.length > 0 && (
+          <>
+            <div style={{ fontSize: 12, color: "#9ca3af", marginTop: 8 }}>Glosses</div>
+            <div style={{ fontSize: 14 }}>{entry.glosses.join("; ")}</div>
+          </>
+        )
+      )}
+      {family.length > 0 && (
+        <>
+          <div style={{ fontSize: 12, color: "#9ca3af", marginTop: 12 }}>
+            Root family · lexicon ({family.length})
+          </div>
+          <div style={list}>
+            {family.map((f, i) => (
+              <div
+                key={`${f.form}-${i}`}
+                style={{
+                ...item,
+                fontWeight: f.form === entry.form && f.lemma === entry.lemma ? 600 : 400,
+              }}
+                onClick={() => onPick({ WordText: f.form || f.lemma, lineText: "" })}
+              >
+                <span dir="rtl">{f.form || f.lemma}</span>
+                <span style={{ color: "#9ca3af", fontSize: 13 }}>
+                  {" "}— {(f.glosses || []).join(", ")}
+                </span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+      {inDoc.length > 0 && (
+        <>
+          <div style={{ fontSize: 12, color: "#9ca3af", marginTop: 12 }}>
+            Root family · this document ({inDoc.length})
+          </div>
+          <div style={list}>
+            {inDoc.map((d) => (
+              <div key={d.word} style={item} onClick={() => onPick(d.w)}>
+                <span dir="rtl">{d.word}</span>
+                <span style={STYLES.badge}>×{d.count}</span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+const NO_PAGES = [];
+
 export default function App() {
-  const [pages, setPages] = useState([]); // PDF pages [{img, overlay, ...}]
-  const [docxMode, setDocxMode] = useState(false);
+  const [pdfSession, setPdfSession] = useState(null); // open PDF, see pdfSession.js
+  const [currentPage, setCurrentPage] = useState(0);
+  const [docxMode, setDocxMode] = useState(false); // DOCX, EPUB, HTML or text: one wrapped flow
   const [activeWord, setActiveWord] = useState(null);
   const [busy, setBusy] = useState(false);
-  const [lang, setLang] = useState("ara");
+  const [profileCode, setProfileCode] = useState(() => loadLanguageSettings().profile);
+  const [target, setTarget] = useState(() => loadLanguageSettings().target); // as typed
+  const [lang, setLang] = useState(() => profileFor(loadLanguageSettings().profile).ocr);
+  const [ocrEngine, setOcrEngine] = useState("auto");
+  const [ocrConcurrency, setOcrConcurrency] = useState(2); // pages analyzed in parallel
   const [showBoxes, setShowBoxes] = useState(true);
   const [forceOcr, setForceOcr] = useState(false);
   const [testBoxes, setTestBoxes] = useState(false);
-  const [maxPages, setMaxPages] = useState(3); // cap for PDFs
+  const [debugBoxes, setDebugBoxes] = useState(false);
   const [status, setStatus] = useState("");
   const [globalError, setGlobalError] = useState("");
   const [hoverTip, setHoverTip] = useState(null); // for DOCX
-  const lexicon = useLexicon();
+  const [docxWords, setDocxWords] = useState([]); // wrapped .hr-word texts
+  const [panel, setPanel] = useState(null); // null | "cache" | "notebook" | "library" | "paste"
+  const [toc, setToc] = useState(null); // EPUB / HTML table of contents, see epub.js
+  const [docName, setDocName] = useState("");
+  const [activeSaved, setActiveSaved] = useState(false);
+  const [notebookVersion, setNotebookVersion] = useState(0);
+  const [libraryVersion, setLibraryVersion] = useState(0);
+  const [searchQuery, setSearchQuery] = useState("");
+  const [hitIndex, setHitIndex] = useState(0);
+  const [searchFocus, setSearchFocus] = useState(null); // { word, done }, see PageOverlay
+  const [editingPage, setEditingPage] = useState(null); // page with the correction editor open
+  const profile = profileFor(profileCode);
+  const translateTo = target.trim() || "en";
+  const lexicon = useLexicon(profile.code);
+  // Flow documents' word listeners outlive renders; they read the target from here
+  const targetRef = useRef(translateTo);
+  targetRef.current = translateTo;
+  useEffect(
+    () => saveLanguageSettings({ profile: profileCode, target: translateTo }),
+    [profileCode, translateTo]
+  );
+  usePdfSession(pdfSession);
+  const pages = pdfSession?.pages ?? NO_PAGES;
+
+  // Close the previous PDF (cancelling its jobs, revoking its images) when another file is opened
+  useEffect(() => () => pdfSession?.close(), [pdfSession]);
+  useEffect(() => pdfSession?.setConcurrency(ocrConcurrency), [pdfSession, ocrConcurrency]);
+  const jobCounts = useMemo(() => {
+    const counts = { queued: 0, running: 0, failed: 0 };
+    for (const p of pages) if (p.status in counts) counts[p.status]++;
+    return counts;
+  }, [pages]);
+
+  // Tell the session which pages are on screen; it renders and analyzes around them
+  const topbarRef = useRef(null);
+  const pageEls = useRef(new Map()); // index -> page wrapper element
+  const pageObserver = useRef(null);
+  const pageRefCallbacks = useRef([]);
+  useEffect(() => {
+    if (!pdfSession) return undefined;
+    const visible = new Set();
+    const io = new IntersectionObserver((records) => {
+      for (const r of records) {
+        const i = Number(r.target.dataset.page);
+        if (r.isIntersecting) visible.add(i);
+        else visible.delete(i);
+      }
+      pdfSession.setVisible(visible);
+      if (visible.size) setCurrentPage(Math.min(...visible));
+    });
+    pageEls.current.forEach((el) => io.observe(el));
+    pageObserver.current = io;
+    // Reopened from the library: back to where the reader left off
+    const restore = restorePage.current;
+    restorePage.current = 0;
+    if (restore) requestAnimationFrame(() => goToPage(restore));
+    return () => {
+      io.disconnect();
+      pageObserver.current = null;
+    };
+  }, [pdfSession]);
+
+  /** Stable ref callback per page, so re-renders don't re-observe */
+  function pageRef(i) {
+    pageRefCallbacks.current[i] ||= (el) => {
+      const old = pageEls.current.get(i);
+      if (old) pageObserver.current?.unobserve(old);
+      if (el) {
+        pageEls.current.set(i, el);
+        pageObserver.current?.observe(el);
+      } else {
+        pageEls.current.delete(i);
+      }
+    };
+    return pageRefCallbacks.current[i];
+  }
+
+  function goToPage(i) {
+    const el = pageEls.current.get(i);
+    if (!el) return;
+    // The toolbar is sticky; land the page just below it
+    const offset = (topbarRef.current?.offsetHeight || 0) + 8;
+    window.scrollTo({ top: el.getBoundingClientRect().top + window.scrollY - offset });
+  }
 
   const docxContainerRef = useRef(null);
+  const docxPrefetchStop = useRef(null);
+  const flowUrls = useRef([]); // object URLs of the open EPUB's images
+  useEffect(() => () => docxPrefetchStop.current?.(), []);
+
+  // -------- Library --------
+  // The open document's library record (null if it couldn't be stored)
+  const currentDoc = useRef(null);
+  const restorePage = useRef(0);
 
-  async function handleFile(file) {
+  // Save finished pages as they come in, and once more when the document is closed
+  useEffect(() => {
+    const doc = currentDoc.current;
+    if (!pdfSession || !doc) return undefined;
+    let saved = pdfSession.pages;
+    let timer = null;
+    const save = () => {
+      saved = pdfSession.pages;
+      return savePages(doc.id, saved, pdfSession.edits())
+        .then(() => setLibraryVersion((v) => v + 1))
+        .catch(() => {});
+    };
+    const unsubscribe = pdfSession.subscribe(() => {
+      if (pdfSession.pages === saved) return;
+      clearTimeout(timer);
+      timer = setTimeout(save, 1000);
+    });
+    return () => {
+      clearTimeout(timer);
+      unsubscribe();
+      if (pdfSession.pages !== saved) save();
+    };
+  }, [pdfSession]);
+
+  // Reading position: the top visible PDF page, or the DOCX scroll offset
+  useEffect(() => {
+    const doc = currentDoc.current;
+    if (!pdfSession || !doc) return undefined;
+    const timer = setTimeout(() => {
+      updateDocument(doc.id, { position: { page: currentPage, scrollY: 0 } }).catch(() => {});
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [pdfSession, currentPage]);
+  useEffect(() => {
+    const doc = currentDoc.current;
+    if (!docxMode || !doc) return undefined;
+    let timer = null;
+    const onScroll = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        updateDocument(doc.id, { position: { page: 0, scrollY: window.scrollY } }).catch(() => {});
+      }, 500);
+    };
+    window.addEventListener("scroll", onScroll, { passive: true });
+    return () => {
+      clearTimeout(timer);
+      window.removeEventListener("scroll", onScroll);
+    };
+  }, [docxMode]);
+
+  async function openFromLibrary(entry) {
+    try {
+      const { doc, file } = await openDocument(entry.id);
+      setPanel(null);
+      await handleFile(file, doc);
+    } catch (e) {
+      setGlobalError(e?.message || String(e));
+      setLibraryVersion((v) => v + 1);
+    }
+  }
+
+  /** Language profile picked in the toolbar; the open document keeps it */
+  async function changeProfile(code) {
+    const next = profileFor(code);
+    applyProfile(next);
+    const doc = currentDoc.current;
+    if (!doc) return;
+    currentDoc.current = { ...doc, language: next.code };
+    await updateDocument(doc.id, { language: next.code }).catch(() => {});
+    // Flow documents' words were wrapped with the old profile's letters
+    if (docxMode) await openFromLibrary(doc);
+  }
+
+  const loadSeq = useRef(0);
+
+  /** `doc`: the library record when reopening; new files are added to the library */
+  async function handleFile(file, doc = null) {
+    loadSeq.current++;
     setBusy(true);
-    setPages([]);
+    setPdfSession(null);
+    setCurrentPage(0);
+    pageRefCallbacks.current = [];
     setActiveWord(null);
+    setDocName(file?.name || "");
     setHoverTip(null);
+    setDocxWords([]);
+    setSearchFocus(null);
+    setEditingPage(null);
+    setToc(null);
+    docxPrefetchStop.current?.();
+    docxPrefetchStop.current = null;
+    docxContainerRef.current.innerHTML = "";
+    flowUrls.current.forEach((url) => URL.revokeObjectURL(url));
+    flowUrls.current = [];
     setGlobalError("");
     setDocxMode(false);
     setStatus("Loading…");
 
-    const name = (file?.name || "").toLowerCase();
-    const isPDF = name.endsWith(".pdf") || file.type === "application/pdf";
-    const isDOCX =
-      name.endsWith(".docx") ||
-      file.type ===
-        "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+    const kind = documentKind(file);
+    currentDoc.current = null;
 
     try {
-      if (isPDF) {
-        await handlePdf(file);
-      } else if (isDOCX) {
-        await handleDocx(file);
+      if (!kind) throw new Error(`Unsupported file type. Please open a ${acceptedKinds()} file.`);
+      try {
+        currentDoc.current = doc || (await addDocument(file));
+        setLibraryVersion((v) => v + 1);
+      } catch (e) {
+        // Full or unavailable storage: read the file anyway, just don't keep it
+        setStatus(`Not saved to library: ${e?.message || e}`);
+      }
+      // Documents are read with the profile they were last read with, new ones with the
+      // one picked in the toolbar
+      const docProfile = profileFor(currentDoc.current?.language || profileCode);
+      applyProfile(docProfile);
+      if (currentDoc.current && !currentDoc.current.language) {
+        currentDoc.current = { ...currentDoc.current, language: docProfile.code };
+        updateDocument(currentDoc.current.id, { language: docProfile.code }).catch(() => {});
+      }
+      if (kind === "pdf") {
+        await handlePdf(file, currentDoc.current);
+      } else if (kind === "image") {
+        await handleImage(file, currentDoc.current);
+      } else if (kind === "docx") {
+        await handleDocx(file, currentDoc.current, docProfile);
       } else {
-        throw new Error("Unsupported file type. Please upload PDF or DOCX.");
+        await handleText(file, currentDoc.current, kind, docProfile);
       }
     } catch (e) {
       setGlobalError(e?.message || String(e));
@@ -464,113 +1124,171 @@ export default function App() {
     }
   }
 
-  // -------- PDF pipeline --------
-  async function handlePdf(f) {
-    const ab = await f.arrayBuffer();
-    const pdf = await pdfjsLib.getDocument({ data: ab }).promise;
+  // Pasting an image (a screenshot, a photo copied from another app), a web page's
+  // HTML or plain text opens it as a document
+  const openFile = useRef(handleFile);
+  openFile.current = handleFile;
+  useEffect(() => {
+    const onPaste = (e) => {
+      if (e.target.closest?.("input, textarea, [contenteditable]")) return;
+      const data = e.clipboardData;
+      const image = [...(data?.files || [])].find((f) => f.type.startsWith("image/"));
+      if (image) {
+        e.preventDefault();
+        const ext = image.type.split("/")[1] || "png";
+        const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, "-");
+        const name = `Pasted image ${stamp}.${ext}`;
+        openFile.current(new File([image], name, { type: image.type }));
+        return;
+      }
+      const text = data?.getData("text/plain") || "";
+      if (!text.trim()) return;
+      e.preventDefault();
+      openFile.current(pastedFile({ html: data.getData("text/html"), text }));
+    };
+    window.addEventListener("paste", onPaste);
+    return () => window.removeEventListener("paste", onPaste);
+  }, []);
 
-    const total = pdf.numPages;
-    const limit = Math.min(total, Math.max(1, Number(maxPages) || 1));
-    const out = [];
+  // -------- PDF pipeline --------
+  // Settings are read when a page is analyzed, so changes apply to pages not yet reached
+  const pdfOptions = useRef({});
+  const statusTimer = useRef(null);
+  const pdfFile = useRef(null); // the open PDF, for exports
 
-    for (let i = 1; i <= limit; i++) {
-      setStatus(`Processing page ${i} of ${limit}…`);
-      let pageMeta = { img: null, overlay: [], mode: "none", reason: "", boxCount: 0 };
+  function flashStatus(text, ms = 1200) {
+    setStatus(text);
+    clearTimeout(statusTimer.current);
+    statusTimer.current = setTimeout(() => setStatus(""), ms);
+  }
+  pdfOptions.current = { forceOcr, lang, profile, ocrEngine, testBoxes };
 
-      try {
-        const page = await pdf.getPage(i);
-        const { viewport, ...img } = await pdfToPageImage(page, 1.6);
-        pageMeta.img = { dataUrl: img.dataUrl, width: img.width, height: img.height };
-
-        let words = [];
-        let mode = "text";
-        let reason = "";
-
-        if (!forceOcr) {
-          const text = await page.getTextContent({ disableCombineTextItems: false });
-          const items = text.items || [];
-          const arabicItems = items.filter((it) => safeIsArabicString(it.str || ""));
-          if (items.length > 0 && arabicItems.length / items.length < 0.2) {
-            mode = "none";
-            reason = "embedded-glyphs";
-          } else {
-            words = layoutWordsFromTextItems(items, viewport);
-            if (words.length < 3) {
-              mode = "none";
-              reason = "no-words";
-            }
-          }
-        } else {
-          mode = "none";
-          reason = "forced-ocr";
-        }
+  /** Read with profile `next` from now on; OCR switches to its model */
+  function applyProfile(next) {
+    setProfileCode(next.code);
+    setLang(next.ocr);
+    // A newly opened document's first pages are analyzed before the next render
+    pdfOptions.current = { ...pdfOptions.current, profile: next, lang: next.ocr };
+  }
 
-        if (mode !== "text" || words.length === 0) {
-          setStatus(`OCR page ${i}…`);
-          try {
-            const ocr = await ocrPageViaServerless(img.dataUrl, lang, 25000);
-            const pr = ocr?.ParsedResults?.[0];
-            const ocrWords = [];
-            if (pr?.TextOverlay?.Lines) {
-              for (const line of pr.TextOverlay.Lines) {
-                const lineText = line.LineText || (line.Words || []).map((w) => w.WordText).join(" ");
-                for (const w of line.Words || []) {
-                  ocrWords.push({ ...w, lineText });
-                }
-              }
-            }
-            words = ocrWords;
-            mode = "ocr";
-            if (reason === "embedded-glyphs") {
-              reason = "Embedded text wasn’t Unicode Arabic; OCR used.";
-            } else if (reason === "forced-ocr") {
-              reason = "Force OCR enabled.";
-            } else if (!reason) {
-              reason = "No usable text layer; OCR used.";
-            }
-          } catch (e) {
-            words = [];
-            mode = "ocr";
-            reason = "OCR error: " + (e?.message || e);
-          }
-        }
+  async function handlePdf(f, doc) {
+    const seq = loadSeq.current;
+    pdfFile.current = f;
+    const ab = await f.arrayBuffer();
+    // pdf.js takes ownership of the buffer; server-side PDF OCR needs its own copy
+    const pdfOcr = new PdfPageOcr({
+      bytes: new Uint8Array(ab).slice(),
+      scale: PAGE_SCALE,
+      onProgress: (n) => flashStatus(`OCR page ${n}…`),
+    });
+    const pdf = await pdfjsLib.getDocument({ data: ab }).promise;
+    await openPages(pdf, doc, seq, { pdfOcr });
+  }
 
-        if (testBoxes) {
-          const synth = [];
-          for (let k = 0; k < 6; k++) {
-            const w = 120, h = 36;
-            const left = 20 + k * 24;
-            const top = 50 + k * 28;
-            synth.push({
-              WordText: "اختبار",
-              Left: left,
-              Top: top,
-              Width: w,
-              Height: h,
-              lineText: "مربع اختبار تفاعلي",
-            });
-          }
-          words = words.concat(synth);
-        }
+  /** Photos and scans: each image (each TIFF page) is a page, OCR'd like a scanned PDF page */
+  async function handleImage(f, doc) {
+    const seq = loadSeq.current;
+    pdfFile.current = null;
+    setStatus("Decoding image…");
+    await openPages(await loadImageDocument(f), doc, seq);
+  }
 
-        pageMeta.overlay = words;
-        pageMeta.mode = (mode || "none");
-        pageMeta.reason = reason || "";
-        pageMeta.boxCount = words.length;
-      } catch (e) {
-        pageMeta.error = (e?.message || String(e));
-      }
+  /** Start a session on a loaded PDF (or ImageDocument), with what the library kept of it */
+  async function openPages(pdf, doc, seq, analyzeOptions = {}) {
+    const [saved, edits] = doc
+      ? await Promise.all([loadPages(doc.id), loadEdits(doc.id)])
+      : [[], []];
+    const session = new PdfSession(pdf, {
+      analyze: (page, i, { signal, overrides }) =>
+        analyzePdfPage(page, { ...pdfOptions.current, ...analyzeOptions, ...overrides }, signal),
+      concurrency: ocrConcurrency,
+      saved,
+      edits,
+    });
+    await session.init();
+    // Another file was picked while this one loaded
+    if (loadSeq.current !== seq) {
+      session.close();
+      return;
+    }
+    if (doc) {
+      restorePage.current = Math.min(doc.position?.page || 0, session.count - 1);
+      updateDocument(doc.id, { pageCount: session.count }).catch(() => {});
+    }
+    setPdfSession(session);
+  }
 
-      out.push(pageMeta);
-      setPages((prev) => [...prev, pageMeta]);
+  /** The original PDF plus an invisible text layer on its OCR'd pages (see searchablePdf.js) */
+  async function exportSearchablePdf() {
+    const session = pdfSession;
+    const file = pdfFile.current;
+    setStatus("Building searchable PDF…");
+    try {
+      const { buildSearchablePdf } = await import("./searchablePdf.js");
+      const { bytes, pagesWithText } = await buildSearchablePdf(
+        new Uint8Array(await file.arrayBuffer()),
+        session.pdf,
+        session.pages,
+        { scale: PAGE_SCALE, onProgress: (i) => setStatus(`Text layer: page ${i + 1}…`) }
+      );
+      downloadBlob(
+        new Blob([bytes], { type: "application/pdf" }),
+        `${file.name.replace(/\.pdf$/i, "")}.searchable.pdf`
+      );
+      const pending = session.pages.filter((p) => p.status !== "done").length;
+      flashStatus(
+        `Exported: ${pagesWithText} OCR page${pagesWithText === 1 ? "" : "s"} with text` +
+          (pending ? `, ${pending} not analyzed yet` : ""),
+        5000
+      );
+    } catch (e) {
+      setStatus("");
+      setGlobalError("Export failed: " + (e?.message || e));
     }
   }
 
+  /** Recognized text of some pages (0-based indices) as hOCR, ALTO, text or Markdown */
+  async function exportOcr(format, indices) {
+    const session = pdfSession;
+    const exporter = OCR_EXPORTS[format];
+    const done = indices.filter((i) => session.pages[i].status === "done");
+    const out = await Promise.all(
+      done.map(async (i) => {
+        // PDF units: the page at scale 1
+        const { width, height } = (await session.pdf.getPage(i + 1)).getViewport({ scale: 1 });
+        const p = session.pages[i];
+        return exportPage({
+          number: i + 1,
+          width,
+          height,
+          overlay: p.overlay,
+          scale: PAGE_SCALE,
+          lang: p.lang,
+        });
+      })
+    );
+    const base = docName.replace(/\.[^.]+$/, "") || "document";
+    const suffix = indices.length === 1 ? `.p${indices[0] + 1}` : "";
+    downloadBlob(
+      new Blob([exporter.build(out, { title: docName, fileName: docName })], {
+        type: `${exporter.type};charset=utf-8`,
+      }),
+      `${base}${suffix}.${exporter.ext}`
+    );
+    const skipped = indices.length - done.length;
+    flashStatus(
+      `Exported ${done.length} page${done.length === 1 ? "" : "s"} as ${exporter.label}` +
+        (skipped ? `, ${skipped} not analyzed yet` : ""),
+      5000
+    );
+  }
+
   // -------- DOCX pipeline --------
-  async function handleDocx(file) {
+  async function handleDocx(file, doc, docProfile) {
     setDocxMode(true);
     setStatus("Rendering DOCX…");
     const container = docxContainerRef.current;
+    docxPrefetchStop.current?.();
     container.innerHTML = ""; // clear
 
     const arrayBuffer = await file.arrayBuffer();
@@ -581,56 +1299,272 @@ export default function App() {
       ignoreHeight: false,
       className: "hr-docx",
     });
+    wireFlowWords(container, doc, docProfile);
+  }
 
-    // Wrap Arabic words with spans to enable hover/click
-    const tipState = { text: "", pos: { x: 0, y: 0 } };
+  /** EPUB, HTML or plain text, shown and wired like a DOCX */
+  async function handleText(file, doc, kind, docProfile) {
+    const seq = loadSeq.current;
+    setDocxMode(true);
+    setStatus(kind === "epub" ? "Unpacking EPUB…" : "Reading text…");
+    const container = docxContainerRef.current;
+    const { content, toc, urls } =
+      kind === "epub"
+        ? await import("./epub.js").then(({ loadEpub }) => loadEpub(file))
+        : await loadTextDocument(file, kind);
+    if (loadSeq.current !== seq) {
+      urls.forEach((url) => URL.revokeObjectURL(url));
+      return;
+    }
+    flowUrls.current = urls;
+    container.appendChild(content);
+    setToc(toc.length > 1 ? toc : null);
+    wireFlowWords(container, doc, docProfile);
+  }
+
+  /** Wrap words in `docProfile`'s script with spans to enable hover/click (see wrapDocxWords) */
+  function wireFlowWords(container, doc, docProfile) {
+    const flowLexicon = lexiconFor(docProfile.code);
+    const tipState = { text: "", word: "", pos: { x: 0, y: 0 }, abort: null };
     const onHover = async (e, word) => {
+      if (e && word && word === tipState.word) {
+        // moving within the same word: follow the pointer, keep the pending lookup
+        tipState.pos = { x: e.clientX, y: e.clientY };
+        setHoverTip({ text: tipState.text, x: tipState.pos.x, y: tipState.pos.y });
+        return;
+      }
+      tipState.abort?.abort();
+      tipState.word = word || "";
       if (!e || !word) {
         setHoverTip(null);
         return;
       }
       tipState.pos = { x: e.clientX, y: e.clientY };
       // show immediate placeholder
+      tipState.text = word;
       setHoverTip({ text: word, x: tipState.pos.x, y: tipState.pos.y });
-      const gloss = await getWordTooltip(word, lexicon);
-      setHoverTip({ text: gloss || word, x: tipState.pos.x, y: tipState.pos.y });
+      const controller = new AbortController();
+      tipState.abort = controller;
+      try {
+        const gloss = await getWordTooltip(word, flowLexicon, {
+          signal: controller.signal,
+          target: targetRef.current,
+        });
+        tipState.text = gloss || word;
+        setHoverTip({ text: tipState.text, x: tipState.pos.x, y: tipState.pos.y });
+      } catch {
+        // the pointer moved on to another word
+      }
     };
-    const onClick = (word) => {
-      setActiveWord({ w: { WordText: word, lineText: "" }, translation: null });
+    const onClick = (word, span) => {
+      const block = span?.parentElement?.closest(TEXT_BLOCK);
+      const lineText = (block?.innerText || "").replace(/\s+/g, " ").trim();
+      setActiveWord({ w: { WordText: word, lineText }, translation: null });
     };
     const onDblClick = async (word, span) => {
-      // get containing line text (nearest block)
-      let block = span?.closest("p, div, span");
+      // translate the sentence around the word, within its block
+      const block = span?.parentElement?.closest(TEXT_BLOCK);
       const lineText = (block?.innerText || word).replace(/\s+/g, " ").trim();
-      const translated = await translateAPI(lineText, "ar", "en").catch(() => "");
-      setActiveWord({ w: { WordText: word, lineText }, translation: translated });
+      let sentence = null;
+      if (block) {
+        const range = document.createRange();
+        range.setStart(block, 0);
+        range.setEndBefore(span);
+        const from = range.toString().length;
+        sentence = sentenceInText(block.textContent, from, from + span.textContent.length);
+      }
+      const { text, provider } = await translateLine(
+        sentence?.text || lineText,
+        docProfile.code,
+        targetRef.current
+      );
+      setActiveWord({
+        w: { WordText: word, lineText },
+        sentence,
+        translation: text,
+        translationProvider: provider,
+      });
     };
 
-    wrapDocxWords(container, onHover, onClick, onDblClick);
+    wrapDocxWords(container, wordPattern(docProfile), onHover, onClick, onDblClick);
+    // docx-preview renders one <section> per page, epub.js one per chapter
+    const sections = container.querySelectorAll("section");
+    docxPrefetchStop.current = prefetchWhileVisible(
+      sections.length ? Array.from(sections) : [container],
+      (el) => Array.from(el.querySelectorAll(".hr-word"), (span) => span.textContent),
+      flowLexicon,
+      () => targetRef.current
+    );
+    setDocxWords(
+      Array.from(container.querySelectorAll(".hr-word"), (el) => ({
+        WordText: el.textContent,
+        lineText: "",
+        el,
+      }))
+    );
+    if (doc?.position?.scrollY) window.scrollTo({ top: doc.position.scrollY });
     setStatus("Done.");
   }
 
   async function translateLine(text, source = "ar", target = "en") {
     try {
-      const t = await translateAPI(text, source, target);
-      return t;
+      return await translateAPIDetailed(text, source, target);
     } catch {
-      return "";
+      return { text: "", provider: null };
+    }
+  }
+
+  const docWords = useMemo(
+    () => (docxMode ? docxWords : pages.flatMap((p) => p.overlay || [])),
+    [docxMode, docxWords, pages]
+  );
+  // -------- Search --------
+  // PDF: analyzed pages' words by line; DOCX: wrapped words grouped by their block
+  const searchIndex = useMemo(() => {
+    if (docxMode) {
+      const lines = [];
+      for (const w of docxWords) {
+        const block = w.el.parentElement?.closest(TEXT_BLOCK);
+        const last = lines[lines.length - 1];
+        if (last && last.block === block) last.words.push({ text: w.WordText, ref: w.el });
+        else lines.push({ page: null, block, words: [{ text: w.WordText, ref: w.el }] });
+      }
+      for (const line of lines) {
+        line.text = (line.block?.innerText || "").replace(/\s+/g, " ").trim();
+      }
+      return buildSearchIndex(lines, profile.code);
+    }
+    return buildSearchIndex(
+      pages.flatMap((p, i) =>
+        p.status === "done"
+          ? readingOrder(p.overlay || []).map((line) => ({
+              page: i,
+              text: line.text,
+              words: line.words.map((w) => ({ text: w.WordText, ref: w })),
+            }))
+          : []
+      ),
+      profile.code
+    );
+  }, [docxMode, docxWords, pages, profile.code]);
+  const searchHits = useMemo(
+    () => findMatches(searchIndex, searchQuery, { limit: SEARCH_LIMIT, language: profile.code }),
+    [searchIndex, searchQuery, profile.code]
+  );
+  const currentHit = Math.min(hitIndex, Math.max(0, searchHits.length - 1));
+
+  // PDF highlights: page index → Map(overlay word → is it the current hit)
+  const searchHighlights = useMemo(() => {
+    const byPage = new Map();
+    searchHits.forEach((hit, i) => {
+      if (hit.page == null) return;
+      if (!byPage.has(hit.page)) byPage.set(hit.page, new Map());
+      for (const w of hit.refs) byPage.get(hit.page).set(w, i === currentHit);
+    });
+    return byPage;
+  }, [searchHits, currentHit]);
+
+  // DOCX highlights are set on the spans themselves
+  useEffect(() => {
+    if (!docxMode) return undefined;
+    const marked = [];
+    searchHits.forEach((hit, i) => {
+      for (const el of hit.refs) {
+        marked.push([el, el.style.background]);
+        el.style.background = SEARCH_HIT_COLORS[i === currentHit ? "current" : "other"];
+      }
+    });
+    // Restore in reverse, so a span marked twice gets its own background back
+    return () => marked.reverse().forEach(([el, background]) => (el.style.background = background));
+  }, [docxMode, searchHits, currentHit]);
+
+  function goToHit(i) {
+    const hit = searchHits[i];
+    if (!hit) return;
+    setHitIndex(i);
+    if (docxMode) {
+      hit.refs[0].scrollIntoView({ block: "center" });
+    } else {
+      goToPage(hit.page);
+      setSearchFocus({ word: hit.refs[0], done: false });
     }
   }
 
-  function onWordClickPDF(w) {
-    setActiveWord({ w, gloss: null, translation: null });
+  const docRoots = useMemo(
+    () => groupWordsByRoot(docWords, lexicon),
+    // lexicon.version changes whenever another shard has been indexed
+    [docWords, lexicon, lexicon.version]
+  );
+
+  // Clicking a word pulls in its root family and the shards for the document's words
+  useEffect(() => {
+    const word = activeWord?.w?.WordText;
+    if (!word) return;
+    (async () => {
+      await lexicon.ensureFor(word);
+      const root = lookupWord(word, lexicon)?.entry?.root;
+      if (root) await lexicon.ensureRoot(root);
+      await lexicon.ensureForWords(docWords.map((w) => w.WordText));
+    })().catch(() => {});
+  }, [activeWord, docWords, lexicon]);
+
+  function onWordClickPDF(w, page) {
+    setActiveWord({ w, page, gloss: null, translation: null });
   }
-  async function onWordDblClickPDF(w) {
-    const translated = await translateLine(w.lineText || w.WordText, "ar", "en");
-    setActiveWord((prev) => ({ ...(prev || { w }), translation: translated }));
+  async function onWordDblClickPDF(w, page) {
+    const sentence = sentenceAt(pages[page - 1]?.overlay || [], w);
+    const { text, provider } = await translateLine(
+      sentence?.text || w.WordText,
+      profile.code,
+      translateTo
+    );
+    setActiveWord((prev) => ({
+      ...(prev || { w, page }),
+      sentence,
+      translation: text,
+      translationProvider: provider,
+    }));
+  }
+
+  useEffect(() => {
+    const word = activeWord?.w?.WordText;
+    setActiveSaved(false);
+    if (word) isSaved(word.trim(), profile.code).then(setActiveSaved);
+  }, [activeWord, profile.code]);
+
+  async function saveActiveWord() {
+    const { w, page, sentence, translation } = activeWord;
+    const word = (w.WordText || "").trim();
+    const entry = lookupWord(word, lexicon)?.entry;
+    const gloss = entry
+      ? (entry.glosses || []).join(", ")
+      : await getWordTooltip(word, lexicon, { target: translateTo });
+    try {
+      await saveWord(
+        {
+          word,
+          lemma: entry?.lemma || "",
+          root: entry?.root || "",
+          gloss: gloss === word ? "" : gloss,
+          translation: translation || "",
+          lineText: sentence?.text || w.lineText || "",
+          page: page || null,
+          docName,
+        },
+        profile.code
+      );
+      setActiveSaved(true);
+      setNotebookVersion((v) => v + 1);
+    } catch (e) {
+      setGlobalError("Could not save word: " + (e?.message || e));
+    }
   }
 
   return (
     <div>
       {/* Top bar */}
       <div
+        ref={topbarRef}
         className="topbar"
         style={{
           position: "sticky",
@@ -652,88 +1586,251 @@ export default function App() {
             gap: 16,
           }}
         >
-          <div style={STYLES.toolbar}>
-            <input
-              type="file"
-              accept=".pdf,.docx,application/pdf,application/vnd.openxmlformats-officedocument.wordprocessingml.document"
-              onChange={(e) => e.target.files?.[0] && handleFile(e.target.files[0])}
-              style={STYLES.input}
-            />
-            {!docxMode && (
-              <>
-                <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
-                  Max pages:
-                  <input
-                    type="number"
-                    min={1}
-                    value={maxPages}
-                    onChange={(e) => setMaxPages(e.target.value)}
-                    style={{ ...STYLES.input, width: 90 }}
-                  />
-                </label>
-                <select
-                  value={lang}
-                  onChange={(e) => setLang(e.target.value)}
-                  style={STYLES.input}
-                  title="OCR language (for images or non-Unicode PDFs)"
+          <div>
+            <div style={STYLES.toolbar}>
+              <input
+                type="file"
+                accept={DOCUMENT_ACCEPT}
+                onChange={(e) => e.target.files?.[0] && handleFile(e.target.files[0])}
+                style={STYLES.input}
+              />
+              <label
+                style={{ ...STYLES.input, minWidth: 0, cursor: "pointer" }}
+                title="Take a photo of a page"
+              >
+                Camera
+                <input
+                  type="file"
+                  accept="image/*"
+                  capture="environment"
+                  onChange={(e) => e.target.files?.[0] && handleFile(e.target.files[0])}
+                  style={{ display: "none" }}
+                />
+              </label>
+              <select
+                value={profile.code}
+                onChange={(e) => changeProfile(e.target.value)}
+                style={STYLES.input}
+                title="Language the document is written in (kept with the document)"
+              >
+                {PROFILES.map((p) => (
+                  <option key={p.code} value={p.code}>
+                    {p.name}
+                  </option>
+                ))}
+              </select>
+              <label
+                style={{ display: "flex", gap: 6, alignItems: "center" }}
+                title="Translate into (any language code the translation service knows)"
+              >
+                →
+                <input
+                  list="hr-target-languages"
+                  value={target}
+                  onChange={(e) => setTarget(e.target.value)}
+                  placeholder="en"
+                  style={{ ...STYLES.input, minWidth: 0, width: 70 }}
+                />
+                <datalist id="hr-target-languages">
+                  {TARGET_LANGUAGES.map(([code, name]) => (
+                    <option key={code} value={code}>
+                      {name}
+                    </option>
+                  ))}
+                </datalist>
+              </label>
+              {!docxMode && (
+                <>
+                  <select
+                    value={lang}
+                    onChange={(e) => setLang(e.target.value)}
+                    style={STYLES.input}
+                    title="OCR language (for images or non-Unicode PDFs)"
+                  >
+                    {Object.entries(OCR_LANGUAGES).map(([code, name]) => (
+                      <option key={code} value={code}>
+                        {name} ({code})
+                      </option>
+                    ))}
+                  </select>
+                  <select
+                    value={ocrEngine}
+                    onChange={(e) => setOcrEngine(e.target.value)}
+                    style={STYLES.input}
+                    title="Where scanned pages are recognized"
+                  >
+                    <option value="auto">OCR: local first, server on low confidence</option>
+                    <option value="local">OCR: local (offline)</option>
+                    <option value="server">OCR: server (ocr.space)</option>
+                    <option value="server-pdf">OCR: server, PDF pages (no rasterizing)</option>
+                  </select>
+                  <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                    Parallel pages:
+                    <input
+                      type="number"
+                      min={1}
+                      max={6}
+                      value={ocrConcurrency}
+                      onChange={(e) =>
+                        setOcrConcurrency(Math.min(6, Math.max(1, Number(e.target.value) || 1)))
+                      }
+                      style={{ ...STYLES.input, minWidth: 0, width: 60 }}
+                    />
+                  </label>
+                  <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                    <input
+                      type="checkbox"
+                      checked={showBoxes}
+                      onChange={(e) => setShowBoxes(e.target.checked)}
+                    />
+                    Show boxes
+                  </label>
+                  <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                    <input
+                      type="checkbox"
+                      checked={forceOcr}
+                      onChange={(e) => setForceOcr(e.target.checked)}
+                    />
+                    Force OCR
+                  </label>
+                  <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                    <input
+                      type="checkbox"
+                      checked={testBoxes}
+                      onChange={(e) => setTestBoxes(e.target.checked)}
+                    />
+                    Draw test boxes
+                  </label>
+                  <label
+                    style={{ display: "flex", gap: 6, alignItems: "center" }}
+                    title="Outline the glyphs pdf.js draws and the word boxes made from them"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={debugBoxes}
+                      onChange={(e) => setDebugBoxes(e.target.checked)}
+                    />
+                    Debug word boxes
+                  </label>
+                </>
+              )}
+              {pdfSession && !docxMode && !(pdfSession.pdf instanceof ImageDocument) && (
+                <button
+                  onClick={exportSearchablePdf}
+                  title="The original PDF with the OCR text as an invisible, searchable layer"
                 >
-                  <option value="ara">Arabic (ara)</option>
-                  <option value="eng">English (eng)</option>
-                </select>
-                <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
-                  <input
-                    type="checkbox"
-                    checked={showBoxes}
-                    onChange={(e) => setShowBoxes(e.target.checked)}
-                  />
-                  Show boxes
-                </label>
-                <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
-                  <input
-                    type="checkbox"
-                    checked={forceOcr}
-                    onChange={(e) => setForceOcr(e.target.checked)}
-                  />
-                  Force OCR
-                </label>
-                <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
-                  <input
-                    type="checkbox"
-                    checked={testBoxes}
-                    onChange={(e) => setTestBoxes(e.target.checked)}
-                  />
-                  Draw test boxes
-                </label>
-              </>
+                  Export searchable PDF
+                </button>
+              )}
+              {pdfSession && !docxMode && (
+                <ExportSelect
+                  label="Export text…"
+                  title="Recognized text of every analyzed page"
+                  onPick={(format) => exportOcr(format, pages.map((_, i) => i))}
+                />
+              )}
+              <button onClick={() => setPanel((p) => (p === "paste" ? null : "paste"))}>
+                Paste text
+              </button>
+              <button onClick={() => setPanel((p) => (p === "library" ? null : "library"))}>
+                Library
+              </button>
+              <button onClick={() => setPanel((p) => (p === "notebook" ? null : "notebook"))}>
+                Notebook
+              </button>
+              <button onClick={() => setPanel((p) => (p === "cache" ? null : "cache"))}>
+                Cache settings
+              </button>
+              {busy ? <span>Processing…</span> : <span>Ready</span>}
+              {status && <span style={STYLES.badge}>{status}</span>}
+              {(jobCounts.running > 0 || jobCounts.queued > 0) && (
+                <span style={STYLES.badge}>
+                  pages: {jobCounts.running} running · {jobCounts.queued} queued
+                </span>
+              )}
+              {jobCounts.failed > 0 && (
+                <span style={STYLES.warning}>{jobCounts.failed} failed</span>
+              )}
+            </div>
+            {pdfSession && !docxMode && (
+              <PageNavigator session={pdfSession} current={currentPage} onGo={goToPage} />
             )}
-            {busy ? <span>Processing…</span> : <span>Ready</span>}
-            {status && <span style={STYLES.badge}>{status}</span>}
           </div>
 
           <div style={STYLES.sidebar}>
+            {(pdfSession || docxMode) && (
+              <Search
+                query={searchQuery}
+                onQuery={(q) => {
+                  setSearchQuery(q);
+                  setHitIndex(0);
+                }}
+                hits={searchHits}
+                current={currentHit}
+                onCurrent={goToHit}
+                limit={SEARCH_LIMIT}
+                scope={docxMode ? "" : "in analyzed pages"}
+              />
+            )}
+            {docxMode && toc && (
+              <TableOfContents
+                entries={toc}
+                onGo={(id) => document.getElementById(id)?.scrollIntoView()}
+              />
+            )}
             <h3 style={{ marginTop: 0 }}>Details</h3>
             {!activeWord && (
               <div>
-                Hover a word → English tooltip. Click a word → inspect. Double-click a line → translate.
+                Hover a word → translation tooltip. Click a word → root & word family. Double-click a line → translate.
               </div>
             )}
             {activeWord && (
               <div>
-                <div style={{ fontSize: 18, marginBottom: 8 }} dir="rtl">
-                  {activeWord.w?.WordText}
+                <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 8 }}>
+                  <div style={{ fontSize: 18 }} dir="rtl">
+                    {activeWord.w?.WordText}
+                  </div>
+                  <button onClick={saveActiveWord} disabled={activeSaved}>
+                    {activeSaved ? "Saved ✓" : "Save word"}
+                  </button>
                 </div>
-                {activeWord.w?.lineText && (
+                {activeWord.sentence ? (
                   <div style={{ marginTop: 12 }}>
-                    <div style={{ fontSize: 12, color: "#9ca3af" }}>Line</div>
+                    <div style={{ fontSize: 12, color: "#9ca3af" }}>Sentence</div>
                     <div dir="rtl" style={{ fontSize: 16 }}>
-                      {activeWord.w.lineText}
+                      <Highlighted
+                        text={activeWord.sentence.text}
+                        word={activeWord.sentence.text.slice(
+                          activeWord.sentence.start,
+                          activeWord.sentence.end
+                        )}
+                        at={activeWord.sentence.start}
+                      />
                     </div>
                   </div>
+                ) : (
+                  activeWord.w?.lineText && (
+                    <div style={{ marginTop: 12 }}>
+                      <div style={{ fontSize: 12, color: "#9ca3af" }}>Line</div>
+                      <div dir="rtl" style={{ fontSize: 16 }}>
+                        {activeWord.w.lineText}
+                      </div>
+                    </div>
+                  )
                 )}
+                <EtymologyPanel
+                  word={activeWord.w?.WordText}
+                  lexicon={lexicon}
+                  docRoots={docRoots}
+                  onPick={(w) => setActiveWord({ w, translation: null })}
+                />
                 {activeWord.translation && (
                   <div style={{ marginTop: 12 }}>
                     <div style={{ fontSize: 12, color: "#9ca3af" }}>
                       Translation
+                      {activeWord.translationProvider && (
+                        <> · via {activeWord.translationProvider}</>
+                      )}
                     </div>
                     <div style={{ fontSize: 16 }}>
                       {activeWord.translation}
@@ -760,52 +1857,151 @@ export default function App() {
         }}
       >
         <div>
+          {panel === "cache" && <CacheSettings cache={WORD_CACHE} onClose={() => setPanel(null)} />}
+          {panel === "notebook" && (
+            <Notebook version={notebookVersion} onClose={() => setPanel(null)} />
+          )}
+          {panel === "library" && (
+            <Library version={libraryVersion} onOpen={openFromLibrary} onClose={() => setPanel(null)} />
+          )}
+          {panel === "paste" && (
+            <PasteText
+              onRead={(pasted) => {
+                setPanel(null);
+                handleFile(pastedFile(pasted));
+              }}
+              onClose={() => setPanel(null)}
+            />
+          )}
           {!docxMode && pages.length === 0 && (
             <div style={{ opacity: 0.7, marginTop: 40 }}>
-              Upload a PDF or DOCX to begin.
+              Upload a PDF, DOCX, EPUB, web page, text file or image (or paste one) to begin.
               <div style={{ marginTop: 8, fontSize: 13, color: "#9ca3af" }}>
-                (PDFs are limited to first {maxPages} page{Number(maxPages) > 1 ? "s" : ""} by default.)
+                (PDF pages are rendered and recognized as you scroll to them; photos and TIFF pages
+                are OCR'd the same way.)
               </div>
+              <Library compact version={libraryVersion} onOpen={openFromLibrary} />
             </div>
           )}
 
-          {/* PDF rendering */}
+          {/* PDF rendering: every page has a placeholder; only pages near the viewport have images */}
           {!docxMode &&
-            pages.map((p, i) => (
-              <div key={i}>
-                <div style={{ color: "#94a3b8", marginTop: 16 }}>
-                  Page {i + 1}
-                  <span style={STYLES.badge}>mode: {p.mode}</span>
-                  <span style={STYLES.badge}>boxes: {p.boxCount}</span>
-                  {p.reason && <span style={STYLES.warning}>• {p.reason}</span>}
+            pages.map((p, i) => {
+              const img = pdfSession.images.get(i);
+              const size = img || pdfSession.pageSize;
+              return (
+                <div key={i} ref={pageRef(i)} data-page={i}>
+                  <div style={{ color: "#94a3b8", marginTop: 16 }}>
+                    Page {i + 1}
+                    <span style={STYLES.badge}>
+                      {p.status === "done" ? `mode: ${p.mode}` : p.status}
+                      {p.attempt > 0 && ` (retry ${p.attempt})`}
+                    </span>
+                    {p.status === "done" && <span style={STYLES.badge}>boxes: {p.boxCount}</span>}
+                    {p.engine && (
+                      <span style={STYLES.badge}>
+                        engine: {p.engine}
+                        {p.confidence != null && ` (${Math.round(p.confidence)}%)`}
+                      </span>
+                    )}
+                    {p.cached && <span style={STYLES.badge}>cached</span>}
+                    {p.restored && <span style={STYLES.badge}>from library</span>}
+                    {p.reason && <span style={STYLES.warning}>• {p.reason}</span>}
+                    {p.edited && <span style={STYLES.badge}>corrected</span>}
+                    <PageActions
+                      page={p}
+                      lang={lang}
+                      profile={profile}
+                      ocrEngine={ocrEngine}
+                      onRun={(overrides) => {
+                        const discard = "Analyzing the page again discards its corrections.";
+                        if (p.edited && !window.confirm(discard)) return;
+                        if (editingPage === i) setEditingPage(null);
+                        pdfSession.reanalyze(i, overrides);
+                      }}
+                    />
+                    {p.status === "done" && (
+                      <button
+                        style={{ marginLeft: 8 }}
+                        onClick={() => setEditingPage(editingPage === i ? null : i)}
+                        title="Correct words and boxes on this page"
+                      >
+                        {editingPage === i ? "Done editing" : "Edit words"}
+                      </button>
+                    )}
+                    {p.edited && (
+                      <button
+                        style={{ marginLeft: 8 }}
+                        onClick={() =>
+                          window.confirm("Drop this page's corrections?") && pdfSession.revertEdits(i)
+                        }
+                      >
+                        Revert corrections
+                      </button>
+                    )}
+                    {p.status === "done" && (
+                      <ExportSelect
+                        label="Export…"
+                        title="Recognized text of this page"
+                        onPick={(format) => exportOcr(format, [i])}
+                        small
+                      />
+                    )}
+                  </div>
+                  {p.error && <div style={STYLES.error}>Error: {p.error}</div>}
+                  {p.renderError && <div style={STYLES.error}>Failed to render this page.</div>}
+                  {img ? (
+                    <PageOverlay
+                      img={img}
+                      overlay={p.overlay}
+                      lexicon={lexicon}
+                      target={translateTo}
+                      onWordClick={(w) => onWordClickPDF(w, i + 1)}
+                      onWordDblClick={(w) => onWordDblClickPDF(w, i + 1)}
+                      showBoxes={showBoxes}
+                      highlights={searchHighlights.get(i)}
+                      focus={searchFocus}
+                      editing={editingPage === i}
+                      onEdit={(words) => pdfSession.editPage(i, words)}
+                    >
+                      {debugBoxes &&
+                        editingPage !== i &&
+                        !(pdfSession.pdf instanceof ImageDocument) && (
+                          <WordBoxDebug
+                            pdf={pdfSession.pdf}
+                            pageNumber={i + 1}
+                            words={p.overlay}
+                          />
+                        )}
+                    </PageOverlay>
+                  ) : (
+                    <div
+                      style={{
+                        ...STYLES.page,
+                        width: size.width,
+                        height: size.height,
+                        marginTop: 20,
+                        display: "grid",
+                        placeItems: "center",
+                        color: "#4b5563",
+                      }}
+                    >
+                      {i + 1}
+                    </div>
+                  )}
                 </div>
-                {p.error && <div style={STYLES.error}>Error: {p.error}</div>}
-                {p.img ? (
-                  <PageOverlay
-                    img={p.img}
-                    overlay={p.overlay}
-                    lexicon={lexicon}
-                    onWordClick={onWordClickPDF}
-                    onWordDblClick={onWordDblClickPDF}
-                    showBoxes={showBoxes}
-                  />
-                ) : (
-                  <div style={STYLES.error}>Failed to render this page.</div>
-                )}
-              </div>
-            ))}
+              );
+            })}
 
-          {/* DOCX rendering */}
-          {docxMode && (
-            <div style={STYLES.docxShell}>
-              <div ref={docxContainerRef} style={STYLES.docxPage} dir="rtl" />
-              {hoverTip && (
-                <div style={{ ...STYLES.tip, left: hoverTip.x, top: hoverTip.y }}>
-                  {hoverTip.text}
-                </div>
-              )}
-            </div>
-          )}
+          {/* DOCX rendering; always mounted, so the loaders have a container to fill */}
+          <div style={{ ...STYLES.docxShell, display: docxMode ? undefined : "none" }}>
+            <div ref={docxContainerRef} style={STYLES.docxPage} dir="rtl" />
+            {hoverTip && (
+              <div style={{ ...STYLES.tip, left: hoverTip.x, top: hoverTip.y }}>
+                {hoverTip.text}
+              </div>
+            )}
+          </div>
         </div>
         <div /> {/* spacer */}
       </div>
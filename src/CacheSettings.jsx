@@ -0,0 +1,154 @@
+// HoverReader — settings view for the persistent translation cache
+
+import React, { useEffect, useState } from "react";
+import { downloadBlob } from "./download.js";
+import { STYLES } from "./styles.js";
+
+export function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+export default function CacheSettings({ cache, onClose }) {
+  const [stats, setStats] = useState(null);
+  const [entries, setEntries] = useState([]);
+  const [filter, setFilter] = useState("");
+  const [ttlDays, setTtlDays] = useState(cache.settings.ttlDays);
+  const [maxEntries, setMaxEntries] = useState(cache.settings.maxEntries);
+  const [message, setMessage] = useState("");
+
+  async function refresh() {
+    setStats(await cache.stats());
+    const all = await cache.entries();
+    setEntries(all.sort((a, b) => b.usedAt - a.usedAt));
+  }
+  useEffect(() => {
+    refresh();
+  }, [cache]);
+
+  async function applySettings() {
+    const evicted = await cache.updateSettings({
+      ttlDays: Math.max(1, Number(ttlDays) || 1),
+      maxEntries: Math.max(100, Number(maxEntries) || 100),
+    });
+    setMessage(`Saved. ${evicted} entr${evicted === 1 ? "y" : "ies"} evicted.`);
+    refresh();
+  }
+
+  async function clearAll() {
+    if (!window.confirm("Delete all cached translations?")) return;
+    await cache.clear();
+    setMessage("Cache cleared.");
+    refresh();
+  }
+
+  async function exportCache() {
+    const json = await cache.exportJson();
+    const stamp = json.exportedAt.slice(0, 10);
+    downloadBlob(
+      new Blob([JSON.stringify(json)], { type: "application/json" }),
+      `hoverreader-cache-${stamp}.json`
+    );
+  }
+
+  async function importCache(file) {
+    try {
+      const n = await cache.importJson(JSON.parse(await file.text()));
+      setMessage(`Imported ${n} translation${n === 1 ? "" : "s"}.`);
+    } catch (e) {
+      setMessage(`Import failed: ${e?.message || e}`);
+    }
+    refresh();
+  }
+
+  const q = filter.trim();
+  const matches = q ? entries.filter((r) => r.word.includes(q) || r.text.includes(q)) : entries;
+  const shown = matches.slice(0, 200);
+  const row = { display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", marginTop: 8 };
+
+  return (
+    <div style={{ ...STYLES.docxShell, marginTop: 16 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <h3 style={{ margin: 0 }}>Translation cache</h3>
+        <button onClick={onClose}>Close</button>
+      </div>
+      {stats && (
+        <div style={{ fontSize: 13, color: "#9ca3af", marginTop: 6 }}>
+          {stats.count} entries · ~{formatBytes(stats.bytes)}
+          {stats.oldest && <> · oldest {new Date(stats.oldest).toLocaleDateString()}</>}
+        </div>
+      )}
+      <div style={row}>
+        <label>
+          Keep for (days){" "}
+          <input
+            type="number"
+            min={1}
+            value={ttlDays}
+            onChange={(e) => setTtlDays(e.target.value)}
+            style={{ ...STYLES.input, minWidth: 0, width: 80 }}
+          />
+        </label>
+        <label>
+          Max entries{" "}
+          <input
+            type="number"
+            min={100}
+            step={100}
+            value={maxEntries}
+            onChange={(e) => setMaxEntries(e.target.value)}
+            style={{ ...STYLES.input, minWidth: 0, width: 100 }}
+          />
+        </label>
+        <button onClick={applySettings}>Apply</button>
+      </div>
+      <div style={row}>
+        <button onClick={exportCache}>Export JSON</button>
+        <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+          Import JSON
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={(e) => e.target.files?.[0] && importCache(e.target.files[0])}
+          />
+        </label>
+        <button onClick={clearAll}>Clear cache</button>
+        {message && <span style={STYLES.badge}>{message}</span>}
+      </div>
+      <input
+        placeholder="Filter by word or translation…"
+        value={filter}
+        onChange={(e) => setFilter(e.target.value)}
+        style={{ ...STYLES.input, marginTop: 12, width: "100%", boxSizing: "border-box" }}
+      />
+      <table style={{ width: "100%", marginTop: 8, fontSize: 13, borderCollapse: "collapse" }}>
+        <thead>
+          <tr style={{ color: "#9ca3af", textAlign: "left" }}>
+            <th>Word</th>
+            <th>Translation</th>
+            <th>Languages</th>
+            <th>Saved</th>
+          </tr>
+        </thead>
+        <tbody>
+          {shown.map((r) => (
+            <tr key={r.key} style={{ borderTop: "1px solid #1f2937" }}>
+              <td dir="rtl">{r.word}</td>
+              <td>{r.text}</td>
+              <td>
+                {r.source}→{r.target}
+              </td>
+              <td>{new Date(r.savedAt).toLocaleDateString()}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {matches.length > shown.length && (
+        <div style={{ fontSize: 12, color: "#9ca3af", marginTop: 6 }}>
+          Showing the {shown.length} most recently used of {matches.length}.
+        </div>
+      )}
+    </div>
+  );
+}
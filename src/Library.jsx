@@ -0,0 +1,113 @@
+// HoverReader — saved documents: reopen, delete, and how much storage they use
+
+import React, { useEffect, useState } from "react";
+import { formatBytes } from "./CacheSettings.jsx";
+import { deleteDocument, listDocuments, storageEstimate } from "./library.js";
+import { STYLES } from "./styles.js";
+
+function DocumentRow({ doc, onOpen, onDelete }) {
+  const paged = doc.kind === "pdf" || doc.kind === "image";
+  const pages = paged && doc.pageCount ? ` · ${doc.analyzedPages}/${doc.pageCount} pages analyzed` : "";
+  const position = paged && doc.position?.page ? ` · at page ${doc.position.page + 1}` : "";
+  return (
+    <tr style={{ borderTop: "1px solid #1f2937" }}>
+      <td>
+        <div>{doc.name}</div>
+        <div style={{ fontSize: 12, color: "#9ca3af" }}>
+          {doc.kind.toUpperCase()} · {formatBytes(doc.size + (doc.pagesBytes || 0))}
+          {pages}
+          {position}
+        </div>
+      </td>
+      <td>{new Date(doc.openedAt).toLocaleString()}</td>
+      <td style={{ whiteSpace: "nowrap", textAlign: "right" }}>
+        <button onClick={() => onOpen(doc)}>Open</button>
+        {onDelete && (
+          <button style={{ marginLeft: 6 }} onClick={() => onDelete(doc)}>
+            Delete
+          </button>
+        )}
+      </td>
+    </tr>
+  );
+}
+
+/**
+ * `version` changes whenever a document was added or updated elsewhere.
+ * `compact`: just the `limit` most recent, for the start screen.
+ */
+export default function Library({ version, onOpen, onClose, compact = false, limit = 5 }) {
+  const [docs, setDocs] = useState([]);
+  const [estimate, setEstimate] = useState(null);
+
+  async function refresh() {
+    setDocs(await listDocuments());
+    if (!compact) setEstimate(await storageEstimate());
+  }
+  useEffect(() => {
+    refresh();
+  }, [version]);
+
+  async function remove(doc) {
+    if (!window.confirm(`Delete "${doc.name}" and its saved pages from this browser?`)) return;
+    await deleteDocument(doc.id);
+    refresh();
+  }
+
+  const table = (rows, withDelete) => (
+    <table style={{ width: "100%", marginTop: 8, fontSize: 13, borderCollapse: "collapse" }}>
+      <tbody>
+        {rows.map((doc) => (
+          <DocumentRow key={doc.id} doc={doc} onOpen={onOpen} onDelete={withDelete ? remove : null} />
+        ))}
+      </tbody>
+    </table>
+  );
+
+  if (compact) {
+    if (!docs.length) return null;
+    return (
+      <div style={{ marginTop: 24 }}>
+        <div style={{ fontSize: 13, color: "#9ca3af" }}>Recent documents</div>
+        {table(docs.slice(0, limit), false)}
+      </div>
+    );
+  }
+
+  const used = docs.reduce((n, d) => n + d.size + (d.pagesBytes || 0), 0);
+  return (
+    <div style={{ ...STYLES.docxShell, marginTop: 16 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <h3 style={{ margin: 0 }}>Library</h3>
+        <button onClick={onClose}>Close</button>
+      </div>
+      <div style={{ fontSize: 13, color: "#9ca3af", marginTop: 6 }}>
+        {docs.length} document{docs.length === 1 ? "" : "s"} · ~{formatBytes(used)}
+        {estimate?.quota > 0 && (
+          <>
+            {" "}
+            · browser storage {formatBytes(estimate.usage)} of {formatBytes(estimate.quota)} (
+            {Math.round((estimate.usage / estimate.quota) * 100)}%)
+          </>
+        )}
+      </div>
+      {estimate?.quota > 0 && (
+        <div style={{ height: 6, background: "#1f2937", borderRadius: 3, marginTop: 6 }}>
+          <div
+            style={{
+              height: 6,
+              borderRadius: 3,
+              background: estimate.usage / estimate.quota > 0.8 ? "#f59e0b" : "#38bdf8",
+              width: `${Math.min(100, (estimate.usage / estimate.quota) * 100)}%`,
+            }}
+          />
+        </div>
+      )}
+      {docs.length ? (
+        table(docs, true)
+      ) : (
+        <div style={{ marginTop: 12, opacity: 0.7 }}>Documents you open are kept here.</div>
+      )}
+    </div>
+  );
+}
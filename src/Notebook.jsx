@@ -0,0 +1,203 @@
+// HoverReader — vocabulary notebook list and spaced-repetition review
+
+import React, { useEffect, useState } from "react";
+import { downloadBlob } from "./download.js";
+import { GRADES, deleteWord, dueCards, listWords, reviewWord } from "./notebook.js";
+import { STYLES } from "./styles.js";
+import { buildApkg, vocabToCsv, vocabToTsv } from "./vocabExport.js";
+
+/** Render `text` with `word` marked: at offset `at`, else its first occurrence */
+export function Highlighted({ text, word, at }) {
+  const i = at ?? (word ? (text || "").indexOf(word) : -1);
+  if (i < 0) return <>{text}</>;
+  return (
+    <>
+      {text.slice(0, i)}
+      <mark style={{ background: "rgba(250,204,21,.35)", color: "inherit" }}>{word}</mark>
+      {text.slice(i + word.length)}
+    </>
+  );
+}
+
+function CardBack({ card }) {
+  return (
+    <div style={{ marginTop: 12 }}>
+      <div style={{ fontSize: 16 }}>{card.gloss || card.translation || "—"}</div>
+      {(card.lemma || card.root) && (
+        <div style={{ fontSize: 13, color: "#9ca3af", marginTop: 4 }} dir="rtl">
+          {card.lemma}
+          {card.root && <> · {card.root.split("-").join(" ")}</>}
+        </div>
+      )}
+      {card.translation && card.translation !== card.gloss && (
+        <div style={{ fontSize: 13, color: "#9ca3af", marginTop: 4 }}>{card.translation}</div>
+      )}
+    </div>
+  );
+}
+
+function Review({ cards, onDone }) {
+  const [queue, setQueue] = useState(cards);
+  const [revealed, setRevealed] = useState(false);
+  const card = queue[0];
+
+  async function grade(quality) {
+    const updated = await reviewWord(card, quality);
+    // Failed cards come back at the end of this session
+    setQueue((q) => (quality < 3 ? [...q.slice(1), updated] : q.slice(1)));
+    setRevealed(false);
+  }
+
+  if (!card) {
+    return (
+      <div style={{ marginTop: 12 }}>
+        Review finished. <button onClick={onDone}>Back to notebook</button>
+      </div>
+    );
+  }
+  return (
+    <div style={{ marginTop: 12 }}>
+      <div style={{ fontSize: 12, color: "#9ca3af" }}>{queue.length} left</div>
+      <div dir="rtl" style={{ fontSize: 28, marginTop: 8 }}>
+        {card.word}
+      </div>
+      {card.lineText && (
+        <div dir="rtl" style={{ fontSize: 16, marginTop: 8, color: "#cbd5e1" }}>
+          <Highlighted text={card.lineText} word={card.word} />
+        </div>
+      )}
+      {revealed ? (
+        <>
+          <CardBack card={card} />
+          <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
+            {GRADES.map((g) => (
+              <button key={g.label} onClick={() => grade(g.quality)}>
+                {g.label}
+              </button>
+            ))}
+          </div>
+        </>
+      ) : (
+        <button style={{ marginTop: 12 }} onClick={() => setRevealed(true)}>
+          Show answer
+        </button>
+      )}
+      <div style={{ marginTop: 12 }}>
+        <button onClick={onDone}>Stop review</button>
+      </div>
+    </div>
+  );
+}
+
+export default function Notebook({ onClose, version }) {
+  const [cards, setCards] = useState([]);
+  const [reviewing, setReviewing] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState("");
+
+  async function refresh() {
+    setCards(await listWords());
+  }
+  useEffect(() => {
+    refresh();
+  }, [version]);
+
+  async function remove(id) {
+    await deleteWord(id);
+    refresh();
+  }
+
+  async function exportAs(kind) {
+    const stamp = new Date().toISOString().slice(0, 10);
+    setExporting(true);
+    setError("");
+    try {
+      if (kind === "apkg") {
+        downloadBlob(await buildApkg(cards), `hoverreader-vocabulary-${stamp}.apkg`);
+      } else if (kind === "tsv") {
+        const blob = new Blob([vocabToTsv(cards)], { type: "text/tab-separated-values" });
+        downloadBlob(blob, `hoverreader-vocabulary-${stamp}.tsv`);
+      } else {
+        // BOM so spreadsheet apps detect UTF-8 Arabic
+        const blob = new Blob(["\ufeff", vocabToCsv(cards)], { type: "text/csv" });
+        downloadBlob(blob, `hoverreader-vocabulary-${stamp}.csv`);
+      }
+    } catch (e) {
+      setError("Export failed: " + (e?.message || e));
+    } finally {
+      setExporting(false);
+    }
+  }
+
+  const due = dueCards(cards);
+
+  return (
+    <div style={{ ...STYLES.docxShell, marginTop: 16 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <h3 style={{ margin: 0 }}>Notebook</h3>
+        <div style={{ display: "flex", gap: 8 }}>
+          {!reviewing && (
+            <button disabled={!due.length} onClick={() => setReviewing(due)}>
+              Review ({due.length} due)
+            </button>
+          )}
+          <button onClick={onClose}>Close</button>
+        </div>
+      </div>
+
+      {reviewing ? (
+        <Review
+          cards={reviewing}
+          onDone={() => {
+            setReviewing(null);
+            refresh();
+          }}
+        />
+      ) : (
+        <>
+          {cards.length === 0 ? (
+            <div style={{ marginTop: 12, color: "#9ca3af" }}>
+              No saved words yet. Click a word, then “Save word” in the sidebar.
+            </div>
+          ) : (
+            <div style={{ display: "flex", gap: 8, alignItems: "center", margin: "12px 0" }}>
+              Export:
+              <button disabled={exporting} onClick={() => exportAs("apkg")}>
+                Anki (.apkg)
+              </button>
+              <button disabled={exporting} onClick={() => exportAs("tsv")}>
+                TSV
+              </button>
+              <button disabled={exporting} onClick={() => exportAs("csv")}>
+                CSV
+              </button>
+            </div>
+          )}
+          {error && <div style={STYLES.error}>{error}</div>}
+          {cards.map((c) => (
+            <div key={c.id} style={{ borderTop: "1px solid #1f2937", padding: "8px 0" }}>
+              <div style={{ display: "flex", justifyContent: "space-between", gap: 8 }}>
+                <div>
+                  <span dir="rtl" style={{ fontSize: 18 }}>
+                    {c.word}
+                  </span>
+                  <span style={{ marginLeft: 8 }}>{c.gloss || c.translation}</span>
+                </div>
+                <button onClick={() => remove(c.id)}>Delete</button>
+              </div>
+              {c.lineText && (
+                <div dir="rtl" style={{ fontSize: 14, color: "#cbd5e1" }}>
+                  <Highlighted text={c.lineText} word={c.word} />
+                </div>
+              )}
+              <div style={{ fontSize: 12, color: "#9ca3af" }}>
+                {c.docName}
+                {c.page && <> · p. {c.page}</>} · due {new Date(c.srs.due).toLocaleDateString()}
+              </div>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
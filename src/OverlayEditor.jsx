@@ -0,0 +1,256 @@
+// HoverReader — correction editor for one page's overlay words (see overlayEdit.js).
+// Click a box to select it (Shift+click for several), fix its text, drag it to move
+// it or its corner to resize it; split, merge or delete boxes, and draw a box
+// around a word the OCR missed.
+
+import React, { useEffect, useRef, useState } from "react";
+import {
+  addWord,
+  deleteWord,
+  mergeWords,
+  setWordBox,
+  setWordText,
+  splitWord,
+} from "./overlayEdit.js";
+import { STYLES } from "./styles.js";
+
+const MIN_BOX = 4;
+
+export default function OverlayEditor({ words, onChange }) {
+  const [selected, setSelected] = useState([]); // word indices
+  const [draft, setDraft] = useState(null); // { index, box } while dragging; index null: new word
+  const [adding, setAdding] = useState(false);
+  const [text, setText] = useState("");
+  const layerRef = useRef(null);
+  const inputRef = useRef(null);
+  const drag = useRef(null);
+
+  const single = selected.length === 1 ? selected[0] : null;
+  const newWord = draft?.index === null && !drag.current;
+  useEffect(() => setSelected((sel) => sel.filter((i) => i < words.length)), [words]);
+  useEffect(() => {
+    if (!newWord) setText(single != null ? words[single]?.WordText || "" : "");
+  }, [single, words, newWord]);
+
+  function commit(next, select = []) {
+    onChange(next);
+    setSelected(select);
+    setDraft(null);
+  }
+
+  function point(e) {
+    const r = layerRef.current.getBoundingClientRect();
+    return { x: e.clientX - r.left, y: e.clientY - r.top };
+  }
+
+  function startDrag(e, mode, index = null) {
+    e.stopPropagation();
+    e.preventDefault();
+    const p = point(e);
+    const w = index != null ? words[index] : { Left: p.x, Top: p.y, Width: 0, Height: 0 };
+    const box = { Left: w.Left, Top: w.Top, Width: w.Width, Height: w.Height };
+    drag.current = { mode, index, start: p, box, moved: false };
+    layerRef.current.setPointerCapture(e.pointerId);
+  }
+
+  function onPointerMove(e) {
+    const d = drag.current;
+    if (!d) return;
+    const p = point(e);
+    const dx = p.x - d.start.x;
+    const dy = p.y - d.start.y;
+    d.moved ||= Math.abs(dx) + Math.abs(dy) > 2;
+    let box;
+    if (d.mode === "move") {
+      box = { ...d.box, Left: d.box.Left + dx, Top: d.box.Top + dy };
+    } else if (d.mode === "resize") {
+      box = {
+        ...d.box,
+        Width: Math.max(MIN_BOX, d.box.Width + dx),
+        Height: Math.max(MIN_BOX, d.box.Height + dy),
+      };
+    } else {
+      box = {
+        Left: Math.min(d.start.x, p.x),
+        Top: Math.min(d.start.y, p.y),
+        Width: Math.abs(dx),
+        Height: Math.abs(dy),
+      };
+    }
+    setDraft({ index: d.index, box });
+  }
+
+  function onPointerUp() {
+    const d = drag.current;
+    drag.current = null;
+    if (!d || !d.moved || !draft) {
+      setDraft(null);
+      return;
+    }
+    if (d.mode === "draw") {
+      if (draft.box.Width < MIN_BOX || draft.box.Height < MIN_BOX) {
+        setDraft(null);
+        return;
+      }
+      // Keep the drawn box until its text is typed
+      setText("");
+      setDraft({ ...draft });
+      setTimeout(() => inputRef.current?.focus());
+      return;
+    }
+    commit(setWordBox(words, d.index, draft.box), [d.index]);
+  }
+
+  function onBoxDown(e, i) {
+    if (e.shiftKey) {
+      e.stopPropagation();
+      setSelected((sel) => (sel.includes(i) ? sel.filter((j) => j !== i) : [...sel, i]));
+      return;
+    }
+    setSelected([i]);
+    startDrag(e, "move", i);
+  }
+
+  function onLayerDown(e) {
+    if (adding) startDrag(e, "draw");
+    else setSelected([]);
+  }
+
+  function apply() {
+    if (newWord) {
+      if (text.trim()) commit(addWord(words, draft.box, text));
+    } else if (single != null) {
+      commit(setWordText(words, single, text), text.trim() ? [single] : []);
+    }
+  }
+
+  function remove() {
+    const next = [...selected].sort((a, b) => b - a).reduce((ws, i) => deleteWord(ws, i), words);
+    commit(next);
+  }
+
+  const button = { padding: "2px 8px", fontSize: 12 };
+  return (
+    <>
+      <div
+        ref={layerRef}
+        style={{ ...STYLES.overlayLayer, cursor: adding ? "crosshair" : "default" }}
+        onPointerDown={onLayerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+      >
+        {words.map((w, i) => {
+          const box = draft?.index === i ? draft.box : w;
+          const isSelected = selected.includes(i);
+          return (
+            <div
+              key={i}
+              onPointerDown={(e) => onBoxDown(e, i)}
+              title={w.WordText}
+              style={{
+                ...STYLES.overlayWord,
+                left: box.Left,
+                top: box.Top,
+                width: box.Width,
+                height: box.Height,
+                cursor: "move",
+                background: isSelected ? "rgba(250,204,21,.3)" : "rgba(147,197,253,.16)",
+                outline: w.edited ? "1px dashed #4ade80" : "1px solid rgba(147,197,253,.5)",
+              }}
+            >
+              {isSelected && single === i && (
+                <div
+                  onPointerDown={(e) => startDrag(e, "resize", i)}
+                  style={{
+                    position: "absolute",
+                    right: -5,
+                    bottom: -5,
+                    width: 10,
+                    height: 10,
+                    background: "#facc15",
+                    borderRadius: 2,
+                    cursor: "nwse-resize",
+                  }}
+                />
+              )}
+            </div>
+          );
+        })}
+        {draft?.index === null && (
+          <div
+            style={{
+              ...STYLES.overlayWord,
+              left: draft.box.Left,
+              top: draft.box.Top,
+              width: draft.box.Width,
+              height: draft.box.Height,
+              outline: "2px dashed #facc15",
+            }}
+          />
+        )}
+      </div>
+      <div
+        onPointerDown={(e) => e.stopPropagation()}
+        style={{
+          ...STYLES.toolbar,
+          position: "absolute",
+          top: 8,
+          left: 8,
+          right: 8,
+          zIndex: 10,
+          gap: 6,
+          padding: 6,
+          borderRadius: 8,
+          background: "rgba(17,17,17,.85)",
+          fontSize: 12,
+        }}
+      >
+        <input
+          ref={inputRef}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") apply();
+            if (e.key === "Escape") setDraft(null);
+          }}
+          disabled={single == null && !newWord}
+          placeholder={newWord ? "Text of the new word" : "Select a box"}
+          dir="auto"
+          style={{ ...STYLES.input, minWidth: 0, width: 180, padding: "2px 6px" }}
+        />
+        <button style={button} onClick={apply} disabled={single == null && !newWord}>
+          {newWord ? "Add" : "Set text"}
+        </button>
+        <button
+          style={button}
+          onClick={() => commit(splitWord(words, single), [single, single + 1])}
+          disabled={single == null}
+        >
+          Split
+        </button>
+        <button
+          style={button}
+          onClick={() => commit(mergeWords(words, selected), [Math.min(...selected)])}
+          disabled={selected.length < 2}
+          title="Merge the selected boxes (Shift+click to select several)"
+        >
+          Merge
+        </button>
+        <button style={button} onClick={remove} disabled={!selected.length}>
+          Delete
+        </button>
+        <label style={{ display: "flex", gap: 4, alignItems: "center" }}>
+          <input
+            type="checkbox"
+            checked={adding}
+            onChange={(e) => {
+              setAdding(e.target.checked);
+              setDraft(null);
+            }}
+          />
+          Draw new words
+        </label>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,50 @@
+// HoverReader — paste (or type) text or a web page's HTML and read it like a document
+
+import React, { useRef, useState } from "react";
+import { STYLES } from "./styles.js";
+
+/** `onRead({ html, text })` with the box's content; formatting pasted into it is kept */
+export default function PasteText({ onRead, onClose }) {
+  const box = useRef(null);
+  const [empty, setEmpty] = useState(true);
+
+  function read() {
+    const el = box.current;
+    const text = el.innerText.trim();
+    if (!text) return;
+    // Only worth keeping as HTML if something other than line breaks came in
+    const html = el.querySelector(":not(div, br, span)") ? el.innerHTML : "";
+    onRead({ html, text });
+  }
+
+  return (
+    <div style={{ ...STYLES.docxShell, marginTop: 16 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <h3 style={{ margin: 0 }}>Paste text</h3>
+        <button onClick={onClose}>Close</button>
+      </div>
+      <div style={{ fontSize: 13, color: "#9ca3af", marginTop: 6 }}>
+        Paste an article or a web page here (or anywhere on the page outside a text field).
+      </div>
+      <div
+        ref={box}
+        contentEditable
+        dir="auto"
+        onInput={(e) => setEmpty(!e.currentTarget.innerText.trim())}
+        style={{
+          ...STYLES.docxPage,
+          width: "auto",
+          minHeight: 160,
+          maxHeight: 360,
+          overflowY: "auto",
+          margin: "12px 0",
+          direction: undefined,
+          outline: "none",
+        }}
+      />
+      <button onClick={read} disabled={empty}>
+        Read
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+// HoverReader — document search box: hit count, previous/next and the hit list
+
+import React from "react";
+import { Highlighted } from "./Notebook.jsx";
+import { STYLES } from "./styles.js";
+
+const SHOWN_HITS = 200;
+
+/** `scope` qualifies the count, e.g. "in analyzed pages" */
+export default function Search({ query, onQuery, hits, current, onCurrent, limit, scope = "" }) {
+  const step = (d) => hits.length && onCurrent((current + d + hits.length) % hits.length);
+  const shown = hits.slice(0, SHOWN_HITS);
+  const row = { display: "flex", gap: 6, alignItems: "center" };
+
+  return (
+    <div style={{ marginBottom: 12 }}>
+      <div style={row}>
+        <input
+          type="search"
+          placeholder="Search the document…"
+          value={query}
+          onChange={(e) => onQuery(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && step(e.shiftKey ? -1 : 1)}
+          dir="auto"
+          style={{ ...STYLES.input, minWidth: 0, flex: 1 }}
+        />
+        <button onClick={() => step(-1)} disabled={!hits.length} title="Previous (Shift+Enter)">
+          ◀
+        </button>
+        <button onClick={() => step(1)} disabled={!hits.length} title="Next (Enter)">
+          ▶
+        </button>
+      </div>
+      {query.trim() && (
+        <div style={{ fontSize: 12, color: "#9ca3af", marginTop: 4 }}>
+          {hits.length ? `${current + 1} / ${hits.length}${hits.length >= limit ? "+" : ""}` : "No matches"}
+          {scope && ` ${scope}`}
+        </div>
+      )}
+      {shown.length > 0 && (
+        <div style={{ maxHeight: 180, overflowY: "auto", marginTop: 6, fontSize: 13 }}>
+          {shown.map((hit, i) => (
+            <div
+              key={i}
+              onClick={() => onCurrent(i)}
+              style={{
+                padding: "4px 6px",
+                borderRadius: 6,
+                cursor: "pointer",
+                background: i === current ? "rgba(147,197,253,.15)" : "transparent",
+              }}
+            >
+              {hit.page != null && <span style={{ color: "#9ca3af" }}>p. {hit.page + 1} · </span>}
+              <span dir="rtl">
+                <Highlighted text={hit.text || hit.words.join(" ")} word={hit.words[0]} />
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
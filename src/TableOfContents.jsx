@@ -0,0 +1,30 @@
+// HoverReader — an EPUB's (or a long HTML page's) table of contents, in the sidebar
+
+import React from "react";
+
+/** `entries`: { label, depth, id } (see epub.js); `onGo(id)` scrolls there */
+export default function TableOfContents({ entries, onGo }) {
+  return (
+    <details open style={{ marginBottom: 12 }}>
+      <summary style={{ cursor: "pointer", fontWeight: 600 }}>Contents</summary>
+      <div style={{ maxHeight: 220, overflowY: "auto", marginTop: 6, fontSize: 13 }}>
+        {entries.map((entry, i) => (
+          <div
+            key={i}
+            onClick={() => onGo(entry.id)}
+            dir="auto"
+            style={{
+              padding: "3px 6px",
+              paddingInlineStart: 6 + entry.depth * 14,
+              borderRadius: 6,
+              cursor: "pointer",
+              color: entry.depth ? "#cbd5e1" : "#e5e7eb",
+            }}
+          >
+            {entry.label}
+          </div>
+        ))}
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,91 @@
+// HoverReader — debug layer over a page: the glyph boxes pdf.js draws against the word
+// boxes the overlay uses, to check text-layer word placement (textLayout.js) by eye
+
+import React, { useEffect, useState } from "react";
+import { pageGlyphs } from "./pdfGlyphs.js";
+import { PAGE_SCALE } from "./pdfSession.js";
+
+const COLORS = {
+  glyph: "rgba(248,113,113,.8)",
+  glyphs: "rgba(59,130,246,.95)", // word boxes cut from the glyphs
+  measured: "rgba(245,158,11,.95)", // word boxes from measured widths
+  ocr: "rgba(156,163,175,.9)",
+  edited: "rgba(74,222,128,.95)", // corrected by hand (overlayEdit.js)
+};
+
+const sourceOf = (w) => (w.edited ? "edited" : w.boxSource || "ocr");
+
+/** Outlines `words` (a page overlay) and the glyphs of page `pageNumber` of `pdf` */
+export default function WordBoxDebug({ pdf, pageNumber, words }) {
+  const [glyphs, setGlyphs] = useState([]);
+
+  useEffect(() => {
+    let live = true;
+    pdf
+      .getPage(pageNumber)
+      .then((page) => pageGlyphs(page, page.getViewport({ scale: PAGE_SCALE })))
+      .then(
+        (found) => live && setGlyphs(found),
+        () => live && setGlyphs([])
+      );
+    return () => {
+      live = false;
+    };
+  }, [pdf, pageNumber]);
+
+  const drawn = glyphs.filter((g) => !g.space);
+  const count = (source) => (words || []).filter((w) => sourceOf(w) === source).length;
+
+  return (
+    <>
+      <svg
+        style={{ position: "absolute", inset: 0, width: "100%", height: "100%", zIndex: 6 }}
+        pointerEvents="none"
+      >
+        {drawn.map((g, i) => (
+          <rect
+            key={`g${i}`}
+            x={g.left}
+            y={g.top}
+            width={Math.max(0.5, g.right - g.left)}
+            height={g.bottom - g.top}
+            fill="none"
+            stroke={COLORS.glyph}
+            strokeWidth={0.5}
+          />
+        ))}
+        {(words || []).map((w, i) => (
+          <rect
+            key={`w${i}`}
+            x={w.Left}
+            y={w.Top}
+            width={w.Width}
+            height={w.Height}
+            fill="none"
+            stroke={COLORS[sourceOf(w)]}
+            strokeWidth={1.5}
+          />
+        ))}
+      </svg>
+      <div
+        style={{
+          position: "absolute",
+          top: 8,
+          left: 8,
+          zIndex: 7,
+          padding: "4px 8px",
+          borderRadius: 6,
+          background: "rgba(17,17,17,.85)",
+          fontSize: 11,
+          pointerEvents: "none",
+        }}
+      >
+        <span style={{ color: COLORS.glyph }}>{drawn.length} glyphs</span> ·{" "}
+        <span style={{ color: COLORS.glyphs }}>{count("glyphs")} words from glyphs</span> ·{" "}
+        <span style={{ color: COLORS.measured }}>{count("measured")} measured</span> ·{" "}
+        <span style={{ color: COLORS.ocr }}>{count("ocr")} OCR</span> ·{" "}
+        <span style={{ color: COLORS.edited }}>{count("edited")} edited</span>
+      </div>
+    </>
+  );
+}
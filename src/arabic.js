@@ -0,0 +1,27 @@
+// HoverReader — Arabic text helpers shared by lookup, morphology and tooling
+
+export function stripDiacritics(s) {
+  return (s || "").replace(/[\u0610-\u061A\u064B-\u065F\u06D6-\u06ED]/g, "");
+}
+
+export function normalizeArabic(s = "") {
+  return s
+    .replace(/[إأآا]/g, "ا")
+    .replace(/ى/g, "ي")
+    .replace(/ة/g, "ه")
+    .replace(/[ؤئ]/g, "ء")
+    .replace(/ـ/g, "")
+    .replace(/[^\u0600-\u06FF\s]/g, "");
+}
+
+export function safeIsArabicString(s = "") {
+  if (!s) return false;
+  try {
+    const ok =
+      s.split("").filter((c) => /\p{Script=Arabic}/u.test(c)).length / s.length >= 0.6;
+    return ok;
+  } catch {
+    const arabic = (s.match(/[\u0600-\u06FF]/g) || []).length;
+    return arabic / s.length >= 0.6;
+  }
+}
@@ -0,0 +1,185 @@
+// HoverReader — EPUB as a reading flow.
+// An EPUB is a zip: META-INF/container.xml names the package document (OPF), whose
+// manifest lists the book's files and whose spine gives the reading order. Chapters
+// are cleaned like any HTML (textDocument.js) and laid out one after another, one
+// <section> each; ids are prefixed per chapter and links rewritten to point within
+// the page, and images become object URLs. The table of contents comes from the
+// EPUB 3 nav document, else the EPUB 2 NCX, else the chapters' headings.
+
+import { strFromU8, unzipSync } from "fflate";
+import { cleanHtml, headingToc } from "./textDocument.js";
+
+const OPS_NS = "http://www.idpf.org/2007/ops";
+const XLINK_NS = "http://www.w3.org/1999/xlink";
+const UNUSED = /\.(ttf|otf|woff2?|mp3|m4a|ogg|mp4|webm)$/i; // not unpacked
+
+function byTag(node, name) {
+  return [...node.getElementsByTagNameNS("*", name)];
+}
+
+function parse(text, type) {
+  const doc = new DOMParser().parseFromString(text, type);
+  // Plenty of EPUBs hold XHTML that isn't well-formed XML
+  if (type !== "text/html" && byTag(doc, "parsererror").length) {
+    return new DOMParser().parseFromString(text, "text/html");
+  }
+  return doc;
+}
+
+/** `href` relative to the file at `base` → [zip path, fragment]; null for other sites */
+function resolve(base, href) {
+  if (/^[a-z][\w+.-]*:/i.test(href)) return null;
+  const [path, fragment = ""] = href.split("#");
+  const parts = path ? base.split("/").slice(0, -1) : base.split("/");
+  for (const part of path.split("/")) {
+    if (part === "..") parts.pop();
+    else if (part && part !== ".") parts.push(safeDecode(part));
+  }
+  return [parts.join("/"), safeDecode(fragment)];
+}
+
+function safeDecode(s) {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    return s;
+  }
+}
+
+const chapterId = (index, fragment = "") => `hr-ch-${index}${fragment ? `-${fragment}` : ""}`;
+
+/** Nested <ol><li><a href> of a nav document → entries */
+function navEntries(ol, path, target, depth = 0, out = []) {
+  for (const li of ol.children) {
+    if (li.localName !== "li") continue;
+    const link = [...li.children].find((el) => el.localName === "a" || el.localName === "span");
+    const label = (link?.textContent || "").replace(/\s+/g, " ").trim();
+    const id = link?.getAttribute("href") && target(path, link.getAttribute("href"));
+    if (label && id) out.push({ label, depth, id });
+    const nested = [...li.children].find((el) => el.localName === "ol");
+    if (nested) navEntries(nested, path, target, depth + 1, out);
+  }
+  return out;
+}
+
+/** <navPoint>s of an NCX → entries */
+function ncxEntries(parent, path, target, depth = 0, out = []) {
+  for (const point of parent.children) {
+    if (point.localName !== "navPoint") continue;
+    const label = (byTag(point, "text")[0]?.textContent || "").replace(/\s+/g, " ").trim();
+    const src = byTag(point, "content")[0]?.getAttribute("src");
+    const id = src && target(path, src);
+    if (label && id) out.push({ label, depth, id });
+    ncxEntries(point, path, target, depth + 1, out);
+  }
+  return out;
+}
+
+export async function loadEpub(file) {
+  let files;
+  try {
+    files = unzipSync(new Uint8Array(await file.arrayBuffer()), {
+      filter: (entry) => !UNUSED.test(entry.name),
+    });
+  } catch {
+    throw new Error("This EPUB isn't a readable zip file");
+  }
+  const text = (path) => (files[path] ? strFromU8(files[path]) : null);
+
+  const container = text("META-INF/container.xml");
+  const rootfile = container && byTag(parse(container, "application/xml"), "rootfile")[0];
+  const opfPath = rootfile?.getAttribute("full-path");
+  const opfText = opfPath && text(opfPath);
+  if (!opfText) throw new Error("This EPUB has no package document");
+  const opf = parse(opfText, "application/xml");
+
+  const manifest = new Map(); // id -> { path, type, properties }
+  for (const item of byTag(opf, "item")) {
+    const [path] = resolve(opfPath, item.getAttribute("href") || "") || [];
+    manifest.set(item.getAttribute("id"), {
+      path,
+      type: item.getAttribute("media-type") || "",
+      properties: item.getAttribute("properties") || "",
+    });
+  }
+  const spine = byTag(opf, "itemref")
+    .filter((ref) => ref.getAttribute("linear") !== "no")
+    .map((ref) => manifest.get(ref.getAttribute("idref")))
+    .filter((item) => item && files[item.path]);
+  if (!spine.length) throw new Error("This EPUB has no chapters");
+  const chapterOf = new Map(spine.map((item, i) => [item.path, i]));
+
+  // A link inside the book → the id it lands on here, or null
+  const target = (base, href) => {
+    const [path, fragment] = resolve(base, href) || [];
+    return chapterOf.has(path) ? chapterId(chapterOf.get(path), fragment) : null;
+  };
+
+  const typeOf = new Map([...manifest.values()].map((item) => [item.path, item.type]));
+  const urls = new Map(); // zip path -> object URL
+  const imageUrl = (path) => {
+    if (!urls.has(path) && files[path]) {
+      const blob = new Blob([files[path]], { type: typeOf.get(path) || "" });
+      urls.set(path, URL.createObjectURL(blob));
+    }
+    return urls.get(path) || null;
+  };
+
+  const content = document.createElement("article");
+  content.className = "hr-text";
+  spine.forEach((item, index) => {
+    const doc = parse(text(item.path), "application/xhtml+xml");
+    const body = doc.body || byTag(doc, "body")[0];
+    const section = document.createElement("section");
+    section.className = "hr-chapter";
+    section.id = chapterId(index);
+    const dir = body?.getAttribute("dir") || doc.documentElement.getAttribute("dir");
+    if (dir) section.dir = dir;
+    for (const node of body ? [...body.childNodes] : []) {
+      section.appendChild(document.importNode(node, true));
+    }
+    cleanHtml(section);
+
+    for (const el of section.querySelectorAll("[id]")) el.id = chapterId(index, el.id);
+    for (const a of section.querySelectorAll("a[href]")) {
+      const href = a.getAttribute("href");
+      if (/^[a-z][\w+.-]*:/i.test(href)) continue;
+      const id = target(item.path, href);
+      if (id) a.setAttribute("href", `#${id}`);
+      else a.removeAttribute("href");
+    }
+    for (const img of section.querySelectorAll("img[src]")) {
+      const [path] = resolve(item.path, img.getAttribute("src")) || [];
+      const url = path && imageUrl(path);
+      if (url) img.setAttribute("src", url);
+      else img.removeAttribute("src");
+    }
+    for (const image of section.querySelectorAll("image")) {
+      const href = image.getAttributeNS(XLINK_NS, "href") || image.getAttribute("href");
+      const [path] = (href && resolve(item.path, href)) || [];
+      const url = path && imageUrl(path);
+      if (url) image.setAttributeNS(XLINK_NS, "xlink:href", url);
+    }
+    content.appendChild(section);
+  });
+
+  let toc = [];
+  const nav = [...manifest.values()].find((item) => /\bnav\b/.test(item.properties));
+  if (nav && text(nav.path)) {
+    const navDoc = parse(text(nav.path), "application/xhtml+xml");
+    const navs = byTag(navDoc, "nav");
+    const navType = (el) => el.getAttributeNS(OPS_NS, "type") || el.getAttribute("epub:type") || "";
+    const tocNav = navs.find((el) => /\btoc\b/.test(navType(el))) || navs[0];
+    const ol = tocNav && [...tocNav.children].find((el) => el.localName === "ol");
+    if (ol) toc = navEntries(ol, nav.path, target);
+  }
+  const ncx = manifest.get(byTag(opf, "spine")[0]?.getAttribute("toc"));
+  if (!toc.length && ncx && text(ncx.path)) {
+    const navMap = byTag(parse(text(ncx.path), "application/xml"), "navMap")[0];
+    if (navMap) toc = ncxEntries(navMap, ncx.path, target);
+  }
+  if (!toc.length) toc = headingToc(content);
+
+  const title = (byTag(opf, "title")[0]?.textContent || "").trim();
+  return { title, content, toc, urls: [...urls.values()] };
+}
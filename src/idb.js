@@ -0,0 +1,96 @@
+// HoverReader — tiny promise wrapper around one IndexedDB database.
+// Add a store by appending to STORES and bumping DB_VERSION.
+
+const DB_NAME = "hoverreader";
+const DB_VERSION = 5;
+const STORES = [
+  "lexicon",
+  "translations",
+  "notebook",
+  "library",
+  "libraryFiles",
+  "libraryPages",
+  "libraryEdits",
+];
+
+let dbPromise = null;
+
+export function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB unavailable"));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        for (const name of STORES) {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+        }
+      };
+      req.onsuccess = () => {
+        // Let another tab upgrade the schema instead of blocking it
+        req.result.onversionchange = () => req.result.close();
+        resolve(req.result);
+      };
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+async function run(store, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode);
+    const req = fn(tx.objectStore(store));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export function idbGet(store, key) {
+  return run(store, "readonly", (s) => s.get(key));
+}
+export function idbPut(store, key, value) {
+  return run(store, "readwrite", (s) => s.put(value, key));
+}
+export function idbDelete(store, key) {
+  return run(store, "readwrite", (s) => s.delete(key));
+}
+export function idbKeys(store) {
+  return run(store, "readonly", (s) => s.getAllKeys());
+}
+export function idbGetAll(store) {
+  return run(store, "readonly", (s) => s.getAll());
+}
+export async function idbDeleteMany(store, keys) {
+  if (!keys.length) return;
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, "readwrite");
+    const s = tx.objectStore(store);
+    for (const k of keys) s.delete(k);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+/** One readwrite transaction over several stores; `fn(tx)` queues requests, resolves on commit */
+export async function idbTransaction(stores, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(stores, "readwrite");
+    fn(tx);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+export function idbClear(store) {
+  return run(store, "readwrite", (s) => s.clear());
+}
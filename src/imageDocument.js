@@ -0,0 +1,126 @@
+// HoverReader — photos and scans as a document.
+// An image file (PNG, JPEG, WebP…, HEIC, or a multi-page TIFF) is wrapped in the
+// small part of pdf.js's document/page interface that PdfSession and the OCR path
+// use (numPages, getPage, getViewport, render), so every image is a page read
+// exactly like a scanned PDF page. Pages have no text layer: they are always OCR'd.
+// Pixels are decoded when a page is drawn, not kept.
+
+import { PAGE_SCALE } from "./pdfSession.js";
+
+// Longest side of a page drawn at PAGE_SCALE; bigger photos are scaled down to it
+const MAX_SIDE = 2000;
+
+const HEIC_BRANDS = ["heic", "heix", "hevc", "heim", "heis", "hevm", "hevs", "mif1", "msf1"];
+
+/** "tiff" | "heic" | null, from the file's first bytes */
+export function sniff(bytes) {
+  const ascii = (from, to) => String.fromCharCode(...bytes.subarray(from, to));
+  const head = ascii(0, 4);
+  if (head === "II*\0" || head === "MM\0*") return "tiff";
+  if (ascii(4, 8) === "ftyp" && HEIC_BRANDS.includes(ascii(8, 12))) return "heic";
+  return null;
+}
+
+async function decodeBitmap(blob) {
+  try {
+    return await createImageBitmap(blob, { imageOrientation: "from-image" });
+  } catch {
+    throw new Error("Couldn't decode this image");
+  }
+}
+
+/** Bitmap of one page: `decode()` resolves to an ImageBitmap the caller closes */
+function bitmapSource(blob) {
+  return { decode: () => decodeBitmap(blob) };
+}
+
+function tiffSource(UTIF, buffer, ifd) {
+  return {
+    async decode() {
+      UTIF.decodeImage(buffer, ifd);
+      const rgba = UTIF.toRGBA8(ifd);
+      delete ifd.data; // decoded again next time rather than held
+      const pixels = new ImageData(new Uint8ClampedArray(rgba.buffer), ifd.width, ifd.height);
+      return createImageBitmap(pixels);
+    },
+  };
+}
+
+class ImagePage {
+  constructor(pageNumber, source, width, height) {
+    Object.assign(this, { pageNumber, source });
+    // The page at scale 1, sized so that PAGE_SCALE shows the image at its own
+    // resolution (up to MAX_SIDE)
+    const unit = Math.min(1, MAX_SIDE / Math.max(width, height)) / PAGE_SCALE;
+    this.view = [0, 0, width * unit, height * unit];
+  }
+
+  getViewport({ scale = 1 } = {}) {
+    const [, , w, h] = this.view;
+    return {
+      scale,
+      width: w * scale,
+      height: h * scale,
+      transform: [scale, 0, 0, -scale, 0, h * scale],
+    };
+  }
+
+  render({ canvasContext, viewport }) {
+    const promise = (async () => {
+      const bitmap = await this.source.decode();
+      canvasContext.fillStyle = "#fff"; // transparent pixels would turn black as JPEG
+      canvasContext.fillRect(0, 0, viewport.width, viewport.height);
+      canvasContext.drawImage(bitmap, 0, 0, viewport.width, viewport.height);
+      bitmap.close();
+    })();
+    return { promise };
+  }
+}
+
+export class ImageDocument {
+  constructor(pages) {
+    this.pages = pages;
+    this.numPages = pages.length;
+  }
+
+  async getPage(n) {
+    const page = this.pages[n - 1];
+    if (!page) throw new Error(`No page ${n}`);
+    return page;
+  }
+
+  destroy() {
+    this.pages = [];
+  }
+}
+
+/** Image file → ImageDocument (one page per image, one per TIFF page) */
+export async function loadImageDocument(file) {
+  const buffer = await file.arrayBuffer();
+  const format = sniff(new Uint8Array(buffer, 0, Math.min(16, buffer.byteLength)));
+
+  if (format === "tiff") {
+    const { default: UTIF } = await import("utif");
+    // Reduced-resolution copies (thumbnails) are not pages
+    const ifds = UTIF.decode(buffer).filter((ifd) => ifd.t256 && !(ifd.t254?.[0] & 1));
+    if (!ifds.length) throw new Error("This TIFF has no pages");
+    return new ImageDocument(
+      ifds.map(
+        (ifd, i) => new ImagePage(i + 1, tiffSource(UTIF, buffer, ifd), ifd.t256[0], ifd.t257[0])
+      )
+    );
+  }
+
+  let blob = file;
+  let bitmap = await decodeBitmap(blob).catch(() => null);
+  // Only Safari decodes HEIC itself; elsewhere it is converted to JPEG once, here
+  if (!bitmap && format === "heic") {
+    const { default: heic2any } = await import("heic2any");
+    blob = await heic2any({ blob: file, toType: "image/jpeg", quality: 0.92 });
+    bitmap = await decodeBitmap(blob);
+  }
+  if (!bitmap) throw new Error("Couldn't decode this image");
+  const { width, height } = bitmap;
+  bitmap.close();
+  return new ImageDocument([new ImagePage(1, bitmapSource(blob), width, height)]);
+}
@@ -0,0 +1,147 @@
+// HoverReader — keyed job queue: bounded concurrency, priorities, retries with
+// exponential backoff, and cancellation through AbortSignal.
+// A job is `run(signal, attempt)`; errors with `retryable: true` (rate limits,
+// timeouts) are retried after 1 s, 2 s, 4 s… (or the server's Retry-After).
+
+function abortError() {
+  return new DOMException("Aborted", "AbortError");
+}
+
+export class JobQueue {
+  constructor({
+    concurrency = 2,
+    retries = 3,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+    onChange,
+  } = {}) {
+    Object.assign(this, { concurrency, retries, baseDelayMs, maxDelayMs, onChange });
+    this.jobs = new Map(); // key -> job (queued, waiting for a retry, or running)
+    this.running = 0;
+    this.seq = 0;
+  }
+
+  /**
+   * Queue `run` under `key` (replacing nothing: an unfinished job with the same key
+   * keeps running and only takes the new priority). Higher priority starts first.
+   */
+  add(key, run, { priority = 0 } = {}) {
+    const existing = this.jobs.get(key);
+    if (existing) {
+      existing.priority = priority;
+      return existing.promise;
+    }
+    const job = {
+      key,
+      run,
+      priority,
+      seq: this.seq++,
+      state: "queued",
+      attempt: 0,
+      notBefore: 0,
+      controller: new AbortController(),
+    };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    job.promise.catch(() => {});
+    this.jobs.set(key, job);
+    this.changed(job);
+    this.pump();
+    return job.promise;
+  }
+
+  setPriority(key, priority) {
+    const job = this.jobs.get(key);
+    if (job) job.priority = priority;
+  }
+
+  has(key) {
+    return this.jobs.has(key);
+  }
+
+  cancel(key) {
+    const job = this.jobs.get(key);
+    if (!job) return;
+    this.jobs.delete(key);
+    clearTimeout(job.retryTimer);
+    job.controller.abort();
+    job.state = "cancelled";
+    job.reject(abortError());
+    this.changed(job);
+  }
+
+  cancelAll() {
+    for (const key of [...this.jobs.keys()]) this.cancel(key);
+  }
+
+  setConcurrency(n) {
+    this.concurrency = Math.max(1, Number(n) || 1);
+    this.pump();
+  }
+
+  changed(job) {
+    this.onChange?.(job.key, {
+      state: job.state,
+      attempt: job.attempt,
+      error: job.error,
+      retryAt: job.notBefore || null,
+    });
+  }
+
+  pump() {
+    while (this.running < this.concurrency) {
+      const now = Date.now();
+      let next = null;
+      for (const job of this.jobs.values()) {
+        if (job.state !== "queued" || job.notBefore > now) continue;
+        const first =
+          !next || job.priority > next.priority || (job.priority === next.priority && job.seq < next.seq);
+        if (first) next = job;
+      }
+      if (!next) return;
+      this.start(next);
+    }
+  }
+
+  async start(job) {
+    this.running++;
+    job.state = "running";
+    job.notBefore = 0;
+    this.changed(job);
+    try {
+      const value = await job.run(job.controller.signal, job.attempt);
+      if (job.controller.signal.aborted) return;
+      this.jobs.delete(job.key);
+      job.state = "done";
+      this.changed(job);
+      job.resolve(value);
+    } catch (e) {
+      if (job.controller.signal.aborted) return;
+      job.error = e?.message || String(e);
+      if (e?.retryable && job.attempt < this.retries) {
+        const delay =
+          e.retryAfterMs ??
+          Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** job.attempt) * (0.75 + Math.random() / 2);
+        job.attempt++;
+        job.state = "queued";
+        job.notBefore = Date.now() + delay;
+        job.retryTimer = setTimeout(() => {
+          // Timers may fire a little early; the wait is over either way
+          job.notBefore = 0;
+          this.pump();
+        }, delay);
+        this.changed(job);
+      } else {
+        this.jobs.delete(job.key);
+        job.state = "failed";
+        this.changed(job);
+        job.reject(e);
+      }
+    } finally {
+      this.running--;
+      this.pump();
+    }
+  }
+}
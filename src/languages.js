@@ -0,0 +1,208 @@
+// HoverReader — language profiles.
+// A profile is a language documents can be written in: the letters its words are made
+// of, how words are keyed for lookup and search (marks stripped, letter variants
+// folded), the Tesseract model its scans are read with and where its lexicon lives.
+// Translation goes from the profile's code to any target the providers know (BCP 47,
+// see /api/translate). Each document keeps its profile in the library; the target
+// language is one choice for the whole reader.
+
+import { normalizeArabic, stripDiacritics } from "./arabic.js";
+
+const SETTINGS_KEY = "hoverreader.language";
+
+const ARABIC_BLOCK = "\\u0600-\\u06FF";
+const ARABIC_EXTENDED = "\\u0750-\\u077F\\u08A0-\\u08FF";
+const ZWNJ = "\\u200C"; // joins parts of one Persian or Urdu word
+const HEBREW_LETTERS = "\\u05D0-\\u05EA\\u05EF-\\u05F4\\uFB1D-\\uFB4F";
+const HEBREW_MARKS = "\\u0591-\\u05BD\\u05BF\\u05C1\\u05C2\\u05C4\\u05C5\\u05C7"; // not maqaf
+
+/**
+ * `pairs`: [[class, letter]], a character-class body (RegExp source) and the letter its
+ * characters become, applied in order; then anything outside class `keep` is dropped
+ */
+function folder(pairs, keep) {
+  const rules = pairs.map(([from, to]) => [new RegExp(`[${from}]`, "g"), to]);
+  const outside = new RegExp(`[^${keep}]`, "g");
+  return (s) => rules.reduce((out, [re, to]) => out.replace(re, to), s).replace(outside, "");
+}
+
+// Alef with hamza or madda, alef wasla → alef; tatweel and ZWNJ dropped
+const ALEF = ["\\u0622\\u0623\\u0625\\u0671", "\u0627"];
+const JOINERS = ["\\u0640\\u200C", ""];
+
+const foldPersian = folder(
+  [
+    ALEF,
+    JOINERS,
+    ["\\u0643", "\u06A9"], // kaf → keheh
+    ["\\u064A\\u0649\\u0626", "\u06CC"], // yeh, alef maksura, yeh with hamza → Farsi yeh
+    ["\\u0629\\u06C0", "\u0647"], // teh marbuta, heh with yeh → heh
+    ["\\u0624", "\u0648"], // waw with hamza → waw
+  ],
+  ARABIC_BLOCK
+);
+
+const foldUrdu = folder(
+  [
+    ALEF,
+    JOINERS,
+    ["\\u0643", "\u06A9"],
+    ["\\u064A\\u0649\\u0626", "\u06CC"],
+    ["\\u0647\\u0629\\u06C2\\u06C3", "\u06C1"], // heh, teh marbuta, heh goal forms → heh goal
+    ["\\u0624", "\u0648"],
+  ],
+  ARABIC_BLOCK
+);
+
+// Ottoman spelling mixes Arabic and Persian letter forms: fold to the Arabic ones
+const foldOttoman = folder(
+  [
+    ALEF,
+    JOINERS,
+    ["\\u06A9", "\u0643"],
+    ["\\u06CC\\u0649", "\u064A"],
+    ["\\u0629", "\u0647"],
+  ],
+  ARABIC_BLOCK
+);
+
+const foldHebrew = folder(
+  [
+    [HEBREW_MARKS, ""],
+    ["\\u05DA", "\u05DB"], // final forms → base letters
+    ["\\u05DD", "\u05DE"],
+    ["\\u05DF", "\u05E0"],
+    ["\\u05E3", "\u05E4"],
+    ["\\u05E5", "\u05E6"],
+  ],
+  "\\u05D0-\\u05EA"
+);
+
+/**
+ * code: BCP 47, the translation source; ocr: Tesseract model; letters: what words are
+ * made of (a character-class body); key: lookup/search key of a word; lexicon and
+ * legacyLexicon: see lexicon.js; article: skipped when sharding (lexicon-format.js);
+ * clitics: Arabic clitic segmentation (morphology.js) applies.
+ */
+export const PROFILES = [
+  {
+    code: "ar",
+    name: "Arabic",
+    ocr: "ara",
+    letters: ARABIC_BLOCK,
+    key: (s) => normalizeArabic(stripDiacritics(s)),
+    lexicon: "/lexicon",
+    legacyLexicon: "/lexicon-lite.json",
+    article: "\u0627\u0644",
+    clitics: true,
+  },
+  {
+    code: "fa",
+    name: "Persian",
+    ocr: "fas",
+    letters: ARABIC_BLOCK + ARABIC_EXTENDED + ZWNJ,
+    key: (s) => foldPersian(stripDiacritics(s)),
+    lexicon: "/lexicon-fa",
+  },
+  {
+    code: "ur",
+    name: "Urdu",
+    ocr: "urd",
+    letters: ARABIC_BLOCK + ARABIC_EXTENDED + ZWNJ,
+    key: (s) => foldUrdu(stripDiacritics(s)),
+    lexicon: "/lexicon-ur",
+  },
+  {
+    code: "ota",
+    name: "Ottoman Turkish",
+    ocr: "fas", // no Ottoman model; the Persian one knows its extra letters
+    letters: ARABIC_BLOCK + ARABIC_EXTENDED,
+    key: (s) => foldOttoman(stripDiacritics(s)),
+    lexicon: "/lexicon-ota",
+    article: "\u0627\u0644",
+  },
+  {
+    code: "he",
+    name: "Hebrew",
+    ocr: "heb",
+    letters: HEBREW_LETTERS + HEBREW_MARKS,
+    key: foldHebrew,
+    lexicon: "/lexicon-he",
+  },
+];
+
+export const DEFAULT_PROFILE = "ar";
+
+/** Tesseract models the OCR menus offer */
+export const OCR_LANGUAGES = {
+  ara: "Arabic",
+  fas: "Persian",
+  urd: "Urdu",
+  heb: "Hebrew",
+  eng: "English",
+};
+
+/** Suggested translation targets; any code the providers accept works */
+export const TARGET_LANGUAGES = [
+  ["en", "English"],
+  ["fr", "French"],
+  ["de", "German"],
+  ["es", "Spanish"],
+  ["tr", "Turkish"],
+  ["ru", "Russian"],
+  ["zh", "Chinese"],
+  ["ar", "Arabic"],
+  ["fa", "Persian"],
+  ["ur", "Urdu"],
+  ["he", "Hebrew"],
+];
+
+const BY_CODE = new Map(PROFILES.map((p) => [p.code, p]));
+
+/** Profile for `code`; Arabic for unknown codes */
+export function profileFor(code) {
+  return BY_CODE.get(code) || BY_CODE.get(DEFAULT_PROFILE);
+}
+
+export function isProfileCode(code) {
+  return BY_CODE.has(code);
+}
+
+/** Matches the profile's words in running text (global) */
+export function wordPattern(profile) {
+  return new RegExp(`[${profile.letters}]+`, "g");
+}
+
+/** At least 60% of `s` is the profile's letters */
+export function isProfileText(s, profile) {
+  if (!s) return false;
+  return (s.match(wordPattern(profile)) || []).join("").length / s.length >= 0.6;
+}
+
+/** At least 60% of `s` is in a right-to-left script (Arabic or Hebrew) */
+export function isRtlText(s = "") {
+  if (!s) return false;
+  return (s.match(/[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/g) || []).length / s.length >= 0.6;
+}
+
+/** { profile, target } last chosen, for documents opened without one */
+export function loadLanguageSettings() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+  } catch {
+    // no storage: defaults
+  }
+  return {
+    profile: isProfileCode(saved.profile) ? saved.profile : DEFAULT_PROFILE,
+    target: saved.target || "en",
+  };
+}
+
+export function saveLanguageSettings(settings) {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch {
+    // private mode: settings last for the session
+  }
+}
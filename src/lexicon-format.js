@@ -0,0 +1,100 @@
+// HoverReader — sharded lexicon format (shared by the app and scripts/)
+//
+// Layout under /lexicon/:
+//   manifest.json        { format, version, language, prefixLength, entries, shards, rootShards }
+//   shard-<hex>.json     { prefix, entries: [entry] }   entries whose form/lemma key starts with prefix
+//   roots-<hex>.json     { letter, roots: { root: [entry] } }
+//
+// Entry schema (glosses is the flattened view of senses, kept for old readers):
+//   { form, lemma, root, glosses: [..], senses: [{ pos, glosses: [..], examples: [{ ar, en }] }] }
+// Keys follow the lexicon's language profile (languages.js); Arabic by default.
+
+import { profileFor } from "./languages.js";
+
+export const LEXICON_FORMAT = 2;
+
+/** Lookup key used for both the in-memory index and shard routing */
+export function lexiconKey(s, language = "ar") {
+  return profileFor(language).key(s || "").replace(/\s+/g, "");
+}
+
+/** Shard prefix for a key; a leading article is skipped so "ال…" does not pile into one shard */
+export function shardPrefix(s, prefixLength = 1, language = "ar") {
+  let k = lexiconKey(s, language);
+  const { article } = profileFor(language);
+  if (article && k.startsWith(article) && k.length > article.length + 1) {
+    k = k.slice(article.length);
+  }
+  return k.slice(0, prefixLength);
+}
+
+function hex(s) {
+  return Array.from(s, (c) => c.codePointAt(0).toString(16).padStart(4, "0")).join("-");
+}
+export function shardFile(prefix) {
+  return `shard-${hex(prefix)}.json`;
+}
+export function rootShardFile(letter) {
+  return `roots-${hex(letter)}.json`;
+}
+export function rootLetter(root, language = "ar") {
+  return lexiconKey((root || "").split("-")[0], language).slice(0, 1);
+}
+
+/** Fill in senses/glosses so either field can be relied on */
+export function normalizeEntry(e) {
+  const senses =
+    Array.isArray(e.senses) && e.senses.length
+      ? e.senses.map((s) => ({ ...s, glosses: s.glosses || [] }))
+      : [{ glosses: e.glosses || [] }];
+  const glosses = e.glosses?.length ? e.glosses : senses.flatMap((s) => s.glosses);
+  return { ...e, glosses, senses };
+}
+
+export function entryKeys(e) {
+  return [e.form, e.lemma].filter(Boolean);
+}
+
+/**
+ * Partition entries into shard files.
+ * Returns { manifest, files: { [fileName]: json } }.
+ */
+export function buildShards(
+  entries,
+  { prefixLength = 1, version = String(Date.now()), language = "ar" } = {}
+) {
+  const shards = {};
+  const roots = {};
+  for (const raw of entries) {
+    const e = normalizeEntry(raw);
+    const prefixes = new Set(entryKeys(e).map((k) => shardPrefix(k, prefixLength, language)));
+    for (const p of prefixes) {
+      if (!p) continue;
+      (shards[p] ||= []).push(e);
+    }
+    const letter = rootLetter(e.root, language);
+    if (letter) ((roots[letter] ||= {})[e.root] ||= []).push(e);
+  }
+
+  const files = {};
+  const manifest = {
+    format: LEXICON_FORMAT,
+    version,
+    language,
+    prefixLength,
+    entries: entries.length,
+    shards: {},
+    rootShards: {},
+  };
+  for (const [prefix, list] of Object.entries(shards)) {
+    const file = shardFile(prefix);
+    files[file] = { prefix, entries: list };
+    manifest.shards[prefix] = { file, count: list.length };
+  }
+  for (const [letter, byRoot] of Object.entries(roots)) {
+    const file = rootShardFile(letter);
+    files[file] = { letter, roots: byRoot };
+    manifest.rootShards[letter] = { file, count: Object.keys(byRoot).length };
+  }
+  return { manifest, files };
+}
@@ -0,0 +1,143 @@
+// HoverReader — lazily loaded, IndexedDB-backed lexicon.
+// Reads the sharded layout described in lexicon-format.js; if /lexicon/manifest.json
+// is missing it falls back to the single /lexicon-lite.json file. One lexicon per
+// language profile (languages.js), each under its own base URL.
+
+import { idbDelete, idbGet, idbKeys, idbPut } from "./idb.js";
+import { isProfileCode, profileFor } from "./languages.js";
+import { analyzeWord } from "./morphology.js";
+import { entryKeys, lexiconKey, normalizeEntry, rootLetter, shardPrefix } from "./lexicon-format.js";
+
+const IDB_STORE = "lexicon";
+
+export class ShardedLexicon {
+  /** `legacyUrl`: flat JSON used when there is no manifest; null for none */
+  constructor({ language = "ar", baseUrl, legacyUrl } = {}) {
+    const profile = profileFor(language);
+    this.language = profile.code;
+    this.clitics = Boolean(profile.clitics);
+    this.baseUrl = baseUrl ?? profile.lexicon;
+    this.legacyUrl = legacyUrl !== undefined ? legacyUrl : profile.legacyLexicon || null;
+    this.byKey = {};
+    this.byRoot = {};
+    this.manifest = null;
+    this.version = 0;
+    this.files = new Map(); // file -> Promise<json>
+    this.listeners = new Set();
+    this.ready = this.init();
+  }
+
+  subscribe(fn) {
+    this.listeners.add(fn);
+    return () => this.listeners.delete(fn);
+  }
+  emit() {
+    this.version++;
+    for (const fn of this.listeners) fn(this.version);
+  }
+
+  async init() {
+    try {
+      const r = await fetch(`${this.baseUrl}/manifest.json`);
+      if (!r.ok) throw new Error(`Manifest HTTP ${r.status}`);
+      this.manifest = await r.json();
+      this.pruneStale().catch(() => {});
+    } catch {
+      if (!this.legacyUrl) return;
+      const rows = await fetch(this.legacyUrl)
+        .then((r) => r.json())
+        .catch(() => []);
+      this.addEntries(rows);
+      for (const e of Object.values(this.byKey)) this.addToRoot(e);
+      this.emit();
+    }
+  }
+
+  /** Drop this language's shards cached for an older manifest version (or without a language) */
+  async pruneStale() {
+    const prefix = `${this.language}/${this.manifest.version}/`;
+    for (const key of await idbKeys(IDB_STORE)) {
+      const owner = String(key).split("/")[0];
+      const ours = owner === this.language || !isProfileCode(owner);
+      if (ours && !String(key).startsWith(prefix)) await idbDelete(IDB_STORE, key);
+    }
+  }
+
+  addEntries(rows) {
+    for (const raw of rows || []) {
+      const e = normalizeEntry(raw);
+      for (const k of entryKeys(e)) {
+        this.byKey[k] = e;
+        this.byKey[lexiconKey(k, this.language)] ||= e;
+      }
+    }
+  }
+  addToRoot(e) {
+    if (!e.root) return;
+    const list = (this.byRoot[e.root] ||= []);
+    if (!list.includes(e)) list.push(e);
+  }
+
+  /** Index a shard (prefix or root) into byKey/byRoot */
+  ingest(json) {
+    if (json.entries) this.addEntries(json.entries);
+    for (const [r, rows] of Object.entries(json.roots || {})) {
+      this.byRoot[r] = rows.map(normalizeEntry);
+    }
+    this.emit();
+  }
+
+  /** Fetch a shard file once: memory → IndexedDB → network (then persisted) */
+  loadFile(file) {
+    if (!this.files.has(file)) {
+      const key = `${this.language}/${this.manifest.version}/${file}`;
+      const p = (async () => {
+        let json = await idbGet(IDB_STORE, key).catch(() => null);
+        if (!json) {
+          const r = await fetch(`${this.baseUrl}/${file}`);
+          if (!r.ok) throw new Error(`Lexicon shard HTTP ${r.status}`);
+          json = await r.json();
+          idbPut(IDB_STORE, key, json).catch(() => {});
+        }
+        this.ingest(json);
+        return json;
+      })();
+      p.catch(() => this.files.delete(file));
+      this.files.set(file, p);
+    }
+    return this.files.get(file);
+  }
+
+  async loadShards(prefixes) {
+    const shards = this.manifest.shards || {};
+    const files = [...new Set(prefixes)].map((p) => shards[p]?.file).filter(Boolean);
+    await Promise.all(files.map((f) => this.loadFile(f)));
+  }
+
+  /** Make sure every shard a lookup of `word` (or its segmented stems) could hit is loaded */
+  async ensureFor(word) {
+    return this.ensureForWords([word]);
+  }
+
+  async ensureForWords(words) {
+    await this.ready;
+    if (!this.manifest) return;
+    const n = this.manifest.prefixLength || 1;
+    const prefixes = new Set();
+    for (const w of new Set(words)) {
+      if (!w) continue;
+      prefixes.add(shardPrefix(w, n, this.language));
+      if (!this.clitics) continue;
+      for (const c of analyzeWord(w)) prefixes.add(shardPrefix(c.stem, n, this.language));
+    }
+    await this.loadShards(prefixes);
+  }
+
+  /** Load the full word family for a root */
+  async ensureRoot(root) {
+    await this.ready;
+    if (!this.manifest || !root) return;
+    const file = this.manifest.rootShards?.[rootLetter(root, this.language)]?.file;
+    if (file) await this.loadFile(file);
+  }
+}
@@ -0,0 +1,174 @@
+// HoverReader — local document library.
+// Every opened file is kept in IndexedDB with what was worked out for it (page
+// overlays, mode and reason) and where the reader left off, so reopening it costs
+// no rendering decisions and no OCR. Documents are keyed by a SHA-256 of the file:
+// uploading the same file again picks up its saved pages.
+// Stores: "library" (small records, listed), "libraryFiles" (the file as a Blob),
+// "libraryPages" (analysis results by page index), "libraryEdits" (the reader's
+// corrections by page index, kept apart so the analysis can be restored).
+
+import { idbGet, idbGetAll, idbPut, idbTransaction } from "./idb.js";
+
+const DOCS = "library";
+const FILES = "libraryFiles";
+const PAGES = "libraryPages";
+const EDITS = "libraryEdits";
+
+// Page fields worth keeping; status, retries and errors belong to one session
+const SAVED_FIELDS = ["overlay", "mode", "reason", "boxCount", "engine", "confidence", "cached", "lang"];
+
+// What the reader opens, by kind: file extensions and MIME types ("image/*" matches any
+// image). documentKind, the file picker and the "unsupported file" message all use it.
+export const DOCUMENT_KINDS = [
+  { kind: "pdf", label: "PDF", extensions: [".pdf"], types: ["application/pdf"] },
+  {
+    kind: "docx",
+    label: "DOCX",
+    extensions: [".docx"],
+    types: ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"],
+  },
+  { kind: "epub", label: "EPUB", extensions: [".epub"], types: ["application/epub+zip"] },
+  { kind: "html", label: "HTML", extensions: [".html", ".htm", ".xhtml"], types: ["text/html"] },
+  { kind: "text", label: "plain text", extensions: [".txt"], types: ["text/plain"] },
+  {
+    kind: "image",
+    label: "image",
+    extensions: ".png .jpg .jpeg .webp .gif .bmp .avif .heic .heif .tif .tiff".split(" "),
+    types: ["image/*"],
+  },
+];
+
+/** The file input's `accept` */
+export const DOCUMENT_ACCEPT = DOCUMENT_KINDS.flatMap((k) => [...k.extensions, ...k.types]).join(
+  ","
+);
+
+/** "PDF, DOCX, … or image": what can be opened, for messages */
+export function acceptedKinds() {
+  const labels = DOCUMENT_KINDS.map((k) => k.label);
+  return `${labels.slice(0, -1).join(", ")} or ${labels[labels.length - 1]}`;
+}
+
+export function documentKind(file) {
+  const name = (file?.name || "").toLowerCase();
+  const type = file?.type || "";
+  const matches = ({ extensions, types }) =>
+    extensions.some((ext) => name.endsWith(ext)) ||
+    types.some((t) => (t.endsWith("/*") ? type.startsWith(t.slice(0, -1)) : type === t));
+  return DOCUMENT_KINDS.find(matches)?.kind || null;
+}
+
+async function documentId(file) {
+  const digest = await crypto.subtle.digest("SHA-256", await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/** Store `file` (once) and mark it opened now; resolves to its record */
+export async function addDocument(file) {
+  const id = await documentId(file);
+  const prev = await idbGet(DOCS, id).catch(() => null);
+  const now = Date.now();
+  const doc = {
+    position: { page: 0, scrollY: 0 },
+    analyzedPages: 0,
+    pagesBytes: 0,
+    ...prev,
+    id,
+    name: file.name || prev?.name || "document",
+    type: file.type || prev?.type || "",
+    kind: documentKind(file),
+    size: file.size,
+    addedAt: prev?.addedAt || now,
+    openedAt: now,
+  };
+  if (!prev) await idbPut(FILES, id, file);
+  await idbPut(DOCS, id, doc);
+  return doc;
+}
+
+/** Most recently opened first */
+export async function listDocuments() {
+  const all = await idbGetAll(DOCS).catch(() => []);
+  return all.sort((a, b) => b.openedAt - a.openedAt);
+}
+
+export async function openDocument(id) {
+  const doc = await idbGet(DOCS, id);
+  const blob = await idbGet(FILES, id);
+  if (!doc || !blob) throw new Error("This document is no longer in the library");
+  const opened = { ...doc, openedAt: Date.now() };
+  await idbPut(DOCS, id, opened);
+  return { doc: opened, file: new File([blob], doc.name, { type: doc.type }) };
+}
+
+/** Resolves to the updated record, or null if the document is no longer in the library */
+export async function updateDocument(id, patch) {
+  let next = null;
+  await idbTransaction([DOCS], (tx) => {
+    const docs = tx.objectStore(DOCS);
+    const req = docs.get(id);
+    req.onsuccess = () => {
+      if (!req.result) return;
+      next = { ...req.result, ...patch };
+      docs.put(next, id);
+    };
+  });
+  return next;
+}
+
+/** Saved analysis results by page index (null where a page was never finished) */
+export async function loadPages(id) {
+  return (await idbGet(PAGES, id).catch(() => null)) || [];
+}
+
+/**
+ * `edits`: corrected words by page index (null where a page has none). Resolves to false,
+ * writing nothing, when the document was deleted while it was open.
+ */
+export async function savePages(id, pages, edits = []) {
+  const saved = pages.map((p) => {
+    if (p.status !== "done") return null;
+    const fields = Object.fromEntries(SAVED_FIELDS.map((k) => [k, p[k]]));
+    if (p.edited) Object.assign(fields, { overlay: p.baseOverlay, boxCount: p.baseOverlay.length });
+    return fields;
+  });
+  let stored = false;
+  // One transaction, so a deleteDocument can't land between the check and the writes
+  await idbTransaction([DOCS, PAGES, EDITS], (tx) => {
+    const docs = tx.objectStore(DOCS);
+    const req = docs.get(id);
+    req.onsuccess = () => {
+      if (!req.result) return;
+      stored = true;
+      tx.objectStore(PAGES).put(saved, id);
+      tx.objectStore(EDITS).put(edits, id);
+      docs.put(
+        {
+          ...req.result,
+          analyzedPages: saved.filter(Boolean).length,
+          pagesBytes: JSON.stringify(saved).length * 2,
+        },
+        id
+      );
+    };
+  });
+  return stored;
+}
+
+export async function loadEdits(id) {
+  return (await idbGet(EDITS, id).catch(() => null)) || [];
+}
+
+export async function deleteDocument(id) {
+  const stores = [DOCS, FILES, PAGES, EDITS];
+  await idbTransaction(stores, (tx) => stores.forEach((store) => tx.objectStore(store).delete(id)));
+}
+
+/** { usage, quota } in bytes for this origin, when the browser reports it */
+export async function storageEstimate() {
+  try {
+    return (await navigator.storage?.estimate?.()) || null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,108 @@
+// HoverReader — offline OCR with Tesseract (WASM, runs in its own Web Worker).
+// Returns the same shape as /api/ocr-space (ParsedResults[0].TextOverlay.Lines[].Words[])
+// so handlePdf can consume either engine. Assets come from public/tesseract/
+// (see scripts/copy-ocr-assets.js).
+
+const ASSETS = "/tesseract";
+
+const workers = new Map(); // language -> Promise<Tesseract worker>
+const busy = new Map(); // Tesseract worker -> pages it is recognizing or has queued
+
+function abortError() {
+  return new DOMException("Aborted", "AbortError");
+}
+
+async function getWorker(language) {
+  if (!workers.has(language)) {
+    const p = (async () => {
+      const { createWorker, OEM } = await import("tesseract.js");
+      return createWorker(language, OEM.LSTM_ONLY, {
+        workerPath: `${ASSETS}/worker.min.js`,
+        corePath: `${ASSETS}/core`,
+        langPath: `${ASSETS}/lang`,
+        workerBlobURL: false,
+      });
+    })();
+    p.catch(() => workers.delete(language));
+    workers.set(language, p);
+  }
+  return workers.get(language);
+}
+
+/** Tesseract blocks → ocr.space-style overlay lines (pixel coords of the input image) */
+function toOverlayLines(data) {
+  const lines = [];
+  for (const block of data.blocks || []) {
+    for (const para of block.paragraphs || []) {
+      for (const line of para.lines || []) {
+        const words = (line.words || [])
+          .filter((w) => (w.text || "").trim())
+          .map((w) => ({
+            WordText: w.text.trim(),
+            Left: w.bbox.x0,
+            Top: w.bbox.y0,
+            Width: w.bbox.x1 - w.bbox.x0,
+            Height: w.bbox.y1 - w.bbox.y0,
+            Confidence: w.confidence,
+          }));
+        if (!words.length) continue;
+        lines.push({ LineText: (line.text || "").trim(), Words: words });
+      }
+    }
+  }
+  return lines;
+}
+
+/**
+ * Recognize a page on `worker`. A worker cannot drop a page it has started, so when
+ * `signal` fires and no other page is waiting on it, it is terminated (the next page
+ * starts a fresh one); otherwise the page is left to finish and its result ignored.
+ */
+async function recognize(worker, language, image, signal) {
+  busy.set(worker, (busy.get(worker) || 0) + 1);
+  const job = worker.recognize(image, {}, { blocks: true, text: true });
+  job.catch(() => {}); // rejected by terminate() after an abort
+  let onAbort = null;
+  const aborted = new Promise((_, reject) => {
+    onAbort = () => {
+      // Rejected first, so the page fails as aborted rather than with terminate()'s error
+      reject(abortError());
+      if (busy.get(worker) === 1) {
+        workers.delete(language);
+        busy.delete(worker);
+        worker.terminate().catch(() => {});
+      }
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+  try {
+    return await Promise.race([job, aborted]);
+  } finally {
+    signal?.removeEventListener("abort", onAbort);
+    // Idle and terminated workers have no entry
+    const left = busy.get(worker) - 1;
+    if (left > 0) busy.set(worker, left);
+    else busy.delete(worker);
+  }
+}
+
+/**
+ * OCR a data URL / image locally; adds _engine and _meanConfidence (0–100).
+ * Rejects with an AbortError once `signal` fires.
+ */
+export async function ocrPageLocally(image, language = "ara", { signal } = {}) {
+  if (signal?.aborted) throw abortError();
+  const worker = await getWorker(language);
+  if (signal?.aborted) throw abortError();
+  const { data } = await recognize(worker, language, image, signal);
+  const lines = toOverlayLines(data);
+  const words = lines.flatMap((l) => l.Words);
+  const mean = words.length ? words.reduce((n, w) => n + w.Confidence, 0) / words.length : 0;
+  return {
+    ParsedResults: [{ TextOverlay: { Lines: lines }, ParsedText: data.text || "" }],
+    OCRExitCode: 1,
+    IsErroredOnProcessing: false,
+    _engine: "local",
+    _meanConfidence: mean,
+  };
+}
@@ -0,0 +1,144 @@
+// HoverReader — light clitic-aware Arabic segmenter
+// Strips proclitics (و ف ب ل ك ال س) and pronoun/plural suffixes and returns
+// ranked candidate stems. It is a lookup aid, not a full analyzer: every
+// candidate is checked against the lexicon and the first hit wins.
+
+import { stripDiacritics } from "./arabic.js";
+
+const CONJUNCTIONS = [
+  { form: "و", label: "wa" },
+  { form: "ف", label: "fa" },
+];
+const PREPOSITIONS = [
+  { form: "ب", label: "bi" },
+  { form: "ك", label: "ka" },
+  { form: "ل", label: "li" },
+];
+const FUTURE = { form: "س", label: "sa" };
+const ARTICLE = { form: "ال", label: "al" };
+
+// Longest first so "هما" is tried before "ها"/"ه".
+const PRONOUNS = [
+  { form: "هما", label: "humā" },
+  { form: "كما", label: "kumā" },
+  { form: "هم", label: "hum" },
+  { form: "هن", label: "hunna" },
+  { form: "ها", label: "hā" },
+  { form: "كم", label: "kum" },
+  { form: "كن", label: "kunna" },
+  { form: "نا", label: "nā" },
+  { form: "ه", label: "hu" },
+  { form: "ك", label: "ka" },
+  { form: "ي", label: "ī" },
+];
+const PLURALS = [
+  { form: "ون", label: "ūn" },
+  { form: "ين", label: "īn" },
+  { form: "ات", label: "āt" },
+  { form: "ان", label: "ān" },
+];
+
+const IMPERFECT_PREFIX = /^[يتنأ]/;
+const MIN_STEM = 2;
+
+/** Prefix segmentations: [{ rest, prefixes }] in grammatical order conj → prep/fut → al */
+function prefixSplits(word) {
+  const out = [{ rest: word, prefixes: [] }];
+  const conjs = [null, ...CONJUNCTIONS.filter((c) => word.startsWith(c.form))];
+  for (const conj of conjs) {
+    const afterConj = conj ? word.slice(conj.form.length) : word;
+    const base = conj ? [conj] : [];
+    if (conj) out.push({ rest: afterConj, prefixes: base });
+
+    for (const prep of PREPOSITIONS) {
+      if (!afterConj.startsWith(prep.form)) continue;
+      const afterPrep = afterConj.slice(1);
+      out.push({ rest: afterPrep, prefixes: [...base, prep] });
+      if (afterPrep.startsWith(ARTICLE.form)) {
+        out.push({ rest: afterPrep.slice(2), prefixes: [...base, prep, ARTICLE] });
+      } else if (prep.form === "ل" && afterPrep.startsWith("ل")) {
+        // li + al contracts to "لل": للبلاغة = li + al + بلاغة
+        out.push({ rest: afterPrep.slice(1), prefixes: [...base, prep, ARTICLE] });
+      }
+    }
+    if (afterConj.startsWith(FUTURE.form) && IMPERFECT_PREFIX.test(afterConj.slice(1))) {
+      out.push({ rest: afterConj.slice(1), prefixes: [...base, FUTURE] });
+    }
+    if (afterConj.startsWith(ARTICLE.form)) {
+      out.push({ rest: afterConj.slice(2), prefixes: [...base, ARTICLE] });
+    }
+  }
+  return out;
+}
+
+/** Suffix segmentations of a prefix-stripped rest: [{ stem, suffixes }] */
+function suffixSplits(rest, hasArticle) {
+  const out = [{ stem: rest, suffixes: [] }];
+  // The article and a pronoun suffix never co-occur (البلاغته is not a word).
+  const pronouns = hasArticle ? [] : PRONOUNS.filter((p) => rest.endsWith(p.form));
+  for (const p of pronouns) {
+    const stem = rest.slice(0, -p.form.length);
+    out.push({ stem, suffixes: [p] });
+    for (const pl of PLURALS) {
+      // Sound masculine plurals drop their ن before a pronoun: معلموه
+      const form = pl.form === "ون" || pl.form === "ين" ? pl.form.slice(0, 1) : pl.form;
+      if (stem.endsWith(form)) {
+        out.push({ stem: stem.slice(0, -form.length), suffixes: [pl, p] });
+      }
+    }
+  }
+  for (const pl of PLURALS) {
+    if (rest.endsWith(pl.form)) out.push({ stem: rest.slice(0, -pl.form.length), suffixes: [pl] });
+  }
+  return out;
+}
+
+/** Stem spellings to try: a suffixed ت or a stripped ات often stands for ة */
+function stemVariants(stem, suffixes) {
+  const variants = [stem];
+  if (!suffixes.length) return variants;
+  if (stem.endsWith("ت")) variants.push(stem.slice(0, -1) + "ة");
+  if (suffixes[0].form === "ات") variants.push(stem + "ة");
+  return variants;
+}
+
+/**
+ * Ranked candidate segmentations of a word.
+ * Each candidate: { stem, prefixes: [{form,label}], suffixes: [{form,label}], cost }.
+ * The unsegmented word always comes first; lower cost = fewer/shorter affixes.
+ */
+export function analyzeWord(word) {
+  const clean = stripDiacritics(word || "").replace(/ـ/g, "").trim();
+  if (!clean) return [];
+  const seen = new Set();
+  const out = [];
+  for (const { rest, prefixes } of prefixSplits(clean)) {
+    const hasArticle = prefixes.includes(ARTICLE);
+    for (const { stem, suffixes } of suffixSplits(rest, hasArticle)) {
+      if (stem.length < MIN_STEM) continue;
+      const stripped = clean.length - stem.length;
+      for (const variant of stemVariants(stem, suffixes)) {
+        const key = `${prefixes.map((p) => p.label).join("+")}|${variant}|${suffixes
+          .map((s) => s.label)
+          .join("+")}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        out.push({
+          stem: variant,
+          prefixes,
+          suffixes,
+          cost: stripped + 0.5 * (prefixes.length + suffixes.length),
+        });
+      }
+    }
+  }
+  return out.sort((a, b) => a.cost - b.cost);
+}
+
+/** "wa + al + بلاغة" — empty string when nothing was stripped */
+export function formatSegmentation(candidate) {
+  if (!candidate) return "";
+  const { prefixes = [], suffixes = [], stem } = candidate;
+  if (!prefixes.length && !suffixes.length) return "";
+  return [...prefixes.map((p) => p.label), stem, ...suffixes.map((s) => s.label)].join(" + ");
+}
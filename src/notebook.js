@@ -0,0 +1,84 @@
+// HoverReader — vocabulary notebook with SM-2 spaced repetition.
+// One card per normalized word and language; saving it again refreshes the
+// context but keeps the review schedule.
+
+import { idbDelete, idbGet, idbGetAll, idbPut } from "./idb.js";
+import { lexiconKey } from "./lexicon-format.js";
+
+const IDB_STORE = "notebook";
+const DAY = 24 * 60 * 60 * 1000;
+
+export const GRADES = [
+  { label: "Again", quality: 1 },
+  { label: "Hard", quality: 3 },
+  { label: "Good", quality: 4 },
+  { label: "Easy", quality: 5 },
+];
+
+function newSchedule(now = Date.now()) {
+  return { ef: 2.5, interval: 0, reps: 0, due: now };
+}
+
+/** Card id: the word normalized by its language's profile (languages.js), with the language */
+function cardId(word, language) {
+  return `${language}:${lexiconKey(word, language) || word}`;
+}
+
+/**
+ * card: { word, lemma, root, gloss, translation, lineText, page, docName };
+ * `language`: profile code of the document it was read in
+ */
+export async function saveWord(card, language = "ar") {
+  const id = cardId(card.word, language);
+  const prev = await idbGet(IDB_STORE, id).catch(() => null);
+  const rec = {
+    ...prev,
+    ...card,
+    id,
+    language,
+    savedAt: prev?.savedAt || Date.now(),
+    updatedAt: Date.now(),
+    srs: prev?.srs || newSchedule(),
+  };
+  await idbPut(IDB_STORE, id, rec);
+  return rec;
+}
+
+export async function listWords() {
+  const all = await idbGetAll(IDB_STORE).catch(() => []);
+  return all.sort((a, b) => b.savedAt - a.savedAt);
+}
+
+export function deleteWord(id) {
+  return idbDelete(IDB_STORE, id);
+}
+
+export function isSaved(word, language = "ar") {
+  return idbGet(IDB_STORE, cardId(word, language))
+    .then(Boolean)
+    .catch(() => false);
+}
+
+export function dueCards(cards, now = Date.now()) {
+  return cards.filter((c) => c.srs.due <= now).sort((a, b) => a.srs.due - b.srs.due);
+}
+
+/** SM-2: quality 0–5; below 3 restarts the card */
+export function schedule(srs, quality, now = Date.now()) {
+  let { ef, interval, reps } = srs;
+  if (quality < 3) {
+    reps = 0;
+    interval = 1;
+  } else {
+    reps += 1;
+    interval = reps === 1 ? 1 : reps === 2 ? 6 : Math.round(interval * ef);
+  }
+  ef = Math.max(1.3, ef + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+  return { ef, interval, reps, due: now + interval * DAY, lastReviewed: now };
+}
+
+export async function reviewWord(card, quality) {
+  const rec = { ...card, srs: schedule(card.srs, quality) };
+  await idbPut(IDB_STORE, rec.id, rec);
+  return rec;
+}
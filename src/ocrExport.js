@@ -0,0 +1,166 @@
+// HoverReader — export recognized pages as hOCR, ALTO XML, plain text or Markdown.
+// Pages come in as overlays (pixels of the page rendered at `scale`) and go out in
+// the PDF's own units: points, origin at the top left of the (rotated) page, which
+// is what a 72 dpi rendering of it would give. Words are in reading order
+// (readingOrder.js); each text-layer run or OCR line is one line.
+
+import { readingOrder } from "./readingOrder.js";
+
+const ISO_639_1 = { ara: "ar", fas: "fa", urd: "ur", heb: "he", eng: "en" };
+
+/** bbox [x0, y0, x1, y1] around boxes */
+function union(boxes) {
+  return [
+    Math.min(...boxes.map((b) => b[0])),
+    Math.min(...boxes.map((b) => b[1])),
+    Math.max(...boxes.map((b) => b[2])),
+    Math.max(...boxes.map((b) => b[3])),
+  ];
+}
+
+/**
+ * page: { number (1-based), width, height (points), overlay, scale, lang? }
+ * → { number, width, height, lang, lines: [{ rtl, bbox, words: [{ text, bbox, confidence }] }] }
+ */
+export function exportPage({ number, width, height, overlay, scale = 1, lang }) {
+  const lines = readingOrder(overlay || []).map((line) => {
+    const words = line.words.map((w) => ({
+      text: w.WordText.trim(),
+      bbox: [w.Left / scale, w.Top / scale, (w.Left + w.Width) / scale, (w.Top + w.Height) / scale],
+      confidence: w.Confidence ?? null,
+    }));
+    return { rtl: line.rtl, bbox: union(words.map((w) => w.bbox)), words };
+  });
+  return { number, width, height, lang: ISO_639_1[lang] || lang || "", lines };
+}
+
+const lineText = (line) => line.words.map((w) => w.text).join(" ");
+
+function escapeXml(s) {
+  return String(s).replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+// ---------- hOCR 1.2 ----------
+const hocrBox = (b) => `bbox ${b.map(Math.round).join(" ")}`;
+
+export function toHocr(pages, { title = "HoverReader OCR" } = {}) {
+  const lang = pages.find((p) => p.lang)?.lang || "ar";
+  const body = pages.map((p) => {
+    const lines = p.lines.map((line, li) => {
+      const words = line.words.map((w, wi) => {
+        const conf = w.confidence != null ? `; x_wconf ${Math.round(w.confidence)}` : "";
+        return `    <span class="ocrx_word" id="word_${p.number}_${li + 1}_${wi + 1}" title="${hocrBox(w.bbox)}${conf}">${escapeXml(w.text)}</span>`;
+      });
+      const dir = line.rtl ? "rtl" : "ltr";
+      return [
+        `   <span class="ocr_line" id="line_${p.number}_${li + 1}" dir="${dir}" title="${hocrBox(line.bbox)}">`,
+        words.join(" \n"),
+        "   </span>",
+      ].join("\n");
+    });
+    const pageBox = hocrBox([0, 0, p.width, p.height]);
+    return [
+      `  <div class="ocr_page" id="page_${p.number}" lang="${p.lang}" title="ppageno ${p.number - 1}; ${pageBox}; scan_res 72 72">`,
+      ...lines,
+      "  </div>",
+    ].join("\n");
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">
+<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="${lang}" lang="${lang}">
+ <head>
+  <title>${escapeXml(title)}</title>
+  <meta http-equiv="Content-Type" content="text/html; charset=utf-8" />
+  <meta name="ocr-system" content="HoverReader" />
+  <meta name="ocr-capabilities" content="ocr_page ocr_line ocrx_word" />
+ </head>
+ <body>
+${body.join("\n")}
+ </body>
+</html>
+`;
+}
+
+// ---------- ALTO 4 ----------
+const num = (n) => String(Math.round(n * 100) / 100);
+const altoBox = (b) =>
+  `HPOS="${num(b[0])}" VPOS="${num(b[1])}" WIDTH="${num(b[2] - b[0])}" HEIGHT="${num(b[3] - b[1])}"`;
+
+export function toAlto(pages, { fileName = "" } = {}) {
+  const layout = pages.map((p) => {
+    const id = `P${p.number}`;
+    const lines = p.lines.map((line, li) => {
+      const strings = line.words.map((w, wi) => {
+        const wc = w.confidence != null ? ` WC="${num(w.confidence / 100)}"` : "";
+        return `          <String ID="${id}_L${li + 1}_W${wi + 1}" ${altoBox(w.bbox)} CONTENT="${escapeXml(w.text)}"${wc}/>`;
+      });
+      return [
+        `        <TextLine ID="${id}_L${li + 1}" ${altoBox(line.bbox)}>`,
+        strings.join("\n          <SP/>\n"),
+        "        </TextLine>",
+      ].join("\n");
+    });
+    const block = p.lines.length
+      ? [
+          `      <TextBlock ID="${id}_B1" ${altoBox(union(p.lines.map((l) => l.bbox)))}${p.lang ? ` LANG="${p.lang}"` : ""}>`,
+          ...lines,
+          "      </TextBlock>",
+        ]
+      : [];
+    return [
+      `    <Page ID="${id}" PHYSICAL_IMG_NR="${p.number}" WIDTH="${num(p.width)}" HEIGHT="${num(p.height)}">`,
+      `     <PrintSpace ${altoBox([0, 0, p.width, p.height])}>`,
+      ...block,
+      "     </PrintSpace>",
+      "    </Page>",
+    ].join("\n");
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<alto xmlns="http://www.loc.gov/standards/alto/ns-v4#" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.loc.gov/standards/alto/ns-v4# http://www.loc.gov/standards/alto/v4/alto-4-2.xsd">
+  <Description>
+    <!-- pixel = PDF point (1/72 inch) -->
+    <MeasurementUnit>pixel</MeasurementUnit>
+    <sourceImageInformation>
+      <fileName>${escapeXml(fileName)}</fileName>
+    </sourceImageInformation>
+    <OCRProcessing ID="OCR_0">
+      <ocrProcessingStep>
+        <processingSoftware>
+          <softwareName>HoverReader</softwareName>
+        </processingSoftware>
+      </ocrProcessingStep>
+    </OCRProcessing>
+  </Description>
+  <Layout>
+${layout.join("\n")}
+  </Layout>
+</alto>
+`;
+}
+
+// ---------- Plain text / Markdown ----------
+/** One line per line; pages separated by a form feed, as pdftotext does */
+export function toText(pages) {
+  return pages.map((p) => p.lines.map(lineText).join("\n")).join("\n\f\n") + "\n";
+}
+
+function escapeMarkdown(s) {
+  return s.replace(/[\\`*_[\]<>|]/g, "\\$&").replace(/^(\s*)([#>+-]|\d+\.)/, "$1\\$2");
+}
+
+export function toMarkdown(pages, { title = "" } = {}) {
+  const parts = title ? [`# ${escapeMarkdown(title)}`] : [];
+  for (const p of pages) {
+    parts.push(`## Page ${p.number}`);
+    // Hard line breaks keep the page's lines
+    if (p.lines.length) parts.push(p.lines.map((l) => escapeMarkdown(lineText(l))).join("  \n"));
+  }
+  return parts.join("\n\n") + "\n";
+}
+
+export const OCR_EXPORTS = {
+  hocr: { label: "hOCR", ext: "hocr", type: "text/html", build: toHocr },
+  alto: { label: "ALTO XML", ext: "alto.xml", type: "application/xml", build: toAlto },
+  txt: { label: "Plain text", ext: "txt", type: "text/plain", build: toText },
+  md: { label: "Markdown", ext: "md", type: "text/markdown", build: toMarkdown },
+};
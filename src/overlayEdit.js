@@ -0,0 +1,144 @@
+// HoverReader — corrections to a page's overlay words.
+// Every function takes the word list and returns a new one; nothing is mutated.
+// Lines are runs of consecutive words sharing `lineText` (as everywhere else), so
+// after a change the affected line gets its `lineText` rebuilt from its words.
+
+import { isRtlText } from "./languages.js";
+
+/** Indices of the words on the same line as words[index] */
+function lineOf(words, index) {
+  const text = words[index].lineText || "";
+  let start = index;
+  let end = index;
+  while (start > 0 && (words[start - 1].lineText || "") === text) start--;
+  while (end < words.length - 1 && (words[end + 1].lineText || "") === text) end++;
+  return { start, end };
+}
+
+/** Rebuild lineText for words[start..end] from their text, in reading order (in place) */
+function relabel(words, start, end) {
+  const line = words.slice(start, end + 1).filter(Boolean); // null: about to be removed
+  const rtl = line.filter((w) => isRtlText(w.WordText)).length * 2 > line.length;
+  const ordered = [...line].sort((a, b) =>
+    rtl ? b.Left + b.Width - (a.Left + a.Width) : a.Left - b.Left
+  );
+  const lineText = ordered.map((w) => w.WordText).join(" ");
+  for (let i = start; i <= end; i++) if (words[i]) words[i] = { ...words[i], lineText };
+  return words;
+}
+
+function withLine(words, index, change) {
+  const { start, end } = lineOf(words, index);
+  const out = [...words];
+  const delta = change(out) || 0; // words added (+) or removed (−) inside the line
+  return relabel(out, start, end + delta);
+}
+
+export function setWordText(words, index, text) {
+  const clean = text.replace(/\s+/g, " ").trim();
+  if (!clean) return deleteWord(words, index);
+  return withLine(words, index, (out) => {
+    out[index] = { ...out[index], WordText: clean, edited: true };
+  });
+}
+
+/** box: { Left, Top, Width, Height } */
+export function setWordBox(words, index, box) {
+  return withLine(words, index, (out) => {
+    out[index] = { ...out[index], ...box, edited: true };
+  });
+}
+
+export function deleteWord(words, index) {
+  if (words.length === 1) return [];
+  const { start, end } = lineOf(words, index);
+  const out = words.filter((_, i) => i !== index);
+  return start === end ? out : relabel(out, start, end - 1);
+}
+
+/**
+ * Cut a word's box in two side by side. Text with spaces splits at a space,
+ * otherwise in the middle; the first part goes right in Arabic, left otherwise.
+ */
+export function splitWord(words, index) {
+  const w = words[index];
+  const text = w.WordText;
+  const cut = text.includes(" ") ? text.indexOf(" ") : Math.ceil(text.length / 2);
+  const first = text.slice(0, cut).trim() || text;
+  const second = text.slice(cut).trim() || text;
+  const share = first.length / (first.length + second.length);
+  const firstWidth = Math.max(2, w.Width * share);
+  const rtl = isRtlText(text);
+  const a = {
+    ...w,
+    WordText: first,
+    Left: rtl ? w.Left + w.Width - firstWidth : w.Left,
+    Width: firstWidth,
+    edited: true,
+  };
+  const b = {
+    ...w,
+    WordText: second,
+    Left: rtl ? w.Left : w.Left + firstWidth,
+    Width: Math.max(2, w.Width - firstWidth),
+    edited: true,
+  };
+  return withLine(words, index, (out) => {
+    out.splice(index, 1, a, b);
+    return 1;
+  });
+}
+
+/** One word covering `indices`, its text the parts joined in reading order */
+export function mergeWords(words, indices) {
+  const picked = [...new Set(indices)].sort((x, y) => x - y);
+  if (picked.length < 2) return words;
+  const parts = picked.map((i) => words[i]);
+  const rtl = parts.filter((w) => isRtlText(w.WordText)).length * 2 > parts.length;
+  const ordered = [...parts].sort((a, b) =>
+    rtl ? b.Left + b.Width - (a.Left + a.Width) : a.Left - b.Left
+  );
+  const left = Math.min(...parts.map((w) => w.Left));
+  const top = Math.min(...parts.map((w) => w.Top));
+  const merged = {
+    ...parts[0],
+    WordText: ordered.map((w) => w.WordText).join(""),
+    Left: left,
+    Top: top,
+    Width: Math.max(...parts.map((w) => w.Left + w.Width)) - left,
+    Height: Math.max(...parts.map((w) => w.Top + w.Height)) - top,
+    edited: true,
+  };
+  // The merged word takes the first one's place; the others leave their lines,
+  // and every line involved gets its text rebuilt
+  const out = words.map((w, i) => (i === picked[0] ? merged : picked.includes(i) ? null : w));
+  for (const i of picked) {
+    const { start, end } = lineOf(words, i);
+    relabel(out, start, end);
+  }
+  return out.filter(Boolean);
+}
+
+/**
+ * A word the OCR missed. It joins the line it overlaps most (vertically), or
+ * starts a line of its own at the end.
+ */
+export function addWord(words, box, text) {
+  const word = { ...box, WordText: text.trim(), lineText: text.trim(), edited: true };
+  let best = -1;
+  let bestOverlap = 0.5;
+  words.forEach((w, i) => {
+    const overlap =
+      (Math.min(w.Top + w.Height, box.Top + box.Height) - Math.max(w.Top, box.Top)) /
+      Math.min(w.Height, box.Height);
+    if (overlap > bestOverlap) {
+      best = i;
+      bestOverlap = overlap;
+    }
+  });
+  if (best < 0) return [...words, word];
+  const { start, end } = lineOf(words, best);
+  const out = [...words];
+  out.splice(end + 1, 0, { ...word, lineText: words[best].lineText });
+  return relabel(out, start, end + 1);
+}
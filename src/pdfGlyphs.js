@@ -0,0 +1,195 @@
+// HoverReader — glyph boxes of a PDF page, from pdf.js's operator list.
+// The text layer (getTextContent) only says where a text item starts and how wide it is.
+// The operator list holds every glyph with its advance width, so replaying the text
+// state (text and line matrices, font size, character/word spacing, horizontal scale,
+// rise) against the graphics state's transform places each glyph as the page draws it.
+// Boxes are in viewport pixels, like overlay words; vertical fonts are left out.
+
+import { OPS } from "pdfjs-dist";
+import { multiply } from "./textLayout.js";
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+const FONT_MATRIX = [0.001, 0, 0, 0.001, 0, 0];
+const FONT_WAIT_MS = 3000; // fonts reach the main thread after the operator list
+
+/** pdf.js font object named `name`, once loaded; null if it never arrives */
+function fontObject(page, name) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(null), FONT_WAIT_MS);
+    page.commonObjs.get(name, (font) => {
+      clearTimeout(timer);
+      resolve(font);
+    });
+  });
+}
+
+function initialState() {
+  return {
+    ctm: IDENTITY,
+    font: null,
+    size: 0,
+    direction: 1,
+    charSpacing: 0,
+    wordSpacing: 0,
+    hScale: 1,
+    leading: 0,
+    rise: 0,
+    textMatrix: IDENTITY,
+    x: 0,
+    y: 0,
+    lineX: 0,
+    lineY: 0,
+  };
+}
+
+function moveText(s, x, y) {
+  s.x = s.lineX += x;
+  s.y = s.lineY += y;
+}
+
+function setFont(s, font, size) {
+  s.font = font;
+  s.direction = size < 0 ? -1 : 1;
+  s.size = Math.abs(size);
+}
+
+function apply(m, x, y) {
+  return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+}
+
+/** One showText operation: push its glyphs' boxes to `out` and advance the text position */
+function showText(s, glyphs, viewport, out) {
+  const font = s.font;
+  if (!font || !s.size || font.vertical) return;
+  const fontMatrix = font.fontMatrix || FONT_MATRIX;
+  const advanceScale = s.size * fontMatrix[0];
+  const hScale = s.hScale * s.direction;
+  const m = multiply(multiply(viewport.transform, s.ctm), s.textMatrix);
+  // Fonts without usable metrics get typical ones
+  const sane = font.ascent > 0 && font.descent <= 0 && font.ascent - font.descent < 3;
+  const ascent = (sane ? font.ascent : 0.8) * s.size;
+  const descent = (sane ? font.descent : -0.2) * s.size;
+  const y = s.y + s.rise;
+  const size = s.size * Math.hypot(m[2], m[3]);
+  let x = 0;
+  for (const glyph of glyphs) {
+    if (typeof glyph === "number") {
+      x -= (glyph * s.size) / 1000;
+      continue;
+    }
+    const width = glyph.width * advanceScale;
+    const x0 = s.x + x * hScale;
+    const x1 = s.x + (x + width) * hScale;
+    const corners = [
+      apply(m, x0, y + descent),
+      apply(m, x1, y + descent),
+      apply(m, x0, y + ascent),
+      apply(m, x1, y + ascent),
+    ];
+    const xs = corners.map((c) => c[0]);
+    const ys = corners.map((c) => c[1]);
+    const text = glyph.unicode || "";
+    out.push({
+      text,
+      space: Boolean(glyph.isSpace) || !text.trim(),
+      left: Math.min(...xs),
+      right: Math.max(...xs),
+      top: Math.min(...ys),
+      bottom: Math.max(...ys),
+      baseline: apply(m, x0, y)[1],
+      size,
+    });
+    const spacing = (glyph.isSpace ? s.wordSpacing : 0) + s.charSpacing;
+    x += width + spacing * s.direction;
+  }
+  s.x += x * hScale;
+}
+
+/**
+ * Boxes of the glyphs on `page` at `viewport`, in drawing order:
+ * { text, space, left, right, top, bottom, baseline, size }. Pages without an operator
+ * list (imageDocument.js) have none.
+ */
+export async function pageGlyphs(page, viewport) {
+  if (!page.getOperatorList) return [];
+  const { fnArray, argsArray } = await page.getOperatorList();
+
+  const names = new Set();
+  fnArray.forEach((fn, i) => {
+    if (fn === OPS.setFont) names.add(argsArray[i][0]);
+    if (fn === OPS.setGState) {
+      for (const [key, value] of argsArray[i][0]) if (key === "Font") names.add(value[0]);
+    }
+  });
+  const fonts = new Map(
+    await Promise.all([...names].map(async (name) => [name, await fontObject(page, name)]))
+  );
+
+  const out = [];
+  const stack = [];
+  let s = initialState();
+  fnArray.forEach((fn, i) => {
+    const args = argsArray[i];
+    switch (fn) {
+      case OPS.save:
+        stack.push({ ...s });
+        break;
+      case OPS.restore:
+      case OPS.paintFormXObjectEnd:
+        s = stack.pop() || s;
+        break;
+      case OPS.transform:
+        s.ctm = multiply(s.ctm, args);
+        break;
+      case OPS.paintFormXObjectBegin:
+        stack.push({ ...s });
+        if (args[0]) s.ctm = multiply(s.ctm, args[0]);
+        break;
+      case OPS.beginText:
+        s.textMatrix = IDENTITY;
+        s.x = s.y = s.lineX = s.lineY = 0;
+        break;
+      case OPS.setTextMatrix:
+        s.textMatrix = args;
+        s.x = s.y = s.lineX = s.lineY = 0;
+        break;
+      case OPS.moveText:
+        moveText(s, args[0], args[1]);
+        break;
+      case OPS.setLeadingMoveText:
+        s.leading = args[1];
+        moveText(s, args[0], args[1]);
+        break;
+      case OPS.nextLine:
+        moveText(s, 0, s.leading);
+        break;
+      case OPS.setLeading:
+        s.leading = -args[0];
+        break;
+      case OPS.setCharSpacing:
+        s.charSpacing = args[0];
+        break;
+      case OPS.setWordSpacing:
+        s.wordSpacing = args[0];
+        break;
+      case OPS.setHScale:
+        s.hScale = args[0] / 100;
+        break;
+      case OPS.setTextRise:
+        s.rise = args[0];
+        break;
+      case OPS.setFont:
+        setFont(s, fonts.get(args[0]), args[1]);
+        break;
+      case OPS.setGState:
+        for (const [key, value] of args[0]) {
+          if (key === "Font") setFont(s, fonts.get(value[0]), value[1]);
+        }
+        break;
+      case OPS.showText:
+        showText(s, args[0], viewport, out);
+        break;
+    }
+  });
+  return out;
+}
@@ -0,0 +1,276 @@
+// HoverReader — one open PDF, read lazily.
+// Nothing is rendered or recognized up front: the view reports which pages are on
+// screen, and the session renders those (plus a neighbour each side), queues their
+// analysis (text layer or OCR; visible pages first, a few at a time, see jobQueue.js)
+// and releases the images of pages that scrolled away. Analysis results are small
+// and are kept. Page status: idle → queued → running → done | failed.
+// Corrections (overlayEdit.js) form a per-page edit layer: `overlay` is what the
+// reader sees and everything else reads, `baseOverlay` what analysis produced.
+
+import { JobQueue } from "./jobQueue.js";
+
+export const PAGE_SCALE = 1.6; // overlay coordinates are in pixels of the page at this scale
+
+const RENDER_AROUND = 1; // pages each side of the visible ones to render and analyze
+const KEEP_AROUND = 2; // images further away than this are released
+const THUMB_HEIGHT = 64;
+
+// Job priorities: pages the user asked to re-run, visible pages, neighbours
+const PRIORITY_RERUN = 3;
+const PRIORITY_VISIBLE = 2;
+const PRIORITY_NEAR = 1;
+
+async function renderToCanvas(page, scale) {
+  const viewport = page.getViewport({ scale });
+  const canvas = document.createElement("canvas");
+  canvas.width = viewport.width;
+  canvas.height = viewport.height;
+  await page.render({ canvasContext: canvas.getContext("2d"), viewport }).promise;
+  return canvas;
+}
+
+function withEdits(page, words) {
+  return {
+    ...page,
+    baseOverlay: page.baseOverlay || page.overlay,
+    overlay: words,
+    boxCount: words.length,
+    edited: true,
+  };
+}
+
+export class PdfSession {
+  /**
+   * `analyze(page, index, { signal, overrides })` resolves to the page's fields
+   * ({ overlay, mode, reason, … }); it is only called for pages somebody is looking at.
+   * `saved[i]`, when present, holds those fields from an earlier session (see
+   * library.js); such pages start done and are not analyzed again. `edits[i]` is a
+   * page's corrected overlay, applied once the page is done.
+   */
+  constructor(pdf, { analyze, concurrency = 2, saved = [], edits = [] }) {
+    this.pdf = pdf;
+    this.analyze = analyze;
+    this.count = pdf.numPages;
+    this.pages = Array.from({ length: this.count }, (_, i) =>
+      saved[i] ? { ...saved[i], status: "done", restored: true } : { status: "idle", overlay: [] }
+    );
+    this.pendingEdits = new Map(); // index -> words, for pages not analyzed yet
+    edits.forEach((words, i) => {
+      if (!words || i >= this.count) return;
+      if (this.pages[i].status === "done") this.pages[i] = withEdits(this.pages[i], words);
+      else this.pendingEdits.set(i, words);
+    });
+    this.pageSize = { width: 0, height: 0 }; // of page 1, for placeholders
+    this.images = new Map(); // index -> { src, width, height } (object URL)
+    this.imageJobs = new Map(); // index -> Promise
+    this.thumbs = new Map(); // index -> Promise<data URL>
+    this.visible = [];
+    this.overrides = new Map(); // index -> analysis options for a user-requested re-run
+    this.queue = new JobQueue({ concurrency, onChange: (key, job) => this.onJob(key, job) });
+    this.closed = false;
+    this.listeners = new Set();
+    this.visibleTimer = null;
+  }
+
+  subscribe(fn) {
+    this.listeners.add(fn);
+    return () => this.listeners.delete(fn);
+  }
+  emit() {
+    this.version = (this.version || 0) + 1;
+    for (const fn of this.listeners) fn(this.version);
+  }
+
+  async init() {
+    const first = await this.pdf.getPage(1);
+    const { width, height } = first.getViewport({ scale: PAGE_SCALE });
+    this.pageSize = { width, height };
+    this.emit();
+    return this;
+  }
+
+  patch(index, fields) {
+    this.pages = this.pages.map((p, i) => (i === index ? { ...p, ...fields } : p));
+    this.emit();
+  }
+
+  /** Pages (0-based) now intersecting the viewport; debounced so fast scrolling skips pages */
+  setVisible(indices) {
+    const next = [...indices].sort((a, b) => a - b);
+    clearTimeout(this.visibleTimer);
+    this.visibleTimer = setTimeout(() => {
+      if (next.join() === this.visible.join()) return;
+      this.visible = next;
+      this.update();
+      this.emit();
+    }, 100);
+  }
+
+  /** Visible pages first, then their neighbours, nearest first */
+  wanted(around) {
+    const out = [...this.visible];
+    for (let d = 1; d <= around; d++) {
+      for (const i of this.visible) {
+        for (const j of [i + d, i - d]) {
+          if (j >= 0 && j < this.count && !out.includes(j)) out.push(j);
+        }
+      }
+    }
+    return out;
+  }
+
+  update() {
+    if (this.closed) return;
+    const keep = new Set(this.wanted(KEEP_AROUND));
+    for (const i of [...this.images.keys()]) {
+      if (!keep.has(i)) this.releaseImage(i);
+    }
+    const near = this.wanted(RENDER_AROUND);
+    for (const i of near) this.ensureImage(i);
+
+    // Pages scrolled past before their turn go back to idle; running ones finish
+    this.pages.forEach((p, i) => {
+      if (p.status === "queued" && !near.includes(i) && !this.overrides.has(i)) {
+        this.queue.cancel(String(i));
+      }
+    });
+    for (const i of near) {
+      const priority = this.visible.includes(i) ? PRIORITY_VISIBLE : PRIORITY_NEAR;
+      if (this.pages[i].status === "idle") this.enqueue(i, priority);
+      else if (!this.overrides.has(i)) this.queue.setPriority(String(i), priority);
+    }
+  }
+
+  ensureImage(index) {
+    if (this.images.has(index) || this.imageJobs.has(index)) return;
+    const job = (async () => {
+      const page = await this.pdf.getPage(index + 1);
+      const canvas = await renderToCanvas(page, PAGE_SCALE);
+      const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", 0.9));
+      const image = { src: URL.createObjectURL(blob), width: canvas.width, height: canvas.height };
+      canvas.width = canvas.height = 0;
+      // Scrolled away (or closed) while rendering
+      if (this.closed || !this.wanted(KEEP_AROUND).includes(index)) {
+        URL.revokeObjectURL(image.src);
+        return;
+      }
+      this.images.set(index, image);
+      this.emit();
+    })()
+      .catch((e) => this.patch(index, { renderError: e?.message || String(e) }))
+      .finally(() => this.imageJobs.delete(index));
+    this.imageJobs.set(index, job);
+  }
+
+  releaseImage(index) {
+    const image = this.images.get(index);
+    if (!image) return;
+    URL.revokeObjectURL(image.src);
+    this.images.delete(index);
+    this.emit();
+  }
+
+  enqueue(index, priority) {
+    const overrides = this.overrides.get(index);
+    // A re-run may have replaced this job (and its overrides) by the time it settles
+    const forget = () => {
+      if (this.overrides.get(index) === overrides) this.overrides.delete(index);
+    };
+    const run = async (signal) => {
+      const page = await this.pdf.getPage(index + 1);
+      return this.analyze(page, index, { signal, overrides: overrides || {} });
+    };
+    this.queue.add(String(index), run, { priority }).then((fields) => {
+      forget();
+      // A re-run replaces the page's corrections along with its words
+      const page = {
+        ...this.pages[index],
+        ...fields,
+        status: "done",
+        restored: false,
+        baseOverlay: null,
+        edited: false,
+        error: null,
+        attempt: 0,
+        retryAt: null,
+      };
+      const edits = this.pendingEdits.get(index);
+      this.pendingEdits.delete(index);
+      this.patch(index, edits ? withEdits(page, edits) : page);
+    }, forget);
+  }
+
+  /** Job state → page status (results are patched in by enqueue) */
+  onJob(key, { state, attempt, error, retryAt }) {
+    if (this.closed || state === "done") return;
+    const index = Number(key);
+    if (state === "cancelled") {
+      this.patch(index, { status: "idle", attempt: 0, retryAt: null });
+    } else if (state === "failed") {
+      this.patch(index, { status: "failed", error, retryAt: null });
+    } else {
+      // queued again after a failure: keep the last error visible until the retry
+      this.patch(index, { status: state, attempt, retryAt, error: attempt ? error : null });
+    }
+  }
+
+  /** Run a page again, now, with other analysis options (engine, language…) */
+  reanalyze(index, overrides = {}) {
+    this.queue.cancel(String(index));
+    this.overrides.set(index, overrides);
+    this.patch(index, { status: "queued", error: null });
+    this.enqueue(index, PRIORITY_RERUN);
+  }
+
+  /** Replace a page's words with corrected ones (its analysis result is kept) */
+  editPage(index, words) {
+    this.patch(index, withEdits(this.pages[index], words));
+  }
+
+  revertEdits(index) {
+    const page = this.pages[index];
+    if (!page.edited) return;
+    this.patch(index, {
+      overlay: page.baseOverlay,
+      boxCount: page.baseOverlay.length,
+      baseOverlay: null,
+      edited: false,
+    });
+  }
+
+  /** The edit layer: corrected words by page index, null for unedited pages */
+  edits() {
+    return this.pages.map((p, i) => (p.edited ? p.overlay : this.pendingEdits.get(i) || null));
+  }
+
+  setConcurrency(n) {
+    this.queue.setConcurrency(n);
+  }
+
+  /** Small data URL for the page navigator (kept for the session) */
+  thumbnail(index) {
+    if (!this.thumbs.has(index)) {
+      const job = (async () => {
+        const page = await this.pdf.getPage(index + 1);
+        const scale = THUMB_HEIGHT / page.getViewport({ scale: 1 }).height;
+        const canvas = await renderToCanvas(page, scale);
+        const url = canvas.toDataURL("image/jpeg", 0.7);
+        canvas.width = canvas.height = 0;
+        return url;
+      })();
+      job.catch(() => this.thumbs.delete(index));
+      this.thumbs.set(index, job);
+    }
+    return this.thumbs.get(index);
+  }
+
+  close() {
+    this.closed = true;
+    clearTimeout(this.visibleTimer);
+    this.queue.cancelAll();
+    for (const image of this.images.values()) URL.revokeObjectURL(image.src);
+    this.images.clear();
+    this.listeners.clear();
+    this.pdf.destroy();
+  }
+}
@@ -0,0 +1,24 @@
+// HoverReader — overlay words in reading order, for exports, search and sentences.
+// OCR engines return lines in reading order but not always the words inside them;
+// Arabic and Hebrew lines are put right to left, others left to right, with runs of
+// the other direction kept in their own order (textLayout.js logicalOrder).
+
+import { isRtlText } from "./languages.js";
+import { logicalOrder } from "./textLayout.js";
+
+/** Overlay words → lines in reading order (consecutive words sharing lineText form a line) */
+export function readingOrder(words) {
+  const lines = [];
+  for (const w of words) {
+    if (!(w.WordText || "").trim()) continue;
+    const last = lines[lines.length - 1];
+    if (last && last.text === (w.lineText || "")) last.words.push(w);
+    else lines.push({ text: w.lineText || "", words: [w] });
+  }
+  for (const line of lines) {
+    const rtlWords = line.words.filter((w) => isRtlText(w.WordText)).length;
+    line.rtl = rtlWords * 2 > line.words.length;
+    line.words = logicalOrder(line.words);
+  }
+  return lines;
+}
@@ -0,0 +1,48 @@
+// HoverReader — full-text search over the open document.
+// Words are compared by their lexicon key in the document's language (marks stripped,
+// letter variants folded, see languages.js), other scripts case-insensitively.
+// A query word matches any word containing it, so "كتاب" also finds "والكتاب";
+// several query words must match consecutive words of one line.
+
+import { lexiconKey } from "./lexicon-format.js";
+
+export function searchKey(s, language = "ar") {
+  return lexiconKey(s, language) || (s || "").toLowerCase().replace(/\s+/g, "");
+}
+
+/**
+ * lines: [{ page, text, words: [{ text, ref }] }] (words in reading order; `ref` is
+ * whatever identifies the word to the view) → the same lines with keyed words
+ */
+export function buildSearchIndex(lines, language = "ar") {
+  return lines.map((line) => ({
+    ...line,
+    words: line.words.map((w) => ({ ...w, key: searchKey(w.text, language) })),
+  }));
+}
+
+/** → [{ page, text, refs }], in document order; at most `limit` hits */
+export function findMatches(index, query, { limit = 1000, language = "ar" } = {}) {
+  const terms = (query || "")
+    .split(/\s+/)
+    .map((t) => searchKey(t, language))
+    .filter(Boolean);
+  const hits = [];
+  if (!terms.length) return hits;
+  for (const line of index) {
+    const { words } = line;
+    for (let i = 0; i + terms.length <= words.length; i++) {
+      if (!terms.every((t, k) => words[i + k].key.includes(t))) continue;
+      const matched = words.slice(i, i + terms.length);
+      hits.push({
+        page: line.page,
+        text: line.text,
+        words: matched.map((w) => w.text),
+        refs: matched.map((w) => w.ref),
+      });
+      if (hits.length >= limit) return hits;
+      i += terms.length - 1;
+    }
+  }
+  return hits;
+}
@@ -0,0 +1,127 @@
+// HoverReader — searchable PDF export.
+// Writes the original file back out with an invisible text layer (text rendering
+// mode 3) on every OCR'd page, so scanned books can be searched and copied in any
+// PDF reader. Each word is placed and stretched over its overlay box; lines keep
+// the order OCR gave them (readingOrder.js) and are written left to right.
+// Glyphs are never drawn, so the text is not shaped: every letter is one glyph that
+// maps straight back to its Unicode character, in the visual order readers expect.
+
+import {
+  PDFDocument,
+  TextRenderingMode,
+  beginText,
+  endText,
+  popGraphicsState,
+  pushGraphicsState,
+  setCharacterSqueeze,
+  setFontAndSize,
+  setTextMatrix,
+  setTextRenderingMode,
+  showText,
+} from "pdf-lib";
+import fontkit from "@pdf-lib/fontkit";
+import { readingOrder } from "./readingOrder.js";
+
+// The layer is never drawn, so skip shaping: with these off every character is one
+// glyph that maps straight back to it (ccmp alone splits dotted letters in two)
+const NO_SHAPING = Object.fromEntries(
+  ["ccmp", "locl", "isol", "init", "medi", "fina", "rlig", "liga", "clig", "dlig", "calt", "mark", "mkmk", "kern"].map(
+    (f) => [f, false]
+  )
+);
+
+/**
+ * Text-layer operators for one page. `toPdfPoint(x, y)` maps overlay pixels to PDF
+ * user space (pdf.js viewport.convertToPdfPoint, which handles crop boxes and rotation).
+ */
+function textLayer(font, fontKey, words, toPdfPoint) {
+  const ops = [pushGraphicsState(), beginText(), setTextRenderingMode(TextRenderingMode.Invisible)];
+  // Text-space geometry of a box: its baseline start, direction, width and height
+  const geometry = ({ Left, Top, Width, Height }) => {
+    const baseline = Top + Height * 0.8;
+    const [x0, y0] = toPdfPoint(Left, baseline);
+    const [x1, y1] = toPdfPoint(Left + Width, baseline);
+    const [xt, yt] = toPdfPoint(Left, Top);
+    const width = Math.hypot(x1 - x0, y1 - y0);
+    return { x0, y0, x1, y1, width, height: Math.hypot(xt - x0, yt - y0) };
+  };
+  // `text` stretched over the box; fontkit lays right-to-left text out in visual order
+  const place = (text, box, size) => {
+    const { x0, y0, x1, y1, width } = geometry(box);
+    const natural = font.widthOfTextAtSize(text, size);
+    if (!width || !natural) return;
+    const cos = (x1 - x0) / width;
+    const sin = (y1 - y0) / width;
+    // Stretch with horizontal scaling rather than the text matrix: readers start a new
+    // text run wherever the matrix's scale changes
+    ops.push(
+      setCharacterSqueeze((width / natural) * 100),
+      setTextMatrix(cos, sin, -sin, cos, x0, y0),
+      showText(font.encodeText(text))
+    );
+  };
+  for (const line of readingOrder(words)) {
+    // Lines are written left to right, as printed: readers turn right-to-left runs back
+    // into logical order on extraction (and a run going leftwards loses its spaces).
+    // One font size per line, since readers also break their text runs where it changes.
+    const visual = [...line.words].sort((a, b) => a.Left - b.Left);
+    const size = Math.max(1, ...visual.map((w) => geometry(w).height));
+    ops.push(setFontAndSize(fontKey, size));
+    visual.forEach((w, i) => {
+      place(w.WordText, w, size);
+      const next = visual[i + 1];
+      if (!next) return;
+      // The space fills the gap to the next word, so copied text keeps it
+      const gap = Math.max(next.Left - (w.Left + w.Width), w.Height * 0.25);
+      place(" ", { Left: w.Left + w.Width, Top: w.Top, Width: gap, Height: w.Height }, size);
+    });
+  }
+  ops.push(endText(), popGraphicsState());
+  return ops;
+}
+
+let bundledFont = null;
+function loadFont() {
+  // Imported on demand, so the module also loads outside Vite (tests pass `fontBytes`)
+  bundledFont ||= import(
+    "@expo-google-fonts/noto-naskh-arabic/400Regular/NotoNaskhArabic_400Regular.ttf?url"
+  )
+    .then(({ default: url }) => fetch(url))
+    .then((r) => {
+      if (!r.ok) throw new Error(`Font HTTP ${r.status}`);
+      return r.arrayBuffer();
+    });
+  bundledFont.catch(() => {
+    bundledFont = null;
+  });
+  return bundledFont;
+}
+
+/**
+ * `bytes`: the original PDF. `pdf`: the same file opened in pdf.js, for page geometry.
+ * `pages[i].overlay` is in pixels at `scale`; only pages whose mode is "ocr" get a
+ * text layer (text-mode pages already have real text). `fontBytes` replaces the bundled
+ * Noto Naskh Arabic. Resolves to { bytes, pagesWithText }.
+ */
+export async function buildSearchablePdf(bytes, pdf, pages, { scale, onProgress, fontBytes } = {}) {
+  const doc = await PDFDocument.load(bytes, { ignoreEncryption: true });
+  doc.registerFontkit(fontkit);
+  const fontFile = fontBytes || (await loadFont());
+  const font = await doc.embedFont(fontFile, { subset: true, features: NO_SHAPING });
+  const docPages = doc.getPages();
+  let pagesWithText = 0;
+  for (let i = 0; i < pages.length; i++) {
+    const p = pages[i];
+    if (p?.mode !== "ocr" || !p.overlay?.length) continue;
+    onProgress?.(i);
+    const viewport = (await pdf.getPage(i + 1)).getViewport({ scale });
+    const page = docPages[i];
+    const fontKey = page.node.newFontDictionary(font.name, font.ref);
+    page.pushOperators(
+      ...textLayer(font, fontKey, p.overlay, (x, y) => viewport.convertToPdfPoint(x, y))
+    );
+    pagesWithText++;
+  }
+  doc.setProducer("HoverReader");
+  return { bytes: await doc.save(), pagesWithText };
+}
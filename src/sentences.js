@@ -0,0 +1,62 @@
+// HoverReader — the sentence around a word, for double-click translation.
+// Sentences end at a word ending in . ! ? … or the Arabic full stop, question mark
+// (؟), semicolon (؛) or comma (،), closing quotes and brackets included. PDF and OCR
+// pages are read through readingOrder, so a sentence may run over several lines
+// (within the page). Past MAX_WORDS without punctuation (unpunctuated classical
+// text) the word's line is used instead.
+
+import { readingOrder } from "./readingOrder.js";
+
+const END = /[.!?\u2026\u06D4\u061F\u061B\u060C]+["'\u00BB\u201D)\]]*$/;
+const BOUNDARY = /[.!?\u2026\u06D4\u061F\u061B\u060C]+["'\u00BB\u201D)\]]*(?=\s|$)/g;
+const MAX_WORDS = 60;
+
+/**
+ * Sentence of overlay `target` among a page's `words` → { text, start, end }, where
+ * text.slice(start, end) is the target word. Null if the word isn't on the page.
+ */
+export function sentenceAt(words, target) {
+  const lines = readingOrder(words);
+  const line = lines.find((l) => l.words.includes(target));
+  if (!line) return null;
+  let sentence = [];
+  let found = null;
+  for (const w of lines.flatMap((l) => l.words)) {
+    sentence.push(w);
+    if (w === target) found = sentence;
+    if (END.test(w.WordText.trim())) {
+      if (found) break;
+      sentence = [];
+    }
+  }
+  const chosen = found.length > MAX_WORDS ? line.words : found;
+  const before = chosen.slice(0, chosen.indexOf(target)).map((w) => `${w.WordText} `).join("");
+  return {
+    text: chosen.map((w) => w.WordText).join(" "),
+    start: before.length,
+    end: before.length + target.WordText.length,
+  };
+}
+
+/**
+ * Sentence of running `text` containing the characters [from, to) → { text, start,
+ * end } as above, with white space collapsed.
+ */
+export function sentenceInText(text, from, to) {
+  let begin = 0;
+  let finish = text.length;
+  for (const m of text.matchAll(BOUNDARY)) {
+    const end = m.index + m[0].length;
+    if (end <= from) {
+      begin = end;
+    } else {
+      finish = Math.max(end, to);
+      break;
+    }
+  }
+  const squeeze = (s) => s.replace(/\s+/g, " ");
+  const before = squeeze(text.slice(begin, from)).trimStart();
+  const word = squeeze(text.slice(from, to));
+  const after = squeeze(text.slice(to, finish)).trimEnd();
+  return { text: before + word + after, start: before.length, end: before.length + word.length };
+}
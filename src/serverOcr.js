@@ -0,0 +1,208 @@
+// HoverReader — OCR through /api/ocr-space.
+// Pages go up either as JPEGs the browser rendered (ocrPageViaServerless) or as the
+// PDF's own pages (PdfPageOcr): page requests arriving together are copied into one
+// small PDF, sent in one call, and answered as the server streams each page back
+// (NDJSON), so nothing is rasterized here and vector text reaches the engine intact.
+
+export const API_OCR = "/api/ocr-space";
+
+// Busy or unreachable: worth another try. Any other status (a 500 from a server
+// missing its API key) would fail the same way again.
+const RETRYABLE_STATUS = new Set([429, 502, 503, 504]);
+
+/** OCR failure; the job queue retries it when the server was busy or slow */
+export function ocrError(message, status, retryAfter) {
+  const e = new Error(message);
+  e.status = status;
+  e.retryable = RETRYABLE_STATUS.has(status) || /time(d)? ?out/i.test(message);
+  if (Number(retryAfter) > 0) e.retryAfterMs = Number(retryAfter) * 1000;
+  return e;
+}
+
+function abortError() {
+  return new DOMException("Aborted", "AbortError");
+}
+
+function fromServer(j) {
+  return {
+    ...j,
+    _engine: j.provider ? `server/${j.provider}` : "server",
+    _meanConfidence: j.meanConfidence ?? undefined,
+    _cached: Boolean(j.cacheHit),
+  };
+}
+
+/**
+ * engine: 1 | 2 to pin an ocr.space engine; refresh: skip the server's OCR cache.
+ * The request is aborted after `ms` (a retryable "Timeout") or when `signal` fires.
+ */
+export async function ocrPageViaServerless(
+  base64Image,
+  language = "ara",
+  ms = 20000,
+  { engine, refresh, signal } = {}
+) {
+  if (signal?.aborted) throw abortError();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), ms);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener("abort", onAbort, { once: true });
+  try {
+    const res = await fetch(API_OCR, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ base64Image, language, isOverlayRequired: true, engine, refresh }),
+      signal: controller.signal,
+    });
+    if (!res.ok) {
+      throw ocrError(`OCR HTTP ${res.status}`, res.status, res.headers.get("retry-after"));
+    }
+    const j = await res.json();
+    if (j.IsErroredOnProcessing) {
+      throw ocrError([].concat(j.ErrorMessage || "OCR failed").join(" "), j.status);
+    }
+    return fromServer(j);
+  } catch (e) {
+    if (signal?.aborted) throw abortError();
+    if (controller.signal.aborted) throw ocrError("Timeout");
+    throw e;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+/** Overlay boxes times `k` (the server answers in PDF points) */
+function scaleOverlay(j, k) {
+  const pr = j?.ParsedResults?.[0];
+  if (!pr?.TextOverlay) return j;
+  const Lines = (pr.TextOverlay.Lines || []).map((line) => ({
+    ...line,
+    Words: (line.Words || []).map((w) => ({
+      ...w,
+      Left: w.Left * k,
+      Top: w.Top * k,
+      Width: w.Width * k,
+      Height: w.Height * k,
+    })),
+  }));
+  return { ...j, ParsedResults: [{ ...pr, TextOverlay: { ...pr.TextOverlay, Lines } }] };
+}
+
+async function* ndjson(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let rest = "";
+  for (;;) {
+    const { done, value } = await reader.read();
+    rest += decoder.decode(value || new Uint8Array(), { stream: !done });
+    const lines = rest.split("\n");
+    rest = lines.pop();
+    for (const line of lines) if (line.trim()) yield JSON.parse(line);
+    if (done) break;
+  }
+  if (rest.trim()) yield JSON.parse(rest);
+}
+
+export class PdfPageOcr {
+  /**
+   * `bytes`: the PDF file (a copy; pdf.js detaches the buffer it is given).
+   * `scale`: overlay units per PDF point. `onProgress(pageNumber)` fires when the
+   * server starts on a page.
+   */
+  constructor({ bytes, endpoint = API_OCR, scale = 1, delayMs = 30, maxPages = 20, onProgress }) {
+    Object.assign(this, { bytes, endpoint, scale, delayMs, maxPages, onProgress });
+    this.doc = null; // Promise<PDFDocument>, loaded on first use
+    this.groups = new Map(); // "language|engine|refresh" -> entries waiting for the next flush
+    this.timer = null;
+  }
+
+  /** Resolves to the page's overlay response, like ocrPageViaServerless */
+  recognize(pageNumber, { language = "ara", engine, refresh = false, signal } = {}) {
+    if (signal?.aborted) return Promise.reject(abortError());
+    const options = { language, engine: engine || null, refresh: Boolean(refresh) };
+    const key = `${options.language}|${options.engine}|${options.refresh}`;
+    const entry = { pageNumber, done: false, batch: null };
+    const promise = new Promise((resolve, reject) => {
+      entry.resolve = (v) => {
+        entry.done = true;
+        resolve(v);
+      };
+      entry.reject = (e) => {
+        entry.done = true;
+        reject(e);
+      };
+    });
+    signal?.addEventListener(
+      "abort",
+      () => {
+        if (entry.done) return;
+        entry.reject(abortError());
+        const group = this.groups.get(key);
+        if (group) group.entries = group.entries.filter((e) => e !== entry);
+        // Nobody waits for any page of the running request: stop it
+        if (entry.batch?.entries.every((e) => e.done)) entry.batch.controller.abort();
+      },
+      { once: true }
+    );
+    if (!this.groups.has(key)) this.groups.set(key, { options, entries: [] });
+    this.groups.get(key).entries.push(entry);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.delayMs);
+    return promise;
+  }
+
+  flush() {
+    this.timer = null;
+    for (const [key, { options, entries }] of this.groups) {
+      this.groups.delete(key);
+      for (let i = 0; i < entries.length; i += this.maxPages) {
+        this.send(options, entries.slice(i, i + this.maxPages));
+      }
+    }
+  }
+
+  async subset(pageNumbers) {
+    const { PDFDocument } = await import("pdf-lib");
+    this.doc ||= PDFDocument.load(this.bytes, { ignoreEncryption: true });
+    const source = await this.doc;
+    const out = await PDFDocument.create();
+    const copied = await out.copyPages(source, pageNumbers.map((n) => n - 1));
+    copied.forEach((p) => out.addPage(p));
+    return out.saveAsBase64({ dataUri: true });
+  }
+
+  async send(options, entries) {
+    const controller = new AbortController();
+    const batch = { entries, controller };
+    for (const e of entries) e.batch = batch;
+    // Page i of the request is entries[i]
+    try {
+      const pdf = await this.subset(entries.map((e) => e.pageNumber));
+      const res = await fetch(this.endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ pdf, ...options, engine: options.engine || undefined }),
+        signal: controller.signal,
+      });
+      if (!res.ok) {
+        const j = await res.json().catch(() => ({}));
+        throw ocrError(j.error || `OCR HTTP ${res.status}`, res.status, res.headers.get("retry-after"));
+      }
+      for await (const event of ndjson(res.body)) {
+        const entry = entries[event.index];
+        if (event.type === "progress" && entry && !entry.done) {
+          this.onProgress?.(entry.pageNumber);
+        } else if (event.type === "page" && entry) {
+          entry.resolve(fromServer(scaleOverlay(event.result, this.scale)));
+        } else if (event.type === "page-error" && entry) {
+          entry.reject(ocrError(event.message || "OCR failed", event.status));
+        }
+      }
+      throw ocrError("OCR stream ended early", 502);
+    } catch (e) {
+      const error = controller.signal.aborted ? abortError() : e;
+      for (const entry of entries) if (!entry.done) entry.reject(error);
+    }
+  }
+}
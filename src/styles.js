@@ -0,0 +1,101 @@
+// HoverReader — inline style objects shared by the app's components
+
+export const STYLES = {
+  page: {
+    position: "relative",
+    margin: "0 auto",
+    boxShadow: "0 10px 30px rgba(0,0,0,.35)",
+    borderRadius: 12,
+    overflow: "hidden",
+    background: "#111",
+  },
+  overlayLayer: {
+    position: "absolute",
+    inset: 0,
+    zIndex: 5,
+    pointerEvents: "auto",
+  },
+  overlayWord: {
+    position: "absolute",
+    lineHeight: 1.2,
+    borderRadius: 4,
+    pointerEvents: "auto",
+    cursor: "pointer",
+    background: "rgba(147,197,253,.16)",
+    outlineOffset: 0,
+    transition: "outline 120ms ease, background 120ms ease",
+  },
+  tip: {
+    position: "fixed",
+    bottom: "auto",
+    transform: "translate(-50%, -120%)",
+    background: "#111",
+    color: "#fff",
+    padding: "6px 8px",
+    borderRadius: 8,
+    whiteSpace: "nowrap",
+    fontSize: 12,
+    zIndex: 50,
+    pointerEvents: "none",
+    maxWidth: "60vw",
+  },
+  sidebar: {
+    position: "sticky",
+    top: 16,
+    padding: 12,
+    border: "1px solid #1f2937",
+    borderRadius: 12,
+    background: "rgba(17,17,17,.6)",
+  },
+  toolbar: { display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" },
+  input: {
+    padding: "8px",
+    borderRadius: 10,
+    border: "1px solid #333",
+    background: "#0b0c10",
+    color: "#e5e7eb",
+    minWidth: 180,
+  },
+  badge: {
+    display: "inline-block",
+    marginLeft: 8,
+    fontSize: 12,
+    padding: "2px 6px",
+    borderRadius: 6,
+    background: "#1f2937",
+    color: "#e5e7eb",
+  },
+  warning: {
+    display: "inline-block",
+    marginLeft: 8,
+    fontSize: 12,
+    padding: "2px 6px",
+    borderRadius: 6,
+    background: "#7c2d12",
+    color: "#fde68a",
+  },
+  error: {
+    background: "#7f1d1d",
+    color: "#fecaca",
+    padding: "8px 10px",
+    borderRadius: 8,
+    marginTop: 8,
+    border: "1px solid #ef4444",
+  },
+  docxShell: {
+    background: "#111",
+    padding: 16,
+    borderRadius: 12,
+    border: "1px solid #1f2937",
+  },
+  docxPage: {
+    margin: "16px auto",
+    padding: "24px 28px",
+    background: "#fff",
+    color: "#000",
+    width: 820,
+    boxShadow: "0 10px 30px rgba(0,0,0,.35)",
+    borderRadius: 12,
+    direction: "rtl",
+  },
+};
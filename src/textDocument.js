@@ -0,0 +1,143 @@
+// HoverReader — HTML and plain text as a reading flow.
+// Uploaded or pasted HTML is cleaned (no scripts, styles, frames, forms or event
+// handlers; inline styles only for direction and emphasis) and plain text becomes
+// paragraphs; the App then wraps the Arabic words the way it does a DOCX's
+// (wrapDocxWords). epub.js cleans its chapters here too.
+// Loaders resolve to { title, content, toc, urls }: `content` is an element to show,
+// `toc` entries are { label, depth, id } and `urls` object URLs to revoke later.
+
+const DROP =
+  "script, style, link, meta, base, title, iframe, frame, frameset, object, embed, applet, " +
+  "form, input, button, select, textarea, noscript, template";
+
+const URL_ATTRIBUTES = /^(href|src|xlink:href|action|formaction|poster)$/i;
+
+// Inline styles keep only what affects reading, never position, size, colour or images
+const SAFE_STYLES = new Set([
+  "direction",
+  "unicode-bidi",
+  "text-align",
+  "font-weight",
+  "font-style",
+  "text-decoration",
+  "text-decoration-line",
+]);
+
+/** A style attribute with only SAFE_STYLES declarations left ("" if none) */
+function safeStyle(style) {
+  return style
+    .split(";")
+    .map((d) => d.trim())
+    .filter((d) => {
+      const [name, ...rest] = d.split(":");
+      const value = rest.join(":");
+      // No functions (url(), expression()), escapes or at-rules in the value
+      return SAFE_STYLES.has(name.trim().toLowerCase()) && value.trim() && !/[\\(@]/.test(value);
+    })
+    .join("; ");
+}
+
+/** Remove from `root` (in place) whatever could run or restyle the app; returns `root` */
+export function cleanHtml(root) {
+  for (const el of root.querySelectorAll(DROP)) el.remove();
+  for (const el of root.querySelectorAll("*")) {
+    for (const { name, value } of [...el.attributes]) {
+      if (/^on/i.test(name) || (URL_ATTRIBUTES.test(name) && /^\s*javascript:/i.test(value))) {
+        el.removeAttribute(name);
+      } else if (name.toLowerCase() === "style") {
+        const style = safeStyle(value);
+        if (style) el.setAttribute("style", style);
+        else el.removeAttribute("style");
+      }
+    }
+    if (el.localName === "a" && /^https?:/i.test(el.getAttribute("href") || "")) {
+      el.setAttribute("target", "_blank");
+      el.setAttribute("rel", "noopener noreferrer");
+    }
+  }
+  return root;
+}
+
+/** h1–h3 under `root` as table-of-contents entries, giving them ids where missing */
+export function headingToc(root, prefix = "hr-h") {
+  return [...root.querySelectorAll("h1, h2, h3")]
+    .map((h, i) => {
+      if (!h.id) h.id = `${prefix}-${i}`;
+      const label = h.textContent.replace(/\s+/g, " ").trim();
+      return { label, depth: Number(h.localName[1]) - 1, id: h.id };
+    })
+    .filter((entry) => entry.label);
+}
+
+function declaredCharset(bytes) {
+  const head = new TextDecoder("latin1").decode(bytes.subarray(0, 2048));
+  return /<meta[^>]+charset=["']?([\w-]+)/i.exec(head)?.[1] || null;
+}
+
+/** BOM, then the declared charset, then UTF-8, then Windows-1256 (older Arabic files) */
+function decodeText(bytes, charset = null) {
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return new TextDecoder("utf-16le").decode(bytes);
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return new TextDecoder("utf-16be").decode(bytes);
+  if (charset) {
+    try {
+      return new TextDecoder(charset).decode(bytes);
+    } catch {
+      // unknown label: guess as for undeclared text
+    }
+  }
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch {
+    return new TextDecoder("windows-1256").decode(bytes);
+  }
+}
+
+function article() {
+  const el = document.createElement("article");
+  el.className = "hr-text";
+  return el;
+}
+
+/** Blank lines separate paragraphs; each paragraph takes the direction of its text */
+function textToArticle(text) {
+  const out = article();
+  for (const para of text.replace(/\r\n?/g, "\n").split(/\n\s*\n/)) {
+    if (!para.trim()) continue;
+    const p = document.createElement("p");
+    p.dir = "auto";
+    para.trim().split("\n").forEach((line, i) => {
+      if (i) p.appendChild(document.createElement("br"));
+      p.appendChild(document.createTextNode(line));
+    });
+    out.appendChild(p);
+  }
+  return out;
+}
+
+function htmlToArticle(html) {
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  const out = article();
+  for (const node of [...cleanHtml(doc.body).childNodes]) {
+    out.appendChild(document.importNode(node, true));
+  }
+  return { title: doc.title.trim(), content: out };
+}
+
+/** `kind`: "html" | "text" (see library.js documentKind) */
+export async function loadTextDocument(file, kind) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  if (kind === "html") {
+    const { title, content } = htmlToArticle(decodeText(bytes, declaredCharset(bytes)));
+    return { title, content, toc: headingToc(content), urls: [] };
+  }
+  const content = textToArticle(decodeText(bytes));
+  return { title: "", content, toc: [], urls: [] };
+}
+
+/** A pasted snippet as a file, so it opens (and is kept in the library) like an upload */
+export function pastedFile({ html = "", text = "" }) {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, "-");
+  return html
+    ? new File([html], `Pasted text ${stamp}.html`, { type: "text/html" })
+    : new File([text], `Pasted text ${stamp}.txt`, { type: "text/plain" });
+}
@@ -0,0 +1,295 @@
+// HoverReader — PDF text layer → overlay words in reading order.
+// pdf.js hands over text items (runs of glyphs) in content-stream order, which need
+// not be reading order; an item may hold several words or stop mid-line. Here items
+// are split into word boxes, clustered into rows by baseline and cut where a row has
+// a wide gap; vertical gutters that no run crosses separate columns, and runs that do
+// cross one (headings, full-width paragraphs) start a new band. Bands are read top to
+// bottom, columns right to left on right-to-left pages, and each line's words are put in
+// logical order (see logicalOrder). Every word's `lineText` is its whole line.
+// Verse set as two hemistichs per line looks like two columns and is read as such.
+// Word boxes come from the glyphs pdf.js draws (pdfGlyphs.js) when an item's glyphs
+// fall into as many words as its text has; otherwise the item's width is shared out
+// by each word's width measured in the item's font family. `boxSource` says which.
+
+// Arabic and Hebrew letters (not digits or marks), base and presentation-form blocks
+const RTL_LETTER =
+  /[\u05D0-\u05EA\u0621-\u064A\u066E-\u06D3\u06FA-\u06FF\u0750-\u077F\u08A0-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+const LATIN_LETTER = /[A-Za-z\u00C0-\u024F]/;
+const DIGIT = /[0-9\u0660-\u0669\u06F0-\u06F9]/;
+
+const ROW_TOLERANCE = 0.5; // baselines closer than this × font size share a row
+const GAP = 1.5; // a horizontal gap wider than this × font size splits a row
+const GUTTER = 1.5; // narrowest column gutter, × the median font size
+const MIN_COLUMN_SHARE = 0.2; // each side of a gutter holds at least this share of runs
+const WORD_GAP = 0.15; // glyphs further apart than this × font size are separate words
+
+/** "rtl" (Arabic or Hebrew letters), "ltr" (Latin), "number" or "neutral" (punctuation…) */
+function direction(text) {
+  if (RTL_LETTER.test(text)) return "rtl";
+  if (LATIN_LETTER.test(text)) return "ltr";
+  if (DIGIT.test(text)) return "number";
+  return "neutral";
+}
+
+/**
+ * Texts of a line, in its own direction's order → their indices, with runs of
+ * opposite-direction words (and the neutrals between them) grouped in arrays. Neutrals
+ * after a run's last word stay outside it.
+ */
+function directionRuns(texts, rtl) {
+  const opposite = (d) => (rtl ? d === "ltr" || d === "number" : d === "rtl");
+  const out = [];
+  let run = null;
+  let tail = [];
+  texts.forEach((text, i) => {
+    const d = direction(text);
+    if (opposite(d)) {
+      if (!run) out.push((run = []));
+      run.push(...tail, i);
+      tail = [];
+    } else if ((d === "neutral" || d === "number") && run) {
+      tail.push(i);
+    } else {
+      out.push(...tail, i);
+      run = null;
+      tail = [];
+    }
+  });
+  out.push(...tail);
+  return out;
+}
+
+/**
+ * Overlay words of one line (any order) → logical order. The line runs right to left
+ * unless it has more Latin words than right-to-left ones; runs of Latin words and
+ * numbers inside it (an English name, a number written in groups) keep their own
+ * order, as do Arabic or Hebrew runs inside a Latin line.
+ */
+export function logicalOrder(words) {
+  const texts = words.map((w) => w.WordText || "");
+  const count = (d) => texts.filter((t) => direction(t) === d).length;
+  const rtl = count("rtl") >= count("ltr");
+  const sorted = [...words].sort((a, b) =>
+    rtl ? b.Left + b.Width - (a.Left + a.Width) : a.Left - b.Left
+  );
+  const runs = directionRuns(sorted.map((w) => w.WordText || ""), rtl);
+  return runs.flatMap((r) => (Array.isArray(r) ? r.reverse() : [r])).map((i) => sorted[i]);
+}
+
+/** Words of one item (logical order) → their indices from left to right on the page */
+function visualOrder(texts, rtl) {
+  // Reading order with runs turned around is display order in the item's direction
+  const order = directionRuns(texts, rtl).flatMap((r) => (Array.isArray(r) ? r.reverse() : [r]));
+  return rtl ? order.reverse() : order;
+}
+
+export function multiply(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[2] * m2[1],
+    m1[1] * m2[0] + m1[3] * m2[1],
+    m1[0] * m2[2] + m1[2] * m2[3],
+    m1[1] * m2[2] + m1[3] * m2[3],
+    m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+    m1[1] * m2[4] + m1[3] * m2[5] + m1[5],
+  ];
+}
+
+let measureContext;
+
+/** Width of `text` in CSS font `family` (any unit); its length where there's no canvas */
+function measuredWidth(text, family) {
+  if (measureContext === undefined) {
+    measureContext =
+      typeof document === "undefined" ? null : document.createElement("canvas").getContext("2d");
+  }
+  if (!measureContext) return text.length;
+  measureContext.font = `100px ${family}`;
+  return measureContext.measureText(text).width;
+}
+
+/** Glyphs (sorted by baseline) drawn within an item's extent, left to right */
+function glyphsIn(glyphs, left, right, baseline, size) {
+  let lo = 0;
+  let hi = glyphs.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (glyphs[mid].baseline < baseline - size / 2) lo = mid + 1;
+    else hi = mid;
+  }
+  const out = [];
+  for (let i = lo; i < glyphs.length && glyphs[i].baseline <= baseline + size / 2; i++) {
+    const center = (glyphs[i].left + glyphs[i].right) / 2;
+    if (center >= left - 1 && center <= right + 1) out.push(glyphs[i]);
+  }
+  return out.sort((a, b) => a.left - b.left);
+}
+
+/** Glyphs, left to right → word boxes, split at spaces and gaps */
+function glyphClusters(glyphs, size) {
+  const out = [];
+  let box = null;
+  for (const g of glyphs) {
+    if (g.space) {
+      box = null;
+    } else if (box && g.left - box.right <= WORD_GAP * size) {
+      box.right = Math.max(box.right, g.right);
+      box.top = Math.min(box.top, g.top);
+      box.bottom = Math.max(box.bottom, g.bottom);
+    } else {
+      box = { left: g.left, right: g.right, top: g.top, bottom: g.bottom };
+      out.push(box);
+    }
+  }
+  return out;
+}
+
+/** One text item → word boxes, from its glyphs or else from measured word widths */
+function itemWords(item, index, viewport, glyphs, styles) {
+  const clean = (item.str || "").replace(/\s+/g, " ").trim();
+  if (!clean) return [];
+  const t = multiply(viewport.transform, item.transform);
+  const size = Math.hypot(t[2], t[3]) || 12;
+  const width = item.width * viewport.scale;
+  const parts = clean.split(" ");
+  // pdf.js gives items in logical order; `order` is their words from left to right
+  const order = visualOrder(parts, item.dir === "rtl");
+  const placed = (k, left, top, w, h, boxSource) => ({
+    word: { WordText: parts[k], Left: left, Top: top, Width: w, Height: h, boxSource },
+    baseline: t[5],
+    size,
+    item: index,
+  });
+
+  const clusters = glyphClusters(glyphsIn(glyphs, t[4], t[4] + width, t[5], size), size);
+  if (clusters.length === parts.length) {
+    return order.map((k, i) => {
+      const c = clusters[i];
+      return placed(k, c.left, c.top, c.right - c.left, c.bottom - c.top, "glyphs");
+    });
+  }
+
+  const family = styles[item.fontName]?.fontFamily || "sans-serif";
+  const widths = parts.map((p) => measuredWidth(p, family));
+  const space = measuredWidth(" ", family);
+  const scale = width / (widths.reduce((a, b) => a + b, 0) + space * (parts.length - 1) || 1);
+  let cursor = t[4];
+  return order.map((k) => {
+    const w = Math.max(3, widths[k] * scale);
+    const left = cursor;
+    cursor += w + space * scale;
+    return placed(k, left, t[5] - size, w, Math.max(10, size * 1.15), "measured");
+  });
+}
+
+/** Placed words → rows (top to bottom) of runs (left to right); an item is never split */
+function rowsOf(placed) {
+  const rows = [];
+  for (const p of [...placed].sort((a, b) => a.baseline - b.baseline)) {
+    const row = rows[rows.length - 1];
+    if (row && p.baseline - row.baseline <= ROW_TOLERANCE * Math.min(p.size, row.size)) {
+      row.words.push(p);
+    } else {
+      rows.push({ baseline: p.baseline, size: p.size, words: [p] });
+    }
+  }
+  return rows.map((row) => {
+    const runs = [];
+    for (const p of row.words.sort((a, b) => a.word.Left - b.word.Left)) {
+      const run = runs[runs.length - 1];
+      const near = run && p.word.Left - run.right <= GAP * Math.max(p.size, run.size);
+      if (near || run?.items.has(p.item)) {
+        run.words.push(p.word);
+        run.items.add(p.item);
+        run.right = Math.max(run.right, p.word.Left + p.word.Width);
+      } else {
+        const { Left: left, Width: width } = p.word;
+        const items = new Set([p.item]);
+        runs.push({ words: [p.word], items, left, right: left + width, size: p.size });
+      }
+    }
+    return runs;
+  });
+}
+
+/** x ranges no run (or hardly any) crosses, with enough text on both sides */
+function gutters(runs, medianSize) {
+  const edges = [...new Set(runs.flatMap((r) => [r.left, r.right]))].sort((a, b) => a - b);
+  const tolerance = Math.max(1, Math.floor(runs.length * 0.05));
+  const out = [];
+  let start = null;
+  for (let i = 0; i < edges.length - 1; i++) {
+    const mid = (edges[i] + edges[i + 1]) / 2;
+    const crossing = runs.filter((r) => r.left < mid && r.right > mid).length;
+    if (crossing <= tolerance) {
+      start ??= edges[i];
+    } else if (start != null) {
+      out.push({ left: start, right: edges[i] });
+      start = null;
+    }
+  }
+  const minShare = runs.length * MIN_COLUMN_SHARE;
+  return out.filter(
+    (g) =>
+      g.right - g.left >= GUTTER * medianSize &&
+      runs.filter((r) => r.right <= g.left).length >= minShare &&
+      runs.filter((r) => r.left >= g.right).length >= minShare
+  );
+}
+
+/**
+ * pdf.js text items of a page (at `viewport`) → overlay words in reading order.
+ * `glyphs`: the page's glyph boxes (pdfGlyphs.js); `styles`: getTextContent's styles.
+ */
+export function layoutTextItems(items, viewport, { glyphs = [], styles = {} } = {}) {
+  const byBaseline = [...glyphs].sort((a, b) => a.baseline - b.baseline);
+  const placed = items.flatMap((it, i) => itemWords(it, i, viewport, byBaseline, styles));
+  if (!placed.length) return [];
+  const sizes = placed.map((p) => p.size).sort((a, b) => a - b);
+  const rows = rowsOf(placed);
+  const found = gutters(rows.flat(), sizes[Math.floor(sizes.length / 2)]);
+  const rtlWords = placed.filter((p) => direction(p.word.WordText) === "rtl").length;
+  const rtlPage = rtlWords * 2 >= placed.length;
+
+  // Column of a run: how many gutters lie left of it; null if it crosses one
+  const columnOf = (run) => {
+    let col = 0;
+    for (const g of found) {
+      if (run.right <= g.left + 1) break;
+      if (run.left < g.right - 1) return null;
+      col++;
+    }
+    return col;
+  };
+
+  const lines = [];
+  let band = found.map(() => []).concat([[]]); // column -> lines, top to bottom
+  const flush = () => {
+    const columns = rtlPage ? [...band].reverse() : band;
+    for (const col of columns) lines.push(...col);
+    band = band.map(() => []);
+  };
+  for (const row of rows) {
+    const byColumn = new Map();
+    for (const run of row) {
+      const col = columnOf(run);
+      if (col == null) {
+        flush();
+        lines.push(run.words);
+      } else {
+        // Runs of one column on one row (a wide justified gap) are one line
+        if (!byColumn.has(col)) {
+          byColumn.set(col, []);
+          band[col].push(byColumn.get(col));
+        }
+        byColumn.get(col).push(...run.words);
+      }
+    }
+  }
+  flush();
+
+  return lines.flatMap((line) => {
+    const ordered = logicalOrder(line);
+    const lineText = ordered.map((w) => w.WordText).join(" ");
+    return ordered.map((w) => ({ ...w, lineText }));
+  });
+}
@@ -0,0 +1,156 @@
+// HoverReader — coalesces word translations into batched /api/translate calls.
+// Lookups queue for a short debounce window and go out together (q as an array);
+// the same word is never requested twice while a request is pending. Every caller
+// passes an AbortSignal: a word nobody waits for any more is dropped from the
+// queue, and an in-flight batch is aborted once none of its words are wanted.
+
+function abortError() {
+  return new DOMException("Aborted", "AbortError");
+}
+
+export function isAbortError(e) {
+  return e?.name === "AbortError";
+}
+
+export class TranslationBatcher {
+  constructor({
+    endpoint,
+    source = "ar",
+    target = "en",
+    delayMs = 40,
+    maxWaitMs = 200,
+    maxBatch = 50,
+    maxInFlight = 2,
+    onResult,
+  }) {
+    Object.assign(this, { endpoint, source, target, delayMs, maxWaitMs, maxBatch, maxInFlight });
+    this.onResult = onResult;
+    this.queued = new Map(); // word -> entry, waiting for the next flush
+    this.inFlight = new Map(); // word -> entry, part of a running batch
+    this.batches = 0;
+    this.timer = null;
+    this.firstQueuedAt = 0;
+  }
+
+  /**
+   * Resolves to { text, provider } for `word`. `priority` words (hover) jump the
+   * queue ahead of prefetches and may exceed maxInFlight.
+   */
+  translate(word, { signal, priority = false } = {}) {
+    if (signal?.aborted) return Promise.reject(abortError());
+    let entry = this.inFlight.get(word) || this.queued.get(word);
+    if (!entry) {
+      entry = { word, priority, waiters: 0, batch: null };
+      entry.promise = new Promise((resolve, reject) => {
+        entry.resolve = resolve;
+        entry.reject = reject;
+      });
+      entry.promise.catch(() => {});
+      this.queued.set(word, entry);
+    }
+    entry.priority ||= priority;
+    // A word of a running batch that had been given up on is wanted again
+    if (entry.batch && entry.waiters === 0) entry.batch.live++;
+    entry.waiters++;
+    if (!entry.batch) this.schedule();
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.release(entry);
+        reject(abortError());
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+      entry.promise.then(
+        (v) => {
+          signal?.removeEventListener("abort", onAbort);
+          resolve(v);
+        },
+        (e) => {
+          signal?.removeEventListener("abort", onAbort);
+          reject(e);
+        }
+      );
+    });
+  }
+
+  release(entry) {
+    if (--entry.waiters > 0) return;
+    if (!entry.batch) {
+      if (this.queued.get(entry.word) === entry) this.queued.delete(entry.word);
+      entry.reject(abortError());
+    } else if (!--entry.batch.live) {
+      // Nobody wants any word of this batch: stop it and forget its words now,
+      // so a new lookup of the same word starts a fresh request.
+      for (const w of entry.batch.words) {
+        if (this.inFlight.get(w)?.batch === entry.batch) this.inFlight.delete(w);
+      }
+      entry.batch.controller.abort();
+    }
+  }
+
+  schedule() {
+    if (!this.queued.size) return;
+    const now = Date.now();
+    if (!this.timer) this.firstQueuedAt = now;
+    clearTimeout(this.timer);
+    // Debounce, but don't let a steady stream of hovers postpone the flush forever
+    const wait = Math.max(0, Math.min(this.delayMs, this.firstQueuedAt + this.maxWaitMs - now));
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, wait);
+  }
+
+  flush() {
+    const all = [...this.queued.values()];
+    const urgent = all.filter((e) => e.priority);
+    // Prefetches wait for a free slot; hover lookups always go
+    if (!urgent.length && this.batches >= this.maxInFlight) return;
+    const entries = [...urgent, ...all.filter((e) => !e.priority)].slice(0, this.maxBatch);
+    if (!entries.length) return;
+
+    const batch = {
+      controller: new AbortController(),
+      live: entries.length,
+      words: entries.map((e) => e.word),
+    };
+    for (const e of entries) {
+      this.queued.delete(e.word);
+      this.inFlight.set(e.word, e);
+      e.batch = batch;
+    }
+    this.batches++;
+    this.send(batch, entries).finally(() => {
+      this.batches--;
+      for (const w of batch.words) {
+        if (this.inFlight.get(w)?.batch === batch) this.inFlight.delete(w);
+      }
+      this.schedule();
+    });
+    if (this.queued.size) this.schedule();
+  }
+
+  async send(batch, entries) {
+    try {
+      const r = await fetch(this.endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ q: batch.words, source: this.source, target: this.target }),
+        signal: batch.controller.signal,
+      });
+      if (!r.ok) throw new Error("Translate failed");
+      const { translations = [] } = await r.json();
+      entries.forEach((e, i) => {
+        const result = {
+          text: translations[i]?.translatedText || "",
+          provider: translations[i]?.provider || null,
+        };
+        // Results are worth keeping even if the hover that asked has moved on
+        this.onResult?.(e.word, result);
+        e.resolve(result);
+      });
+    } catch (err) {
+      for (const e of entries) e.reject(batch.controller.signal.aborted ? abortError() : err);
+    }
+  }
+}
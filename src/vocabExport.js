@@ -0,0 +1,262 @@
+// HoverReader — export saved vocabulary as an Anki package (.apkg) or TSV/CSV.
+// Everything runs in the browser: sql.js builds the Anki collection (schema 11,
+// importable by every Anki version) and fflate zips it.
+
+import { zipSync, strToU8 } from "fflate";
+
+const FIELDS = ["Arabic", "Gloss", "Root", "Lemma", "Context", "Translation", "Source"];
+
+function fieldValues(card) {
+  const source = [card.docName, card.page ? `p. ${card.page}` : ""].filter(Boolean).join(", ");
+  return [
+    card.word,
+    card.gloss || "",
+    (card.root || "").split("-").join(" "),
+    card.lemma || "",
+    card.lineText || "",
+    card.translation || "",
+    source,
+  ];
+}
+
+// ---------- TSV / CSV ----------
+function csvCell(v) {
+  const s = String(v ?? "");
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function vocabToCsv(cards) {
+  const rows = [FIELDS, ...cards.map(fieldValues)];
+  return rows.map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+/** Tab-separated, with Anki's file headers so "Import File" maps the columns directly */
+export function vocabToTsv(cards) {
+  const clean = (v) => String(v ?? "").replace(/[\t\r\n]+/g, " ");
+  const header = ["#separator:tab", "#html:false", `#columns:${FIELDS.join("\t")}`];
+  const rows = cards.map((c) => fieldValues(c).map(clean).join("\t"));
+  return [...header, ...rows].join("\n") + "\n";
+}
+
+// ---------- Anki .apkg ----------
+const ANKI_SCHEMA = `
+CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null,
+  scm integer not null, ver integer not null, dty integer not null, usn integer not null,
+  ls integer not null, conf text not null, models text not null, decks text not null,
+  dconf text not null, tags text not null);
+CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null,
+  mod integer not null, usn integer not null, tags text not null, flds text not null,
+  sfld integer not null, csum integer not null, flags integer not null, data text not null);
+CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null,
+  ord integer not null, mod integer not null, usn integer not null, type integer not null,
+  queue integer not null, due integer not null, ivl integer not null, factor integer not null,
+  reps integer not null, lapses integer not null, left integer not null, odue integer not null,
+  odid integer not null, flags integer not null, data text not null);
+CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null,
+  ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null,
+  time integer not null, type integer not null);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+// Fixed ids so re-importing an export updates the same note type and deck
+const MODEL_ID = 1693504000001;
+const DECK_ID = 1693504000002;
+
+const CARD_CSS = `.card { font-family: system-ui, sans-serif; font-size: 20px; text-align: center; }
+.ar { font-family: "Amiri", "Scheherazade New", "Noto Naskh Arabic", serif; font-size: 40px; direction: rtl; }
+.context { direction: rtl; font-size: 22px; color: #555; margin-top: 12px; }
+.meta { font-size: 16px; color: #888; margin-top: 8px; }`;
+
+const FRONT = `<div class="ar">{{Arabic}}</div>`;
+const BACK = `{{FrontSide}}
+<hr id="answer">
+<div>{{Gloss}}</div>
+{{#Root}}<div class="meta ar" style="font-size:20px">{{Root}}{{#Lemma}} · {{Lemma}}{{/Lemma}}</div>{{/Root}}
+{{#Context}}<div class="context">{{Context}}</div>{{/Context}}
+{{#Translation}}<div class="meta">{{Translation}}</div>{{/Translation}}
+{{#Source}}<div class="meta">{{Source}}</div>{{/Source}}`;
+
+function noteModel(now) {
+  return {
+    id: MODEL_ID,
+    name: "HoverReader Arabic",
+    type: 0,
+    mod: now,
+    usn: -1,
+    sortf: 0,
+    did: DECK_ID,
+    tmpls: [
+      { name: "Recognition", ord: 0, qfmt: FRONT, afmt: BACK, did: null, bqfmt: "", bafmt: "" },
+    ],
+    flds: FIELDS.map((name, ord) => ({
+      name,
+      ord,
+      sticky: false,
+      rtl: ["Arabic", "Root", "Lemma", "Context"].includes(name),
+      font: "Arial",
+      size: 20,
+      media: [],
+    })),
+    css: CARD_CSS,
+    latexPre:
+      "\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n",
+    latexPost: "\\end{document}",
+    req: [[0, "any", [0]]],
+    tags: [],
+    vers: [],
+  };
+}
+
+function deck(id, name, now) {
+  return {
+    id,
+    name,
+    desc: "",
+    mod: now,
+    usn: -1,
+    collapsed: false,
+    browserCollapsed: false,
+    dyn: 0,
+    conf: 1,
+    extendNew: 10,
+    extendRev: 50,
+    newToday: [0, 0],
+    revToday: [0, 0],
+    lrnToday: [0, 0],
+    timeToday: [0, 0],
+  };
+}
+
+const DECK_CONF = {
+  id: 1,
+  name: "Default",
+  mod: 0,
+  usn: 0,
+  maxTaken: 60,
+  autoplay: true,
+  timer: 0,
+  replayq: true,
+  dyn: false,
+  new: {
+    bury: true,
+    delays: [1, 10],
+    initialFactor: 2500,
+    ints: [1, 4, 7],
+    order: 1,
+    perDay: 20,
+    separate: true,
+  },
+  lapse: { delays: [10], leechAction: 0, leechFails: 8, minInt: 1, mult: 0 },
+  rev: { bury: true, ease4: 1.3, fuzz: 0.05, ivlFct: 1, maxIvl: 36500, minSpace: 1, perDay: 100 },
+};
+
+const COL_CONF = {
+  activeDecks: [1],
+  curDeck: 1,
+  newSpread: 0,
+  collapseTime: 1200,
+  timeLim: 0,
+  estTimes: true,
+  dueCounts: true,
+  curModel: String(MODEL_ID),
+  nextPos: 1,
+  sortType: "noteFld",
+  sortBackwards: false,
+  addToCur: true,
+};
+
+async function sha1Hex(s) {
+  const buf = await crypto.subtle.digest("SHA-1", new TextEncoder().encode(s));
+  return Array.from(new Uint8Array(buf), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/** Anki's duplicate checksum: first 8 hex digits of sha1(first field, tags stripped) */
+async function fieldChecksum(s) {
+  return parseInt((await sha1Hex(s.replace(/<[^>]+>/g, ""))).slice(0, 8), 16);
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+let sqlPromise = null;
+/** sql.js with the wasm file Vite bundles */
+async function loadSql() {
+  if (!sqlPromise) {
+    sqlPromise = Promise.all([
+      import("sql.js"),
+      import("sql.js/dist/sql-wasm-browser.wasm?url"),
+    ]).then(([mod, wasm]) => mod.default({ locateFile: () => wasm.default }));
+  }
+  return sqlPromise;
+}
+
+/**
+ * Build an .apkg Blob with one note (and card) per saved word. `sql`: resolves to an
+ * initialized sql.js (`initSqlJs({ locateFile })`), for hosts without Vite's wasm URLs.
+ */
+export async function buildApkg(
+  cards,
+  { deckName = "HoverReader vocabulary", sql = loadSql } = {}
+) {
+  const SQL = await sql();
+  const db = new SQL.Database();
+  const nowMs = Date.now();
+  const now = Math.floor(nowMs / 1000);
+  try {
+    db.exec(ANKI_SCHEMA);
+    db.run("INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, '{}')", [
+      now,
+      nowMs,
+      nowMs,
+      JSON.stringify(COL_CONF),
+      JSON.stringify({ [MODEL_ID]: noteModel(now) }),
+      JSON.stringify({ 1: deck(1, "Default", now), [DECK_ID]: deck(DECK_ID, deckName, now) }),
+      JSON.stringify({ 1: DECK_CONF }),
+    ]);
+
+    const insertNote = db.prepare("INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, '')");
+    const insertCard = db.prepare(
+      "INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, '')"
+    );
+    for (let i = 0; i < cards.length; i++) {
+      const c = cards[i];
+      const values = fieldValues(c).map((v) => escapeHtml(v));
+      // Bold the word inside its context sentence
+      const word = escapeHtml(c.word);
+      values[4] = values[4].replace(word, `<b>${word}</b>`);
+      const noteId = nowMs + i;
+      // Stable guid per word so a later export updates instead of duplicating
+      const guid = (await sha1Hex(`hoverreader:${c.id || c.word}`)).slice(0, 10);
+      const tags = c.docName ? ` ${c.docName.replace(/\s+/g, "_")} ` : "";
+      insertNote.run([
+        noteId,
+        guid,
+        MODEL_ID,
+        now,
+        tags,
+        values.join("\x1f"),
+        c.word,
+        await fieldChecksum(c.word),
+      ]);
+      insertCard.run([noteId, noteId, DECK_ID, now, i + 1]);
+    }
+    insertNote.free();
+    insertCard.free();
+
+    const zip = zipSync({
+      "collection.anki2": db.export(),
+      media: strToU8("{}"),
+    });
+    return new Blob([zip], { type: "application/octet-stream" });
+  } finally {
+    db.close();
+  }
+}
@@ -0,0 +1,153 @@
+// HoverReader — word translation cache: in-memory LRU in front of IndexedDB.
+// Entries are keyed by source|target|normalized word, expire after a TTL and
+// are evicted least-recently-used once the store grows past maxEntries.
+
+import { idbClear, idbDeleteMany, idbGet, idbGetAll, idbPut } from "./idb.js";
+import { lexiconKey } from "./lexicon-format.js";
+
+const IDB_STORE = "translations";
+const SETTINGS_KEY = "hoverreader.cacheSettings";
+const DAY = 24 * 60 * 60 * 1000;
+export const CACHE_EXPORT_FORMAT = "hoverreader-translation-cache";
+
+/** Simple LRU-ish cache for word translations */
+export class WordCache {
+  constructor(limit = 1000) {
+    this.map = new Map();
+    this.limit = limit;
+  }
+  get(key) {
+    if (!this.map.has(key)) return null;
+    const val = this.map.get(key);
+    this.map.delete(key);
+    this.map.set(key, val);
+    return val;
+  }
+  set(key, val) {
+    if (this.map.has(key)) this.map.delete(key);
+    this.map.set(key, val);
+    if (this.map.size > this.limit) {
+      const first = this.map.keys().next().value;
+      this.map.delete(first);
+    }
+  }
+  delete(key) {
+    this.map.delete(key);
+  }
+  clear() {
+    this.map.clear();
+  }
+}
+
+function loadSettings() {
+  try {
+    return JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export class PersistentWordCache {
+  constructor({ memoryLimit = 1000 } = {}) {
+    this.memory = new WordCache(memoryLimit);
+    this.settings = { ttlDays: 90, maxEntries: 20000, ...loadSettings() };
+    this.writesSinceEvict = 0;
+  }
+
+  key(source, target, word) {
+    return `${source}|${target}|${lexiconKey(word, source) || word}`;
+  }
+
+  updateSettings(patch) {
+    this.settings = { ...this.settings, ...patch };
+    try {
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify(this.settings));
+    } catch {
+      // private mode: settings last for the session
+    }
+    return this.evict();
+  }
+
+  isFresh(rec, now = Date.now()) {
+    return rec && now - rec.savedAt < this.settings.ttlDays * DAY;
+  }
+
+  async get(source, target, word) {
+    const key = this.key(source, target, word);
+    const mem = this.memory.get(key);
+    if (mem) return mem.text;
+    const rec = await idbGet(IDB_STORE, key).catch(() => null);
+    if (!this.isFresh(rec)) return null;
+    this.memory.set(key, rec);
+    // Touch for LRU; no need to wait for it.
+    idbPut(IDB_STORE, key, { ...rec, usedAt: Date.now() }).catch(() => {});
+    return rec.text;
+  }
+
+  async set(source, target, word, text) {
+    const key = this.key(source, target, word);
+    const now = Date.now();
+    const rec = { key, source, target, word, text, savedAt: now, usedAt: now };
+    this.memory.set(key, rec);
+    await idbPut(IDB_STORE, key, rec).catch(() => {});
+    if (++this.writesSinceEvict >= 100) await this.evict();
+  }
+
+  /** Drop expired entries, then the least recently used beyond maxEntries */
+  async evict() {
+    this.writesSinceEvict = 0;
+    const all = await idbGetAll(IDB_STORE).catch(() => []);
+    const now = Date.now();
+    const expired = all.filter((r) => !this.isFresh(r, now));
+    const live = all.filter((r) => this.isFresh(r, now)).sort((a, b) => b.usedAt - a.usedAt);
+    const doomed = [...expired, ...live.slice(this.settings.maxEntries)].map((r) => r.key);
+    for (const k of doomed) this.memory.delete(k);
+    await idbDeleteMany(IDB_STORE, doomed).catch(() => {});
+    return doomed.length;
+  }
+
+  async entries() {
+    return idbGetAll(IDB_STORE).catch(() => []);
+  }
+
+  async stats() {
+    const all = await this.entries();
+    const bytes = all.reduce((n, r) => n + (r.key.length + (r.text || "").length) * 2, 0);
+    const oldest = all.reduce((t, r) => Math.min(t, r.savedAt), Infinity);
+    return { count: all.length, bytes, oldest: Number.isFinite(oldest) ? oldest : null };
+  }
+
+  async clear() {
+    this.memory.clear();
+    await idbClear(IDB_STORE);
+  }
+
+  async exportJson() {
+    return {
+      format: CACHE_EXPORT_FORMAT,
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      entries: await this.entries(),
+    };
+  }
+
+  /** Merge an exported cache; newer entries win. Returns the number imported. */
+  async importJson(json) {
+    if (json?.format !== CACHE_EXPORT_FORMAT || !Array.isArray(json.entries)) {
+      throw new Error("Not a HoverReader translation cache export");
+    }
+    let n = 0;
+    for (const r of json.entries) {
+      if (!r?.word || typeof r.text !== "string") continue;
+      const key = this.key(r.source || "ar", r.target || "en", r.word);
+      const mine = await idbGet(IDB_STORE, key).catch(() => null);
+      if (mine && mine.savedAt >= (r.savedAt || 0)) continue;
+      const savedAt = r.savedAt || Date.now();
+      await idbPut(IDB_STORE, key, { ...r, key, savedAt, usedAt: r.usedAt || savedAt });
+      this.memory.delete(key);
+      n++;
+    }
+    await this.evict();
+    return n;
+  }
+}
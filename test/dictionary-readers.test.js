@@ -0,0 +1,159 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import {
+  detectFormat,
+  normalizeRoot,
+  parseDelimited,
+  readDelimited,
+  readStarDict,
+  readTei,
+  splitGlosses,
+} from "../scripts/dictionary-readers.js";
+
+let dir;
+test.before(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), "hoverreader-dict-"));
+});
+test.after(() => rm(dir, { recursive: true, force: true }));
+
+async function file(name, content) {
+  const p = path.join(dir, name);
+  await writeFile(p, content);
+  return p;
+}
+
+test("roots are normalized to dash-separated letters", () => {
+  assert.equal(normalizeRoot("ب ل غ"), "ب-ل-غ");
+  assert.equal(normalizeRoot("بلغ"), "ب-ل-غ");
+  assert.equal(normalizeRoot("كَ.تَ.بَ"), "ك-ت-ب");
+  assert.equal(normalizeRoot("ب"), null);
+  assert.equal(normalizeRoot("abc"), null);
+  assert.equal(normalizeRoot(""), null);
+});
+
+test("definitions split into glosses at semicolons and newlines, without markup", () => {
+  assert.deepEqual(splitGlosses("to reach; <i>to attain</i>\n arrive  "), [
+    "to reach",
+    "to attain",
+    "arrive",
+  ]);
+  assert.deepEqual(splitGlosses(null), []);
+});
+
+test("delimited text: quotes, doubled quotes, newlines in quotes, blank rows", () => {
+  const rows = parseDelimited('a,"b, c","say ""hi"""\r\n\r\n"multi\nline",x,\n', ",");
+  assert.deepEqual(rows, [
+    ["a", "b, c", 'say "hi"'],
+    ["multi\nline", "x", ""],
+  ]);
+  assert.deepEqual(parseDelimited("a\tb", "\t"), [["a", "b"]]);
+});
+
+test("a header names the columns", async () => {
+  const p = await file("header.tsv", "word\troot\tdefinition\nكتاب\tك ت ب\tbook; volume\n");
+  const { entries, records, skipped } = await readDelimited(p);
+  assert.equal(records, 1);
+  assert.equal(skipped, 0);
+  assert.deepEqual(entries[0], {
+    form: "كتاب",
+    lemma: "كتاب",
+    root: "ك-ت-ب",
+    glosses: ["book", "volume"],
+    senses: [{ glosses: ["book", "volume"] }],
+  });
+});
+
+test("bare root rows set the root of the words listed under them", async () => {
+  const p = await file("wehr.tsv", "بلغ\t\nبلاغة\teloquence\nبليغ\teloquent\n");
+  const { entries } = await readDelimited(p);
+  assert.deepEqual(
+    entries.map((e) => [e.form, e.root]),
+    [
+      ["بلاغة", "ب-ل-غ"],
+      ["بليغ", "ب-ل-غ"],
+    ]
+  );
+});
+
+test("rows without Arabic or glosses are skipped, not thrown", async () => {
+  const p = await file("bad.csv", "form,gloss\nhello,greeting\nمكتبات,\nقلم,pen\n");
+  const out = await readDelimited(p, { sep: "," });
+  assert.deepEqual(out.entries.map((e) => e.form), ["قلم"]);
+  assert.equal(out.skipped, 2);
+});
+
+test("explicit columns override the header guess", async () => {
+  const p = await file("cols.tsv", "pen\tقلم\tق ل م\n");
+  const { entries } = await readDelimited(p, { columns: "glosses,form,root" });
+  assert.equal(entries[0].root, "ق-ل-م");
+  await assert.rejects(readDelimited(await file("wide.tsv", "a\tb\tc\td\n")), /--columns/);
+});
+
+test("StarDict: .idx offsets into .dict, with typed fields", async () => {
+  const defs = ["mbook; volume", "mpen"];
+  const dict = Buffer.from(defs.join(""));
+  const words = ["كتاب", "قلم"];
+  let offset = 0;
+  const idx = Buffer.concat(
+    words.map((w, i) => {
+      const head = Buffer.from(`${w}\0`);
+      const nums = Buffer.alloc(8);
+      const size = Buffer.byteLength(defs[i]);
+      nums.writeUInt32BE(offset, 0);
+      nums.writeUInt32BE(size, 4);
+      offset += size;
+      return Buffer.concat([head, nums]);
+    })
+  );
+  await file("d.idx", idx);
+  await file("d.dict", dict);
+  const ifo = await file("d.ifo", "StarDict's dict ifo file\nversion=2.4.2\nbookname=a=b\n");
+  const { entries } = await readStarDict(ifo);
+  assert.deepEqual(
+    entries.map((e) => [e.form, e.glosses]),
+    [
+      ["كتاب", ["book", "volume"]],
+      ["قلم", ["pen"]],
+    ]
+  );
+});
+
+test("TEI Lex-0: one entry per spelling, senses with POS and examples", async () => {
+  const p = await file(
+    "d.xml",
+    `<TEI xmlns="http://www.tei-c.org/ns/1.0"><text><body>
+      <entry>
+        <form type="lemma"><orth>كتاب</orth></form>
+        <form type="inflected"><orth>كتب</orth></form>
+        <gramGrp><pos>noun</pos><gram type="root">ك ت ب</gram></gramGrp>
+        <sense>
+          <cit type="translation"><quote>book</quote></cit>
+          <cit type="example"><quote>كتاب جديد</quote>
+            <cit type="translation"><quote>a new book</quote></cit></cit>
+        </sense>
+      </entry>
+    </body></text></TEI>`
+  );
+  const { entries } = await readTei(p);
+  assert.deepEqual(
+    entries.map((e) => [e.form, e.lemma, e.root]),
+    [
+      ["كتاب", "كتاب", "ك-ت-ب"],
+      ["كتب", "كتاب", "ك-ت-ب"],
+    ]
+  );
+  assert.deepEqual(entries[0].senses, [
+    { pos: "noun", glosses: ["book"], examples: [{ ar: "كتاب جديد", en: "a new book" }] },
+  ]);
+});
+
+test("formats are detected from the extension", () => {
+  assert.equal(detectFormat("wehr.ifo"), "stardict");
+  assert.equal(detectFormat("lex.tei"), "tei");
+  assert.equal(detectFormat("list.txt"), "tsv");
+  assert.equal(detectFormat("list.CSV"), "csv");
+  assert.equal(detectFormat("list.doc"), null);
+});
@@ -0,0 +1,185 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { strToU8, zipSync } from "fflate";
+import { DOMParser, parseHTML } from "linkedom";
+import { loadEpub } from "../src/epub.js";
+
+const { document } = parseHTML("<!doctype html><html><body></body></html>");
+globalThis.document = document;
+globalThis.DOMParser = DOMParser;
+
+const created = [];
+URL.createObjectURL = (blob) => {
+  created.push(blob);
+  return `blob:test/${created.length}`;
+};
+
+const xhtml = (body, head = "") =>
+  `<?xml version="1.0" encoding="utf-8"?>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<head>${head}</head>${body}</html>`;
+
+const CONTAINER = `<?xml version="1.0"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>`;
+
+/**
+ * OPF with `items` ([id, href, type, properties]) and spine `refs` ([idref, linear]).
+ * dc:title is written with a default namespace: linkedom keeps prefixes in local names.
+ */
+const opf = (items, refs, toc = "") => `<?xml version="1.0"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0">
+  <metadata><title xmlns="http://purl.org/dc/elements/1.1/"> كتاب الاختبار </title></metadata>
+  <manifest>${items
+    .map(
+      ([id, href, type, properties = ""]) =>
+        `<item id="${id}" href="${href}" media-type="${type}" properties="${properties}"/>`
+    )
+    .join("")}</manifest>
+  <spine${toc ? ` toc="${toc}"` : ""}>${refs
+    .map(([idref, linear = "yes"]) => `<itemref idref="${idref}" linear="${linear}"/>`)
+    .join("")}</spine>
+</package>`;
+
+const CHAPTER_ONE = xhtml(`<body dir="rtl">
+  <h1 id="start">الفصل الأول</h1>
+  <p>نص <a href="chapter%202.xhtml#note">حاشية</a> <a href="https://example.org/">web</a>
+    <a href="missing.xhtml">gone</a> <a href="#start">top</a></p>
+  <img src="../Images/pic.png"/><img src="../Images/pic.png"/>
+</body>`);
+const CHAPTER_TWO = xhtml(`<body>
+  <h2 id="note">الحاشية</h2><p><a href="ch1.xhtml">back</a></p><img src="../Images/none.png"/>
+</body>`);
+const COVER = xhtml(`<body><p>cover</p></body>`);
+
+const XHTML = "application/xhtml+xml";
+const MANIFEST = [
+  // Listed out of reading order: the spine decides
+  ["ch2", "Text/chapter%202.xhtml", XHTML],
+  ["cover", "Text/cover.xhtml", XHTML],
+  ["ch1", "Text/ch1.xhtml", XHTML],
+  ["pic", "Images/pic.png", "image/png"],
+  ["font", "Fonts/a.ttf", "font/ttf"],
+];
+const SPINE = [["cover", "no"], ["ch1"], ["ch2"]];
+
+function epub(files) {
+  const zip = zipSync(
+    Object.fromEntries(
+      Object.entries({ mimetype: "application/epub+zip", ...files }).map(([path, content]) => [
+        path,
+        typeof content === "string" ? strToU8(content) : content,
+      ])
+    )
+  );
+  return { arrayBuffer: async () => zip.buffer };
+}
+
+const BOOK = {
+  "META-INF/container.xml": CONTAINER,
+  "OEBPS/Text/ch1.xhtml": CHAPTER_ONE,
+  "OEBPS/Text/chapter 2.xhtml": CHAPTER_TWO,
+  "OEBPS/Text/cover.xhtml": COVER,
+  "OEBPS/Images/pic.png": new Uint8Array([0x89, 0x50, 0x4e, 0x47]),
+  "OEBPS/Fonts/a.ttf": new Uint8Array([0, 1, 0, 0]),
+};
+
+const NAV = xhtml(`<body>
+  <nav epub:type="landmarks"><ol><li><a href="chapter%202.xhtml">Landmark</a></li></ol></nav>
+  <nav epub:type="toc"><ol>
+    <li><a href="ch1.xhtml#start">One</a>
+      <ol><li><a href="chapter%202.xhtml#note">Note</a></li></ol></li>
+    <li><span>Unlinked</span></li>
+  </ol></nav>
+</body>`);
+
+test("chapters follow the spine, with links and ids kept within the page", async () => {
+  created.length = 0;
+  const book = await loadEpub(
+    epub({
+      ...BOOK,
+      "OEBPS/content.opf": opf([...MANIFEST, ["nav", "Text/nav.xhtml", XHTML, "nav"]], SPINE),
+      "OEBPS/Text/nav.xhtml": NAV,
+    })
+  );
+  assert.equal(book.title, "كتاب الاختبار");
+  const sections = [...book.content.querySelectorAll("section")];
+  assert.deepEqual(
+    sections.map((s) => s.id),
+    ["hr-ch-0", "hr-ch-1"]
+  );
+  assert.equal(sections[0].getAttribute("dir"), "rtl");
+  assert.equal(sections[0].querySelector("h1").id, "hr-ch-0-start");
+  assert.equal(sections[1].querySelector("h2").id, "hr-ch-1-note");
+  assert.ok(!book.content.textContent.includes("cover"));
+
+  const links = [...sections[0].querySelectorAll("a")];
+  assert.deepEqual(
+    links.map((a) => a.getAttribute("href")),
+    ["#hr-ch-1-note", "https://example.org/", null, "#hr-ch-0-start"]
+  );
+  assert.equal(sections[1].querySelector("a").getAttribute("href"), "#hr-ch-0");
+
+  // One object URL per image file, handed back so the reader can revoke them
+  assert.equal(created.length, 1);
+  assert.equal(created[0].type, "image/png");
+  assert.deepEqual(book.urls, ["blob:test/1"]);
+  assert.deepEqual(
+    [...sections[0].querySelectorAll("img")].map((img) => img.getAttribute("src")),
+    ["blob:test/1", "blob:test/1"]
+  );
+  assert.equal(sections[1].querySelector("img").hasAttribute("src"), false);
+
+  assert.deepEqual(book.toc, [
+    { label: "One", depth: 0, id: "hr-ch-0-start" },
+    { label: "Note", depth: 1, id: "hr-ch-1-note" },
+  ]);
+});
+
+test("EPUB 2 books take their contents from the NCX", async () => {
+  const ncx = `<?xml version="1.0"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1"><navMap>
+  <navPoint id="p1"><navLabel><text>One</text></navLabel><content src="Text/ch1.xhtml"/>
+    <navPoint id="p2"><navLabel><text>Note</text></navLabel>
+      <content src="Text/chapter%202.xhtml#note"/></navPoint>
+  </navPoint>
+  <navPoint id="p3"><navLabel><text>Elsewhere</text></navLabel><content src="Text/gone.xhtml"/></navPoint>
+</navMap></ncx>`;
+  const book = await loadEpub(
+    epub({
+      ...BOOK,
+      "OEBPS/content.opf": opf(
+        [...MANIFEST, ["ncx", "toc.ncx", "application/x-dtbncx+xml"]],
+        SPINE,
+        "ncx"
+      ),
+      "OEBPS/toc.ncx": ncx,
+    })
+  );
+  assert.deepEqual(book.toc, [
+    { label: "One", depth: 0, id: "hr-ch-0" },
+    { label: "Note", depth: 1, id: "hr-ch-1-note" },
+  ]);
+});
+
+test("without a nav document or NCX the headings are the contents", async () => {
+  const book = await loadEpub(epub({ ...BOOK, "OEBPS/content.opf": opf(MANIFEST, SPINE) }));
+  assert.deepEqual(
+    book.toc.map((e) => [e.label, e.depth]),
+    [
+      ["الفصل الأول", 0],
+      ["الحاشية", 1],
+    ]
+  );
+});
+
+test("broken EPUBs say what is wrong", async () => {
+  const notZip = { arrayBuffer: async () => new Uint8Array([1, 2, 3]).buffer };
+  await assert.rejects(loadEpub(notZip), /readable zip/);
+  await assert.rejects(loadEpub(epub({ "OEBPS/Text/ch1.xhtml": CHAPTER_ONE })), /package document/);
+  await assert.rejects(
+    loadEpub(epub({ ...BOOK, "OEBPS/content.opf": opf(MANIFEST, [["cover", "no"]]) })),
+    /no chapters/
+  );
+});
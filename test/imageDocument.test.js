@@ -0,0 +1,104 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import UTIF from "utif";
+import { ImageDocument, loadImageDocument, sniff } from "../src/imageDocument.js";
+import { PAGE_SCALE } from "../src/pdfSession.js";
+
+const bytes = (...parts) =>
+  new Uint8Array(
+    parts.flatMap((p) => (typeof p === "string" ? [...p].map((c) => c.charCodeAt(0)) : p))
+  );
+
+test("TIFF and HEIC are recognized by their first bytes", () => {
+  assert.equal(sniff(bytes("II*\0", [8, 0, 0, 0])), "tiff");
+  assert.equal(sniff(bytes("MM\0*", [0, 0, 0, 8])), "tiff");
+  assert.equal(sniff(bytes([0, 0, 0, 24], "ftypheic")), "heic");
+  assert.equal(sniff(bytes([0, 0, 0, 24], "ftypmif1")), "heic");
+  assert.equal(sniff(bytes([0, 0, 0, 24], "ftypisom")), null); // MP4
+  assert.equal(sniff(bytes([0x89], "PNG\r\n")), null);
+  assert.equal(sniff(bytes([0xff, 0xd8, 0xff, 0xe0])), null);
+});
+
+/** RGBA strip of one colour */
+const fill = (width, height, rgba) =>
+  Uint8Array.from({ length: width * height * 4 }, (_, i) => rgba[i % 4]);
+
+// UTIF writes only the tags it knows; NewSubfileType (254) is a LONG
+UTIF.ttypes[254] = 4;
+
+/** Uncompressed RGBA TIFF with one IFD per image; `reduced` marks a thumbnail */
+function tiff(images) {
+  let offset = 4096;
+  const ifds = images.map(({ width, height, reduced }) => {
+    const ifd = {
+      t254: [reduced ? 1 : 0],
+      t256: [width],
+      t257: [height],
+      t258: [8, 8, 8, 8],
+      t259: [1],
+      t262: [2],
+      t273: [offset],
+      t277: [4],
+      t278: [height],
+      t279: [width * height * 4],
+      t284: [1],
+      t338: [1],
+    };
+    offset += width * height * 4;
+    return ifd;
+  });
+  const out = new Uint8Array(offset);
+  out.set(new Uint8Array(UTIF.encode(ifds)));
+  images.forEach((image, i) => out.set(image.pixels, ifds[i].t273[0]));
+  return { arrayBuffer: async () => out.buffer };
+}
+
+test("every full-size TIFF page is a page; thumbnails are skipped", async (t) => {
+  // What the browser would decode into: enough to see the pixels reach the canvas
+  globalThis.ImageData = class {
+    constructor(data, width, height) {
+      Object.assign(this, { data, width, height });
+    }
+  };
+  globalThis.createImageBitmap = async (image) => ({ ...image, close() {} });
+  t.after(() => {
+    delete globalThis.ImageData;
+    delete globalThis.createImageBitmap;
+  });
+
+  const red = [255, 0, 0, 255];
+  const file = tiff([
+    { width: 300, height: 200, pixels: fill(300, 200, red) },
+    { width: 30, height: 20, reduced: true, pixels: fill(30, 20, red) },
+    { width: 2400, height: 300, pixels: fill(2400, 300, [0, 0, 255, 255]) },
+  ]);
+  const doc = await loadImageDocument(file);
+  assert.ok(doc instanceof ImageDocument);
+  assert.equal(doc.numPages, 2);
+
+  // At PAGE_SCALE a page shows the image at its own resolution, up to 2000 px
+  const first = await doc.getPage(1);
+  const view = first.getViewport({ scale: PAGE_SCALE });
+  assert.deepEqual([view.width, view.height].map(Math.round), [300, 200]);
+  const second = (await doc.getPage(2)).getViewport({ scale: PAGE_SCALE });
+  assert.deepEqual([second.width, second.height].map(Math.round), [2000, 250]);
+  assert.deepEqual(first.getViewport().transform, [1, 0, 0, -1, 0, 200 / PAGE_SCALE]);
+
+  const drawn = [];
+  const canvasContext = { fillRect() {}, drawImage: (...args) => drawn.push(args) };
+  await first.render({ canvasContext, viewport: view }).promise;
+  const [[bitmap, x, y, width, height]] = drawn;
+  assert.deepEqual([bitmap.width, bitmap.height], [300, 200]);
+  assert.deepEqual([...bitmap.data.subarray(0, 4)], red);
+  assert.deepEqual([x, y, width, height], [0, 0, view.width, view.height]);
+
+  await assert.rejects(doc.getPage(3), /No page 3/);
+  await assert.rejects(doc.getPage(0), /No page 0/);
+});
+
+test("a TIFF with only thumbnails has no pages", async () => {
+  const file = tiff([
+    { width: 10, height: 10, reduced: true, pixels: fill(10, 10, [0, 0, 0, 255]) },
+  ]);
+  await assert.rejects(loadImageDocument(file), /no pages/);
+});
@@ -0,0 +1,169 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { JobQueue } from "../src/jobQueue.js";
+
+/** A job that records its start and finishes when told to */
+function gate(log, name) {
+  let finish;
+  const done = new Promise((resolve) => (finish = resolve));
+  const run = async (signal, attempt) => {
+    log.push(name);
+    await done;
+    return `${name}@${attempt}`;
+  };
+  return { run, finish: (value) => finish(value) };
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+const retryable = (message, extra = {}) =>
+  Object.assign(new Error(message), { retryable: true }, extra);
+
+test("higher priority starts first, equal priorities in the order they were added", async () => {
+  const log = [];
+  const queue = new JobQueue({ concurrency: 1 });
+  const first = gate(log, "first");
+  queue.add("first", first.run);
+  const jobs = [
+    ["low", -1],
+    ["a", 0],
+    ["high", 5],
+    ["b", 0],
+  ].map(([name, priority]) => {
+    const g = gate(log, name);
+    g.promise = queue.add(name, g.run, { priority });
+    return g;
+  });
+  jobs.forEach((g) => g.finish());
+  first.finish();
+  await Promise.all(jobs.map((g) => g.promise));
+  assert.deepEqual(log, ["first", "high", "a", "b", "low"]);
+});
+
+test("at most `concurrency` jobs run, and raising it starts more", async () => {
+  const log = [];
+  const queue = new JobQueue({ concurrency: 2 });
+  const gates = ["a", "b", "c", "d"].map((name) => gate(log, name));
+  const promises = gates.map((g, i) => queue.add(String(i), g.run));
+  await tick();
+  assert.deepEqual(log, ["a", "b"]);
+  assert.equal(queue.running, 2);
+
+  queue.setConcurrency(3);
+  await tick();
+  assert.deepEqual(log, ["a", "b", "c"]);
+
+  gates[0].finish();
+  await promises[0];
+  await tick();
+  assert.deepEqual(log, ["a", "b", "c", "d"]);
+  assert.equal(queue.running, 3);
+  gates.forEach((g) => g.finish());
+  assert.deepEqual(await Promise.all(promises), ["a@0", "b@0", "c@0", "d@0"]);
+  assert.equal(queue.running, 0);
+});
+
+test("adding a key that is already queued only changes its priority", async () => {
+  const log = [];
+  const queue = new JobQueue({ concurrency: 1 });
+  const blocker = gate(log, "blocker");
+  queue.add("blocker", blocker.run);
+  const a = gate(log, "a");
+  const b = gate(log, "b");
+  const promiseA = queue.add("a", a.run);
+  queue.add("b", b.run);
+  const again = gate(log, "again");
+  assert.equal(queue.add("a", again.run, { priority: -1 }), promiseA);
+  [blocker, a, b].forEach((g) => g.finish());
+  assert.equal(await promiseA, "a@0");
+  assert.deepEqual(log, ["blocker", "b", "a"]);
+});
+
+test("only retryable errors are retried, with exponential backoff", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"] });
+  t.mock.method(Math, "random", () => 0.5); // no jitter
+  const states = [];
+  const queue = new JobQueue({
+    retries: 2,
+    baseDelayMs: 100,
+    onChange: (key, s) => states.push([key, s.state, s.attempt]),
+  });
+  const attempts = [];
+  const promise = queue.add("page", async (signal, attempt) => {
+    attempts.push([attempt, Date.now()]);
+    throw retryable("HTTP 503");
+  });
+  await tick();
+  t.mock.timers.tick(99);
+  await tick();
+  assert.equal(attempts.length, 1);
+  t.mock.timers.tick(1);
+  await tick();
+  t.mock.timers.tick(200);
+  await tick();
+  await assert.rejects(promise, /HTTP 503/);
+  assert.deepEqual(
+    attempts.map(([attempt, at]) => [attempt, at - attempts[0][1]]),
+    [
+      [0, 0],
+      [1, 100],
+      [2, 300],
+    ]
+  );
+  assert.deepEqual(states.at(-1), ["page", "failed", 2]);
+
+  let runs = 0;
+  const fatal = queue.add("config", async () => {
+    runs++;
+    throw Object.assign(new Error("Server missing OCRSPACE_API_KEY"), { config: true });
+  });
+  await assert.rejects(fatal, /OCRSPACE_API_KEY/);
+  assert.equal(runs, 1);
+  assert.equal(queue.has("config"), false);
+});
+
+test("a server's Retry-After wins over the backoff", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"] });
+  const queue = new JobQueue({ baseDelayMs: 100 });
+  let runs = 0;
+  const promise = queue.add("page", async () => {
+    if (++runs === 1) throw retryable("HTTP 429", { retryAfterMs: 5000 });
+    return "ok";
+  });
+  await tick();
+  t.mock.timers.tick(4999);
+  await tick();
+  assert.equal(runs, 1);
+  t.mock.timers.tick(1);
+  assert.equal(await promise, "ok");
+  assert.equal(runs, 2);
+});
+
+test("cancel rejects with AbortError, aborts the run and clears the retry timer", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"] });
+  const queue = new JobQueue({ concurrency: 1, baseDelayMs: 100 });
+  let runs = 0;
+  const retrying = queue.add("retrying", async () => {
+    runs++;
+    throw retryable("timeout");
+  });
+  await tick();
+  assert.equal(runs, 1);
+  queue.cancel("retrying");
+  await assert.rejects(retrying, { name: "AbortError" });
+  t.mock.timers.tick(1000);
+  await tick();
+  assert.equal(runs, 1);
+
+  let signal;
+  const running = queue.add("running", (s) => {
+    signal = s;
+    return new Promise(() => {});
+  });
+  const queued = queue.add("queued", async () => "never");
+  queue.cancelAll();
+  await assert.rejects(running, { name: "AbortError" });
+  await assert.rejects(queued, { name: "AbortError" });
+  assert.equal(signal.aborted, true);
+  assert.equal(queue.has("running") || queue.has("queued"), false);
+});
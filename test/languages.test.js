@@ -0,0 +1,110 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  PROFILES,
+  isProfileText,
+  isRtlText,
+  loadLanguageSettings,
+  profileFor,
+  saveLanguageSettings,
+  wordPattern,
+} from "../src/languages.js";
+
+const key = (code, word) => profileFor(code).key(word);
+
+test("Arabic keys drop marks and fold hamza forms, alef maksura and teh marbuta", () => {
+  assert.equal(key("ar", "إِسْلَامٌ"), "اسلام");
+  assert.equal(key("ar", "مَدْرَسَة"), "مدرسه");
+  assert.equal(key("ar", "على"), "علي");
+});
+
+test("Persian keys use keheh and Farsi yeh, and drop ZWNJ", () => {
+  assert.equal(key("fa", "كتاب"), "کتاب"); // Arabic kaf → keheh
+  assert.equal(key("fa", "کتاب"), "کتاب");
+  assert.equal(key("fa", "مي‌خواهم"), "میخواهم");
+  assert.equal(key("fa", "مدرسة"), "مدرسه");
+  assert.equal(key("fa", "مسئله"), "مسیله");
+});
+
+test("Urdu keys fold heh and teh marbuta to heh goal", () => {
+  assert.equal(key("ur", "مدرسہ"), "مدرسہ");
+  assert.equal(key("ur", "مدرسه"), "مدرسہ");
+  assert.equal(key("ur", "مدرسة"), "مدرسہ");
+  assert.equal(key("ur", "كتابي"), "کتابی");
+});
+
+test("Ottoman keys fold Persian letter forms to the Arabic ones", () => {
+  assert.equal(key("ota", "مملکت"), "مملكت");
+  assert.equal(key("ota", "دولتی"), "دولتي");
+  assert.equal(key("ota", "مملكت"), key("ota", "مملکت"));
+});
+
+test("Hebrew keys drop points and fold final letters", () => {
+  assert.equal(key("he", "שָׁלוֹם"), "שלומ");
+  assert.equal(key("he", "מֶלֶךְ"), "מלכ");
+  assert.equal(key("he", "ארץ"), key("he", "ארצ"));
+});
+
+test("word patterns find each profile's words", () => {
+  const words = (code, text) => text.match(wordPattern(profileFor(code)));
+  assert.deepEqual(words("ar", "قرأت الكتاب. ثم (نمت)"), ["قرأت", "الكتاب", "ثم", "نمت"]);
+  assert.deepEqual(words("fa", "من می‌خواهم"), ["من", "می‌خواهم"]);
+  // Maqaf joins two words without being a letter
+  assert.deepEqual(words("he", "בֵּית־סֵפֶר, שלום"), ["בֵּית", "סֵפֶר", "שלום"]);
+  assert.equal(words("he", "كتاب"), null);
+});
+
+test("script detection", () => {
+  assert.equal(isProfileText("كتاب جديد", profileFor("ar")), true);
+  assert.equal(isProfileText("a book: كتاب", profileFor("ar")), false);
+  assert.equal(isProfileText("שלום", profileFor("ar")), false);
+  assert.equal(isProfileText("שלום עולם", profileFor("he")), true);
+  assert.equal(isProfileText("", profileFor("he")), false);
+  assert.equal(isRtlText("שלום"), true);
+  assert.equal(isRtlText("كتاب!"), true);
+  assert.equal(isRtlText("book"), false);
+  assert.equal(isRtlText("12 كتاب"), false);
+  assert.equal(isRtlText(""), false);
+});
+
+test("unknown profile codes fall back to Arabic", () => {
+  assert.equal(profileFor("he").name, "Hebrew");
+  assert.equal(profileFor("xx").code, "ar");
+  assert.equal(profileFor(undefined).code, "ar");
+  assert.deepEqual(
+    PROFILES.map((p) => p.code),
+    ["ar", "fa", "ur", "ota", "he"]
+  );
+});
+
+test("language settings survive a reload; bad or missing values get defaults", (t) => {
+  const items = new Map();
+  globalThis.localStorage = {
+    getItem: (k) => (items.has(k) ? items.get(k) : null),
+    setItem: (k, v) => items.set(k, String(v)),
+  };
+  t.after(() => delete globalThis.localStorage);
+
+  assert.deepEqual(loadLanguageSettings(), { profile: "ar", target: "en" });
+  saveLanguageSettings({ profile: "fa", target: "de" });
+  assert.deepEqual(loadLanguageSettings(), { profile: "fa", target: "de" });
+
+  saveLanguageSettings({ profile: "klingon" });
+  assert.deepEqual(loadLanguageSettings(), { profile: "ar", target: "en" });
+  for (const raw of ["{not json", "null", "42"]) {
+    items.set([...items.keys()][0], raw);
+    assert.deepEqual(loadLanguageSettings(), { profile: "ar", target: "en" });
+  }
+
+  // No storage at all (private mode)
+  globalThis.localStorage = {
+    getItem() {
+      throw new Error("denied");
+    },
+    setItem() {
+      throw new Error("denied");
+    },
+  };
+  assert.doesNotThrow(() => saveLanguageSettings({ profile: "he", target: "en" }));
+  assert.deepEqual(loadLanguageSettings(), { profile: "ar", target: "en" });
+});
@@ -0,0 +1,101 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildShards,
+  lexiconKey,
+  normalizeEntry,
+  rootLetter,
+  shardFile,
+  shardPrefix,
+} from "../src/lexicon-format.js";
+import { ShardedLexicon } from "../src/lexicon.js";
+
+const ENTRIES = [
+  { form: "البلاغة", lemma: "بلاغة", root: "ب-ل-غ", glosses: ["eloquence"] },
+  { form: "بليغ", lemma: "بليغ", root: "ب-ل-غ", glosses: ["eloquent"] },
+  { form: "كِتَاب", lemma: "كتاب", root: "ك-ت-ب", glosses: ["book"] },
+];
+
+test("keys drop diacritics, spaces and letter variants", () => {
+  assert.equal(lexiconKey("كِتَاب"), "كتاب");
+  assert.equal(lexiconKey("إلى"), lexiconKey("الى"));
+  assert.equal(lexiconKey(null), "");
+});
+
+test("shard prefixes skip the article", () => {
+  assert.equal(shardPrefix("البلاغة"), "ب");
+  assert.equal(shardPrefix("البلاغة", 2), "بل");
+  assert.equal(shardPrefix("ال"), "ا"); // nothing left after it: not skipped
+});
+
+test("root shards go by the root's first letter", () => {
+  assert.equal(rootLetter("ب-ل-غ"), "ب");
+  assert.equal(rootLetter(""), "");
+});
+
+test("senses and glosses are filled in from each other", () => {
+  assert.deepEqual(normalizeEntry({ form: "x", glosses: ["a"] }).senses, [{ glosses: ["a"] }]);
+  const e = normalizeEntry({ form: "x", senses: [{ pos: "noun", glosses: ["a", "b"] }] });
+  assert.deepEqual(e.glosses, ["a", "b"]);
+});
+
+test("entries are filed under every prefix their form and lemma have", () => {
+  const { manifest, files } = buildShards(ENTRIES, { version: "v1" });
+  assert.equal(manifest.entries, 3);
+  assert.equal(manifest.version, "v1");
+  assert.deepEqual(Object.keys(manifest.shards).sort(), ["ب", "ك"]);
+  assert.equal(manifest.shards["ب"].count, 2);
+  assert.equal(manifest.shards["ب"].file, shardFile("ب"));
+  const roots = files[manifest.rootShards["ب"].file].roots;
+  assert.equal(roots["ب-ل-غ"].length, 2);
+});
+
+/** fetch answering from buildShards output under /lexicon; counts requests */
+function serve(files, manifest) {
+  const requested = [];
+  globalThis.fetch = async (url) => {
+    requested.push(url);
+    const name = url.replace(/^\/lexicon\//, "");
+    const body = name === "manifest.json" ? manifest : files[name];
+    return { ok: Boolean(body), status: body ? 200 : 404, json: async () => body };
+  };
+  return requested;
+}
+
+test("a lookup fetches only the shards it needs, once", async () => {
+  const { manifest, files } = buildShards(ENTRIES, { version: "v1" });
+  const requested = serve(files, manifest);
+  const lexicon = new ShardedLexicon();
+  await lexicon.ensureFor("كتاب");
+  await lexicon.ensureFor("الكتاب");
+  assert.equal(lexicon.byKey["كتاب"].glosses[0], "book");
+  assert.equal(lexicon.byKey["بليغ"], undefined);
+  assert.deepEqual(requested, ["/lexicon/manifest.json", `/lexicon/${shardFile("ك")}`]);
+});
+
+test("clitics are looked up in their stem's shard", async () => {
+  const { manifest, files } = buildShards(ENTRIES, { version: "v1" });
+  serve(files, manifest);
+  const lexicon = new ShardedLexicon();
+  await lexicon.ensureFor("وبليغ");
+  assert.ok(lexicon.byKey["بليغ"]);
+});
+
+test("root families load from their root shard", async () => {
+  const { manifest, files } = buildShards(ENTRIES, { version: "v1" });
+  serve(files, manifest);
+  const lexicon = new ShardedLexicon();
+  await lexicon.ensureRoot("ب-ل-غ");
+  assert.equal(lexicon.byRoot["ب-ل-غ"].length, 2);
+});
+
+test("without a manifest the flat lexicon is used", async () => {
+  globalThis.fetch = async (url) =>
+    url === "/lexicon-lite.json"
+      ? { ok: true, json: async () => ENTRIES }
+      : { ok: false, status: 404, json: async () => null };
+  const lexicon = new ShardedLexicon();
+  await lexicon.ready;
+  assert.equal(lexicon.byKey["كتاب"].glosses[0], "book");
+  assert.equal(lexicon.byRoot["ب-ل-غ"].length, 2);
+});
@@ -0,0 +1,66 @@
+import "fake-indexeddb/auto";
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  DOCUMENT_ACCEPT,
+  acceptedKinds,
+  addDocument,
+  deleteDocument,
+  documentKind,
+  listDocuments,
+  loadEdits,
+  loadPages,
+  openDocument,
+  savePages,
+  updateDocument,
+} from "../src/library.js";
+
+const file = (text, name = "book.pdf", type = "application/pdf") =>
+  new File([text], name, { type });
+
+const donePage = { status: "done", overlay: [{ WordText: "كتاب" }], mode: "ocr", boxCount: 1 };
+
+test("documents are recognized by extension or type", () => {
+  assert.equal(documentKind({ name: "a.PDF" }), "pdf");
+  assert.equal(documentKind({ name: "scan", type: "image/png" }), "image");
+  assert.equal(documentKind({ name: "page.xhtml" }), "html");
+  assert.equal(documentKind({ name: "notes.txt" }), "text");
+  assert.equal(documentKind({ name: "book.epub" }), "epub");
+  assert.equal(documentKind({ name: "photo.HEIC" }), "image");
+  assert.equal(documentKind({ name: "sheet.xlsx" }), null);
+});
+
+test("the picker and the unsupported-file message list the same kinds", () => {
+  assert.equal(acceptedKinds(), "PDF, DOCX, EPUB, HTML, plain text or image");
+  const accepted = DOCUMENT_ACCEPT.split(",");
+  for (const item of [".pdf", ".docx", ".epub", ".xhtml", ".txt", ".tiff", "image/*"]) {
+    assert.ok(accepted.includes(item), item);
+  }
+});
+
+test("the same file is one document; its pages and edits are kept", async () => {
+  const doc = await addDocument(file("one"));
+  const again = await addDocument(file("one", "renamed.pdf"));
+  assert.equal(again.id, doc.id);
+  assert.equal(again.addedAt, doc.addedAt);
+  assert.equal(await savePages(doc.id, [donePage, { status: "running" }], [null, ["x"]]), true);
+  assert.deepEqual((await loadPages(doc.id))[1], null);
+  assert.equal((await loadPages(doc.id))[0].overlay[0].WordText, "كتاب");
+  assert.deepEqual(await loadEdits(doc.id), [null, ["x"]]);
+  const { doc: opened } = await openDocument(doc.id);
+  assert.equal(opened.analyzedPages, 1);
+  assert.equal(opened.name, "renamed.pdf");
+});
+
+test("writes for a deleted document leave nothing behind", async () => {
+  const doc = await addDocument(file("two"));
+  await savePages(doc.id, [donePage]);
+  await deleteDocument(doc.id);
+  // The reader still has it open: its debounced and closing saves come in late
+  assert.equal(await savePages(doc.id, [donePage], [["y"]]), false);
+  assert.equal(await updateDocument(doc.id, { position: { page: 3, scrollY: 0 } }), null);
+  assert.deepEqual(await loadPages(doc.id), []);
+  assert.deepEqual(await loadEdits(doc.id), []);
+  assert.ok(!(await listDocuments()).some((d) => d.id === doc.id));
+  await assert.rejects(openDocument(doc.id), /no longer in the library/);
+});
@@ -0,0 +1,105 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+import { ocrPageLocally } from "../src/localOcr.js";
+
+// Tesseract workers need a browser; stand-ins whose pages finish when the test says.
+// localOcr.js imports tesseract.js lazily, so the stub is in place before it does.
+const tesseract = createRequire(import.meta.url)("tesseract.js");
+const created = [];
+tesseract.createWorker = async (language) => {
+  const worker = {
+    language,
+    pages: [],
+    terminated: false,
+    recognize(image) {
+      return new Promise((resolve, reject) => worker.pages.push({ image, resolve, reject }));
+    },
+    async terminate() {
+      worker.terminated = true;
+      worker.pages.forEach((page) => page.reject(new Error("terminated")));
+    },
+  };
+  created.push(worker);
+  return worker;
+};
+
+const RESULT = {
+  text: "كتاب",
+  blocks: [
+    {
+      paragraphs: [
+        {
+          lines: [
+            {
+              text: "كتاب ",
+              words: [
+                { text: "كتاب", bbox: { x0: 10, y0: 5, x1: 50, y1: 25 }, confidence: 80 },
+                { text: " ", bbox: { x0: 0, y0: 0, x1: 1, y1: 1 }, confidence: 0 },
+              ],
+            },
+          ],
+        },
+      ],
+    },
+  ],
+};
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test("pages come back as overlay lines with their mean confidence", async () => {
+  const page = ocrPageLocally("data:image/png;base64,AA==", "ara");
+  await tick();
+  const worker = created.at(-1);
+  worker.pages[0].resolve({ data: RESULT });
+  const r = await page;
+  assert.deepEqual(r.ParsedResults[0].TextOverlay.Lines, [
+    {
+      LineText: "كتاب",
+      Words: [{ WordText: "كتاب", Left: 10, Top: 5, Width: 40, Height: 20, Confidence: 80 }],
+    },
+  ]);
+  assert.equal(r._engine, "local");
+  assert.equal(r._meanConfidence, 80);
+});
+
+test("aborting one of two pages leaves the worker to the other", async () => {
+  const first = new AbortController();
+  const a = ocrPageLocally("a", "heb", { signal: first.signal });
+  const b = ocrPageLocally("b", "heb");
+  await tick();
+  const worker = created.at(-1);
+  assert.equal(worker.language, "heb");
+  assert.equal(worker.pages.length, 2);
+
+  first.abort();
+  await assert.rejects(a, { name: "AbortError" });
+  assert.equal(worker.terminated, false);
+  worker.pages[1].resolve({ data: RESULT });
+  assert.equal((await b)._meanConfidence, 80);
+
+  // The worker is idle again: aborting its only page terminates it
+  const only = new AbortController();
+  const c = ocrPageLocally("c", "heb", { signal: only.signal });
+  await tick();
+  assert.equal(created.at(-1), worker);
+  only.abort();
+  await assert.rejects(c, { name: "AbortError" });
+  assert.equal(worker.terminated, true);
+
+  // …and the next page starts a fresh one
+  const d = ocrPageLocally("d", "heb");
+  await tick();
+  const fresh = created.at(-1);
+  assert.notEqual(fresh, worker);
+  fresh.pages[0].resolve({ data: RESULT });
+  await d;
+});
+
+test("an aborted signal rejects before any work", async () => {
+  const count = created.length;
+  await assert.rejects(ocrPageLocally("x", "urd", { signal: AbortSignal.abort() }), {
+    name: "AbortError",
+  });
+  assert.equal(created.length, count);
+});
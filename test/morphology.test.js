@@ -0,0 +1,55 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { analyzeWord, formatSegmentation } from "../src/morphology.js";
+
+const stems = (word) => analyzeWord(word).map((c) => c.stem);
+
+test("the unsegmented word comes first", () => {
+  assert.equal(analyzeWord("كتاب")[0].stem, "كتاب");
+  assert.equal(analyzeWord("كتاب")[0].cost, 0);
+});
+
+test("diacritics and tatweel are ignored", () => {
+  assert.equal(analyzeWord("كِتَـــاب")[0].stem, "كتاب");
+  assert.deepEqual(analyzeWord("  "), []);
+});
+
+test("conjunction, preposition and article are stripped in order", () => {
+  const hit = analyzeWord("وبالكتاب").find((c) => c.stem === "كتاب");
+  assert.deepEqual(hit.prefixes.map((p) => p.label), ["wa", "bi", "al"]);
+});
+
+test("li + al contracts to لل", () => {
+  const hit = analyzeWord("للبلاغة").find((c) => c.stem === "بلاغة");
+  assert.equal(formatSegmentation(hit), "li + al + بلاغة");
+});
+
+test("pronoun suffixes, with ت read as ة", () => {
+  assert.ok(stems("كتابهم").includes("كتاب"));
+  assert.ok(stems("مدرستها").includes("مدرسة"));
+});
+
+test("the article and a pronoun suffix never combine", () => {
+  assert.ok(!analyzeWord("الكتابه").some((c) => c.prefixes.length && c.suffixes.length));
+});
+
+test("sound plurals drop their ن before a pronoun", () => {
+  const hit = analyzeWord("معلموه").find((c) => c.stem === "معلم");
+  assert.deepEqual(hit.suffixes.map((s) => s.label), ["ūn", "hu"]);
+});
+
+test("future سـ only before an imperfect prefix", () => {
+  assert.ok(analyzeWord("سيكتب").some((c) => c.stem === "يكتب" && c.prefixes[0].label === "sa"));
+  assert.ok(!analyzeWord("سلام").some((c) => c.prefixes.some((p) => p.label === "sa")));
+});
+
+test("candidates are ranked by cost and stems are at least two letters", () => {
+  const all = analyzeWord("وكتبهم");
+  for (let i = 1; i < all.length; i++) assert.ok(all[i - 1].cost <= all[i].cost);
+  assert.ok(all.every((c) => c.stem.length >= 2));
+});
+
+test("formatSegmentation is empty when nothing was stripped", () => {
+  assert.equal(formatSegmentation(analyzeWord("كتاب")[0]), "");
+  assert.equal(formatSegmentation(null), "");
+});
@@ -0,0 +1,69 @@
+import "fake-indexeddb/auto";
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  deleteWord,
+  dueCards,
+  isSaved,
+  listWords,
+  reviewWord,
+  saveWord,
+  schedule,
+} from "../src/notebook.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const NEW = { ef: 2.5, interval: 0, reps: 0, due: 0 };
+
+test("SM-2 intervals: 1 day, 6 days, then × ease", () => {
+  const first = schedule(NEW, 4, 0);
+  assert.equal(first.interval, 1);
+  assert.equal(first.due, DAY);
+  const second = schedule(first, 4, 0);
+  assert.equal(second.interval, 6);
+  const third = schedule(second, 4, 0);
+  assert.equal(third.interval, Math.round(6 * third.ef));
+});
+
+test("a failed review restarts the card and lowers its ease", () => {
+  const learned = { ef: 2.5, interval: 15, reps: 3, due: 0 };
+  const again = schedule(learned, 1, 0);
+  assert.equal(again.reps, 0);
+  assert.equal(again.interval, 1);
+  assert.ok(again.ef < 2.5);
+});
+
+test("ease never drops below 1.3", () => {
+  let srs = NEW;
+  for (let i = 0; i < 20; i++) srs = schedule(srs, 0, 0);
+  assert.equal(srs.ef, 1.3);
+});
+
+test("due cards, earliest first", () => {
+  const cards = [5, 1, 9].map((due) => ({ id: String(due), srs: { due } }));
+  assert.deepEqual(dueCards(cards, 6).map((c) => c.id), ["1", "5"]);
+});
+
+test("saving a word again keeps its schedule and refreshes its context", async () => {
+  const saved = await saveWord({ word: "كِتَاب", lineText: "old" });
+  const reviewed = await reviewWord(saved, 5);
+  const again = await saveWord({ word: "كتاب", lineText: "new" });
+  assert.equal(again.id, saved.id);
+  assert.deepEqual(again.srs, reviewed.srs);
+  assert.equal(again.lineText, "new");
+  assert.equal(await isSaved("كتاب"), true);
+  assert.equal((await listWords()).length, 1);
+  await deleteWord(saved.id);
+  assert.equal(await isSaved("كتاب"), false);
+});
+
+test("cards are kept per language, keyed by that language's normalization", async () => {
+  const arabic = await saveWord({ word: "كتاب", lineText: "ar" });
+  assert.equal(await isSaved("كتاب", "fa"), false);
+  const persian = await saveWord({ word: "کتاب", lineText: "fa" }, "fa");
+  assert.notEqual(persian.id, arabic.id);
+  assert.equal(persian.language, "fa");
+  assert.equal(await isSaved("کتاب", "fa"), true);
+  assert.equal(await isSaved("כתב", "he"), false);
+  assert.equal((await listWords()).length, 2);
+  await Promise.all([deleteWord(arabic.id), deleteWord(persian.id)]);
+});
@@ -0,0 +1,128 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { OCR_CACHES, ocrCacheKey, selectOcrCache } from '../api/_lib/ocr/cache/index.js';
+import handler from '../api/ocr-space.js';
+
+const ENV = ['OCR_CACHE', 'OCR_CACHE_DIR'];
+const savedEnv = Object.fromEntries(ENV.map((k) => [k, process.env[k]]));
+
+test.afterEach(() => {
+  for (const k of ENV) {
+    if (savedEnv[k] === undefined) delete process.env[k];
+    else process.env[k] = savedEnv[k];
+  }
+});
+
+const post = (body) =>
+  new Request('https://app.test/api/ocr-space', { method: 'POST', body: JSON.stringify(body) });
+
+const request = {
+  base64Image: 'data:image/png;base64,AAAA',
+  language: 'ara',
+  engine: null,
+  provider: 'ocrspace',
+  isOverlayRequired: true,
+};
+
+test('the key hashes the image with language, engine, provider and overlay', async () => {
+  const key = await ocrCacheKey(request);
+  assert.match(key, /^[0-9a-f]{64}$/);
+  assert.equal(await ocrCacheKey({ ...request }), key);
+  // The data: URL prefix is not part of the image
+  assert.equal(await ocrCacheKey({ ...request, base64Image: 'data:image/jpeg;base64,AAAA' }), key);
+  const changes = [
+    { base64Image: 'data:image/png;base64,AAAB' },
+    { language: 'eng' },
+    { engine: 1 },
+    { engine: 2 },
+    { provider: 'tesseract' },
+    { isOverlayRequired: false },
+  ];
+  const keys = await Promise.all(changes.map((c) => ocrCacheKey({ ...request, ...c })));
+  assert.equal(new Set([key, ...keys]).size, changes.length + 1);
+});
+
+test('the route misses, then hits, and refresh reads again', async () => {
+  const body = { base64Image: 'data:image/png;base64,Y2FjaGU=', provider: 'fixture' };
+  const first = await handler(post(body));
+  assert.equal(first.headers.get('x-ocr-cache'), 'MISS');
+  const miss = await first.json();
+  assert.equal(miss.cacheHit, false);
+
+  const second = await handler(post(body));
+  assert.equal(second.headers.get('x-ocr-cache'), 'HIT');
+  const hit = await second.json();
+  assert.equal(hit.cacheHit, true);
+  assert.equal(hit.cacheKey, miss.cacheKey);
+  assert.deepEqual(hit.ParsedResults, miss.ParsedResults);
+
+  const refreshed = await handler(post({ ...body, refresh: true }));
+  assert.equal((await refreshed.json()).cacheHit, false);
+
+  // Another language or engine is another entry
+  for (const change of [{ language: 'eng' }, { engine: 1 }]) {
+    const other = await (await handler(post({ ...body, ...change }))).json();
+    assert.equal(other.cacheHit, false);
+    assert.notEqual(other.cacheKey, miss.cacheKey);
+  }
+});
+
+test('OCR_CACHE=off reads every time', async () => {
+  process.env.OCR_CACHE = 'off';
+  const body = { base64Image: 'data:image/png;base64,b2Zm', provider: 'fixture' };
+  await handler(post(body));
+  const res = await handler(post(body));
+  assert.equal(res.headers.get('x-ocr-cache'), 'OFF');
+  assert.equal((await res.json()).cacheHit, false);
+});
+
+for (const name of Object.keys(OCR_CACHES)) {
+  test(`the ${name} store keeps copies of values until they expire`, async (t) => {
+    let dir;
+    if (name === 'fs') {
+      dir = await mkdtemp(join(tmpdir(), 'hoverreader-ocr-test-'));
+      process.env.OCR_CACHE_DIR = dir;
+    }
+    process.env.OCR_CACHE = name;
+    try {
+      const store = selectOcrCache();
+      assert.equal(store.name, name);
+      const key = await ocrCacheKey({ ...request, base64Image: `data:,${name}` });
+      assert.equal(await store.get(key), null);
+
+      const value = { ParsedResults: [{ TextOverlay: { Lines: [] } }], wordCount: 0 };
+      await store.set(key, value, 60);
+      value.wordCount = 5;
+      const got = await store.get(key);
+      assert.deepEqual(got, { ParsedResults: [{ TextOverlay: { Lines: [] } }], wordCount: 0 });
+      got.wordCount = 7;
+      assert.equal((await store.get(key)).wordCount, 0);
+
+      await store.set(key, { wordCount: 1 }, 60);
+      assert.deepEqual(await store.get(key), { wordCount: 1 });
+
+      const now = Date.now();
+      t.mock.method(Date, 'now', () => now + 61 * 1000);
+      assert.equal(await store.get(key), null);
+    } finally {
+      if (dir) await rm(dir, { recursive: true, force: true });
+    }
+  });
+}
+
+test('unknown stores, and the fs store without Node, are configuration errors', () => {
+  process.env.OCR_CACHE = 'redis';
+  assert.throws(selectOcrCache, (e) => e.config === true && /Unknown OCR cache/.test(e.message));
+
+  process.env.OCR_CACHE = 'fs';
+  const getBuiltinModule = process.getBuiltinModule;
+  process.getBuiltinModule = undefined; // as on the edge runtime
+  try {
+    assert.throws(selectOcrCache, (e) => e.config === true && /edge runtime/.test(e.message));
+  } finally {
+    process.getBuiltinModule = getBuiltinModule;
+  }
+});
@@ -0,0 +1,88 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { exportPage, toAlto, toHocr, toMarkdown, toText } from "../src/ocrExport.js";
+
+const word = (WordText, Left, Top, lineText, Confidence = 90) => ({
+  WordText,
+  Left,
+  Top,
+  Width: 40,
+  Height: 20,
+  lineText,
+  Confidence,
+});
+
+// Rendered at scale 2: a right-to-left line given left to right, and a Latin line
+const page = exportPage({
+  number: 1,
+  width: 300,
+  height: 400,
+  scale: 2,
+  lang: "ara",
+  overlay: [
+    word("كتاب", 100, 40, "في البيت كتاب"),
+    word("البيت", 160, 40, "في البيت كتاب"),
+    word("في", 220, 40, "في البيت كتاب", null),
+    word("A&B", 100, 100, "A&B <tag>"),
+    word("<tag>", 160, 100, "A&B <tag>"),
+  ],
+});
+
+test("pages are put in reading order and scaled to points", () => {
+  assert.equal(page.lang, "ar");
+  assert.equal(page.lines.length, 2);
+  const [arabic, latin] = page.lines;
+  assert.equal(arabic.rtl, true);
+  assert.deepEqual(arabic.words.map((w) => w.text), ["في", "البيت", "كتاب"]);
+  assert.deepEqual(arabic.words[0].bbox, [110, 20, 130, 30]);
+  assert.deepEqual(arabic.bbox, [50, 20, 130, 30]);
+  assert.equal(arabic.words[0].confidence, null);
+  assert.equal(latin.rtl, false);
+  assert.deepEqual(latin.words.map((w) => w.text), ["A&B", "<tag>"]);
+});
+
+test("hOCR has a page, lines with direction and words with boxes and confidence", () => {
+  const hocr = toHocr([page]);
+  assert.match(hocr, /<html xmlns="http:\/\/www.w3.org\/1999\/xhtml" xml:lang="ar" lang="ar">/);
+  assert.match(hocr, /class="ocr_page" id="page_1" lang="ar" title="ppageno 0; bbox 0 0 300 400;/);
+  assert.match(hocr, /class="ocr_line" id="line_1_1" dir="rtl" title="bbox 50 20 130 30"/);
+  assert.match(hocr, /id="word_1_1_1" title="bbox 110 20 130 30">في<\/span>/);
+  assert.match(hocr, /id="word_1_1_3" title="bbox 50 20 70 30; x_wconf 90">كتاب<\/span>/);
+  assert.match(hocr, /dir="ltr"/);
+  assert.match(hocr, />A&#38;B<\/span>/);
+  assert.match(hocr, />&#60;tag&#62;<\/span>/);
+  assert.ok(!hocr.includes("<tag>"));
+});
+
+test("ALTO has the page size, a text block and spaced strings", () => {
+  const alto = toAlto([page], { fileName: "book & notes.pdf" });
+  assert.match(alto, /<fileName>book &#38; notes.pdf<\/fileName>/);
+  assert.match(alto, /<Page ID="P1" PHYSICAL_IMG_NR="1" WIDTH="300" HEIGHT="400">/);
+  assert.match(alto, /<TextBlock ID="P1_B1" HPOS="50" VPOS="20" WIDTH="80" HEIGHT="40" LANG="ar">/);
+  const first = '<String ID="P1_L1_W1" HPOS="110" VPOS="20" WIDTH="20" HEIGHT="10" CONTENT="في"/>';
+  assert.ok(alto.includes(first));
+  assert.match(alto, /CONTENT="كتاب" WC="0.9"\/>/);
+  assert.equal(alto.match(/<SP\/>/g).length, 3);
+  assert.match(alto, /CONTENT="&#60;tag&#62;"/);
+});
+
+test("an empty page has no text block", () => {
+  const empty = exportPage({ number: 2, width: 300, height: 400, overlay: [] });
+  const alto = toAlto([empty]);
+  assert.ok(!alto.includes("<TextBlock"));
+  assert.match(alto, /<Page ID="P2"/);
+});
+
+test("plain text and Markdown keep lines and pages", () => {
+  const second = exportPage({
+    number: 2,
+    width: 300,
+    height: 400,
+    overlay: [word("# 1. *bold*", 10, 10, "")],
+  });
+  assert.equal(toText([page, second]), "في البيت كتاب\nA&B <tag>\n\f\n# 1. *bold*\n");
+  assert.equal(
+    toMarkdown([page, second], { title: "Notes_1" }),
+    "# Notes\\_1\n\n## Page 1\n\nفي البيت كتاب  \nA&B \\<tag\\>\n\n## Page 2\n\n\\# 1. \\*bold\\*\n"
+  );
+});
@@ -0,0 +1,201 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  betterOverlay,
+  overlayResponse,
+  overlayScore,
+  wordWeight,
+} from '../api/_lib/ocr/overlay.js';
+import { fixture } from '../api/_lib/ocr/providers/fixture.js';
+import { ocrSpace } from '../api/_lib/ocr/providers/ocrspace.js';
+import { selectOcrProvider } from '../api/_lib/ocr/providers/index.js';
+
+const realFetch = globalThis.fetch;
+const ENV = ['OCR_FIXTURE_URL', 'OCR_PROVIDER', 'OCR_PROVIDERS_ALLOWED', 'OCRSPACE_API_KEY'];
+const savedEnv = Object.fromEntries(ENV.map((k) => [k, process.env[k]]));
+
+test.afterEach(() => {
+  globalThis.fetch = realFetch;
+  for (const k of ENV) {
+    if (savedEnv[k] === undefined) delete process.env[k];
+    else process.env[k] = savedEnv[k];
+  }
+});
+
+const word = (WordText, Confidence) => ({
+  WordText,
+  Left: 0,
+  Top: 0,
+  Width: 10,
+  Height: 10,
+  Confidence,
+});
+const response = (...words) => overlayResponse({ lines: [{ Words: words }], provider: 'test' });
+
+test('the built-in fixture is a normalized overlay', async () => {
+  delete process.env.OCR_FIXTURE_URL;
+  const r = await fixture.recognize({});
+  assert.equal(r.IsErroredOnProcessing, false);
+  assert.equal(r.provider, 'fixture');
+  const lines = r.ParsedResults[0].TextOverlay.Lines;
+  assert.equal(lines.length, 3);
+  assert.equal(r.wordCount, lines.flatMap((ln) => ln.Words).length);
+  assert.equal(r.ParsedResults[0].ParsedText.split('\n')[0], 'البلاغة في الكلام وضوح المعنى');
+  const first = lines[0].Words;
+  assert.ok(first.every((w) => Number.isInteger(w.Left) && w.Confidence === 96));
+  // Right to left: the first word sits furthest right
+  assert.ok(first[0].Left > first[1].Left);
+});
+
+test('fixture URLs in ocr.space shape are normalized', async () => {
+  process.env.OCR_FIXTURE_URL = 'https://fixtures.test/page.json';
+  const raw = {
+    ParsedResults: [
+      {
+        TextOverlay: {
+          Lines: [
+            {
+              Words: [{ WordText: ' كتاب ', Left: 1.4, Top: 2.6, Width: 30, Height: 12 }, word(' ')],
+            },
+            { Words: [word('')] },
+          ],
+        },
+      },
+    ],
+  };
+  globalThis.fetch = async (url) => {
+    assert.equal(url, 'https://fixtures.test/page.json');
+    return new Response(JSON.stringify(raw));
+  };
+  const r = await fixture.recognize({});
+  assert.deepEqual(r.ParsedResults[0].TextOverlay.Lines, [
+    {
+      LineText: 'كتاب',
+      Words: [{ WordText: 'كتاب', Left: 1, Top: 3, Width: 30, Height: 12, Confidence: null }],
+    },
+  ]);
+  assert.equal(r.wordCount, 1);
+  assert.equal(r.meanConfidence, null);
+});
+
+test('a failing fixture URL gives an error response instead of throwing', async () => {
+  process.env.OCR_FIXTURE_URL = 'https://fixtures.test/missing.json';
+  globalThis.fetch = async () => new Response('not found', { status: 404 });
+  const missing = await fixture.recognize({});
+  assert.equal(missing.IsErroredOnProcessing, true);
+  assert.equal(missing.status, 404);
+  assert.match(missing.ErrorMessage[0], /HTTP 404/);
+
+  globalThis.fetch = async () => new Response('{ not json');
+  const broken = await fixture.recognize({});
+  assert.equal(broken.IsErroredOnProcessing, true);
+  assert.equal(broken.wordCount, 0);
+
+  globalThis.fetch = async () => {
+    throw new TypeError('fetch failed');
+  };
+  const offline = await fixture.recognize({});
+  assert.match(offline.ErrorMessage[0], /fetch failed/);
+});
+
+test('providers are chosen from the request, OCR_PROVIDER and the allow list', () => {
+  delete process.env.OCR_PROVIDER;
+  delete process.env.OCR_PROVIDERS_ALLOWED;
+  assert.equal(selectOcrProvider().name, 'ocrspace');
+  assert.equal(selectOcrProvider('fixture').name, 'fixture');
+  process.env.OCR_PROVIDER = 'fixture';
+  assert.equal(selectOcrProvider().name, 'fixture');
+  assert.throws(() => selectOcrProvider('nope'));
+  process.env.OCR_PROVIDERS_ALLOWED = 'fixture';
+  assert.throws(() => selectOcrProvider('ocrspace'));
+});
+
+test('reported confidence decides the score; unknown confidence counts by word shape', () => {
+  assert.equal(wordWeight(word('كتاب', 90)), 0.9);
+  assert.equal(wordWeight(word('—', 99)), 0);
+  assert.equal(wordWeight(word('كتاب', null)), 1);
+  assert.equal(wordWeight(word('ك', null)), 0.5);
+  assert.equal(wordWeight(word('كتاbook', null)), 0.5);
+  assert.equal(wordWeight(word('ك1', null)), 0.25);
+  // Three unsure words lose to two sure ones
+  const sure = response(word('كتاب', 95), word('قلم', 90));
+  const noisy = response(word('كتا', 30), word('ب', 30), word('قلم', 40));
+  assert.ok(overlayScore(sure) > overlayScore(noisy));
+  assert.equal(betterOverlay(noisy, sure), sure);
+  // Without confidences, stray marks and fragments don't outvote clean words
+  const clean = response(word('كتاب', null), word('قلم', null));
+  const fragments = response(word('ك'), word('ت'), word('ا1'), word('|'));
+  assert.equal(betterOverlay(clean, fragments), clean);
+  assert.equal(betterOverlay(clean, response(word('كتاب', null), word('قلم', null))), clean);
+});
+
+/** Stub ocr.space: answers per engine with the given overlay lines (or an HTTP status) */
+function stubOcrSpace(byEngine) {
+  const calls = [];
+  globalThis.fetch = async (url, init) => {
+    const engine = Number(new URLSearchParams(init.body).get('OCREngine'));
+    calls.push(engine);
+    const answer = byEngine[engine];
+    if (typeof answer === 'number') return new Response('{}', { status: answer });
+    return new Response(JSON.stringify({ ParsedResults: [{ TextOverlay: { Lines: answer } }] }));
+  };
+  return calls;
+}
+
+const ocrOptions = {
+  base64Image: 'data:image/png;base64,AA==',
+  language: 'ara',
+  isOverlayRequired: true,
+  timeoutMs: 1000,
+};
+const line = (...texts) => ({ Words: texts.map((t) => word(t)) });
+
+test('auto mode keeps a good Engine 2 overlay without calling Engine 1', async () => {
+  process.env.OCRSPACE_API_KEY = 'key';
+  const calls = stubOcrSpace({ 2: [line('كتاب', 'قلم')], 1: [line('كتاب', 'قلم', 'جديد')] });
+  const r = await ocrSpace.recognize(ocrOptions);
+  assert.deepEqual(calls, [2]);
+  assert.equal(r.engine, 2);
+});
+
+test('auto mode asks Engine 1 when Engine 2 reads poorly and keeps the better overlay', async () => {
+  process.env.OCRSPACE_API_KEY = 'key';
+  // Engine 2 finds more tokens, but they are fragments
+  let calls = stubOcrSpace({ 2: [line('ك', 'ت', 'ا|', '1ب')], 1: [line('كتاب', 'قلم')] });
+  const r = await ocrSpace.recognize(ocrOptions);
+  assert.deepEqual(calls, [2, 1]);
+  assert.equal(r.engine, 1);
+  assert.match(r._note, /Engine 1/);
+
+  // Engine 1 is no better: Engine 2 stays
+  calls = stubOcrSpace({ 2: [line('ك', 'ت')], 1: [line('ك')] });
+  assert.equal((await ocrSpace.recognize(ocrOptions)).engine, 2);
+  assert.deepEqual(calls, [2, 1]);
+
+  // An empty Engine 2 overlay counts as poor
+  calls = stubOcrSpace({ 2: [], 1: [line('كتاب')] });
+  assert.equal((await ocrSpace.recognize(ocrOptions)).engine, 1);
+  assert.deepEqual(calls, [2, 1]);
+});
+
+test('auto mode falls back to the engine that answered', async () => {
+  process.env.OCRSPACE_API_KEY = 'key';
+  stubOcrSpace({ 2: 503, 1: [line('كتاب')] });
+  const r = await ocrSpace.recognize(ocrOptions);
+  assert.equal(r.engine, 1);
+  assert.match(r._note, /Engine 2 failed/);
+
+  stubOcrSpace({ 2: 503, 1: 500 });
+  const failed = await ocrSpace.recognize(ocrOptions);
+  assert.equal(failed.IsErroredOnProcessing, true);
+  assert.equal(failed.status, 503);
+});
+
+test('a requested engine is the only one called', async () => {
+  process.env.OCRSPACE_API_KEY = 'key';
+  const calls = stubOcrSpace({ 1: [line('كتاب')], 2: [line('كتاب', 'قلم')] });
+  const r = await ocrSpace.recognize({ ...ocrOptions, engine: 1 });
+  assert.deepEqual(calls, [1]);
+  assert.equal(r.engine, 1);
+  assert.match(r._note, /requested/);
+});
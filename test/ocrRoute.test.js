@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { overlayToPoints, parsePageRange } from '../api/_lib/ocr/pdf.js';
+import handler from '../api/ocr-space.js';
+
+test('page ranges are 1-based, sorted and deduplicated', () => {
+  assert.deepEqual(parsePageRange('1-3,7', 10), [1, 2, 3, 7]);
+  assert.deepEqual(parsePageRange(' 7, 2 - 3 ,2', 10), [2, 3, 7]);
+  assert.deepEqual(parsePageRange('8-', 10), [8, 9, 10]);
+  assert.deepEqual(parsePageRange('9-20', 10), [9, 10]);
+  assert.deepEqual(parsePageRange('', 3), [1, 2, 3]);
+  assert.deepEqual(parsePageRange(undefined, 2), [1, 2]);
+});
+
+test('bad or out-of-range page specs are rejected', () => {
+  assert.throws(() => parsePageRange('a-b', 10), /Bad page range/);
+  assert.throws(() => parsePageRange('0', 10), /outside 1-10/);
+  assert.throws(() => parsePageRange('11', 10), /outside 1-10/);
+  assert.throws(() => parsePageRange('5-3', 10), /outside/);
+});
+
+const overlay = (...words) => ({
+  ParsedResults: [{ TextOverlay: { Lines: [{ LineText: 'x', Words: words }] }, ParsedText: 'x' }],
+  provider: 'fixture',
+});
+
+test('overlays are scaled from provider pixels to PDF points', () => {
+  const word = { WordText: 'كتاب', Left: 300, Top: 150, Width: 60, Height: 30, Confidence: 90 };
+  const pt = overlayToPoints(overlay(word), 144);
+  assert.equal(pt.units, 'pt');
+  assert.equal(pt.provider, 'fixture');
+  assert.deepEqual(pt.ParsedResults[0].TextOverlay.Lines[0].Words[0], {
+    WordText: 'كتاب',
+    Left: 150,
+    Top: 75,
+    Width: 30,
+    Height: 15,
+    Confidence: 90,
+  });
+  assert.equal(pt.ParsedResults[0].ParsedText, 'x');
+  // 72 dpi is one pixel per point
+  const [same] = overlayToPoints(overlay(word), 72).ParsedResults[0].TextOverlay.Lines[0].Words;
+  assert.deepEqual(same, word);
+  // Error responses have no overlay to scale
+  assert.deepEqual(overlayToPoints({ IsErroredOnProcessing: true }), {
+    IsErroredOnProcessing: true,
+    units: 'pt',
+  });
+});
+
+const post = (body) =>
+  new Request('https://app.test/api/ocr-space', { method: 'POST', body: JSON.stringify(body) });
+
+test('a server without its OCR key answers a non-retryable configuration error', async () => {
+  const saved = process.env.OCRSPACE_API_KEY;
+  delete process.env.OCRSPACE_API_KEY;
+  try {
+    const res = await handler(post({ base64Image: 'data:image/png;base64,AA==' }));
+    assert.equal(res.status, 500);
+    const j = await res.json();
+    assert.equal(j.config, true);
+    assert.match(j.error, /OCRSPACE_API_KEY/);
+  } finally {
+    if (saved !== undefined) process.env.OCRSPACE_API_KEY = saved;
+  }
+});
+
+test('the fixture provider answers through the route', async () => {
+  const image = 'data:image/png;base64,AQ==';
+  const res = await handler(post({ base64Image: image, provider: 'fixture' }));
+  assert.equal(res.status, 200);
+  const j = await res.json();
+  assert.equal(j.provider, 'fixture');
+  assert.ok(j.wordCount > 0);
+});
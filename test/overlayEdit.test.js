@@ -0,0 +1,103 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  addWord,
+  deleteWord,
+  mergeWords,
+  setWordBox,
+  setWordText,
+  splitWord,
+} from "../src/overlayEdit.js";
+
+/** One line laid out right to left, 10px gaps; a second Latin line below */
+function page() {
+  const arabic = ["في", "البيت", "كتاب"];
+  const words = arabic.map((WordText, i) => ({
+    WordText,
+    Left: 300 - 60 * (i + 1),
+    Top: 10,
+    Width: 50,
+    Height: 20,
+    lineText: arabic.join(" "),
+  }));
+  words.push(
+    { WordText: "Hello", Left: 10, Top: 60, Width: 50, Height: 20, lineText: "Hello world" },
+    { WordText: "world", Left: 70, Top: 60, Width: 50, Height: 20, lineText: "Hello world" }
+  );
+  return words;
+}
+
+const texts = (words) => words.map((w) => w.WordText);
+const lines = (words) => [...new Set(words.map((w) => w.lineText))];
+
+test("edits return a new list and leave the old one alone", () => {
+  const before = page();
+  const copy = structuredClone(before);
+  setWordText(before, 1, "الدار");
+  deleteWord(before, 0);
+  splitWord(before, 2);
+  mergeWords(before, [0, 1]);
+  addWord(before, { Left: 0, Top: 10, Width: 30, Height: 20 }, "جديد");
+  assert.deepEqual(before, copy);
+});
+
+test("retyping a word rebuilds its line and marks it edited", () => {
+  const out = setWordText(page(), 1, "  الدار \n");
+  assert.equal(out[1].WordText, "الدار");
+  assert.equal(out[1].edited, true);
+  assert.deepEqual(lines(out), ["في الدار كتاب", "Hello world"]);
+  // Clearing the text deletes the word
+  assert.deepEqual(texts(setWordText(page(), 1, " ")), ["في", "كتاب", "Hello", "world"]);
+});
+
+test("moving a box can change the word's place in the line text", () => {
+  const out = setWordBox(page(), 0, { Left: 0 });
+  assert.equal(out[0].Left, 0);
+  assert.equal(out[0].Width, 50);
+  assert.deepEqual(lines(out), ["البيت كتاب في", "Hello world"]);
+});
+
+test("deleting words relabels their line; the last word empties the page", () => {
+  assert.deepEqual(lines(deleteWord(page(), 4)), ["في البيت كتاب", "Hello"]);
+  assert.deepEqual(deleteWord([page()[0]], 0), []);
+});
+
+test("splitting puts the first part right in Arabic, left in Latin", () => {
+  const words = page();
+  words[2] = { ...words[2], WordText: "والكتاب" };
+  const out = splitWord(words, 2);
+  assert.equal(out.length, 6);
+  const [a, b] = out.slice(2, 4);
+  assert.deepEqual([a.WordText, b.WordText], ["والك", "تاب"]);
+  assert.ok(a.Left > b.Left);
+  assert.equal(a.Left + a.Width, words[2].Left + words[2].Width);
+  assert.equal(lines(out)[0], "في البيت والك تاب");
+
+  const latin = splitWord(page(), 3);
+  assert.deepEqual(texts(latin).slice(3, 5), ["Hel", "lo"]);
+  assert.ok(latin[3].Left < latin[4].Left);
+  // Text with a space splits there
+  const spaced = page();
+  spaced[4] = { ...spaced[4], WordText: "big world" };
+  assert.deepEqual(texts(splitWord(spaced, 4)).slice(4), ["big", "world"]);
+});
+
+test("merging joins parts in reading order under one box", () => {
+  const out = mergeWords(page(), [2, 1]);
+  assert.equal(out.length, 4);
+  assert.equal(out[1].WordText, "البيتكتاب");
+  assert.deepEqual([out[1].Left, out[1].Width], [120, 110]);
+  assert.deepEqual(lines(out), ["في البيتكتاب", "Hello world"]);
+  // Fewer than two words: nothing to merge
+  const words = page();
+  assert.equal(mergeWords(words, [1, 1]), words);
+});
+
+test("added words join the line they overlap, or start their own", () => {
+  const joined = addWord(page(), { Left: 0, Top: 12, Width: 30, Height: 20 }, " جديد ");
+  assert.equal(joined[3].WordText, "جديد");
+  assert.deepEqual(lines(joined), ["في البيت كتاب جديد", "Hello world"]);
+  const alone = addWord(page(), { Left: 0, Top: 200, Width: 30, Height: 20 }, "note");
+  assert.equal(alone.length, 6);
+  assert.deepEqual(lines(alone), ["في البيت كتاب", "Hello world", "note"]);
+});
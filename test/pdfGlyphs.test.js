@@ -0,0 +1,128 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import fontkit from "@pdf-lib/fontkit";
+import {
+  PDFArray,
+  PDFDocument,
+  PDFNumber,
+  PDFOperator,
+  beginText,
+  concatTransformationMatrix,
+  endText,
+  moveText,
+  popGraphicsState,
+  pushGraphicsState,
+  setCharacterSpacing,
+  setCharacterSqueeze,
+  setFontAndSize,
+  setTextMatrix,
+  showText,
+} from "pdf-lib";
+import { getDocument } from "pdfjs-dist/legacy/build/pdf.mjs";
+import { pageGlyphs } from "../src/pdfGlyphs.js";
+
+const FONT = new URL(
+  "../node_modules/@expo-google-fonts/noto-naskh-arabic/400Regular/NotoNaskhArabic_400Regular.ttf",
+  import.meta.url
+);
+const PAGE_HEIGHT = 300;
+const SIZE = 20;
+
+/** Left edges and baseline of each glyph of `runs` as the page draws them (PDF points) */
+function drawnPositions(font, { x, y, charSpacing = 0, hScale = 1 }, runs) {
+  const out = [];
+  for (const run of runs) {
+    if (typeof run === "number") {
+      x -= ((run * SIZE) / 1000) * hScale;
+      continue;
+    }
+    for (const ch of run) {
+      const width = font.widthOfTextAtSize(ch, SIZE);
+      out.push({ text: ch, left: x, right: x + width * hScale, baseline: PAGE_HEIGHT - y });
+      x += (width + charSpacing) * hScale;
+    }
+  }
+  return out;
+}
+
+async function glyphsOf(bytes, scale = 1) {
+  // pdf.js takes over the buffer it is given
+  const doc = await getDocument({ data: bytes.slice(), useSystemFonts: false }).promise;
+  try {
+    const page = await doc.getPage(1);
+    return await pageGlyphs(page, page.getViewport({ scale }));
+  } finally {
+    await doc.destroy();
+  }
+}
+
+const close = (actual, expected, what) =>
+  assert.ok(Math.abs(actual - expected) < 0.01, `${what}: ${actual} ≠ ${expected}`);
+
+test("glyph boxes follow the text matrix, spacing, horizontal scale and TJ kerning", async () => {
+  const doc = await PDFDocument.create();
+  doc.registerFontkit(fontkit);
+  const font = await doc.embedFont(await readFile(FONT), { subset: false });
+  const page = doc.addPage([400, PAGE_HEIGHT]);
+  page.setFont(font);
+  const [, fontKey] = page.getFont();
+  const kerned = PDFArray.withContext(doc.context);
+  kerned.push(font.encodeText("AB"));
+  kerned.push(PDFNumber.of(500));
+  kerned.push(font.encodeText("C"));
+  page.pushOperators(
+    pushGraphicsState(),
+    concatTransformationMatrix(1, 0, 0, 1, 10, 0),
+    beginText(),
+    setFontAndSize(fontKey, SIZE),
+    setCharacterSpacing(2),
+    setCharacterSqueeze(50),
+    setTextMatrix(1, 0, 0, 1, 50, 100),
+    showText(font.encodeText("Hi x")),
+    moveText(0, -40),
+    PDFOperator.of("TJ", [kerned]),
+    endText(),
+    popGraphicsState()
+  );
+
+  const glyphs = await glyphsOf(await doc.save());
+  const drawn = [
+    ...drawnPositions(font, { x: 60, y: 100, charSpacing: 2, hScale: 0.5 }, ["Hi x"]),
+    ...drawnPositions(font, { x: 60, y: 60, charSpacing: 2, hScale: 0.5 }, ["AB", 500, "C"]),
+  ];
+  assert.deepEqual(
+    glyphs.map((g) => g.text),
+    drawn.map((d) => d.text)
+  );
+  glyphs.forEach((g, i) => {
+    close(g.left, drawn[i].left, `${g.text} left`);
+    close(g.right, drawn[i].right, `${g.text} right`);
+    close(g.baseline, drawn[i].baseline, `${g.text} baseline`);
+    assert.equal(g.size, SIZE);
+    assert.ok(g.top < g.baseline && g.bottom > g.baseline);
+  });
+  assert.deepEqual(
+    glyphs.map((g) => g.space),
+    [false, false, true, false, false, false, false]
+  );
+});
+
+test("boxes are in viewport pixels", async () => {
+  const doc = await PDFDocument.create();
+  doc.registerFontkit(fontkit);
+  const font = await doc.embedFont(await readFile(FONT), { subset: false });
+  const page = doc.addPage([400, PAGE_HEIGHT]);
+  page.drawText("ab", { x: 100, y: 200, size: SIZE, font });
+  const bytes = await doc.save();
+  const [a1, b1] = await glyphsOf(bytes);
+  const [a2, b2] = await glyphsOf(bytes, 2);
+  close(a2.left, a1.left * 2, "left");
+  close(b2.right, b1.right * 2, "right");
+  close(a2.baseline, a1.baseline * 2, "baseline");
+  assert.equal(a2.size, SIZE * 2);
+});
+
+test("pages without an operator list have no glyphs", async () => {
+  assert.deepEqual(await pageGlyphs({}, { transform: [1, 0, 0, 1, 0, 0] }), []);
+});
@@ -0,0 +1,44 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildSearchIndex, findMatches, searchKey } from "../src/search.js";
+
+const line = (page, text) => ({
+  page,
+  text,
+  words: text.split(" ").map((t, i) => ({ text: t, ref: `${page}:${i}` })),
+});
+
+const index = buildSearchIndex([
+  line(0, "وَالكِتابُ على الطاولة"),
+  line(0, "Reading a Book"),
+  line(1, "إلى المكتبة والكتاب الجديد"),
+]);
+
+test("keys ignore marks, letter variants and Latin case", () => {
+  assert.equal(searchKey("الكِتَابُ"), searchKey("الكتاب"));
+  assert.equal(searchKey("إلى"), searchKey("الى"));
+  assert.equal(searchKey("BOOK"), "book");
+  assert.equal(searchKey(""), "");
+});
+
+test("a query word matches words containing it, across pages", () => {
+  const hits = findMatches(index, "كتاب");
+  assert.deepEqual(hits.map((h) => h.refs), [["0:0"], ["1:2"]]);
+  assert.equal(hits[1].page, 1);
+  assert.equal(hits[1].text, "إلى المكتبة والكتاب الجديد");
+  assert.deepEqual(hits[0].words, ["وَالكِتابُ"]);
+  assert.deepEqual(findMatches(index, "book")[0].refs, ["0:2"]);
+});
+
+test("several query words match consecutive words of one line", () => {
+  assert.deepEqual(findMatches(index, "الكتاب الجديد")[0].refs, ["1:2", "1:3"]);
+  assert.deepEqual(findMatches(index, "الكتاب الطاولة"), []);
+  // Not across lines
+  assert.deepEqual(findMatches(index, "الطاولة Reading"), []);
+});
+
+test("empty queries find nothing and the limit caps the hits", () => {
+  assert.deepEqual(findMatches(index, "  "), []);
+  assert.equal(findMatches(index, "ا").length, 6);
+  assert.equal(findMatches(index, "ا", { limit: 2 }).length, 2);
+});
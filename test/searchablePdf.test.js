@@ -0,0 +1,79 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { PDFDocument } from "pdf-lib";
+import { getDocument } from "pdfjs-dist/legacy/build/pdf.mjs";
+import { buildSearchablePdf } from "../src/searchablePdf.js";
+
+const FONT = new URL(
+  "../node_modules/@expo-google-fonts/noto-naskh-arabic/400Regular/NotoNaskhArabic_400Regular.ttf",
+  import.meta.url
+);
+const PAGE_HEIGHT = 400;
+
+/** Just the pdf.js geometry buildSearchablePdf uses: overlay pixels are points, y down */
+const fakePdf = {
+  getPage: async () => ({
+    getViewport: () => ({ convertToPdfPoint: (x, y) => [x, PAGE_HEIGHT - y] }),
+  }),
+};
+
+/** Words laid out like OCR boxes: right to left for Arabic, 8px apart */
+function ocrLine(text, top, rtl) {
+  const words = text.split(" ").map((WordText) => ({ WordText, lineText: text }));
+  let x = rtl ? 560 : 40;
+  for (const w of words) {
+    w.Width = 18 * w.WordText.length;
+    w.Left = rtl ? x - w.Width : x;
+    w.Top = top;
+    w.Height = 30;
+    x = rtl ? w.Left - 8 : x + w.Width + 8;
+  }
+  return words;
+}
+
+/** Text pdf.js extracts, one string per line */
+async function extractLines(bytes) {
+  const doc = await getDocument({ data: bytes, useSystemFonts: false }).promise;
+  const { items } = await (await doc.getPage(1)).getTextContent();
+  const lines = [""];
+  for (const item of items) {
+    lines[lines.length - 1] += item.str;
+    if (item.hasEOL) lines.push("");
+  }
+  await doc.destroy();
+  return lines.filter(Boolean);
+}
+
+test("the text layer reads back in logical order, with its spaces", async () => {
+  const source = await PDFDocument.create();
+  source.addPage([600, PAGE_HEIGHT]);
+  const overlay = [
+    ...ocrLine("في البيت كتاب جديد", 50, true),
+    ...ocrLine("Hello world", 150, false),
+    ...ocrLine("الفصاحة سهولة اللفظ", 250, true),
+  ];
+  const pages = [{ mode: "ocr", overlay }];
+  const { bytes, pagesWithText } = await buildSearchablePdf(await source.save(), fakePdf, pages, {
+    scale: 1,
+    fontBytes: await readFile(FONT),
+  });
+  assert.equal(pagesWithText, 1);
+  assert.deepEqual(await extractLines(bytes), [
+    "في البيت كتاب جديد",
+    "Hello world",
+    "الفصاحة سهولة اللفظ",
+  ]);
+});
+
+test("pages without OCR are left as they are", async () => {
+  const source = await PDFDocument.create();
+  source.addPage([600, PAGE_HEIGHT]);
+  const pages = [{ mode: "text", overlay: ocrLine("كتاب", 50, true) }];
+  const { bytes, pagesWithText } = await buildSearchablePdf(await source.save(), fakePdf, pages, {
+    scale: 1,
+    fontBytes: await readFile(FONT),
+  });
+  assert.equal(pagesWithText, 0);
+  assert.deepEqual(await extractLines(bytes), []);
+});
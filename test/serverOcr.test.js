@@ -0,0 +1,64 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { ocrError, ocrPageViaServerless } from "../src/serverOcr.js";
+
+const realFetch = globalThis.fetch;
+test.afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test("only busy servers, gateway errors and timeouts are retried", () => {
+  for (const status of [429, 502, 503, 504]) assert.equal(ocrError("x", status).retryable, true);
+  for (const status of [400, 413, 500, undefined]) {
+    assert.equal(ocrError("x", status).retryable, false);
+  }
+  assert.equal(ocrError("Timeout").retryable, true);
+  assert.equal(ocrError("engine timed out").retryable, true);
+  assert.equal(ocrError("busy", 429, "3").retryAfterMs, 3000);
+});
+
+/** fetch that never answers, but rejects once its signal aborts */
+function hang() {
+  const signals = [];
+  globalThis.fetch = (url, { signal }) => {
+    signals.push(signal);
+    return new Promise((_, reject) => {
+      signal.addEventListener("abort", () => reject(new DOMException("Aborted", "AbortError")));
+    });
+  };
+  return signals;
+}
+
+test("a slow request is aborted and fails as a retryable timeout", async () => {
+  const signals = hang();
+  await assert.rejects(ocrPageViaServerless("data:image/jpeg;base64,AA==", "ara", 20), (e) => {
+    assert.equal(e.message, "Timeout");
+    return e.retryable;
+  });
+  assert.equal(signals[0].aborted, true);
+});
+
+test("the caller's signal aborts the request", async () => {
+  const signals = hang();
+  const controller = new AbortController();
+  const page = ocrPageViaServerless("data:image/jpeg;base64,AA==", "ara", 5000, {
+    signal: controller.signal,
+  });
+  controller.abort();
+  await assert.rejects(page, { name: "AbortError" });
+  assert.equal(signals[0].aborted, true);
+});
+
+test("server errors carry their status", async () => {
+  globalThis.fetch = async () =>
+    new Response(JSON.stringify({ error: "Server missing OCRSPACE_API_KEY", config: true }), {
+      status: 500,
+    });
+  await assert.rejects(ocrPageViaServerless("data:image/jpeg;base64,AA=="), (e) => {
+    assert.equal(e.status, 500);
+    return !e.retryable;
+  });
+  const busy = { IsErroredOnProcessing: true, ErrorMessage: ["busy"], status: 503 };
+  globalThis.fetch = async () => new Response(JSON.stringify(busy));
+  await assert.rejects(ocrPageViaServerless("data:image/jpeg;base64,AA=="), { retryable: true });
+});
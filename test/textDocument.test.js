@@ -0,0 +1,117 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DOMParser, parseHTML } from "linkedom";
+import { cleanHtml, headingToc, loadTextDocument } from "../src/textDocument.js";
+
+const body = (html) => parseHTML(`<!doctype html><html><body>${html}</body></html>`).document.body;
+
+test("scripts, styles, frames and forms are dropped", () => {
+  const root = cleanHtml(
+    body(`<p>نص</p><script>alert(1)</script><style>p{}</style><iframe src="x"></iframe>
+      <form><input name="q"><button>go</button></form><link rel="stylesheet" href="a.css">`)
+  );
+  assert.equal(root.querySelectorAll("script, style, iframe, form, input, button, link").length, 0);
+  assert.equal(root.querySelector("p").textContent, "نص");
+});
+
+test("event handlers and javascript: links are removed; web links open in a new tab", () => {
+  const root = cleanHtml(
+    body(`<a href="javascript:alert(1)" onclick="x()">a</a><img src=" JavaScript:x" onerror="y()">
+      <a href="https://example.org/">b</a><a href="#note">c</a>`)
+  );
+  const [bad, web, local] = root.querySelectorAll("a");
+  assert.equal(bad.hasAttribute("href"), false);
+  assert.equal(bad.hasAttribute("onclick"), false);
+  const img = root.querySelector("img");
+  assert.equal(img.hasAttribute("src"), false);
+  assert.equal(img.hasAttribute("onerror"), false);
+  assert.equal(web.getAttribute("target"), "_blank");
+  assert.equal(web.getAttribute("rel"), "noopener noreferrer");
+  assert.equal(local.hasAttribute("target"), false);
+});
+
+test("inline styles keep only direction and emphasis", () => {
+  const root = cleanHtml(
+    body(`<p style="direction: rtl; position: fixed; TEXT-ALIGN: right; color: red">a</p>
+      <span style="font-weight: bold; background: url(https://x.test/t.png)">b</span>
+      <div style="z-index: 9999; inset: 0">c</div>
+      <em style="font-style: ex\\70ression(alert(1))">d</em>`)
+  );
+  assert.equal(root.querySelector("p").getAttribute("style"), "direction: rtl; TEXT-ALIGN: right");
+  assert.equal(root.querySelector("span").getAttribute("style"), "font-weight: bold");
+  assert.equal(root.querySelector("div").hasAttribute("style"), false);
+  assert.equal(root.querySelector("em").hasAttribute("style"), false);
+});
+
+test("headings become table-of-contents entries with ids", () => {
+  const root = body(`<h1>الباب الأول</h1><p>x</p><h2 id="s2">  فصل
+    ثان </h2><h3></h3><h4>skipped</h4>`);
+  assert.deepEqual(headingToc(root, "t"), [
+    { label: "الباب الأول", depth: 0, id: "t-0" },
+    { label: "فصل ثان", depth: 1, id: "s2" },
+  ]);
+  assert.equal(root.querySelector("h1").id, "t-0");
+});
+
+// "كتاب" in Windows-1256
+const CP1256_BOOK = [0xdf, 0xca, 0xc7, 0xc8];
+const fileOf = (...parts) => {
+  const bytes = new Uint8Array(
+    parts.flatMap((p) => (typeof p === "string" ? [...new TextEncoder().encode(p)] : p))
+  );
+  return { arrayBuffer: async () => bytes.buffer };
+};
+
+test("text files are decoded by BOM, else as UTF-8, else as Windows-1256", async (t) => {
+  globalThis.document = parseHTML("<!doctype html><html><body></body></html>").document;
+  t.after(() => delete globalThis.document);
+  const text = async (...parts) => (await loadTextDocument(fileOf(...parts), "text")).content;
+
+  const utf16 = new Uint8Array(
+    new Uint16Array([0xfeff, ..."كتاب".split("").map((c) => c.charCodeAt(0))]).buffer
+  );
+  assert.equal((await text([...utf16])).textContent, "كتاب");
+  assert.equal((await text([0xef, 0xbb, 0xbf], "كتاب")).textContent, "كتاب");
+  assert.equal((await text(CP1256_BOOK)).textContent, "كتاب");
+
+  const content = await text("سطر\r\nثان\n\n  فقرة  \n\n\n");
+  const paragraphs = [...content.querySelectorAll("p")];
+  assert.equal(paragraphs.length, 2);
+  assert.equal(paragraphs[0].querySelectorAll("br").length, 1);
+  assert.equal(paragraphs[1].textContent, "فقرة");
+  assert.equal(paragraphs[0].getAttribute("dir"), "auto");
+});
+
+test("HTML files are decoded by their <meta charset>", async (t) => {
+  globalThis.document = parseHTML("<!doctype html><html><body></body></html>").document;
+  globalThis.DOMParser = DOMParser;
+  t.after(() => {
+    delete globalThis.document;
+    delete globalThis.DOMParser;
+  });
+  const html = (...parts) => loadTextDocument(fileOf(...parts), "html");
+
+  const declared = await html(
+    '<html><head><meta charset="windows-1256"><title>t</title></head><body><h1>',
+    CP1256_BOOK,
+    "</h1><script>x()</script></body></html>"
+  );
+  assert.equal(declared.title, "t");
+  assert.equal(declared.content.querySelector("h1").textContent, "كتاب");
+  assert.equal(declared.content.querySelector("script"), null);
+  assert.deepEqual(declared.toc, [{ label: "كتاب", depth: 0, id: "hr-h-0" }]);
+  assert.deepEqual(declared.urls, []);
+
+  // An unknown label is ignored, and the bytes guessed at as for undeclared text
+  const unknown = await html(
+    '<html><head><meta charset="x-nonsense"></head><body><p>',
+    CP1256_BOOK,
+    "</p></body></html>"
+  );
+  assert.equal(unknown.content.querySelector("p").textContent, "كتاب");
+  const utf8 = await html(
+    '<html><head><meta http-equiv="Content-Type" content="text/html; charset=utf-8"></head>',
+    "<body><p>كتاب</p></body></html>"
+  );
+  assert.equal(utf8.content.querySelector("p").textContent, "كتاب");
+});
@@ -0,0 +1,140 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { layoutTextItems, logicalOrder } from "../src/textLayout.js";
+import { sentenceAt, sentenceInText } from "../src/sentences.js";
+
+const HEIGHT = 800;
+// pdf.js viewport at scale 1: PDF points, y flipped
+const viewport = { transform: [1, 0, 0, -1, 0, HEIGHT], scale: 1 };
+const item = (str, x, y, width, dir = "rtl") => ({
+  str,
+  dir,
+  width,
+  transform: [12, 0, 0, 12, x, y],
+  fontName: "f1",
+});
+
+const box = (WordText, Left) => ({ WordText, Left, Width: 40, Top: 0, Height: 12 });
+const texts = (words) => words.map((w) => w.WordText);
+
+test("right-to-left lines read right to left, with Latin runs kept in their order", () => {
+  const words = [
+    box("الجميل", 0),
+    box("Hello", 60),
+    box("World", 110),
+    box("كتاب", 170),
+    box("في", 230),
+  ];
+  assert.deepEqual(texts(logicalOrder(words)), ["في", "كتاب", "Hello", "World", "الجميل"]);
+  // A Latin line with an Arabic phrase: left to right, the phrase right to left
+  const latin = [
+    box("see", 0),
+    box("الكتاب", 50),
+    box("هذا", 100),
+    box("right", 150),
+    box("now", 200),
+  ];
+  assert.deepEqual(texts(logicalOrder(latin)), ["see", "هذا", "الكتاب", "right", "now"]);
+});
+
+test("numbers in Arabic lines keep their digit groups in order", () => {
+  // Displayed as "12 345 صفحة"
+  const words = [box("صفحة", 100), box("345", 60), box("12", 20)];
+  assert.deepEqual(texts(logicalOrder(words)), ["صفحة", "12", "345"]);
+});
+
+test("two-column right-to-left pages read the right column first", () => {
+  const items = [
+    item("عنوان الكتاب الكبير", 40, 760, 520),
+    // Content-stream order: left column first, then right
+    item("أول اليسار", 40, 700, 240),
+    item("ثاني اليسار", 40, 680, 240),
+    item("ثالث اليسار", 40, 660, 240),
+    item("أول اليمين", 320, 700, 240),
+    item("ثاني اليمين", 320, 680, 240),
+    item("ثالث اليمين", 320, 660, 240),
+  ];
+  const words = layoutTextItems(items, viewport);
+  const lines = [...new Set(words.map((w) => w.lineText))];
+  assert.deepEqual(lines, [
+    "عنوان الكتاب الكبير",
+    "أول اليمين",
+    "ثاني اليمين",
+    "ثالث اليمين",
+    "أول اليسار",
+    "ثاني اليسار",
+    "ثالث اليسار",
+  ]);
+  // Without glyphs, word boxes share out the item's width, first word on the right
+  const [first, second] = words.filter((w) => w.lineText === "أول اليمين");
+  assert.equal(first.boxSource, "measured");
+  assert.ok(first.Left > second.Left);
+  assert.ok(first.Left + first.Width <= 560.5 && second.Left >= 319.5);
+  assert.equal(first.Top, HEIGHT - 700 - 12);
+});
+
+test("glyph boxes place words when they fall into as many words as the item has", () => {
+  const glyph = (left, right, space = false) => ({
+    left,
+    right,
+    top: HEIGHT - 712,
+    bottom: HEIGHT - 700,
+    baseline: HEIGHT - 700,
+    space,
+  });
+  const glyphs = [glyph(100, 130), glyph(130, 150), glyph(150, 156, true), glyph(156, 200)];
+  const [right, left] = layoutTextItems([item("كتاب جديد", 100, 700, 100)], viewport, { glyphs });
+  assert.equal(right.WordText, "كتاب");
+  assert.equal(right.boxSource, "glyphs");
+  assert.deepEqual([right.Left, right.Width], [156, 44]);
+  assert.deepEqual([left.Left, left.Width], [100, 50]);
+});
+
+test("empty pages have no words", () => {
+  assert.deepEqual(layoutTextItems([item("  ", 0, 700, 10)], viewport), []);
+});
+
+const ocrWord = (WordText, Left, Top, lineText) => ({
+  WordText,
+  Left,
+  Top,
+  Width: 40,
+  Height: 12,
+  lineText,
+});
+
+test("a sentence runs over lines up to its full stop", () => {
+  const words = [
+    ocrWord("قرأت", 200, 0, "قرأت الكتاب. ثم"),
+    ocrWord("الكتاب.", 150, 0, "قرأت الكتاب. ثم"),
+    ocrWord("ثم", 100, 0, "قرأت الكتاب. ثم"),
+  ];
+  words.push(ocrWord("نمت", 200, 20, "نمت مبكرا؟"), ocrWord("مبكرا؟", 150, 20, "نمت مبكرا؟"));
+  const s = sentenceAt(words, words[3]);
+  assert.equal(s.text, "ثم نمت مبكرا؟");
+  assert.equal(s.text.slice(s.start, s.end), "نمت");
+  assert.equal(sentenceAt(words, words[0]).text, "قرأت الكتاب.");
+  assert.equal(sentenceAt(words, ocrWord("غائب", 0, 0, "")), null);
+});
+
+test("unpunctuated text falls back to the word's line", () => {
+  const words = [];
+  for (let line = 0; line < 7; line++) {
+    for (let i = 0; i < 10; i++)
+      words.push(ocrWord(`كلمة${i}`, 400 - 40 * i, line * 20, `س${line}`));
+  }
+  const target = words[35];
+  const s = sentenceAt(words, target);
+  assert.equal(s.text.split(" ").length, 10);
+  assert.equal(s.text.slice(s.start, s.end), "كلمة5");
+});
+
+test("sentences in running text stop at Arabic and Latin punctuation", () => {
+  const text = "قال: هذا كتاب، وذلك\n  قلم. Then  more!";
+  const from = text.indexOf("وذلك");
+  const s = sentenceInText(text, from, from + 4);
+  assert.equal(s.text, "وذلك قلم.");
+  assert.equal(s.text.slice(s.start, s.end), "وذلك");
+  const latin = sentenceInText(text, text.indexOf("Then"), text.indexOf("Then") + 4);
+  assert.equal(latin.text, "Then more!");
+});
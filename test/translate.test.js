@@ -0,0 +1,146 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { baseLang, normalizeLang } from '../api/_lib/translate/lang.js';
+import {
+  canTry,
+  healthReport,
+  recordFailure,
+  recordSuccess,
+} from '../api/_lib/translate/circuit.js';
+import { translateWithChain } from '../api/_lib/translate/chain.js';
+import { dictionary } from '../api/_lib/translate/providers/dictionary.js';
+import { buildShards } from '../src/lexicon-format.js';
+
+const realFetch = globalThis.fetch;
+const savedProviders = process.env.TRANSLATE_PROVIDERS;
+test.afterEach(() => {
+  globalThis.fetch = realFetch;
+  if (savedProviders === undefined) delete process.env.TRANSLATE_PROVIDERS;
+  else process.env.TRANSLATE_PROVIDERS = savedProviders;
+});
+
+test('language codes are normalized to ISO 639-1 with BCP 47 subtags', () => {
+  assert.equal(normalizeLang('ara'), 'ar');
+  assert.equal(normalizeLang('AR'), 'ar');
+  assert.equal(normalizeLang('PT_br'), 'pt-BR');
+  assert.equal(normalizeLang('zh-hant'), 'zh-Hant');
+  assert.equal(normalizeLang('zh-hant-tw'), 'zh-Hant-TW');
+  assert.equal(normalizeLang(''), 'auto');
+  assert.equal(normalizeLang(' Auto '), 'auto');
+  assert.equal(normalizeLang('xx'), 'xx');
+  assert.equal(baseLang('fas'), 'fa');
+  assert.equal(baseLang('pt-BR'), 'pt');
+});
+
+test('the breaker opens after repeated failures and half-opens after the cooldown', () => {
+  const name = 'flaky';
+  recordFailure(name, new Error('boom'));
+  recordFailure(name, 'boom');
+  assert.equal(canTry(name), true);
+  assert.equal(healthReport([name])[0].state, 'degraded');
+  recordFailure(name, new Error('down'));
+  assert.equal(canTry(name), false);
+  const [report] = healthReport([name]);
+  assert.equal(report.state, 'open');
+  assert.equal(report.consecutiveFailures, 3);
+  assert.equal(report.lastError, 'down');
+  assert.ok(report.retryAt);
+  // Cooled down: one attempt is allowed, and a success closes the breaker
+  assert.equal(canTry(name, Date.now() + 60001), true);
+  recordSuccess(name);
+  assert.equal(canTry(name), true);
+  const [closed] = healthReport([name]);
+  assert.equal(closed.state, 'ok');
+  assert.equal(closed.ok, 1);
+  assert.equal(closed.failed, 3);
+});
+
+test('providers are tracked separately', () => {
+  for (let i = 0; i < 3; i++) recordFailure('down');
+  assert.equal(canTry('down'), false);
+  assert.equal(canTry('up'), true);
+  assert.equal(healthReport(['up'])[0].state, 'ok');
+});
+
+const ENTRIES = [{ form: 'كتاب', lemma: 'كتاب', root: 'ك-ت-ب', glosses: ['book', 'writing'] }];
+
+/** fetch answering from buildShards output under <origin>/lexicon, held until released */
+function serveLexicon(origin) {
+  const { manifest, files } = buildShards(ENTRIES, { version: 'v1' });
+  const held = [];
+  const requested = [];
+  globalThis.fetch = (url, init) => {
+    requested.push(url);
+    const name = url.slice(`${origin}/lexicon/`.length);
+    const body = name === 'manifest.json' ? manifest : files[name];
+    return new Promise((resolve, reject) => {
+      init?.signal?.addEventListener('abort', () => reject(init.signal.reason));
+      held.push(() => resolve(new Response(JSON.stringify(body), { status: body ? 200 : 404 })));
+    });
+  };
+  const release = async () => {
+    while (held.length) {
+      held.shift()();
+      await new Promise((r) => setTimeout(r, 0));
+    }
+  };
+  return { requested, release };
+}
+
+test('the dictionary answers Arabic words from the lexicon shards', async () => {
+  const origin = 'https://one.test';
+  const { release } = serveLexicon(origin);
+  const answer = dictionary.translate({ q: 'والكتاب', source: 'ar', target: 'en', origin });
+  await release();
+  assert.equal(await answer, 'book, writing');
+  await assert.rejects(
+    dictionary.translate({ q: 'كتاب', source: 'ar', target: 'fr', origin }),
+    (e) => e.unsupported
+  );
+});
+
+test('one caller giving up does not fail the shared lexicon fetch for others', async () => {
+  const origin = 'https://two.test';
+  const { requested, release } = serveLexicon(origin);
+  const impatient = new AbortController();
+  const first = dictionary.translate({
+    q: 'كتاب',
+    source: 'ar',
+    target: 'en',
+    origin,
+    signal: impatient.signal,
+  });
+  const second = dictionary.translate({ q: 'كتاب', source: 'ar', target: 'en', origin });
+  impatient.abort(new Error('caller timeout'));
+  await assert.rejects(first, /caller timeout/);
+  await release();
+  assert.equal(await second, 'book, writing');
+  assert.equal(requested.filter((u) => u.endsWith('manifest.json')).length, 1);
+});
+
+test('the dictionary passes other source languages straight down the chain', async () => {
+  const origin = 'https://three.test';
+  const { requested } = serveLexicon(origin);
+  for (const source of ['fa', 'ur', 'ota', 'he', 'auto']) {
+    await assert.rejects(
+      dictionary.translate({ q: 'کتاب', source, target: 'en', origin }),
+      (e) => e.unsupported
+    );
+  }
+  assert.deepEqual(requested, []);
+
+  process.env.TRANSLATE_PROVIDERS = 'dictionary,mymemory';
+  globalThis.fetch = async (url) => {
+    requested.push(url);
+    return new Response(
+      JSON.stringify({ responseStatus: 200, responseData: { translatedText: 'book' } })
+    );
+  };
+  const result = await translateWithChain({ q: 'کتاب', source: 'fa', target: 'en', origin });
+  assert.equal(result.translatedText, 'book');
+  assert.equal(result.provider, 'mymemory');
+  assert.equal(result.tried[0].provider, 'dictionary');
+  assert.equal(requested.length, 1);
+  assert.match(requested[0], /mymemory/);
+  assert.equal(healthReport(['dictionary'])[0].failed, 0);
+});
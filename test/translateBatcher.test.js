@@ -0,0 +1,60 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { TranslationBatcher, isAbortError } from "../src/translateBatcher.js";
+
+const realFetch = globalThis.fetch;
+test.afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+/** fetch answering "<word>!" for each word; records each request's q */
+function serve() {
+  const batches = [];
+  globalThis.fetch = async (url, { body }) => {
+    const { q } = JSON.parse(body);
+    batches.push(q);
+    const translations = q.map((w) => ({ translatedText: `${w}!`, provider: "stub" }));
+    return new Response(JSON.stringify({ translations }));
+  };
+  return batches;
+}
+
+test("lookups in the debounce window go out as one request, each word once", async () => {
+  const batches = serve();
+  const results = [];
+  const batcher = new TranslationBatcher({
+    endpoint: "/api/translate",
+    onResult: (word, { text }) => results.push([word, text]),
+  });
+  const answers = await Promise.all(["كتاب", "قلم", "كتاب"].map((w) => batcher.translate(w)));
+  assert.deepEqual(batches, [["كتاب", "قلم"]]);
+  assert.deepEqual(answers.map((a) => a.text), ["كتاب!", "قلم!", "كتاب!"]);
+  assert.deepEqual(results, [
+    ["كتاب", "كتاب!"],
+    ["قلم", "قلم!"],
+  ]);
+});
+
+test("a word nobody waits for any more is dropped before it is sent", async () => {
+  const batches = serve();
+  const batcher = new TranslationBatcher({ endpoint: "/api/translate" });
+  const controller = new AbortController();
+  const dropped = batcher.translate("كتاب", { signal: controller.signal });
+  const kept = batcher.translate("قلم");
+  controller.abort();
+  await assert.rejects(dropped, isAbortError);
+  assert.equal((await kept).text, "قلم!");
+  assert.deepEqual(batches, [["قلم"]]);
+});
+
+test("hover lookups go ahead of prefetches in a full batch", async () => {
+  const batches = serve();
+  const batcher = new TranslationBatcher({ endpoint: "/api/translate", maxBatch: 2 });
+  const all = [
+    batcher.translate("أ"),
+    batcher.translate("ب"),
+    batcher.translate("ج", { priority: true }),
+  ];
+  await Promise.all(all);
+  assert.deepEqual(batches, [["ج", "أ"], ["ب"]]);
+});
@@ -0,0 +1,108 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { strFromU8, unzipSync } from "fflate";
+import initSqlJs from "sql.js";
+import { buildApkg, vocabToCsv, vocabToTsv } from "../src/vocabExport.js";
+
+const CARD = {
+  word: "بلاغة",
+  gloss: "eloquence, rhetoric",
+  root: "ب-ل-غ",
+  lemma: "بلاغة",
+  lineText: 'قال "البلاغة"\nثم',
+  translation: "",
+  docName: "Book",
+  page: 3,
+};
+
+test("CSV quotes fields with commas, quotes and newlines", () => {
+  const [header, row] = vocabToCsv([CARD]).split("\r\n");
+  assert.equal(header, "Arabic,Gloss,Root,Lemma,Context,Translation,Source");
+  assert.ok(row.startsWith('بلاغة,"eloquence, rhetoric",ب ل غ,بلاغة,"قال ""البلاغة""'));
+  assert.ok(vocabToCsv([CARD]).endsWith('"Book, p. 3"\r\n'));
+});
+
+test("TSV carries Anki's headers and has no tabs or newlines inside fields", () => {
+  const lines = vocabToTsv([{ ...CARD, gloss: "a\tb" }]).trimEnd().split("\n");
+  assert.deepEqual(lines.slice(0, 2), ["#separator:tab", "#html:false"]);
+  assert.ok(lines[2].startsWith("#columns:Arabic\tGloss"));
+  assert.equal(lines.length, 4);
+  assert.deepEqual(lines[3].split("\t"), [
+    "بلاغة",
+    "a b",
+    "ب ل غ",
+    "بلاغة",
+    'قال "البلاغة" ثم',
+    "",
+    "Book, p. 3",
+  ]);
+});
+
+/** Rows of `sql` in the .apkg's collection, as objects */
+function rows(db, sql) {
+  const [result] = db.exec(sql);
+  return result
+    ? result.values.map((v) => Object.fromEntries(v.map((x, i) => [result.columns[i], x])))
+    : [];
+}
+
+test("the Anki package holds one note and one card per word in the named deck", async () => {
+  const cards = [
+    { ...CARD, id: "ar:بلاغه", lineText: "في البلاغة <أسرار>" },
+    { id: "ar:كتاب", word: "كتاب", gloss: "book", page: null, docName: "" },
+  ];
+  const blob = await buildApkg(cards, { deckName: "Rhetoric", sql: () => initSqlJs() });
+  const files = unzipSync(new Uint8Array(await blob.arrayBuffer()));
+  assert.deepEqual(Object.keys(files).sort(), ["collection.anki2", "media"]);
+  assert.equal(strFromU8(files.media), "{}");
+
+  const SQL = await initSqlJs();
+  const db = new SQL.Database(files["collection.anki2"]);
+  try {
+    const [col] = rows(db, "SELECT ver, decks, models FROM col");
+    assert.equal(col.ver, 11);
+    const decks = Object.values(JSON.parse(col.decks));
+    const deck = decks.find((d) => d.name === "Rhetoric");
+    assert.ok(deck);
+    const [model] = Object.values(JSON.parse(col.models));
+    assert.deepEqual(
+      model.flds.map((f) => f.name),
+      ["Arabic", "Gloss", "Root", "Lemma", "Context", "Translation", "Source"]
+    );
+
+    const notes = rows(db, "SELECT id, guid, mid, tags, flds, sfld FROM notes ORDER BY id");
+    assert.equal(notes.length, 2);
+    assert.deepEqual(notes[0].flds.split("\x1f"), [
+      "بلاغة",
+      "eloquence, rhetoric",
+      "ب ل غ",
+      "بلاغة",
+      "في ال<b>بلاغة</b> &lt;أسرار&gt;",
+      "",
+      "Book, p. 3",
+    ]);
+    assert.equal(notes[0].sfld, "بلاغة");
+    assert.equal(notes[0].tags, " Book ");
+    assert.equal(notes[1].flds.split("\x1f")[1], "book");
+    assert.equal(String(notes[0].mid), String(model.id));
+
+    const cardRows = rows(db, "SELECT nid, did, due FROM cards ORDER BY due");
+    assert.deepEqual(
+      cardRows.map((c) => [c.nid, c.did, c.due]),
+      notes.map((n, i) => [n.id, deck.id, i + 1])
+    );
+
+    // Exporting again gives the same guids, so Anki updates the notes
+    const again = await buildApkg(cards, { sql: () => initSqlJs() });
+    const againDb = new SQL.Database(
+      unzipSync(new Uint8Array(await again.arrayBuffer()))["collection.anki2"]
+    );
+    assert.deepEqual(
+      rows(againDb, "SELECT guid FROM notes ORDER BY id").map((n) => n.guid),
+      notes.map((n) => n.guid)
+    );
+    againDb.close();
+  } finally {
+    db.close();
+  }
+});
@@ -0,0 +1,73 @@
+import "fake-indexeddb/auto";
+import test from "node:test";
+import assert from "node:assert/strict";
+import { CACHE_EXPORT_FORMAT, PersistentWordCache, WordCache } from "../src/wordCache.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test("the memory cache drops the least recently used entry", () => {
+  const lru = new WordCache(2);
+  lru.set("a", 1);
+  lru.set("b", 2);
+  lru.get("a");
+  lru.set("c", 3);
+  assert.equal(lru.get("b"), null);
+  assert.equal(lru.get("a"), 1);
+  assert.equal(lru.get("c"), 3);
+});
+
+test("spellings with the same lexicon key share an entry", async () => {
+  const cache = new PersistentWordCache();
+  await cache.clear();
+  await cache.set("ar", "en", "كِتَاب", "book");
+  assert.equal(await cache.get("ar", "en", "كتاب"), "book");
+  assert.equal(await cache.get("ar", "fr", "كتاب"), null);
+});
+
+test("entries outlive the in-memory cache", async () => {
+  await new PersistentWordCache().set("ar", "en", "قلم", "pen");
+  assert.equal(await new PersistentWordCache().get("ar", "en", "قلم"), "pen");
+});
+
+test("expired entries are not returned and are evicted", async () => {
+  const cache = new PersistentWordCache();
+  await cache.clear();
+  await cache.importJson({
+    format: CACHE_EXPORT_FORMAT,
+    entries: [{ word: "بيت", text: "house", savedAt: Date.now() - 200 * DAY }],
+  });
+  assert.equal(await cache.get("ar", "en", "بيت"), null);
+  assert.equal((await cache.stats()).count, 0);
+});
+
+test("eviction keeps the most recently used entries up to maxEntries", async () => {
+  const cache = new PersistentWordCache();
+  await cache.clear();
+  const now = Date.now();
+  await cache.importJson({
+    format: CACHE_EXPORT_FORMAT,
+    entries: ["باب", "دار", "شمس"].map((word, i) => ({
+      word,
+      text: word,
+      savedAt: now,
+      usedAt: now + i,
+    })),
+  });
+  assert.equal(await cache.updateSettings({ maxEntries: 2 }), 1);
+  const left = (await cache.entries()).map((r) => r.word).sort();
+  assert.deepEqual(left, ["دار", "شمس"]);
+});
+
+test("imports keep the newer of two entries and reject other files", async () => {
+  const cache = new PersistentWordCache();
+  await cache.clear();
+  cache.updateSettings({ maxEntries: 100 });
+  await cache.set("ar", "en", "نور", "light");
+  const old = { word: "نور", text: "old", savedAt: Date.now() - DAY };
+  assert.equal(await cache.importJson({ format: CACHE_EXPORT_FORMAT, entries: [old] }), 0);
+  assert.equal(await cache.get("ar", "en", "نور"), "light");
+  await assert.rejects(cache.importJson({ entries: [] }), /Not a HoverReader/);
+  const exported = await cache.exportJson();
+  assert.equal(exported.format, CACHE_EXPORT_FORMAT);
+  assert.equal(exported.entries.length, 1);
+});